@@ -1,18 +1,41 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 /**
  * @title BaseRewardsOptimizer
  * @dev Advanced smart contract for optimizing Base Builder Rewards
  * Features multi-factor reward calculation, dynamic scoring, and gas optimization
  */
-contract BaseRewardsOptimizer {
+contract BaseRewardsOptimizer is EIP712 {
+    using SafeERC20 for IERC20;
     
     // Events
     event RewardCalculated(address indexed user, uint256 score, uint256 reward);
     event ContributionRecorded(address indexed user, uint256 contributionType, uint256 value);
     event RewardDistributed(address indexed user, uint256 amount);
-    event ParametersUpdated(uint256 newMultiplier, uint256 newBonus);
+    event ParametersUpdated(
+        uint256 newMultiplier,
+        uint256 newStreakBonus,
+        uint256 newDiversityBonus,
+        uint256 newGasReward,
+        uint256 newMinimumThreshold
+    );
+    event RewardTokenSet(address indexed token);
+    event EpochAdvanced(uint256 indexed week);
+    event EpochPublished(uint256 indexed epoch, bytes32 merkleRoot, uint256 totalAmount);
+    event ContributionTypeAdded(uint256 indexed typeId, string name, uint256 weight, bool countsForDiversity);
+    event ContributionTypeUpdated(uint256 indexed typeId, uint256 weight, bool active);
+    event AttestorUpdated(address indexed attestor);
+    event ContributionAttested(address indexed builder, uint256 nonce, address indexed relayer);
+    event BuilderStateImported(address indexed user);
+    event ImportSealed();
 
     // Structs
     struct UserProfile {
@@ -22,6 +45,30 @@ contract BaseRewardsOptimizer {
         uint256 lastUpdateTime;
         uint256 streakDays;
         bool isActive;
+        uint256 diversityTypes; // distinct diversity-flagged types contributed to
+    }
+
+    struct ContributionType {
+        string name;
+        uint256 weight; // percent of a contribution's value that counts toward rewards, 100 = 1x
+        bool countsForDiversity; // fixed when the type is added, so diversityTypes never goes stale
+        bool active; // inactive types are rejected
+    }
+
+    // A builder's state as exported from a previous deployment
+    struct BuilderState {
+        address user;
+        UserProfile profile;
+        uint256[] dailyDays; // UTC day numbers for dailyContributions
+        uint256[] dailyValues;
+        uint256[] typeValues; // contributionsByType, indexed by type id
+    }
+
+    // What the last import wrote for a builder, so importing it again can clear it
+    struct ImportRecord {
+        bytes32 profileHash; // no longer matches once the builder contributes here
+        uint128 firstDay; // range of imported dailyContributions days, empty if firstDay > lastDay
+        uint128 lastDay;
     }
 
     struct RewardParameters {
@@ -42,17 +89,49 @@ contract BaseRewardsOptimizer {
     uint256 public totalRewardsDistributed;
     uint256 public currentWeek;
     
+    // Weekly Merkle distributions: one root per finished epoch, claimed once per user
+    IERC20 public rewardToken;
+    uint256 public outstandingRewards;
+    mapping(uint256 => bytes32) public epochRoots;
+    mapping(uint256 => uint256) public epochTotals;
+    mapping(uint256 => uint256) public epochClaimed;
+    mapping(uint256 => mapping(address => bool)) public hasClaimed;
+    
+    // Contribution type registry; a type's id is its index
+    ContributionType[] private contributionTypeRegistry;
+    // Per-type totals for types past the built-ins, whose totals are the profile's
+    // githubScore and contractDeployments; read both through contributionsByType
+    mapping(address => mapping(uint256 => uint256)) private typeTotals;
+    
+    // Signed attestations: one key vouches for contributions, anyone relays them
+    address public attestor;
+    mapping(address => uint256) public attestationNonces;
+    
+    // Migration from a previous deployment; once sealed, state can no longer be imported
+    bool public importSealed;
+    mapping(address => ImportRecord) private importRecords;
+    
     // Constants
     uint256 private constant WEEK_DURATION = 7 days;
     uint256 private constant MAX_STREAK_BONUS = 500; // 5x multiplier
     uint256 private constant PRECISION = 1e18;
+    uint256 public constant MAX_CONTRIBUTION_TYPES = 64;
+    // Widest span of days one builder's import may cover; importing again clears every day in it
+    uint256 public constant MAX_IMPORTED_DAYS = 366;
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "ContributionAttestation(address builder,uint256 contributionType,uint256 value,uint256 nonce,uint256 deadline)"
+    );
+    
+    // Built-in types whose profile counters feed the reward formula
+    uint256 private constant GITHUB_TYPE = 0;
+    uint256 private constant CONTRACT_DEPLOYMENT_TYPE = 1;
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not authorized");
         _;
     }
 
-    constructor() {
+    constructor() EIP712("BaseRewardsOptimizer", "1") {
         owner = msg.sender;
         rewardParams = RewardParameters({
             baseMultiplier: 100,
@@ -62,38 +141,102 @@ contract BaseRewardsOptimizer {
             minimumThreshold: 1000
         });
         currentWeek = block.timestamp / WEEK_DURATION;
+        
+        _addContributionType("GitHub", 100, true);
+        _addContributionType("Contract deployment", 100, true);
+        _addContributionType("Other", 100, false);
     }
 
     /**
      * @dev Record a contribution from a user
-     * @param contributionType Type of contribution (0: GitHub, 1: Contract, 2: Other)
+     * @param contributionType Id of an active registered type (0: GitHub, 1: Contract deployment, 2: Other)
+     * @param value Value/score of the contribution; counts toward rewards scaled by the type's weight.
+     * For contract deployments it is the number of contracts deployed.
+     */
+    function recordContribution(uint256 contributionType, uint256 value) public {
+        _recordContribution(msg.sender, contributionType, value);
+    }
+
+    /**
+     * @dev Record a contribution vouched for by the attestor. Anyone may relay the
+     * signature and pay the gas; the builder named in it is credited.
+     * @param builder Address credited with the contribution
+     * @param contributionType Id of an active registered type
      * @param value Value/score of the contribution
+     * @param nonce Must equal attestationNonces(builder), so each signature is used once
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature Attestor's EIP-712 signature over ContributionAttestation
+     */
+    function recordAttestedContribution(
+        address builder,
+        uint256 contributionType,
+        uint256 value,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(attestor != address(0), "Attestor not set");
+        require(block.timestamp <= deadline, "Attestation expired");
+        require(nonce == attestationNonces[builder], "Invalid attestation nonce");
+        
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(ATTESTATION_TYPEHASH, builder, contributionType, value, nonce, deadline))
+        );
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        require(error == ECDSA.RecoverError.NoError && signer == attestor, "Invalid attestation signature");
+        
+        attestationNonces[builder] = nonce + 1;
+        _recordContribution(builder, contributionType, value);
+        
+        emit ContributionAttested(builder, nonce, msg.sender);
+    }
+
+    /**
+     * @dev Set the key whose signatures recordAttestedContribution accepts;
+     * address(0) turns attestations off
      */
-    function recordContribution(uint256 contributionType, uint256 value) external {
+    function setAttestor(address newAttestor) external onlyOwner {
+        attestor = newAttestor;
+        
+        emit AttestorUpdated(newAttestor);
+    }
+
+    function _recordContribution(address account, uint256 contributionType, uint256 value) private {
         require(value > 0, "Invalid contribution value");
+        require(
+            contributionType < contributionTypeRegistry.length && contributionTypeRegistry[contributionType].active,
+            "Unknown contribution type"
+        );
         
-        UserProfile storage user = userProfiles[msg.sender];
+        ContributionType storage kind = contributionTypeRegistry[contributionType];
+        UserProfile storage user = userProfiles[account];
         uint256 today = block.timestamp / 1 days;
         
         // Update user profile
-        user.totalContributions += value;
+        user.totalContributions += (value * kind.weight) / 100;
         user.lastUpdateTime = block.timestamp;
         user.isActive = true;
         
         // Update daily contributions
-        dailyContributions[msg.sender][today] += value;
+        dailyContributions[account][today] += value;
         
         // Update specific contribution types
-        if (contributionType == 0) {
+        if (kind.countsForDiversity && contributionsByType(account, contributionType) == 0) {
+            user.diversityTypes += 1;
+        }
+        
+        if (contributionType == GITHUB_TYPE) {
             user.githubScore += value;
-        } else if (contributionType == 1) {
-            user.contractDeployments += 1;
+        } else if (contributionType == CONTRACT_DEPLOYMENT_TYPE) {
+            user.contractDeployments += value;
+        } else {
+            typeTotals[account][contributionType] += value;
         }
         
         // Update streak
-        _updateStreak(msg.sender);
+        _updateStreak(account);
         
-        emit ContributionRecorded(msg.sender, contributionType, value);
+        emit ContributionRecorded(account, contributionType, value);
     }
 
     /**
@@ -148,32 +291,238 @@ contract BaseRewardsOptimizer {
     }
 
     function _calculateDiversityBonus(address user) private view returns (uint256) {
+        return 100 + userProfiles[user].diversityTypes * rewardParams.diversityBonus;
+    }
+
+    function _addContributionType(string memory name, uint256 weight, bool countsForDiversity) private returns (uint256) {
+        require(bytes(name).length > 0, "Invalid contribution type name");
+        require(weight > 0, "Invalid contribution type weight");
+        require(contributionTypeRegistry.length < MAX_CONTRIBUTION_TYPES, "Too many contribution types");
+        
+        for (uint256 i = 0; i < contributionTypeRegistry.length; i++) {
+            require(
+                keccak256(bytes(contributionTypeRegistry[i].name)) != keccak256(bytes(name)),
+                "Contribution type exists"
+            );
+        }
+        
+        contributionTypeRegistry.push(ContributionType({
+            name: name,
+            weight: weight,
+            countsForDiversity: countsForDiversity,
+            active: true
+        }));
+        uint256 typeId = contributionTypeRegistry.length - 1;
+        
+        emit ContributionTypeAdded(typeId, name, weight, countsForDiversity);
+        return typeId;
+    }
+
+    /**
+     * @dev Register a new contribution type, e.g. audits, docs or grants
+     * @param name Unique display name
+     * @param weight Percent of each contribution's value that counts toward rewards (100 = 1x)
+     * @param countsForDiversity Whether contributing this type adds a diversity bonus
+     * @return typeId Id to pass to recordContribution
+     */
+    function addContributionType(
+        string calldata name,
+        uint256 weight,
+        bool countsForDiversity
+    ) external onlyOwner returns (uint256 typeId) {
+        return _addContributionType(name, weight, countsForDiversity);
+    }
+
+    /**
+     * @dev Change a type's weight for future contributions, or retire it
+     */
+    function updateContributionType(uint256 typeId, uint256 weight, bool active) external onlyOwner {
+        require(typeId < contributionTypeRegistry.length, "Unknown contribution type");
+        require(weight > 0, "Invalid contribution type weight");
+        
+        contributionTypeRegistry[typeId].weight = weight;
+        contributionTypeRegistry[typeId].active = active;
+        
+        emit ContributionTypeUpdated(typeId, weight, active);
+    }
+
+    function getContributionTypes() external view returns (ContributionType[] memory) {
+        return contributionTypeRegistry;
+    }
+
+    /**
+     * @dev Total value a user has contributed under a type
+     */
+    function contributionsByType(address user, uint256 typeId) public view returns (uint256) {
+        if (typeId == GITHUB_TYPE) return userProfiles[user].githubScore;
+        if (typeId == CONTRACT_DEPLOYMENT_TYPE) return userProfiles[user].contractDeployments;
+        return typeTotals[user][typeId];
+    }
+
+    /**
+     * @dev Copy builder state from a previous deployment. Importing an address again
+     * first clears what its last import wrote, so an interrupted or outdated import can
+     * be run again. Builders with state of their own here are rejected, including
+     * imported builders who have contributed since.
+     * @param states Profiles, recent dailyContributions (ascending days spanning at most
+     * MAX_IMPORTED_DAYS) and contributionsByType per builder
+     */
+    function importBuilderStates(BuilderState[] calldata states) external onlyOwner {
+        require(!importSealed, "Import sealed");
+        
+        for (uint256 i = 0; i < states.length; i++) {
+            BuilderState calldata state = states[i];
+            require(state.dailyDays.length == state.dailyValues.length, "Array length mismatch");
+            require(state.typeValues.length <= contributionTypeRegistry.length, "Unknown contribution type");
+            
+            _clearImportedState(state.user);
+            userProfiles[state.user] = state.profile;
+            
+            for (uint256 j = 0; j < state.dailyDays.length; j++) {
+                require(j == 0 || state.dailyDays[j] > state.dailyDays[j - 1], "Days not ascending");
+                dailyContributions[state.user][state.dailyDays[j]] = state.dailyValues[j];
+            }
+            for (uint256 j = 0; j < state.typeValues.length; j++) {
+                if (j == GITHUB_TYPE || j == CONTRACT_DEPLOYMENT_TYPE) {
+                    require(state.typeValues[j] == contributionsByType(state.user, j), "Type total mismatch");
+                } else {
+                    typeTotals[state.user][j] = state.typeValues[j];
+                }
+            }
+            
+            uint256 dayCount = state.dailyDays.length;
+            if (dayCount > 0) {
+                require(state.dailyDays[dayCount - 1] - state.dailyDays[0] < MAX_IMPORTED_DAYS, "Daily history too long");
+            }
+            importRecords[state.user] = ImportRecord({
+                profileHash: keccak256(abi.encode(state.profile)),
+                firstDay: dayCount > 0 ? SafeCast.toUint128(state.dailyDays[0]) : 1,
+                lastDay: dayCount > 0 ? SafeCast.toUint128(state.dailyDays[dayCount - 1]) : 0
+            });
+            
+            emit BuilderStateImported(state.user);
+        }
+    }
+
+    function _clearImportedState(address user) private {
+        ImportRecord memory record = importRecords[user];
         UserProfile memory profile = userProfiles[user];
-        uint256 diversityScore = 100;
         
-        if (profile.githubScore > 0) {
-            diversityScore += rewardParams.diversityBonus;
+        if (record.profileHash == bytes32(0)) {
+            require(!profile.isActive, "Builder already has state");
+            return;
         }
+        require(keccak256(abi.encode(profile)) == record.profileHash, "Builder already has state");
         
-        if (profile.contractDeployments > 0) {
-            diversityScore += rewardParams.diversityBonus;
+        for (uint256 day = record.firstDay; day <= record.lastDay; day++) {
+            delete dailyContributions[user][day];
+        }
+        for (uint256 typeId = CONTRACT_DEPLOYMENT_TYPE + 1; typeId < contributionTypeRegistry.length; typeId++) {
+            delete typeTotals[user][typeId];
         }
+    }
+
+    /**
+     * @dev End the migration for good; importBuilderStates reverts from now on
+     */
+    function sealImport() external onlyOwner {
+        require(!importSealed, "Import sealed");
+        importSealed = true;
         
-        return diversityScore;
+        emit ImportSealed();
     }
 
+    /**
+     * @dev Replace every reward parameter; the event logs the full new set
+     */
     function updateRewardParameters(
         uint256 newMultiplier,
         uint256 newStreakBonus,
         uint256 newDiversityBonus,
-        uint256 newGasReward
+        uint256 newGasReward,
+        uint256 newMinimumThreshold
     ) external onlyOwner {
         rewardParams.baseMultiplier = newMultiplier;
         rewardParams.streakBonus = newStreakBonus;
         rewardParams.diversityBonus = newDiversityBonus;
         rewardParams.gasOptimizationReward = newGasReward;
+        rewardParams.minimumThreshold = newMinimumThreshold;
+        
+        emit ParametersUpdated(newMultiplier, newStreakBonus, newDiversityBonus, newGasReward, newMinimumThreshold);
+    }
+
+    /**
+     * @dev Set the ERC20 token rewards are paid in; can only be set once
+     */
+    function setRewardToken(address token) external onlyOwner {
+        require(address(rewardToken) == address(0), "Reward token already set");
+        require(token != address(0), "Invalid reward token");
+        
+        rewardToken = IERC20(token);
+        
+        emit RewardTokenSet(token);
+    }
+
+    /**
+     * @dev Move currentWeek to the current block time; anyone may call this
+     */
+    function advanceEpoch() public {
+        uint256 week = block.timestamp / WEEK_DURATION;
+        
+        if (week > currentWeek) {
+            currentWeek = week;
+            emit EpochAdvanced(week);
+        }
+    }
+
+    /**
+     * @dev Publish the Merkle root of a finished epoch's rewards
+     * @param epoch Week number (block.timestamp / 1 weeks) being paid out
+     * @param merkleRoot Root over keccak256(keccak256(abi.encode(account, amount))) leaves
+     * @param totalAmount Sum of every amount in the tree
+     */
+    function publishEpochRoot(uint256 epoch, bytes32 merkleRoot, uint256 totalAmount) external onlyOwner {
+        advanceEpoch();
+        
+        require(address(rewardToken) != address(0), "Reward token not set");
+        require(epoch < currentWeek, "Epoch not finished");
+        require(epochRoots[epoch] == bytes32(0), "Epoch already published");
+        require(merkleRoot != bytes32(0), "Invalid merkle root");
+        require(
+            rewardToken.balanceOf(address(this)) >= outstandingRewards + totalAmount,
+            "Insufficient reward funds"
+        );
+        
+        epochRoots[epoch] = merkleRoot;
+        epochTotals[epoch] = totalAmount;
+        outstandingRewards += totalAmount;
+        
+        emit EpochPublished(epoch, merkleRoot, totalAmount);
+    }
+
+    /**
+     * @dev Claim the caller's reward for a published epoch
+     * @param epoch Epoch to claim from
+     * @param amount Amount allocated to the caller in that epoch's tree
+     * @param proof Merkle proof of (msg.sender, amount)
+     */
+    function claim(uint256 epoch, uint256 amount, bytes32[] calldata proof) external {
+        bytes32 root = epochRoots[epoch];
+        require(root != bytes32(0), "Epoch not published");
+        require(!hasClaimed[epoch][msg.sender], "Already claimed");
+        
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, amount))));
+        require(MerkleProof.verifyCalldata(proof, root, leaf), "Invalid proof");
+        require(epochClaimed[epoch] + amount <= epochTotals[epoch], "Epoch total exceeded");
+        
+        hasClaimed[epoch][msg.sender] = true;
+        epochClaimed[epoch] += amount;
+        outstandingRewards -= amount;
+        totalRewardsDistributed += amount;
+        
+        rewardToken.safeTransfer(msg.sender, amount);
         
-        emit ParametersUpdated(newMultiplier, newStreakBonus);
+        emit RewardDistributed(msg.sender, amount);
     }
 
     function getUserProfile(address user) external view returns (UserProfile memory) {
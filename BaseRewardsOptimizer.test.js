@@ -5,24 +5,21 @@
 
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
-const { time, loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  deployRewardsFixture,
+  currentDay,
+  currentEpoch,
+  advanceDays,
+  advanceToNextDay,
+  recordDailyStreak,
+  SECONDS_PER_DAY
+} = require('./testHarness');
 
 describe('BaseRewardsOptimizer', function () {
-  // Test fixture for deployment
-  async function deployBaseRewardsFixture() {
-    const [owner, user1, user2, user3] = await ethers.getSigners();
-
-    // Deploy the contract
-    const BaseRewardsOptimizer = await ethers.getContractFactory('BaseRewardsOptimizer');
-    const rewardsOptimizer = await BaseRewardsOptimizer.deploy();
-    await rewardsOptimizer.waitForDeployment();
-
-    return { rewardsOptimizer, owner, user1, user2, user3 };
-  }
-
   describe('Deployment', function () {
     it('Should deploy with correct initial parameters', async function () {
-      const { rewardsOptimizer, owner } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, owner } = await loadFixture(deployRewardsFixture);
       
       expect(await rewardsOptimizer.owner()).to.equal(owner.address);
       
@@ -35,18 +32,17 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should initialize with correct week calculation', async function () {
-      const { rewardsOptimizer } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer } = await loadFixture(deployRewardsFixture);
       
       const currentWeek = await rewardsOptimizer.currentWeek();
-      const expectedWeek = Math.floor(Date.now() / 1000 / (7 * 24 * 60 * 60));
       
-      expect(currentWeek).to.be.closeTo(expectedWeek, 1);
+      expect(currentWeek).to.be.closeTo(await currentEpoch(), 1);
     });
   });
 
   describe('Contribution Recording', function () {
     it('Should record GitHub contributions correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await expect(rewardsOptimizer.connect(user1).recordContribution(0, 1500))
         .to.emit(rewardsOptimizer, 'ContributionRecorded')
@@ -61,21 +57,21 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should record contract deployment contributions correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
-      await expect(rewardsOptimizer.connect(user1).recordContribution(1, 800))
+      await expect(rewardsOptimizer.connect(user1).recordContribution(1, 3))
         .to.emit(rewardsOptimizer, 'ContributionRecorded')
-        .withArgs(user1.address, 1, 800);
+        .withArgs(user1.address, 1, 3);
       
       const profile = await rewardsOptimizer.getUserProfile(user1.address);
-      expect(profile.totalContributions).to.equal(800);
+      expect(profile.totalContributions).to.equal(3);
       expect(profile.githubScore).to.equal(0);
-      expect(profile.contractDeployments).to.equal(1);
+      expect(profile.contractDeployments).to.equal(3);
       expect(profile.isActive).to.be.true;
     });
 
     it('Should record other type contributions correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(2, 500);
       
@@ -86,29 +82,48 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should reject zero value contributions', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await expect(rewardsOptimizer.connect(user1).recordContribution(0, 0))
         .to.be.revertedWith('Invalid contribution value');
     });
 
     it('Should accumulate multiple contributions correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
       await rewardsOptimizer.connect(user1).recordContribution(0, 500);
-      await rewardsOptimizer.connect(user1).recordContribution(1, 300);
+      await rewardsOptimizer.connect(user1).recordContribution(1, 3);
       
       const profile = await rewardsOptimizer.getUserProfile(user1.address);
-      expect(profile.totalContributions).to.equal(1800);
+      expect(profile.totalContributions).to.equal(1503);
       expect(profile.githubScore).to.equal(1500);
-      expect(profile.contractDeployments).to.equal(1);
+      expect(profile.contractDeployments).to.equal(3);
+    });
+
+    it('Should count every deployment in a contract deployment contribution', async function () {
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
+      
+      await rewardsOptimizer.connect(user1).recordContribution(1, 2);
+      await rewardsOptimizer.connect(user1).batchRecordContributions([1, 1], [1, 4]);
+      
+      const profile = await rewardsOptimizer.getUserProfile(user1.address);
+      expect(profile.contractDeployments).to.equal(7);
+      expect(profile.diversityTypes).to.equal(1);
+      expect(await rewardsOptimizer.contributionsByType(user1.address, 1)).to.equal(7);
+      
+      // Gas optimization bonus follows the deployment count: 7 * 50 = 350
+      // Below the 1000 threshold the reward is still 0
+      expect(await rewardsOptimizer.calculateOptimizedReward(user1.address)).to.equal(0);
+      await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
+      // (1007 * 1.0 * 1.5) + 350 = 1510 + 350 = 1860
+      expect(await rewardsOptimizer.calculateOptimizedReward(user1.address)).to.equal(1860);
     });
   });
 
   describe('Streak Calculation', function () {
     it('Should initialize streak to 1 on first contribution', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
       
@@ -117,13 +132,13 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should increment streak for consecutive day contributions', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       // Day 1
       await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
       
       // Advance time by 1 day
-      await time.increase(24 * 60 * 60);
+      await advanceDays(1);
       
       // Day 2
       await rewardsOptimizer.connect(user1).recordContribution(0, 500);
@@ -133,13 +148,13 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should reset streak if day is skipped', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       // Day 1
       await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
       
       // Skip a day - advance by 2 days
-      await time.increase(2 * 24 * 60 * 60);
+      await advanceDays(2);
       
       // Day 3 (skipped day 2)
       await rewardsOptimizer.connect(user1).recordContribution(0, 500);
@@ -147,18 +162,31 @@ describe('BaseRewardsOptimizer', function () {
       const profile = await rewardsOptimizer.getUserProfile(user1.address);
       expect(profile.streakDays).to.equal(1); // Reset to 1
     });
+
+    it('Should follow UTC day boundaries rather than 24 hour gaps', async function () {
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
+      
+      // A minute before midnight, then a minute after it
+      await advanceToNextDay(SECONDS_PER_DAY - 60);
+      await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
+      await advanceToNextDay(60);
+      await rewardsOptimizer.connect(user1).recordContribution(0, 500);
+      
+      const profile = await rewardsOptimizer.getUserProfile(user1.address);
+      expect(profile.streakDays).to.equal(2);
+    });
   });
 
   describe('Reward Calculation', function () {
     it('Should return zero for inactive users', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       const reward = await rewardsOptimizer.calculateOptimizedReward(user1.address);
       expect(reward).to.equal(0);
     });
 
     it('Should return zero for users below minimum threshold', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(0, 500); // Below 1000 threshold
       
@@ -167,7 +195,7 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should calculate base reward correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(0, 2000);
       
@@ -180,13 +208,10 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should apply streak multipliers correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       // Create a 7-day streak
-      for (let i = 0; i < 7; i++) {
-        await rewardsOptimizer.connect(user1).recordContribution(0, 200);
-        if (i < 6) await time.increase(24 * 60 * 60);
-      }
+      await recordDailyStreak(rewardsOptimizer, user1, 7, 0, 200);
       
       const profile = await rewardsOptimizer.getUserProfile(user1.address);
       expect(profile.streakDays).to.equal(7);
@@ -201,27 +226,27 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should apply diversity bonus for multiple contribution types', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(0, 1000); // GitHub
-      await rewardsOptimizer.connect(user1).recordContribution(1, 500);  // Contract
+      await rewardsOptimizer.connect(user1).recordContribution(1, 1);    // Contract
       
       const reward = await rewardsOptimizer.calculateOptimizedReward(user1.address);
       
-      // Base: 1500 * 100 / 100 = 1500
+      // Base: 1001 * 100 / 100 = 1001
       // 1-day streak = 1x multiplier
       // Both GitHub and Contract diversity = 1.5x (1.0 + 0.25 + 0.25)
       // Gas optimization bonus: 1 deployment * 50 = 50
-      // Expected: (1500 * 1.0 * 1.5) + 50 = 2250 + 50 = 2300
-      expect(reward).to.equal(2300);
+      // Expected: (1001 * 1.0 * 1.5) + 50 = 1501 + 50 = 1551
+      expect(reward).to.equal(1551);
     });
 
     it('Should apply gas optimization bonus correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
-      await rewardsOptimizer.connect(user1).recordContribution(1, 500);
-      await rewardsOptimizer.connect(user1).recordContribution(1, 300);
+      await rewardsOptimizer.connect(user1).recordContribution(1, 1);
+      await rewardsOptimizer.connect(user1).recordContribution(1, 1);
       
       const profile = await rewardsOptimizer.getUserProfile(user1.address);
       expect(profile.contractDeployments).to.equal(2);
@@ -229,30 +254,30 @@ describe('BaseRewardsOptimizer', function () {
       const reward = await rewardsOptimizer.calculateOptimizedReward(user1.address);
       
       // Gas optimization bonus: 2 deployments * 50 = 100
-      // Should be included in total reward
-      expect(reward).to.be.gt(2000); // Should be significantly higher due to bonus
+      // Expected: (1002 * 1.0 * 1.5) + 100 = 1503 + 100 = 1603
+      expect(reward).to.equal(1603);
     });
   });
 
   describe('Batch Operations', function () {
     it('Should batch record contributions correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       const types = [0, 1, 0, 2];
-      const values = [1000, 500, 800, 300];
+      const values = [1000, 1, 800, 300];
       
       await expect(rewardsOptimizer.connect(user1).batchRecordContributions(types, values))
         .to.emit(rewardsOptimizer, 'ContributionRecorded')
         .withArgs(user1.address, 0, 1000);
       
       const profile = await rewardsOptimizer.getUserProfile(user1.address);
-      expect(profile.totalContributions).to.equal(2600);
+      expect(profile.totalContributions).to.equal(2101);
       expect(profile.githubScore).to.equal(1800);
       expect(profile.contractDeployments).to.equal(1);
     });
 
     it('Should reject batch operations with mismatched arrays', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       const types = [0, 1];
       const values = [1000, 500, 800]; // Different length
@@ -264,7 +289,7 @@ describe('BaseRewardsOptimizer', function () {
 
   describe('Leaderboard', function () {
     it('Should return correct leaderboard rankings', async function () {
-      const { rewardsOptimizer, user1, user2, user3 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1, user2, user3 } = await loadFixture(deployRewardsFixture);
       
       // Setup different scores for users
       await rewardsOptimizer.connect(user1).recordContribution(0, 3000);
@@ -286,30 +311,310 @@ describe('BaseRewardsOptimizer', function () {
 
   describe('Parameter Updates', function () {
     it('Should allow owner to update parameters', async function () {
-      const { rewardsOptimizer, owner } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, owner } = await loadFixture(deployRewardsFixture);
       
-      await expect(rewardsOptimizer.connect(owner).updateRewardParameters(150, 15, 30, 75))
+      await expect(rewardsOptimizer.connect(owner).updateRewardParameters(150, 15, 30, 75, 800))
         .to.emit(rewardsOptimizer, 'ParametersUpdated')
-        .withArgs(150, 15);
+        .withArgs(150, 15, 30, 75, 800);
       
       const params = await rewardsOptimizer.rewardParams();
       expect(params.baseMultiplier).to.equal(150);
       expect(params.streakBonus).to.equal(15);
       expect(params.diversityBonus).to.equal(30);
       expect(params.gasOptimizationReward).to.equal(75);
+      expect(params.minimumThreshold).to.equal(800);
+    });
+
+    it('Should apply an updated minimum threshold', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+      
+      await rewardsOptimizer.connect(user1).recordContribution(2, 600);
+      expect(await rewardsOptimizer.calculateOptimizedReward(user1.address)).to.equal(0);
+      
+      await rewardsOptimizer.connect(owner).updateRewardParameters(100, 10, 25, 50, 500);
+      expect(await rewardsOptimizer.calculateOptimizedReward(user1.address)).to.equal(600);
     });
 
     it('Should reject parameter updates from non-owner', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
-      await expect(rewardsOptimizer.connect(user1).updateRewardParameters(150, 15, 30, 75))
+      await expect(rewardsOptimizer.connect(user1).updateRewardParameters(150, 15, 30, 75, 1000))
         .to.be.revertedWith('Not authorized');
     });
   });
 
+  describe('Contribution Types', function () {
+    it('Should register the built-in types and reject unknown or retired ones', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+
+      const types = await rewardsOptimizer.getContributionTypes();
+      expect(types.map(t => [t.name, t.weight, t.countsForDiversity, t.active])).to.deep.equal([
+        ['GitHub', 100n, true, true],
+        ['Contract deployment', 100n, true, true],
+        ['Other', 100n, false, true]
+      ]);
+
+      await expect(rewardsOptimizer.connect(user1).recordContribution(3, 100))
+        .to.be.revertedWith('Unknown contribution type');
+
+      await expect(rewardsOptimizer.connect(owner).updateContributionType(2, 100, false))
+        .to.emit(rewardsOptimizer, 'ContributionTypeUpdated')
+        .withArgs(2, 100, false);
+      await expect(rewardsOptimizer.connect(user1).batchRecordContributions([0, 2], [100, 100]))
+        .to.be.revertedWith('Unknown contribution type');
+    });
+
+    it('Should weight values and count each diversity type once', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+
+      await expect(rewardsOptimizer.connect(owner).addContributionType('Audit', 150, true))
+        .to.emit(rewardsOptimizer, 'ContributionTypeAdded')
+        .withArgs(3, 'Audit', 150, true);
+      await rewardsOptimizer.connect(owner).addContributionType('Docs', 50, false);
+
+      await rewardsOptimizer.connect(user1).recordContribution(3, 600);
+      await rewardsOptimizer.connect(user1).recordContribution(3, 200);
+      await rewardsOptimizer.connect(user1).recordContribution(4, 400);
+
+      const profile = await rewardsOptimizer.getUserProfile(user1.address);
+      expect(profile.totalContributions).to.equal(1400); // 800 * 1.5 + 400 * 0.5
+      expect(profile.diversityTypes).to.equal(1);
+      expect(await rewardsOptimizer.contributionsByType(user1.address, 3)).to.equal(800);
+      expect(await rewardsOptimizer.dailyContributions(user1.address, await currentDay())).to.equal(1200); // streaks count raw values
+
+      // 1400 * 1.25 diversity
+      expect(await rewardsOptimizer.calculateOptimizedReward(user1.address)).to.equal(1750);
+    });
+
+    it('Should only let the owner add unique, weighted types', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+
+      await expect(rewardsOptimizer.connect(user1).addContributionType('Grant', 100, true))
+        .to.be.revertedWith('Not authorized');
+      await expect(rewardsOptimizer.connect(owner).addContributionType('GitHub', 100, true))
+        .to.be.revertedWith('Contribution type exists');
+      await expect(rewardsOptimizer.connect(owner).addContributionType('Grant', 0, true))
+        .to.be.revertedWith('Invalid contribution type weight');
+      await expect(rewardsOptimizer.connect(owner).updateContributionType(9, 100, true))
+        .to.be.revertedWith('Unknown contribution type');
+    });
+  });
+
+  describe('Attested Contributions', function () {
+    const ATTESTATION_TYPES = {
+      ContributionAttestation: [
+        { name: 'builder', type: 'address' },
+        { name: 'contributionType', type: 'uint256' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    };
+
+    // owner doubles as the attestor; user3 relays
+    async function attestorFixture() {
+      const fixture = await deployRewardsFixture();
+      await fixture.rewardsOptimizer.connect(fixture.owner).setAttestor(fixture.owner.address);
+      return fixture;
+    }
+
+    async function attest(rewardsOptimizer, signer, message) {
+      const domain = {
+        name: 'BaseRewardsOptimizer',
+        version: '1',
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await rewardsOptimizer.getAddress()
+      };
+      const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, message);
+      return [message.builder, message.contributionType, message.value, message.nonce, message.deadline, signature];
+    }
+
+    it('Should credit the attested builder when anyone relays the signature', async function () {
+      const { rewardsOptimizer, owner, user1, user3 } = await loadFixture(attestorFixture);
+      const deadline = (await time.latest()) + 3600;
+      const args = await attest(rewardsOptimizer, owner, { builder: user1.address, contributionType: 0, value: 1500, nonce: 0, deadline });
+
+      await expect(rewardsOptimizer.connect(user3).recordAttestedContribution(...args))
+        .to.emit(rewardsOptimizer, 'ContributionRecorded')
+        .withArgs(user1.address, 0, 1500)
+        .and.to.emit(rewardsOptimizer, 'ContributionAttested')
+        .withArgs(user1.address, 0, user3.address);
+
+      expect((await rewardsOptimizer.getUserProfile(user1.address)).githubScore).to.equal(1500);
+      expect((await rewardsOptimizer.getUserProfile(user3.address)).isActive).to.be.false;
+      expect(await rewardsOptimizer.attestationNonces(user1.address)).to.equal(1);
+    });
+
+    it('Should reject replayed, expired and forged attestations', async function () {
+      const { rewardsOptimizer, owner, user1, user2, user3 } = await loadFixture(attestorFixture);
+      const deadline = (await time.latest()) + 3600;
+      const message = { builder: user1.address, contributionType: 0, value: 1500, nonce: 0, deadline };
+      const args = await attest(rewardsOptimizer, owner, message);
+
+      await rewardsOptimizer.connect(user3).recordAttestedContribution(...args);
+      await expect(rewardsOptimizer.connect(user3).recordAttestedContribution(...args))
+        .to.be.revertedWith('Invalid attestation nonce');
+
+      const forged = await attest(rewardsOptimizer, user1, { ...message, nonce: 1 });
+      await expect(rewardsOptimizer.connect(user1).recordAttestedContribution(...forged))
+        .to.be.revertedWith('Invalid attestation signature');
+
+      // The signature covers the builder and the value
+      const forUser2 = await attest(rewardsOptimizer, owner, { ...message, builder: user2.address });
+      await expect(rewardsOptimizer.connect(user3).recordAttestedContribution(user3.address, ...forUser2.slice(1)))
+        .to.be.revertedWith('Invalid attestation signature');
+      const other = await attest(rewardsOptimizer, owner, { ...message, nonce: 1 });
+      await expect(rewardsOptimizer.connect(user2).recordAttestedContribution(other[0], 0, 9999, ...other.slice(3)))
+        .to.be.revertedWith('Invalid attestation signature');
+
+      await time.increaseTo(deadline + 1);
+      await expect(rewardsOptimizer.connect(user3).recordAttestedContribution(...other))
+        .to.be.revertedWith('Attestation expired');
+    });
+
+    it('Should only accept attestations once the owner sets an attestor', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+      const deadline = (await time.latest()) + 3600;
+      const args = await attest(rewardsOptimizer, owner, { builder: user1.address, contributionType: 0, value: 100, nonce: 0, deadline });
+
+      await expect(rewardsOptimizer.connect(user1).recordAttestedContribution(...args))
+        .to.be.revertedWith('Attestor not set');
+      await expect(rewardsOptimizer.connect(user1).setAttestor(user1.address))
+        .to.be.revertedWith('Not authorized');
+
+      await expect(rewardsOptimizer.connect(owner).setAttestor(owner.address))
+        .to.emit(rewardsOptimizer, 'AttestorUpdated')
+        .withArgs(owner.address);
+      await rewardsOptimizer.connect(user1).recordAttestedContribution(...args);
+    });
+  });
+
+  describe('State Import', function () {
+    function builderState(user, day) {
+      return {
+        user,
+        profile: {
+          totalContributions: 1500,
+          githubScore: 1000,
+          contractDeployments: 500,
+          lastUpdateTime: day * SECONDS_PER_DAY,
+          streakDays: 4,
+          isActive: true,
+          diversityTypes: 2
+        },
+        dailyDays: [day - 1, day],
+        dailyValues: [500, 1000],
+        typeValues: [1000, 500]
+      };
+    }
+
+    it('Should overwrite imported builder state until the owner seals it', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+      const today = await currentDay();
+
+      await expect(rewardsOptimizer.connect(user1).importBuilderStates([builderState(user1.address, today)]))
+        .to.be.revertedWith('Not authorized');
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([builderState(user1.address, today)]))
+        .to.emit(rewardsOptimizer, 'BuilderStateImported')
+        .withArgs(user1.address);
+
+      const profile = await rewardsOptimizer.getUserProfile(user1.address);
+      expect(profile.totalContributions).to.equal(1500);
+      expect(profile.streakDays).to.equal(4);
+      expect(await rewardsOptimizer.dailyContributions(user1.address, today - 1)).to.equal(500);
+      expect(await rewardsOptimizer.contributionsByType(user1.address, 1)).to.equal(500);
+
+      // The imported streak carries on with the next contribution
+      await rewardsOptimizer.connect(user1).recordContribution(0, 100);
+      expect((await rewardsOptimizer.getUserProfile(user1.address)).streakDays).to.equal(5);
+
+      await expect(rewardsOptimizer.connect(user1).sealImport()).to.be.revertedWith('Not authorized');
+      await expect(rewardsOptimizer.connect(owner).sealImport()).to.emit(rewardsOptimizer, 'ImportSealed');
+      expect(await rewardsOptimizer.importSealed()).to.equal(true);
+
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([builderState(user1.address, today)]))
+        .to.be.revertedWith('Import sealed');
+      await expect(rewardsOptimizer.connect(owner).sealImport()).to.be.revertedWith('Import sealed');
+    });
+
+    it('Should clear what an earlier import wrote when a builder is imported again', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+      const today = await currentDay();
+      await rewardsOptimizer.connect(owner).addContributionType('Security audit', 150, true);
+
+      const first = { ...builderState(user1.address, today), typeValues: [1000, 500, 0, 300] };
+      await rewardsOptimizer.connect(owner).importBuilderStates([first]);
+      expect(await rewardsOptimizer.contributionsByType(user1.address, 3)).to.equal(300);
+
+      // The re-exported snapshot no longer has the audit or the older day
+      const second = {
+        ...builderState(user1.address, today),
+        dailyDays: [today],
+        dailyValues: [700],
+        typeValues: [1000, 500]
+      };
+      await rewardsOptimizer.connect(owner).importBuilderStates([second]);
+
+      expect(await rewardsOptimizer.dailyContributions(user1.address, today - 1)).to.equal(0);
+      expect(await rewardsOptimizer.dailyContributions(user1.address, today)).to.equal(700);
+      expect(await rewardsOptimizer.contributionsByType(user1.address, 3)).to.equal(0);
+    });
+
+    it('Should not replace state builders earned on this deployment', async function () {
+      const { rewardsOptimizer, owner, user1, user2 } = await loadFixture(deployRewardsFixture);
+      const today = await currentDay();
+
+      await rewardsOptimizer.connect(user2).recordContribution(0, 100);
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([builderState(user2.address, today)]))
+        .to.be.revertedWith('Builder already has state');
+
+      await rewardsOptimizer.connect(owner).importBuilderStates([builderState(user1.address, today)]);
+      await rewardsOptimizer.connect(user1).recordContribution(0, 100);
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([builderState(user1.address, today)]))
+        .to.be.revertedWith('Builder already has state');
+
+      expect((await rewardsOptimizer.getUserProfile(user1.address)).totalContributions).to.equal(1600);
+      expect(await rewardsOptimizer.dailyContributions(user1.address, today)).to.equal(1100);
+    });
+
+    it('Should reject malformed builder states', async function () {
+      const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+      const today = await currentDay();
+
+      const mismatched = { ...builderState(user1.address, today), dailyValues: [500] };
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([mismatched]))
+        .to.be.revertedWith('Array length mismatch');
+
+      const unknownType = { ...builderState(user1.address, today), typeValues: [1, 2, 3, 4] };
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([unknownType]))
+        .to.be.revertedWith('Unknown contribution type');
+
+      const unsorted = { ...builderState(user1.address, today), dailyDays: [today, today - 1] };
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([unsorted]))
+        .to.be.revertedWith('Days not ascending');
+
+      // Importing again clears every day in the span, so it has to stay bounded
+      const maxDays = Number(await rewardsOptimizer.MAX_IMPORTED_DAYS());
+      const tooLong = { ...builderState(user1.address, today), dailyDays: [today - maxDays, today], dailyValues: [1, 1] };
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([tooLong]))
+        .to.be.revertedWith('Daily history too long');
+      const longest = { ...tooLong, dailyDays: [today - maxDays + 1, today] };
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([longest])).to.not.be.reverted;
+
+      const outOfRange = { ...builderState(user1.address, today), dailyDays: [2n ** 128n], dailyValues: [1] };
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([outOfRange]))
+        .to.be.revertedWithCustomError(rewardsOptimizer, 'SafeCastOverflowedUintDowncast');
+
+      // GitHub and deployment totals are the profile counters, so they have to agree
+      const inconsistent = { ...builderState(user1.address, today), typeValues: [1000, 1] };
+      await expect(rewardsOptimizer.connect(owner).importBuilderStates([inconsistent]))
+        .to.be.revertedWith('Type total mismatch');
+    });
+  });
+
   describe('Contract Statistics', function () {
     it('Should return correct contract statistics', async function () {
-      const { rewardsOptimizer } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer } = await loadFixture(deployRewardsFixture);
       
       const [balance, totalRewards, currentWeek] = await rewardsOptimizer.getContractStats();
       
@@ -321,7 +626,7 @@ describe('BaseRewardsOptimizer', function () {
 
   describe('Edge Cases and Security', function () {
     it('Should handle maximum values correctly', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       const maxValue = ethers.MaxUint256;
       
@@ -331,10 +636,10 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should handle multiple users independently', async function () {
-      const { rewardsOptimizer, user1, user2 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1, user2 } = await loadFixture(deployRewardsFixture);
       
       await rewardsOptimizer.connect(user1).recordContribution(0, 2000);
-      await rewardsOptimizer.connect(user2).recordContribution(1, 1500);
+      await rewardsOptimizer.connect(user2).recordContribution(1, 1);
       
       const profile1 = await rewardsOptimizer.getUserProfile(user1.address);
       const profile2 = await rewardsOptimizer.getUserProfile(user2.address);
@@ -347,7 +652,7 @@ describe('BaseRewardsOptimizer', function () {
     });
 
     it('Should maintain state consistency across multiple operations', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       // Perform multiple operations
       for (let i = 0; i < 10; i++) {
@@ -365,17 +670,21 @@ describe('BaseRewardsOptimizer', function () {
 
   describe('Gas Optimization Tests', function () {
     it('Should use reasonable gas for single contribution', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
-      const tx = await rewardsOptimizer.connect(user1).recordContribution(0, 1000);
-      const receipt = await tx.wait();
+      // A builder's first contribution sets seven empty slots (five profile fields,
+      // diversityTypes and today's total) at 22.1k gas each; the bound sits just above
+      // the measured 189k so new writes show up here
+      const firstReceipt = await (await rewardsOptimizer.connect(user1).recordContribution(0, 1000)).wait();
+      expect(firstReceipt.gasUsed).to.be.lt(190000);
       
-      // Should use less than 100k gas for a single contribution
+      // Later contributions only update slots that are already set
+      const receipt = await (await rewardsOptimizer.connect(user1).recordContribution(0, 1000)).wait();
       expect(receipt.gasUsed).to.be.lt(100000);
     });
 
     it('Should be more gas efficient for batch operations', async function () {
-      const { rewardsOptimizer, user1 } = await loadFixture(deployBaseRewardsFixture);
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
       
       const types = [0, 0, 0, 0, 0];
       const values = [200, 200, 200, 200, 200];
@@ -0,0 +1,119 @@
+/**
+ * Test Suite for contribution attestations
+ * Covers signing GitHub activity, gasless relaying, replay and expiry protection
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { BaseRewardsAdmin, BaseRewardsManager, GitHubRewardsTracker } from './baseRewardsUtils';
+import { AttestationSigner, getAttestationDomain, recoverAttestor } from './attestations';
+import { connectBaseRewardsOptimizer } from './baseRewardsContract';
+import {
+  AttestationExpiredError,
+  InvalidAttestationNonceError,
+  InvalidAttestationSignatureError,
+  InvalidContributionValueError
+} from './rewardsErrors';
+import { githubEvent, githubRepo, startFakeGitHubApi } from './fakeGitHubApi';
+import { deployRewardsFixture } from './testHarness';
+
+describe('Contribution Attestations', function () {
+  // The attestor key only signs, so it never needs funds
+  async function attestorFixture() {
+    const fixture = await deployRewardsFixture();
+    const attestor = ethers.Wallet.createRandom();
+    await new BaseRewardsAdmin(fixture.address, ethers.provider, fixture.owner).setAttestor(attestor.address);
+    return { ...fixture, attestor };
+  }
+
+  it('Should attest GitHub activity and relay it without the builder paying gas', async function () {
+    const { address, attestor, user3 } = await loadFixture(attestorFixture);
+    const builder = ethers.Wallet.createRandom();
+    const github = await startFakeGitHubApi({
+      users: {
+        alice: {
+          events: [githubEvent(2, 'PullRequestEvent'), githubEvent(1, 'PushEvent', { payload: { size: 2 } })],
+          repos: [githubRepo('base-app')]
+        },
+        bob: {}
+      }
+    });
+
+    try {
+      const tracker = new GitHubRewardsTracker('', { baseUrl: github.url });
+      const signer = new AttestationSigner(address, ethers.provider, attestor, tracker);
+
+      const attestation = await signer.attestGitHubActivity('alice', builder.address);
+      expect(attestation).to.include({ builder: builder.address, contributionType: 0, value: 47n, nonce: 0n });
+      const domain = await getAttestationDomain(connectBaseRewardsOptimizer(address, ethers.provider));
+      expect(recoverAttestor(domain, attestation!)).to.equal(attestor.address);
+      expect(await signer.attestGitHubActivity('bob', builder.address)).to.equal(null);
+
+      const relayer = new BaseRewardsManager(address, ethers.provider, user3, { confirmations: 1 });
+      const receipt = await relayer.relayAttestedContribution(attestation!);
+
+      expect(receipt.contributions[0]).to.include({ user: builder.address, contributionType: 0, value: 47n });
+      expect((await relayer.getUserProfile(builder.address)).githubScore).to.equal(47n);
+      expect(await relayer.getAttestationNonce(builder.address)).to.equal(1n);
+      expect(await ethers.provider.getBalance(builder.address)).to.equal(0n);
+    } finally {
+      await github.close();
+    }
+  });
+
+  it('Should reject replayed, out-of-order and expired attestations before sending', async function () {
+    const { address, attestor, user1, user3 } = await loadFixture(attestorFixture);
+    const signer = new AttestationSigner(address, ethers.provider, attestor, undefined, { validForSeconds: 60 });
+    const relayer = new BaseRewardsManager(address, ethers.provider, user3, { confirmations: 1 });
+    const nonce = await ethers.provider.getTransactionCount(user3.address);
+
+    // Signed before either is relayed, so they take consecutive nonces
+    const first = await signer.sign({ builder: user1.address, contributionType: 0, value: 100n });
+    const second = await signer.sign({ builder: user1.address, contributionType: 2, value: 50n });
+    expect([first.nonce, second.nonce]).to.deep.equal([0n, 1n]);
+
+    expect(await relayer.relayAttestedContribution(second).catch(error => error))
+      .to.be.instanceOf(InvalidAttestationNonceError);
+    await relayer.relayAttestedContribution(first);
+    await relayer.relayAttestedContribution(second);
+    expect(await relayer.relayAttestedContribution(first).catch(error => error))
+      .to.be.instanceOf(InvalidAttestationNonceError);
+
+    const expiring = await signer.sign({ builder: user1.address, contributionType: 0, value: 100n });
+    await time.increase(61);
+    expect(await relayer.relayAttestedContribution(expiring).catch(error => error))
+      .to.be.instanceOf(AttestationExpiredError);
+
+    const impostor = new AttestationSigner(address, ethers.provider, ethers.Wallet.createRandom());
+    const forged = await impostor.sign({ builder: user1.address, contributionType: 0, value: 100n });
+    expect(await relayer.relayAttestedContribution(forged).catch(error => error))
+      .to.be.instanceOf(InvalidAttestationSignatureError);
+
+    // Only the two valid attestations reached the chain
+    expect(await ethers.provider.getTransactionCount(user3.address)).to.equal(nonce + 2);
+    expect(await signer.sign({ builder: user1.address, contributionType: 0, value: 0n }).catch(error => error))
+      .to.be.instanceOf(InvalidContributionValueError);
+  });
+
+  it('Should sign the nonce of an expired attestation again so later ones can still be relayed', async function () {
+    const { address, attestor, user1, user3 } = await loadFixture(attestorFixture);
+    const signer = new AttestationSigner(address, ethers.provider, attestor);
+    const relayer = new BaseRewardsManager(address, ethers.provider, user3, { confirmations: 1 });
+
+    // The first attestation is never relayed and expires ahead of the second
+    const deadline = await time.latest() + 60;
+    const lost = await signer.sign({ builder: user1.address, contributionType: 0, value: 100n, deadline });
+    const pending = await signer.sign({ builder: user1.address, contributionType: 2, value: 50n });
+    expect([lost.nonce, pending.nonce]).to.deep.equal([0n, 1n]);
+    await time.increase(61);
+
+    const replacement = await signer.sign({ builder: user1.address, contributionType: 0, value: 100n });
+    expect(replacement.nonce).to.equal(0n);
+    await relayer.relayAttestedContribution(replacement);
+    await relayer.relayAttestedContribution(pending);
+
+    expect(await relayer.getAttestationNonce(user1.address)).to.equal(2n);
+    expect((await signer.sign({ builder: user1.address, contributionType: 0, value: 10n })).nonce).to.equal(2n);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Contribution Attestations
+ * EIP-712 signatures from a trusted attestor key vouching for a builder's contribution.
+ * Anyone can relay a signed attestation to recordAttestedContribution, so builders are
+ * credited with verified values without paying gas themselves.
+ */
+
+import { ethers } from 'ethers';
+import { Provider } from 'ethers';
+import { BaseRewardsOptimizerContract, connectBaseRewardsOptimizer } from './baseRewardsContract';
+import { ContributionType } from './contributionTypes';
+import { InvalidContributionValueError } from './rewardsErrors';
+import type { GitHubRewardsTracker } from './baseRewardsUtils';
+
+// Types and Interfaces
+export interface ContributionAttestation {
+  builder: string;
+  contributionType: number;
+  value: bigint;
+  nonce: bigint; // the builder's attestationNonces value it will be relayed at
+  deadline: number; // unix seconds, compared with block.timestamp
+}
+
+export interface SignedAttestation extends ContributionAttestation {
+  signature: string;
+}
+
+// nonce and deadline are filled in when left out
+export type AttestationRequest = Omit<ContributionAttestation, 'nonce' | 'deadline'> &
+  Partial<Pick<ContributionAttestation, 'nonce' | 'deadline'>>;
+
+export interface AttestationSignerOptions {
+  validForSeconds?: number; // default deadline, counted from the latest block
+}
+
+// Field order matches ATTESTATION_TYPEHASH in BaseRewardsOptimizer.sol
+export const ATTESTATION_TYPES: Record<string, ethers.TypedDataField[]> = {
+  ContributionAttestation: [
+    { name: 'builder', type: 'address' },
+    { name: 'contributionType', type: 'uint256' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+export const DEFAULT_ATTESTATION_VALIDITY = 24 * 60 * 60;
+
+/**
+ * EIP-712 domain of a deployed contract, read from eip712Domain (ERC-5267)
+ */
+export async function getAttestationDomain(contract: BaseRewardsOptimizerContract): Promise<ethers.TypedDataDomain> {
+  const domain = await contract.eip712Domain();
+
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  };
+}
+
+/**
+ * Address that signed an attestation, for checking it before it is relayed
+ */
+export function recoverAttestor(domain: ethers.TypedDataDomain, attestation: SignedAttestation): string {
+  const { signature, ...message } = attestation;
+  return ethers.verifyTypedData(domain, ATTESTATION_TYPES, message, signature);
+}
+
+/**
+ * AttestationSigner - signs contribution attestations with the attestor key
+ *
+ * Nonces are sequential per builder. Without an explicit nonce the next one is read
+ * from the contract and counted up locally, so several attestations for one builder
+ * can be signed before any of them is relayed; they must then be relayed in order.
+ * A nonce whose attestation expired unrelayed is handed out again, so one lost
+ * attestation does not block the builder's later ones.
+ */
+export class AttestationSigner {
+  private contract: BaseRewardsOptimizerContract;
+  private provider: Provider;
+  private attestor: ethers.Signer;
+  private tracker?: GitHubRewardsTracker;
+  private validForSeconds: number;
+  private domain?: Promise<ethers.TypedDataDomain>;
+  // Nonces signed here per builder, with the deadline each was signed for
+  private reservedNonces = new Map<string, Map<bigint, number>>();
+
+  constructor(
+    contractAddress: string,
+    provider: Provider,
+    attestor: ethers.Signer,
+    tracker?: GitHubRewardsTracker,
+    options: AttestationSignerOptions = {}
+  ) {
+    this.provider = provider;
+    this.attestor = attestor;
+    this.tracker = tracker;
+    this.validForSeconds = options.validForSeconds ?? DEFAULT_ATTESTATION_VALIDITY;
+    this.contract = connectBaseRewardsOptimizer(contractAddress, provider);
+  }
+
+  /**
+   * Sign an attestation for any registered contribution type
+   */
+  async sign(request: AttestationRequest): Promise<SignedAttestation> {
+    if (request.value <= BigInt(0)) {
+      throw new InvalidContributionValueError(`Attestation has value ${request.value}; values must be greater than zero`);
+    }
+
+    const builder = ethers.getAddress(request.builder);
+    const now = await this.getChainTime();
+    const deadline = request.deadline ?? now + this.validForSeconds;
+    const attestation: ContributionAttestation = {
+      builder,
+      contributionType: request.contributionType,
+      value: request.value,
+      nonce: request.nonce ?? await this.reserveNonce(builder, deadline, now),
+      deadline
+    };
+
+    const signature = await this.attestor.signTypedData(await this.getDomain(), ATTESTATION_TYPES, attestation);
+    return { ...attestation, signature };
+  }
+
+  /**
+   * Attest a builder's GitHub score over the last `days`, as GitHubRewardsTracker
+   * computes it. Returns null when there is no activity to attest. Attest each
+   * window once; overlapping windows would credit the same activity twice.
+   */
+  async attestGitHubActivity(
+    githubUsername: string,
+    builder: string,
+    days: number = 7
+  ): Promise<SignedAttestation | null> {
+    if (!this.tracker) {
+      throw new Error('A GitHubRewardsTracker is required to attest GitHub activity');
+    }
+
+    const activity = await this.tracker.getUserActivity(githubUsername, days);
+    if (activity.totalScore <= 0) {
+      return null;
+    }
+
+    return this.sign({ builder, contributionType: ContributionType.GitHub, value: BigInt(activity.totalScore) });
+  }
+
+  async getAddress(): Promise<string> {
+    return this.attestor.getAddress();
+  }
+
+  // Private helper methods
+
+  private getDomain(): Promise<ethers.TypedDataDomain> {
+    if (!this.domain) {
+      this.domain = getAttestationDomain(this.contract);
+      this.domain.catch(() => {
+        this.domain = undefined;
+      });
+    }
+
+    return this.domain;
+  }
+
+  /**
+   * The builder's lowest nonce from the contract's onwards that no live attestation
+   * signed here holds. Relayed nonces are below the contract's; expired ones can
+   * never be relayed, so the nonce is free to sign again.
+   */
+  private async reserveNonce(builder: string, deadline: number, now: number): Promise<bigint> {
+    const onChain = await this.contract.attestationNonces(builder);
+    const reserved = this.reservedNonces.get(builder) ?? new Map<bigint, number>();
+
+    for (const [nonce, until] of reserved) {
+      if (nonce < onChain || until < now) {
+        reserved.delete(nonce);
+      }
+    }
+
+    let nonce = onChain;
+    while (reserved.has(nonce)) {
+      nonce++;
+    }
+
+    reserved.set(nonce, deadline);
+    this.reservedNonces.set(builder, reserved);
+    return nonce;
+  }
+
+  /**
+   * Latest block timestamp; deadlines are checked against chain time, not the local clock
+   */
+  private async getChainTime(): Promise<number> {
+    const block = await this.provider.getBlock('latest');
+    return block ? block.timestamp : Math.floor(Date.now() / 1000);
+  }
+}
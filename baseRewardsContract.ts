@@ -0,0 +1,1481 @@
+/**
+ * BaseRewardsOptimizer Typed Bindings
+ * Generated by generateBindings.js from the compiled artifact - do not edit by hand.
+ * Run `npx hardhat run generateBindings.js` after changing the contract.
+ */
+
+import { ethers } from 'ethers';
+import {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  ContractRunner,
+  ContractTransaction,
+  ContractTransactionResponse,
+  JsonFragment,
+  Overrides
+} from 'ethers';
+
+// Types and Interfaces
+export interface ContributionTypeStruct {
+  name: string;
+  weight: bigint;
+  countsForDiversity: boolean;
+  active: boolean;
+}
+
+export interface UserProfileStruct {
+  totalContributions: bigint;
+  githubScore: bigint;
+  contractDeployments: bigint;
+  lastUpdateTime: bigint;
+  streakDays: bigint;
+  isActive: boolean;
+  diversityTypes: bigint;
+}
+
+export interface BuilderStateStruct {
+  user: string;
+  profile: UserProfileStruct;
+  dailyDays: bigint[];
+  dailyValues: bigint[];
+  typeValues: bigint[];
+}
+
+export interface Eip712DomainOutput {
+  fields: string;
+  name: string;
+  version: string;
+  chainId: bigint;
+  verifyingContract: string;
+  salt: string;
+  extensions: bigint[];
+}
+
+export interface GetTopContributorsOutput {
+  topUsers: string[];
+  scores: bigint[];
+}
+
+export interface RewardParamsOutput {
+  baseMultiplier: bigint;
+  streakBonus: bigint;
+  diversityBonus: bigint;
+  gasOptimizationReward: bigint;
+  minimumThreshold: bigint;
+}
+
+export interface UserProfilesOutput {
+  totalContributions: bigint;
+  githubScore: bigint;
+  contractDeployments: bigint;
+  lastUpdateTime: bigint;
+  streakDays: bigint;
+  isActive: boolean;
+  diversityTypes: bigint;
+}
+
+export interface AttestorUpdatedEventArgs {
+  attestor: string;
+}
+
+export interface BuilderStateImportedEventArgs {
+  user: string;
+}
+
+export interface ContributionAttestedEventArgs {
+  builder: string;
+  nonce: bigint;
+  relayer: string;
+}
+
+export interface ContributionRecordedEventArgs {
+  user: string;
+  contributionType: bigint;
+  value: bigint;
+}
+
+export interface ContributionTypeAddedEventArgs {
+  typeId: bigint;
+  name: string;
+  weight: bigint;
+  countsForDiversity: boolean;
+}
+
+export interface ContributionTypeUpdatedEventArgs {
+  typeId: bigint;
+  weight: bigint;
+  active: boolean;
+}
+
+export interface EIP712DomainChangedEventArgs {
+
+}
+
+export interface EpochAdvancedEventArgs {
+  week: bigint;
+}
+
+export interface EpochPublishedEventArgs {
+  epoch: bigint;
+  merkleRoot: string;
+  totalAmount: bigint;
+}
+
+export interface ImportSealedEventArgs {
+
+}
+
+export interface ParametersUpdatedEventArgs {
+  newMultiplier: bigint;
+  newStreakBonus: bigint;
+  newDiversityBonus: bigint;
+  newGasReward: bigint;
+  newMinimumThreshold: bigint;
+}
+
+export interface RewardCalculatedEventArgs {
+  user: string;
+  score: bigint;
+  reward: bigint;
+}
+
+export interface RewardDistributedEventArgs {
+  user: string;
+  amount: bigint;
+}
+
+export interface RewardTokenSetEventArgs {
+  token: string;
+}
+
+export type BaseRewardsOptimizerEvent =
+  | { name: 'AttestorUpdated'; args: AttestorUpdatedEventArgs }
+  | { name: 'BuilderStateImported'; args: BuilderStateImportedEventArgs }
+  | { name: 'ContributionAttested'; args: ContributionAttestedEventArgs }
+  | { name: 'ContributionRecorded'; args: ContributionRecordedEventArgs }
+  | { name: 'ContributionTypeAdded'; args: ContributionTypeAddedEventArgs }
+  | { name: 'ContributionTypeUpdated'; args: ContributionTypeUpdatedEventArgs }
+  | { name: 'EIP712DomainChanged'; args: EIP712DomainChangedEventArgs }
+  | { name: 'EpochAdvanced'; args: EpochAdvancedEventArgs }
+  | { name: 'EpochPublished'; args: EpochPublishedEventArgs }
+  | { name: 'ImportSealed'; args: ImportSealedEventArgs }
+  | { name: 'ParametersUpdated'; args: ParametersUpdatedEventArgs }
+  | { name: 'RewardCalculated'; args: RewardCalculatedEventArgs }
+  | { name: 'RewardDistributed'; args: RewardDistributedEventArgs }
+  | { name: 'RewardTokenSet'; args: RewardTokenSetEventArgs };
+
+export type BaseRewardsOptimizerEventName = BaseRewardsOptimizerEvent['name'];
+
+// Every method takes optional overrides (blockTag, gasLimit, ...) after its arguments
+export type WithOverrides<A extends unknown[]> = A | [...A, Overrides];
+
+export interface ViewMethod<A extends unknown[], R> {
+  (...args: WithOverrides<A>): Promise<R>;
+  staticCall(...args: WithOverrides<A>): Promise<R>;
+}
+
+export interface WriteMethod<A extends unknown[]> {
+  (...args: WithOverrides<A>): Promise<ContractTransactionResponse>;
+  staticCall(...args: WithOverrides<A>): Promise<void>;
+  estimateGas(...args: WithOverrides<A>): Promise<bigint>;
+  populateTransaction(...args: WithOverrides<A>): Promise<ContractTransaction>;
+}
+
+export type BaseRewardsOptimizerContract = BaseContract & {
+  addContributionType: WriteMethod<[name: string, weight: BigNumberish, countsForDiversity: boolean]>;
+  advanceEpoch: WriteMethod<[]>;
+  ATTESTATION_TYPEHASH: ViewMethod<[], string>;
+  attestationNonces: ViewMethod<[arg0: AddressLike], bigint>;
+  attestor: ViewMethod<[], string>;
+  batchRecordContributions: WriteMethod<[contributionTypes: BigNumberish[], values: BigNumberish[]]>;
+  calculateOptimizedReward: ViewMethod<[user: AddressLike], bigint>;
+  claim: WriteMethod<[epoch: BigNumberish, amount: BigNumberish, proof: string[]]>;
+  contributionsByType: ViewMethod<[user: AddressLike, typeId: BigNumberish], bigint>;
+  currentWeek: ViewMethod<[], bigint>;
+  dailyContributions: ViewMethod<[arg0: AddressLike, arg1: BigNumberish], bigint>;
+  eip712Domain: ViewMethod<[], Eip712DomainOutput>;
+  epochClaimed: ViewMethod<[arg0: BigNumberish], bigint>;
+  epochRoots: ViewMethod<[arg0: BigNumberish], string>;
+  epochTotals: ViewMethod<[arg0: BigNumberish], bigint>;
+  getContractStats: ViewMethod<[], [bigint, bigint, bigint]>;
+  getContributionTypes: ViewMethod<[], ContributionTypeStruct[]>;
+  getTopContributors: ViewMethod<[users: AddressLike[]], GetTopContributorsOutput>;
+  getUserProfile: ViewMethod<[user: AddressLike], UserProfileStruct>;
+  hasClaimed: ViewMethod<[arg0: BigNumberish, arg1: AddressLike], boolean>;
+  importBuilderStates: WriteMethod<[states: BuilderStateStruct[]]>;
+  importSealed: ViewMethod<[], boolean>;
+  MAX_CONTRIBUTION_TYPES: ViewMethod<[], bigint>;
+  MAX_IMPORTED_DAYS: ViewMethod<[], bigint>;
+  outstandingRewards: ViewMethod<[], bigint>;
+  owner: ViewMethod<[], string>;
+  pendingRewards: ViewMethod<[arg0: AddressLike], bigint>;
+  publishEpochRoot: WriteMethod<[epoch: BigNumberish, merkleRoot: string, totalAmount: BigNumberish]>;
+  recordAttestedContribution: WriteMethod<[builder: AddressLike, contributionType: BigNumberish, value: BigNumberish, nonce: BigNumberish, deadline: BigNumberish, signature: string]>;
+  recordContribution: WriteMethod<[contributionType: BigNumberish, value: BigNumberish]>;
+  rewardParams: ViewMethod<[], RewardParamsOutput>;
+  rewardToken: ViewMethod<[], string>;
+  sealImport: WriteMethod<[]>;
+  setAttestor: WriteMethod<[newAttestor: AddressLike]>;
+  setRewardToken: WriteMethod<[token: AddressLike]>;
+  totalRewardsDistributed: ViewMethod<[], bigint>;
+  updateContributionType: WriteMethod<[typeId: BigNumberish, weight: BigNumberish, active: boolean]>;
+  updateRewardParameters: WriteMethod<[newMultiplier: BigNumberish, newStreakBonus: BigNumberish, newDiversityBonus: BigNumberish, newGasReward: BigNumberish, newMinimumThreshold: BigNumberish]>;
+  userProfiles: ViewMethod<[arg0: AddressLike], UserProfilesOutput>;
+};
+
+export const BASE_REWARDS_OPTIMIZER_EVENTS: BaseRewardsOptimizerEventName[] = ['AttestorUpdated', 'BuilderStateImported', 'ContributionAttested', 'ContributionRecorded', 'ContributionTypeAdded', 'ContributionTypeUpdated', 'EIP712DomainChanged', 'EpochAdvanced', 'EpochPublished', 'ImportSealed', 'ParametersUpdated', 'RewardCalculated', 'RewardDistributed', 'RewardTokenSet'];
+
+export const BASE_REWARDS_OPTIMIZER_ABI: JsonFragment[] = [
+  {
+    "inputs": [],
+    "stateMutability": "nonpayable",
+    "type": "constructor"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidShortString",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint8",
+        "name": "bits",
+        "type": "uint8"
+      },
+      {
+        "internalType": "uint256",
+        "name": "value",
+        "type": "uint256"
+      }
+    ],
+    "name": "SafeCastOverflowedUintDowncast",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "SafeERC20FailedOperation",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "str",
+        "type": "string"
+      }
+    ],
+    "name": "StringTooLong",
+    "type": "error"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "attestor",
+        "type": "address"
+      }
+    ],
+    "name": "AttestorUpdated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "user",
+        "type": "address"
+      }
+    ],
+    "name": "BuilderStateImported",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "builder",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "nonce",
+        "type": "uint256"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "relayer",
+        "type": "address"
+      }
+    ],
+    "name": "ContributionAttested",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "user",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "contributionType",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "value",
+        "type": "uint256"
+      }
+    ],
+    "name": "ContributionRecorded",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "typeId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "weight",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "bool",
+        "name": "countsForDiversity",
+        "type": "bool"
+      }
+    ],
+    "name": "ContributionTypeAdded",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "typeId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "weight",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "bool",
+        "name": "active",
+        "type": "bool"
+      }
+    ],
+    "name": "ContributionTypeUpdated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [],
+    "name": "EIP712DomainChanged",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "week",
+        "type": "uint256"
+      }
+    ],
+    "name": "EpochAdvanced",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "epoch",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "merkleRoot",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "totalAmount",
+        "type": "uint256"
+      }
+    ],
+    "name": "EpochPublished",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [],
+    "name": "ImportSealed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "newMultiplier",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "newStreakBonus",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "newDiversityBonus",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "newGasReward",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "newMinimumThreshold",
+        "type": "uint256"
+      }
+    ],
+    "name": "ParametersUpdated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "user",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "score",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "reward",
+        "type": "uint256"
+      }
+    ],
+    "name": "RewardCalculated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "user",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "RewardDistributed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "RewardTokenSet",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "ATTESTATION_TYPEHASH",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MAX_CONTRIBUTION_TYPES",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MAX_IMPORTED_DAYS",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "weight",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bool",
+        "name": "countsForDiversity",
+        "type": "bool"
+      }
+    ],
+    "name": "addContributionType",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "typeId",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "advanceEpoch",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "attestationNonces",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "attestor",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256[]",
+        "name": "contributionTypes",
+        "type": "uint256[]"
+      },
+      {
+        "internalType": "uint256[]",
+        "name": "values",
+        "type": "uint256[]"
+      }
+    ],
+    "name": "batchRecordContributions",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "user",
+        "type": "address"
+      }
+    ],
+    "name": "calculateOptimizedReward",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "epoch",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes32[]",
+        "name": "proof",
+        "type": "bytes32[]"
+      }
+    ],
+    "name": "claim",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "user",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "typeId",
+        "type": "uint256"
+      }
+    ],
+    "name": "contributionsByType",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "currentWeek",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "dailyContributions",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "eip712Domain",
+    "outputs": [
+      {
+        "internalType": "bytes1",
+        "name": "fields",
+        "type": "bytes1"
+      },
+      {
+        "internalType": "string",
+        "name": "name",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "version",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "chainId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "verifyingContract",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "salt",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256[]",
+        "name": "extensions",
+        "type": "uint256[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "epochClaimed",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "epochRoots",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "epochTotals",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getContractStats",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getContributionTypes",
+    "outputs": [
+      {
+        "components": [
+          {
+            "internalType": "string",
+            "name": "name",
+            "type": "string"
+          },
+          {
+            "internalType": "uint256",
+            "name": "weight",
+            "type": "uint256"
+          },
+          {
+            "internalType": "bool",
+            "name": "countsForDiversity",
+            "type": "bool"
+          },
+          {
+            "internalType": "bool",
+            "name": "active",
+            "type": "bool"
+          }
+        ],
+        "internalType": "struct BaseRewardsOptimizer.ContributionType[]",
+        "name": "",
+        "type": "tuple[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address[]",
+        "name": "users",
+        "type": "address[]"
+      }
+    ],
+    "name": "getTopContributors",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "topUsers",
+        "type": "address[]"
+      },
+      {
+        "internalType": "uint256[]",
+        "name": "scores",
+        "type": "uint256[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "user",
+        "type": "address"
+      }
+    ],
+    "name": "getUserProfile",
+    "outputs": [
+      {
+        "components": [
+          {
+            "internalType": "uint256",
+            "name": "totalContributions",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "githubScore",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "contractDeployments",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "lastUpdateTime",
+            "type": "uint256"
+          },
+          {
+            "internalType": "uint256",
+            "name": "streakDays",
+            "type": "uint256"
+          },
+          {
+            "internalType": "bool",
+            "name": "isActive",
+            "type": "bool"
+          },
+          {
+            "internalType": "uint256",
+            "name": "diversityTypes",
+            "type": "uint256"
+          }
+        ],
+        "internalType": "struct BaseRewardsOptimizer.UserProfile",
+        "name": "",
+        "type": "tuple"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "hasClaimed",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "components": [
+          {
+            "internalType": "address",
+            "name": "user",
+            "type": "address"
+          },
+          {
+            "components": [
+              {
+                "internalType": "uint256",
+                "name": "totalContributions",
+                "type": "uint256"
+              },
+              {
+                "internalType": "uint256",
+                "name": "githubScore",
+                "type": "uint256"
+              },
+              {
+                "internalType": "uint256",
+                "name": "contractDeployments",
+                "type": "uint256"
+              },
+              {
+                "internalType": "uint256",
+                "name": "lastUpdateTime",
+                "type": "uint256"
+              },
+              {
+                "internalType": "uint256",
+                "name": "streakDays",
+                "type": "uint256"
+              },
+              {
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+              },
+              {
+                "internalType": "uint256",
+                "name": "diversityTypes",
+                "type": "uint256"
+              }
+            ],
+            "internalType": "struct BaseRewardsOptimizer.UserProfile",
+            "name": "profile",
+            "type": "tuple"
+          },
+          {
+            "internalType": "uint256[]",
+            "name": "dailyDays",
+            "type": "uint256[]"
+          },
+          {
+            "internalType": "uint256[]",
+            "name": "dailyValues",
+            "type": "uint256[]"
+          },
+          {
+            "internalType": "uint256[]",
+            "name": "typeValues",
+            "type": "uint256[]"
+          }
+        ],
+        "internalType": "struct BaseRewardsOptimizer.BuilderState[]",
+        "name": "states",
+        "type": "tuple[]"
+      }
+    ],
+    "name": "importBuilderStates",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "importSealed",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "outstandingRewards",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "owner",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "pendingRewards",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "epoch",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "merkleRoot",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "totalAmount",
+        "type": "uint256"
+      }
+    ],
+    "name": "publishEpochRoot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "builder",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "contributionType",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "value",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "nonce",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "deadline",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "signature",
+        "type": "bytes"
+      }
+    ],
+    "name": "recordAttestedContribution",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "contributionType",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "value",
+        "type": "uint256"
+      }
+    ],
+    "name": "recordContribution",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "rewardParams",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "baseMultiplier",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "streakBonus",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "diversityBonus",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "gasOptimizationReward",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "minimumThreshold",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "rewardToken",
+    "outputs": [
+      {
+        "internalType": "contract IERC20",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "sealImport",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "newAttestor",
+        "type": "address"
+      }
+    ],
+    "name": "setAttestor",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "token",
+        "type": "address"
+      }
+    ],
+    "name": "setRewardToken",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "totalRewardsDistributed",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "typeId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "weight",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bool",
+        "name": "active",
+        "type": "bool"
+      }
+    ],
+    "name": "updateContributionType",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "newMultiplier",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "newStreakBonus",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "newDiversityBonus",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "newGasReward",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "newMinimumThreshold",
+        "type": "uint256"
+      }
+    ],
+    "name": "updateRewardParameters",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "userProfiles",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "totalContributions",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "githubScore",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "contractDeployments",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "lastUpdateTime",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "streakDays",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bool",
+        "name": "isActive",
+        "type": "bool"
+      },
+      {
+        "internalType": "uint256",
+        "name": "diversityTypes",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+/**
+ * Connect to a deployed BaseRewardsOptimizer with full typing
+ */
+export function connectBaseRewardsOptimizer(address: string, runner?: ContractRunner | null): BaseRewardsOptimizerContract {
+  return new ethers.Contract(address, BASE_REWARDS_OPTIMIZER_ABI, runner) as unknown as BaseRewardsOptimizerContract;
+}
+
+/**
+ * Decode a log emitted by BaseRewardsOptimizer, or null if it is not one of its events
+ */
+export function parseBaseRewardsOptimizerLog(log: { topics: ReadonlyArray<string>; data: string }): BaseRewardsOptimizerEvent | null {
+  const parsed = EVENT_INTERFACE.parseLog(log);
+  if (!parsed) {
+    return null;
+  }
+
+  const args: Record<string, unknown> = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+
+  return { name: parsed.name, args } as unknown as BaseRewardsOptimizerEvent;
+}
+
+const EVENT_INTERFACE = new ethers.Interface(BASE_REWARDS_OPTIMIZER_ABI);
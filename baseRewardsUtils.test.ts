@@ -0,0 +1,131 @@
+/**
+ * Test Suite for GitHubRewardsTracker
+ * Runs offline against the fake GitHub API: scoring, pagination, ETags and rate limits
+ */
+
+import { expect } from 'chai';
+import { GitHubRewardsTracker } from './baseRewardsUtils';
+import { FakeGitHubApi, githubEvent, githubRepo, startFakeGitHubApi } from './fakeGitHubApi';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('GitHubRewardsTracker', function () {
+  let api: FakeGitHubApi;
+
+  beforeEach(async function () {
+    const daysAgo = (days: number) => Date.now() - days * DAY_MS;
+
+    api = await startFakeGitHubApi({
+      pageSize: 2,
+      users: {
+        alice: {
+          events: [
+            githubEvent(6, 'PushEvent', { createdAt: daysAgo(0), payload: { size: 3 } }),
+            githubEvent(5, 'PullRequestEvent', { createdAt: daysAgo(1) }),
+            githubEvent(4, 'WatchEvent', { createdAt: daysAgo(2) }),
+            githubEvent(3, 'IssuesEvent', { createdAt: daysAgo(3) }),
+            githubEvent(2, 'PushEvent', { createdAt: daysAgo(10), payload: { commits: [{}, {}] } }),
+            githubEvent(1, 'PullRequestEvent', { createdAt: daysAgo(20) })
+          ],
+          repos: [
+            githubRepo('base-defi-vault', 'Yield vault on Base'),
+            githubRepo('dotfiles'),
+            githubRepo('notes', 'Solidity study notes')
+          ]
+        }
+      }
+    });
+  });
+
+  afterEach(async function () {
+    await api.close();
+  });
+
+  function createTracker(options = {}) {
+    return new GitHubRewardsTracker('test-token', { baseUrl: api.url, ...options });
+  }
+
+  it('Should score the last week of activity across pages', async function () {
+    const activity = await createTracker().getUserActivity('alice', 7);
+
+    expect(activity).to.deep.equal({
+      commits: 3,
+      pullRequests: 1,
+      issues: 1,
+      repositories: 3,
+      totalScore: 30 + 25 + 5 + 6,
+      truncated: false
+    });
+    expect(api.requests[0].headers.authorization).to.equal('token test-token');
+  });
+
+  it('Should stop paging once events are older than the window', async function () {
+    const tracker = createTracker();
+
+    const recent = await tracker.getUserEvents('alice', new Date(Date.now() - 2.5 * DAY_MS));
+    expect(recent.map(e => e.id)).to.deep.equal(['6', '5', '4']);
+    expect(api.requests.filter(r => r.path.includes('/events'))).to.have.length(2);
+
+    expect((await tracker.getUserEvents('alice')).map(e => e.id)).to.deep.equal(['6', '5', '4', '3', '2', '1']);
+  });
+
+  it('Should flag activity when maxPages cuts the window short', async function () {
+    const warnings: string[] = [];
+    const warn = console.warn;
+    console.warn = (message: string) => warnings.push(message);
+
+    try {
+      // Page two still falls inside the week, so the third page is needed
+      const activity = await createTracker({ maxPages: 2 }).getUserActivity('alice', 7);
+      expect(activity).to.include({ commits: 3, pullRequests: 1, issues: 1, truncated: true });
+      expect(warnings).to.deep.equal([
+        'Stopped after 2 pages of /users/alice/events?per_page=100; raise maxPages to read the rest'
+      ]);
+
+      expect((await createTracker({ maxPages: 3 }).getUserActivity('alice', 7)).truncated).to.equal(false);
+      expect(warnings).to.have.length(1);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('Should revalidate cached pages with ETags', async function () {
+    const tracker = createTracker();
+
+    await tracker.getCryptoRepositories('alice');
+    const repos = await tracker.getCryptoRepositories('alice');
+
+    expect(repos).to.deep.equal(['base-defi-vault', 'notes']);
+    expect(api.requests.slice(2).every(r => r.headers['if-none-match'])).to.equal(true);
+
+    api.setUser('alice', { repos: [githubRepo('web3-indexer')] });
+    expect(await tracker.getCryptoRepositories('alice')).to.deep.equal(['web3-indexer']);
+  });
+
+  it('Should retry rate limited requests and give up on long waits', async function () {
+    api.rateLimitNext(1, { retryAfter: 0 });
+    api.rateLimitNext(1, { reset: Math.floor(Date.now() / 1000) });
+    expect(await createTracker().getUserEvents('alice')).to.have.length(6);
+
+    api.rateLimitNext(1, { reset: Math.floor(Date.now() / 1000) + 3600 });
+    const error = await createTracker({ maxRateLimitWaitMs: 1000 }).getUserEvents('alice').catch(e => e);
+    expect(error.message).to.match(/GitHub rate limit exceeded, retry in \d+s/);
+  });
+
+  it('Should fail on unknown users and exhausted quotas', async function () {
+    const missing = await createTracker().getUserEvents('nobody').catch(e => e);
+    expect(missing.message).to.equal('GitHub API error: 404');
+
+    const limited = await startFakeGitHubApi({ users: { alice: { events: [] } }, rateLimit: 1 });
+    try {
+      const tracker = new GitHubRewardsTracker('', { baseUrl: limited.url, maxRateLimitWaitMs: 1000 });
+      await tracker.getUserEvents('alice');
+
+      const exhausted = await tracker.getUserEvents('bob').catch(e => e);
+      expect(exhausted.message).to.include('GitHub rate limit exceeded');
+      expect(limited.requests).to.have.length(1);
+    } finally {
+      await limited.close();
+    }
+  });
+});
@@ -5,7 +5,177 @@
  */
 
 import { ethers } from 'ethers';
-import { Contract, Provider } from 'ethers';
+import { JsonRpcProvider, Provider } from 'ethers';
+import { RewardEngine, RewardScenario, RewardSimulation } from './rewardEngine';
+import type { DeploymentManifest } from './deployments';
+import {
+  FeeSettings,
+  SentTransaction,
+  TransactionManager,
+  TransactionOptions,
+  TransactionTimeoutError,
+  getFeeSettings
+} from './transactionManager';
+import { InvalidContributionValueError, decodeRewardsError } from './rewardsErrors';
+import { ContributionTypeRef, ContributionTypeRegistry } from './contributionTypes';
+import { EventStreamOptions, EventSubscription, RewardsEventStream } from './eventStream';
+import { EpochDistribution, getEpochClaim } from './rewardDistribution';
+import { IndexerOptions, IndexerStore, RewardsEventIndexer } from './eventIndexer';
+import { LeaderboardOptions, ParticipantSource, RewardsLeaderboard } from './leaderboard';
+import { PayoutReport, PayoutReportOptions, generatePayoutReport } from './payoutReport';
+import type { SignedAttestation } from './attestations';
+import {
+  StreakCalendar,
+  StreakForecast,
+  TimedContribution,
+  buildStreakCalendar,
+  buildStreakCalendarFromDays,
+  forecastStreak,
+  getUtcDay,
+  readDailyContributions
+} from './streakCalendar';
+import {
+  BASE_REWARDS_OPTIMIZER_ABI,
+  BaseRewardsOptimizerContract,
+  connectBaseRewardsOptimizer,
+  parseBaseRewardsOptimizerLog
+} from './baseRewardsContract';
+import {
+  NETWORKS,
+  NetworkLike,
+  ProviderOptions,
+  createHealthyProvider,
+  createProvider,
+  isBaseChain
+} from './networks';
+import {
+  BatchImportOptions,
+  BatchImportResult,
+  DEFAULT_MAX_GAS_PER_BATCH,
+  planContributionChunks,
+  resumeBatchImport,
+  splitChunk
+} from './contributionBatches';
+
+export * from './baseRewardsContract';
+
+export {
+  AlreadyClaimedError,
+  ArrayLengthMismatchError,
+  AttestationExpiredError,
+  AttestorNotSetError,
+  BuilderHasStateError,
+  ImportSealedError,
+  InvalidAttestationNonceError,
+  InvalidAttestationSignatureError,
+  InvalidContributionValueError,
+  InvalidProofError,
+  NotAuthorizedError,
+  RewardsContractError,
+  UnknownContributionTypeError,
+  decodeRewardsError
+} from './rewardsErrors';
+
+export {
+  BUILT_IN_CONTRIBUTION_TYPES,
+  ContributionType,
+  ContributionTypeRegistry,
+  type ContributionTypeInfo,
+  type ContributionTypeRef
+} from './contributionTypes';
+
+export {
+  ATTESTATION_TYPES,
+  AttestationSigner,
+  type AttestationRequest,
+  type AttestationSignerOptions,
+  type ContributionAttestation,
+  type SignedAttestation,
+  getAttestationDomain,
+  recoverAttestor
+} from './attestations';
+
+export {
+  type EpochDistribution,
+  RewardMerkleTree,
+  computeEpochDistribution,
+  getEpoch
+} from './rewardDistribution';
+
+export {
+  type LeaderboardEntry,
+  type LeaderboardPage,
+  type LeaderboardQuery,
+  type LeaderboardSnapshot,
+  MULTICALL3_ADDRESS,
+  RewardsLeaderboard
+} from './leaderboard';
+
+export {
+  type AddressRisk,
+  BlockScanFundingSource,
+  type BlockScanOptions,
+  type FundingSource,
+  type RiskOptions,
+  type RiskReport,
+  analyzeContributionRisk,
+  formatRiskReport
+} from './riskAnalyzer';
+
+export {
+  type PayoutReport,
+  type PayoutReportEntry,
+  type PayoutReportOptions,
+  findEpochEndBlock,
+  formatPayoutCsv,
+  formatPayoutJson,
+  verifyPayoutReport
+} from './payoutReport';
+
+export {
+  type CalendarDay,
+  type StreakCalendar,
+  type StreakForecast,
+  type StreakRun,
+  buildStreakCalendar,
+  forecastStreak
+} from './streakCalendar';
+
+export {
+  BaseRewardsAdmin,
+  type ParameterImpactPreview,
+  type ParameterProposal,
+  type SafeTransactionBatch,
+  type ContributionTypeResult,
+  type MigrationImportOptions,
+  type MigrationImportResult,
+  formatImpactTable
+} from './rewardsAdmin';
+
+export {
+  MIGRATION_SNAPSHOT_VERSION,
+  type BuilderStateSnapshot,
+  type MigrationExportOptions,
+  type MigrationSnapshot,
+  type MigrationVerification,
+  type StateDifference,
+  diffBuilderStates,
+  exportMigrationSnapshot,
+  loadMigrationSnapshot,
+  verifyMigration
+} from './stateMigration';
+
+export {
+  NETWORKS,
+  NetworkConfig,
+  NetworkLike,
+  ProviderOptions,
+  RpcHealth,
+  checkRpcEndpoints,
+  getNetworkConfig,
+  getNetworkName,
+  registerNetwork
+} from './networks';
 
 // Types and Interfaces
 export interface UserProfile {
@@ -15,6 +185,7 @@ export interface UserProfile {
   lastUpdateTime: bigint;
   streakDays: bigint;
   isActive: boolean;
+  diversityTypes: bigint; // distinct diversity-flagged contribution types used
 }
 
 export interface RewardParameters {
@@ -26,92 +197,485 @@ export interface RewardParameters {
 }
 
 export interface ContributionData {
-  type: number; // 0: GitHub, 1: Contract, 2: Other
-  value: bigint;
+  type: ContributionTypeRef; // id or name of a registered type, e.g. ContributionType.GitHub or 'Audit'
+  value: bigint; // score, or for contract deployments the number of contracts deployed
   timestamp: number;
   description?: string;
 }
 
+// Multipliers are percentages (100 = 1x); the four amounts sum to totalReward
 export interface RewardCalculation {
+  eligible: boolean;
   baseReward: bigint;
-  streakMultiplier: number;
-  diversityBonus: number;
+  streakMultiplier: bigint;
+  streakBonus: bigint;
+  diversityMultiplier: bigint;
+  diversityBonus: bigint;
   gasOptimizationBonus: bigint;
   totalReward: bigint;
 }
 
-// Contract ABI (simplified for key functions)
-export const BASE_REWARDS_ABI = [
-  'function recordContribution(uint256 contributionType, uint256 value) external',
-  'function calculateOptimizedReward(address user) external view returns (uint256)',
-  'function getUserProfile(address user) external view returns (tuple(uint256,uint256,uint256,uint256,uint256,bool))',
-  'function getContractStats() external view returns (uint256, uint256, uint256)',
-  'function batchRecordContributions(uint256[] calldata contributionTypes, uint256[] calldata values) external',
-  'function getTopContributors(address[] calldata users) external view returns (address[], uint256[])',
-  'event ContributionRecorded(address indexed user, uint256 contributionType, uint256 value)',
-  'event RewardDistributed(address indexed user, uint256 amount)'
-];
+export interface RecordedContribution {
+  user: string;
+  contributionType: number;
+  value: bigint;
+  logIndex: number;
+}
+
+export interface ContributionReceipt {
+  transactionHash: string;
+  blockNumber: number;
+  gasUsed: bigint;
+  effectiveGasPrice: bigint;
+  fee: bigint;
+  replaced: boolean; // mined through a speed-up or cancel rather than the original broadcast
+  cancelled: boolean;
+  contributions: RecordedContribution[];
+}
+
+export interface RewardClaim {
+  epoch: number;
+  amount: bigint;
+  proof: string[];
+}
+
+export interface RewardClaimReceipt {
+  transactionHash: string;
+  blockNumber: number;
+  epoch: number;
+  amount: bigint;
+  fee: bigint;
+}
+
+// A write that passed validation, simulation and gas estimation
+export interface PreflightResult {
+  request: ethers.TransactionRequest;
+  gasLimit: bigint;
+}
+
+export interface GitHubActivity {
+  commits: number;
+  pullRequests: number;
+  issues: number;
+  repositories: number;
+  totalScore: number;
+  truncated: boolean; // maxPages ran out before the window or the repository list was covered
+}
+
+export interface GitHubEvent {
+  id: string;
+  type: string;
+  created_at: string;
+  repo?: { name: string };
+  payload?: any;
+}
+
+export interface GitHubCacheEntry {
+  etag: string;
+  body: any;
+  next: string | null;
+}
+
+// A Map works; swap in a persistent store to share the cache between runs
+export interface GitHubResponseCache {
+  get(url: string): GitHubCacheEntry | undefined;
+  set(url: string, entry: GitHubCacheEntry): void;
+}
+
+export interface GitHubTrackerOptions {
+  baseUrl?: string; // e.g. https://github.example.com/api/v3 for GitHub Enterprise
+  fetch?: typeof fetch;
+  cache?: GitHubResponseCache;
+  maxPages?: number; // per list; hitting it logs a warning and sets GitHubActivity.truncated
+  maxRateLimitWaitMs?: number;
+}
+
+export interface ManagerOptions extends TransactionOptions {
+  log?: (message: string) => void; // progress messages for writes; dropped by default
+}
+
+// Points per GitHub activity, shared by getUserActivity and event-level scoring
+export const GITHUB_SCORE_WEIGHTS = {
+  commit: 10,
+  pullRequest: 25,
+  issue: 5,
+  repository: 2
+};
+
+// Full contract ABI, generated from the compiled artifact (see generateBindings.js)
+export const BASE_REWARDS_ABI = BASE_REWARDS_OPTIMIZER_ABI;
 
 /**
  * BaseRewardsManager - Main utility class for Base Builder Rewards
  */
 export class BaseRewardsManager {
-  private contract: Contract;
+  private contract: BaseRewardsOptimizerContract;
   private provider: Provider;
   private signer?: ethers.Signer;
+  private txOptions: TransactionOptions;
+  private txManager?: TransactionManager;
+  private contributionTypes?: Promise<ContributionTypeRegistry>;
+  private log: (message: string) => void;
 
   constructor(
     contractAddress: string,
     provider: Provider,
-    signer?: ethers.Signer
+    signer?: ethers.Signer,
+    options: ManagerOptions = {}
   ) {
+    const { log, ...txOptions } = options;
+
     this.provider = provider;
     this.signer = signer;
-    this.contract = new ethers.Contract(
-      contractAddress,
-      BASE_REWARDS_ABI,
-      signer || provider
-    );
+    this.txOptions = txOptions;
+    this.log = log ?? (() => undefined);
+    this.contract = connectBaseRewardsOptimizer(contractAddress, signer || provider);
+  }
+
+  /**
+   * Create a manager from a deploy.js manifest (see loadDeploymentManifest)
+   */
+  static fromManifest(
+    manifest: DeploymentManifest,
+    provider: Provider,
+    signer?: ethers.Signer,
+    options: ManagerOptions = {}
+  ): BaseRewardsManager {
+    const deployed = manifest.contracts.BaseRewardsOptimizer;
+
+    if (!deployed) {
+      throw new Error(`BaseRewardsOptimizer is not in the manifest for chain ${manifest.network.chainId}`);
+    }
+
+    return new BaseRewardsManager(deployed.address, provider, signer, options);
   }
 
   /**
-   * Record a single contribution
+   * Send a single contribution without waiting for it to be mined
+   */
+  async submitContribution(
+    contributionType: ContributionTypeRef,
+    value: bigint,
+    description?: string
+  ): Promise<SentTransaction> {
+    // Send before preflight finishes so concurrent submissions keep their call order
+    const sent = await this.send(this.preflightContribution(contributionType, value).then(result => result.request));
+    
+    // Log contribution for analytics
+    this.log(`Recorded contribution: Type ${contributionType}, Value ${value}, Description: ${description || 'N/A'}`);
+    
+    return sent;
+  }
+
+  /**
+   * Record a single contribution and wait for the configured confirmations
    */
   async recordContribution(
-    contributionType: number,
+    contributionType: ContributionTypeRef,
     value: bigint,
     description?: string
-  ): Promise<ethers.TransactionResponse> {
-    if (!this.signer) {
-      throw new Error('Signer required for transactions');
-    }
+  ): Promise<ContributionReceipt> {
+    const sent = await this.submitContribution(contributionType, value, description);
+    return this.waitForContributions(sent);
+  }
 
-    const tx = await this.contract.recordContribution(contributionType, value);
+  /**
+   * Send multiple contributions in a single transaction without waiting for it to be mined
+   */
+  async submitBatchContributions(
+    contributions: ContributionData[]
+  ): Promise<SentTransaction> {
+    const sent = await this.send(this.preflightBatchContributions(contributions).then(result => result.request));
     
-    // Log contribution for analytics
-    console.log(`Recorded contribution: Type ${contributionType}, Value ${value}, Description: ${description || 'N/A'}`);
+    this.log(`Batch recorded ${contributions.length} contributions`);
     
-    return tx;
+    return sent;
   }
 
   /**
    * Record multiple contributions in a single transaction (gas optimization)
+   * and wait for the configured confirmations
    */
   async batchRecordContributions(
     contributions: ContributionData[]
-  ): Promise<ethers.TransactionResponse> {
+  ): Promise<ContributionReceipt> {
+    const sent = await this.submitBatchContributions(contributions);
+    return this.waitForContributions(sent);
+  }
+
+  /**
+   * Record any number of contributions, split into batches that fit maxGasPerBatch.
+   * Batches are sent one after another; the first failure stops the import and the
+   * returned result can be passed back as resumeFrom to continue from that batch.
+   */
+  async recordContributionsInBatches(
+    contributions: ContributionData[],
+    options: BatchImportOptions = {}
+  ): Promise<BatchImportResult> {
+    const maxGasPerBatch = options.maxGasPerBatch ?? DEFAULT_MAX_GAS_PER_BATCH;
+    const resolved = await this.resolveContributions(contributions);
+
+    const result = options.resumeFrom
+      ? resumeBatchImport(options.resumeFrom, contributions.length)
+      : {
+          totalItems: contributions.length,
+          completed: false,
+          chunks: planContributionChunks(await this.estimateItemGas(resolved), maxGasPerBatch)
+        };
+
+    for (let i = 0; i < result.chunks.length; i++) {
+      const chunk = result.chunks[i];
+      if (chunk.status === 'confirmed') {
+        continue;
+      }
+
+      try {
+        if (!chunk.transaction) {
+          const items = resolved.slice(chunk.start, chunk.end);
+          const { request, gasLimit } = await this.preflightBatchContributions(items);
+
+          // Per-item estimates are approximate; re-plan if the real batch does not fit
+          if (gasLimit > maxGasPerBatch && items.length > 1) {
+            splitChunk(result.chunks, i);
+            i--;
+            continue;
+          }
+
+          chunk.estimatedGas = gasLimit;
+          chunk.transaction = await this.send(request);
+        }
+
+        const receipt = await this.waitForContributions(chunk.transaction);
+        if (receipt.cancelled) {
+          throw new Error(`Batch ${chunk.index} was cancelled`);
+        }
+
+        chunk.receipt = receipt;
+        chunk.status = 'confirmed';
+        chunk.error = undefined;
+      } catch (error: any) {
+        // A timed out transaction may still be mined, so keep it and wait again on resume
+        chunk.status = error instanceof TransactionTimeoutError ? 'pending' : 'failed';
+        if (chunk.status === 'failed') {
+          chunk.transaction = undefined;
+        }
+        chunk.error = error;
+      }
+
+      const done = result.chunks.filter(c => c.status === 'confirmed');
+      await options.onProgress?.({
+        chunk,
+        chunksDone: done.length,
+        totalChunks: result.chunks.length,
+        itemsRecorded: done.reduce((sum, c) => sum + (c.end - c.start), 0),
+        totalItems: contributions.length
+      });
+
+      if (chunk.status !== 'confirmed') {
+        this.log(`Batch ${chunk.index + 1}/${result.chunks.length} ${chunk.status}: ${chunk.error?.message}`);
+        return result;
+      }
+
+      this.log(`Batch ${chunk.index + 1}/${result.chunks.length} recorded ${chunk.end - chunk.start} contributions`);
+    }
+
+    result.completed = true;
+    return result;
+  }
+
+  /**
+   * Check a single contribution without sending it: arguments, simulation and gas
+   */
+  async preflightContribution(contributionType: ContributionTypeRef, value: bigint): Promise<PreflightResult> {
+    const [contribution] = await this.resolveContributions([{ type: contributionType, value }], false);
+
+    return this.preflight(
+      await this.contract.recordContribution.populateTransaction(contribution.type, contribution.value)
+    );
+  }
+
+  /**
+   * Check a batch of contributions without sending it: arguments, simulation and gas
+   */
+  async preflightBatchContributions(
+    contributions: Pick<ContributionData, 'type' | 'value'>[]
+  ): Promise<PreflightResult> {
+    const resolved = await this.resolveContributions(contributions);
+
+    return this.preflight(
+      await this.contract.batchRecordContributions.populateTransaction(
+        resolved.map(c => c.type),
+        resolved.map(c => c.value)
+      )
+    );
+  }
+
+  /**
+   * Wait for a submitted contribution transaction (or its replacement)
+   * and decode the ContributionRecorded events it emitted
+   */
+  async waitForContributions(sent: SentTransaction): Promise<ContributionReceipt> {
+    const receipt = await this.getTransactionManager().wait(sent);
+
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+
+    const contractAddress = (await this.contract.getAddress()).toLowerCase();
+    const contributions: RecordedContribution[] = [];
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contractAddress) {
+        continue;
+      }
+
+      const parsed = parseBaseRewardsOptimizerLog(log);
+      if (parsed?.name === 'ContributionRecorded') {
+        contributions.push({
+          user: parsed.args.user,
+          contributionType: Number(parsed.args.contributionType),
+          value: parsed.args.value,
+          logIndex: log.index
+        });
+      }
+    }
+
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      effectiveGasPrice: receipt.gasPrice,
+      fee: receipt.fee,
+      replaced: receipt.hash !== sent.hashes[0],
+      cancelled: sent.cancelled && receipt.hash === sent.hashes[sent.hashes.length - 1],
+      contributions
+    };
+  }
+
+  /**
+   * Check a signed attestation without relaying it: simulation and gas
+   */
+  async preflightAttestedContribution(attestation: SignedAttestation): Promise<PreflightResult> {
+    return this.preflight(
+      await this.contract.recordAttestedContribution.populateTransaction(
+        attestation.builder,
+        attestation.contributionType,
+        attestation.value,
+        attestation.nonce,
+        attestation.deadline,
+        attestation.signature
+      )
+    );
+  }
+
+  /**
+   * Relay a signed attestation without waiting for it to be mined. The manager's
+   * signer pays the gas; the builder named in the attestation is credited.
+   */
+  async submitAttestedContribution(attestation: SignedAttestation): Promise<SentTransaction> {
+    const { request } = await this.preflightAttestedContribution(attestation);
+    const sent = await this.send(request);
+
+    this.log(`Relayed attested contribution for ${attestation.builder}: Type ${attestation.contributionType}, Value ${attestation.value}`);
+
+    return sent;
+  }
+
+  /**
+   * Relay a signed attestation and wait for the configured confirmations
+   */
+  async relayAttestedContribution(attestation: SignedAttestation): Promise<ContributionReceipt> {
+    const sent = await this.submitAttestedContribution(attestation);
+    return this.waitForContributions(sent);
+  }
+
+  /**
+   * Nonce the builder's next attestation must carry
+   */
+  async getAttestationNonce(builderAddress: string): Promise<bigint> {
+    return await this.contract.attestationNonces(builderAddress);
+  }
+
+  /**
+   * Claim the signer's reward from a published epoch distribution
+   */
+  async claimReward(distribution: EpochDistribution): Promise<RewardClaimReceipt> {
+    const txManager = this.getTransactionManager();
+    const account = await this.signer!.getAddress();
+    const claim = getEpochClaim(distribution, account);
+
+    if (!claim) {
+      throw new Error(`${account} has no reward in epoch ${distribution.epoch}`);
+    }
+
+    const { to, data } = await this.contract.claim.populateTransaction(claim.epoch, claim.amount, claim.proof);
+    const { request } = await this.preflight({ to, data });
+    const receipt = await txManager.wait(await this.send(request));
+
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      epoch: claim.epoch,
+      amount: claim.amount,
+      fee: receipt.fee
+    };
+  }
+
+  /**
+   * A user's rewards from published epochs that have not been claimed yet
+   */
+  async getUnclaimedRewards(distributions: EpochDistribution[], userAddress: string): Promise<RewardClaim[]> {
+    const unclaimed: RewardClaim[] = [];
+
+    for (const distribution of distributions) {
+      const claim = getEpochClaim(distribution, userAddress);
+      if (!claim) {
+        continue;
+      }
+
+      const [root, claimed] = await Promise.all([
+        this.contract.epochRoots(claim.epoch),
+        this.contract.hasClaimed(claim.epoch, userAddress)
+      ]);
+      if (root === distribution.merkleRoot && !claimed) {
+        unclaimed.push(claim);
+      }
+    }
+
+    return unclaimed;
+  }
+
+  /**
+   * Replace a stuck transaction with the same call at higher fees
+   */
+  async speedUpTransaction(sent: SentTransaction, bumpPercent?: number): Promise<SentTransaction> {
+    return this.getTransactionManager().speedUp(sent, bumpPercent);
+  }
+
+  /**
+   * Replace a stuck transaction with a no-op transfer so it never executes
+   */
+  async cancelTransaction(sent: SentTransaction, bumpPercent?: number): Promise<SentTransaction> {
+    return this.getTransactionManager().cancel(sent, bumpPercent);
+  }
+
+  /**
+   * Transaction layer shared by every write of this manager
+   */
+  getTransactionManager(): TransactionManager {
     if (!this.signer) {
       throw new Error('Signer required for transactions');
     }
 
-    const types = contributions.map(c => c.type);
-    const values = contributions.map(c => c.value);
+    if (!this.txManager) {
+      this.txManager = new TransactionManager(this.signer, this.txOptions);
+    }
 
-    const tx = await this.contract.batchRecordContributions(types, values);
-    
-    console.log(`Batch recorded ${contributions.length} contributions`);
-    
-    return tx;
+    return this.txManager;
   }
 
   /**
@@ -121,15 +685,31 @@ export class BaseRewardsManager {
     const profile = await this.contract.getUserProfile(userAddress);
     
     return {
-      totalContributions: profile[0],
-      githubScore: profile[1],
-      contractDeployments: profile[2],
-      lastUpdateTime: profile[3],
-      streakDays: profile[4],
-      isActive: profile[5]
+      totalContributions: profile.totalContributions,
+      githubScore: profile.githubScore,
+      contractDeployments: profile.contractDeployments,
+      lastUpdateTime: profile.lastUpdateTime,
+      streakDays: profile.streakDays,
+      isActive: profile.isActive,
+      diversityTypes: profile.diversityTypes
     };
   }
 
+  /**
+   * Registered contribution types as a named enum (see ContributionTypeRegistry.toEnum).
+   * Loaded once; pass refresh after the owner adds or retires a type.
+   */
+  async getContributionTypes(options: { refresh?: boolean } = {}): Promise<ContributionTypeRegistry> {
+    if (!this.contributionTypes || options.refresh) {
+      this.contributionTypes = ContributionTypeRegistry.fromContract(this.contract);
+      this.contributionTypes.catch(() => {
+        this.contributionTypes = undefined;
+      });
+    }
+
+    return this.contributionTypes;
+  }
+
   /**
    * Calculate optimized reward for a user
    */
@@ -138,25 +718,78 @@ export class BaseRewardsManager {
   }
 
   /**
-   * Get detailed reward calculation breakdown
+   * Get the live reward parameters
+   */
+  async getRewardParameters(): Promise<RewardParameters> {
+    return (await this.getRewardEngine()).getParameters();
+  }
+
+  /**
+   * Get a reward engine loaded with the live reward parameters
+   */
+  async getRewardEngine(): Promise<RewardEngine> {
+    return RewardEngine.fromContract(this.contract);
+  }
+
+  /**
+   * Get detailed reward calculation breakdown, computed exactly as the contract does
    */
   async getRewardBreakdown(userAddress: string): Promise<RewardCalculation> {
+    const [profile, engine] = await Promise.all([
+      this.getUserProfile(userAddress),
+      this.getRewardEngine()
+    ]);
+
+    return engine.calculate(profile);
+  }
+
+  /**
+   * Simulate a user's reward under a "what-if" scenario
+   * (extra streak days, extra contributions or new parameters)
+   */
+  async simulateReward(
+    userAddress: string,
+    scenario: RewardScenario
+  ): Promise<RewardSimulation> {
+    const [profile, engine] = await Promise.all([
+      this.getUserProfile(userAddress),
+      this.getRewardEngine()
+    ]);
+
+    // A type only adds a diversity bonus the first time the user contributes to it
+    const types = engine.getContributionTypes();
+    const ids = [...new Set((scenario.contributions || []).map(c => types.resolve(c.type).id))];
+    const totals = await Promise.all(ids.map(id => this.contract.contributionsByType(userAddress, id)));
+
+    return engine.simulate(profile, scenario, ids.filter((_, i) => totals[i] > BigInt(0)));
+  }
+
+  /**
+   * Forecast a user's streak: how long they have to keep it and when the next tier unlocks
+   */
+  async getStreakForecast(userAddress: string, now?: number): Promise<StreakForecast> {
     const profile = await this.getUserProfile(userAddress);
-    const totalReward = await this.calculateReward(userAddress);
+    return forecastStreak(profile, now ?? await this.getChainTime());
+  }
 
-    // Calculate individual components
-    const baseReward = (profile.totalContributions * BigInt(100)) / BigInt(100);
-    const streakMultiplier = this.calculateStreakMultiplier(Number(profile.streakDays));
-    const diversityBonus = this.calculateDiversityBonus(profile);
-    const gasOptimizationBonus = profile.contractDeployments * BigInt(50);
+  /**
+   * Rebuild a user's streak calendar. Indexed contribution history (see
+   * RewardsEventIndexer.getContributionHistory) replays the contract exactly;
+   * without it the last `days` days are read from dailyContributions.
+   */
+  async getStreakCalendar(
+    userAddress: string,
+    options: { days?: number; now?: number; history?: TimedContribution[] } = {}
+  ): Promise<StreakCalendar> {
+    const now = options.now ?? await this.getChainTime();
 
-    return {
-      baseReward,
-      streakMultiplier,
-      diversityBonus,
-      gasOptimizationBonus,
-      totalReward
-    };
+    if (options.history) {
+      return buildStreakCalendar(options.history, now);
+    }
+
+    const today = getUtcDay(now);
+    const totals = await readDailyContributions(this.contract, userAddress, today - (options.days ?? 60) + 1, today);
+    return buildStreakCalendarFromDays(totals, now);
   }
 
   /**
@@ -177,7 +810,7 @@ export class BaseRewardsManager {
   }
 
   /**
-   * Get leaderboard of top contributors
+   * Get the rewards of the given users, in input order (see createLeaderboard for a ranking)
    */
   async getLeaderboard(userAddresses: string[]): Promise<{
     users: string[];
@@ -186,56 +819,144 @@ export class BaseRewardsManager {
     const result = await this.contract.getTopContributors(userAddresses);
     
     return {
-      users: result[0],
-      scores: result[1]
+      users: [...result.topUsers],
+      scores: [...result.scores]
     };
   }
 
   /**
-   * Listen for contribution events
+   * Ranked, paginated leaderboard over participants from contribution history
+   * (a RewardsEventIndexer) or a fixed list of addresses
+   */
+  createLeaderboard(participants: ParticipantSource | string[], options: LeaderboardOptions = {}): RewardsLeaderboard {
+    const source = Array.isArray(participants) ? { getContributors: async () => participants } : participants;
+    return new RewardsLeaderboard(this.contract, source, options);
+  }
+
+  /**
+   * Every builder's reward breakdown at the last block of an epoch, or at a given block,
+   * read through historical calls so the same report can be regenerated for an audit
+   */
+  async generatePayoutReport(options: PayoutReportOptions): Promise<PayoutReport> {
+    return generatePayoutReport(this.contract, options);
+  }
+
+  /**
+   * Stream contract events from a block or saved cursor, delivered once they have
+   * the requested confirmations. Gaps after an RPC outage are filled from getLogs.
+   */
+  streamEvents(options: EventStreamOptions = {}): RewardsEventStream {
+    return new RewardsEventStream(this.contract, options);
+  }
+
+  /**
+   * Index contract events into a store; its contribution history feeds
+   * getStreakCalendar and createLeaderboard
+   */
+  async createEventIndexer(store: IndexerStore, options: IndexerOptions = {}): Promise<RewardsEventIndexer> {
+    return new RewardsEventIndexer(await this.contract.getAddress(), this.provider, store, options);
+  }
+
+  /**
+   * Listen for contribution events; returns a handle to unsubscribe
    */
   onContributionRecorded(
-    callback: (user: string, contributionType: number, value: bigint) => void
-  ): void {
-    this.contract.on('ContributionRecorded', (user, contributionType, value) => {
-      callback(user, contributionType, value);
+    callback: (user: string, contributionType: number, value: bigint) => void,
+    options: EventStreamOptions = {}
+  ): EventSubscription {
+    return this.streamEvents({ ...options, events: ['ContributionRecorded'] }).subscribe(event => {
+      callback(event.args.user, Number(event.args.contributionType), event.args.value);
     });
   }
 
   /**
-   * Listen for reward distribution events
+   * Listen for reward distribution events; returns a handle to unsubscribe
    */
   onRewardDistributed(
-    callback: (user: string, amount: bigint) => void
-  ): void {
-    this.contract.on('RewardDistributed', (user, amount) => {
-      callback(user, amount);
+    callback: (user: string, amount: bigint) => void,
+    options: EventStreamOptions = {}
+  ): EventSubscription {
+    return this.streamEvents({ ...options, events: ['RewardDistributed'] }).subscribe(event => {
+      callback(event.args.user, event.args.amount);
     });
   }
 
   // Private helper methods
-  private calculateStreakMultiplier(streakDays: number): number {
-    if (streakDays >= 30) return 5.0; // 5x for 30+ days
-    if (streakDays >= 14) return 3.0; // 3x for 14+ days
-    if (streakDays >= 7) return 2.0;  // 2x for 7+ days
-    if (streakDays >= 3) return 1.5;  // 1.5x for 3+ days
-    return 1.0; // 1x base
+
+  /**
+   * Latest block timestamp; streak days follow chain time, not the local clock
+   */
+  private async getChainTime(): Promise<number> {
+    const block = await this.provider.getBlock('latest');
+    return block ? block.timestamp : Math.floor(Date.now() / 1000);
   }
 
-  private calculateDiversityBonus(profile: UserProfile): number {
-    let bonus = 1.0; // Base 1x
-    
-    // Bonus for GitHub contributions
-    if (profile.githubScore > 0) {
-      bonus += 0.25; // 25% bonus
+  /**
+   * Check values and turn type names into registered ids. Unknown and retired types
+   * are rejected before anything is sent; the registry is reloaded once first, in
+   * case the type was added since it was cached.
+   */
+  private async resolveContributions(
+    contributions: Pick<ContributionData, 'type' | 'value'>[],
+    numbered: boolean = true
+  ): Promise<{ type: number; value: bigint }[]> {
+    let types = await this.getContributionTypes();
+    if (contributions.some(c => !types.find(c.type)?.active)) {
+      types = await this.getContributionTypes({ refresh: true });
     }
-    
-    // Bonus for contract deployments
-    if (profile.contractDeployments > 0) {
-      bonus += 0.25; // 25% bonus
+
+    return contributions.map((c, i) => {
+      const label = numbered ? `Contribution ${i}` : 'Contribution';
+
+      if (c.value <= BigInt(0)) {
+        throw new InvalidContributionValueError(`${label} has value ${c.value}; values must be greater than zero`);
+      }
+      return { type: types.resolve(c.type, label).id, value: c.value };
+    });
+  }
+
+  /**
+   * Simulate the call and estimate its gas, so reverts surface before any gas is spent
+   */
+  private async preflight(request: ethers.TransactionRequest): Promise<PreflightResult> {
+    const txManager = this.getTransactionManager();
+
+    try {
+      await this.signer!.call(request);
+      const gasLimit = await txManager.estimateGas(request);
+      return { request: { ...request, gasLimit }, gasLimit };
+    } catch (error) {
+      throw decodeRewardsError(error);
+    }
+  }
+
+  /**
+   * Gas used by each item inside a batch, estimated once per contribution type
+   */
+  private async estimateItemGas(contributions: { type: number; value: bigint }[]): Promise<bigint[]> {
+    const intrinsicGas = BigInt(21000);
+    const byType = new Map<number, bigint>();
+
+    for (const c of contributions) {
+      if (!byType.has(c.type)) {
+        try {
+          const gas = await this.contract.recordContribution.estimateGas(c.type, c.value);
+          byType.set(c.type, gas > intrinsicGas ? gas - intrinsicGas : gas);
+        } catch (error) {
+          throw decodeRewardsError(error);
+        }
+      }
+    }
+
+    return contributions.map(c => byType.get(c.type)!);
+  }
+
+  private async send(request: ethers.TransactionRequest | Promise<ethers.TransactionRequest>): Promise<SentTransaction> {
+    try {
+      return await this.getTransactionManager().send(request);
+    } catch (error) {
+      throw decodeRewardsError(error);
     }
-    
-    return bonus;
   }
 }
 
@@ -244,75 +965,60 @@ export class BaseRewardsManager {
  */
 export class GitHubRewardsTracker {
   private apiToken: string;
-  private baseUrl = 'https://api.github.com';
+  private baseUrl: string;
+  private fetchImpl: typeof fetch;
+  private cache: GitHubResponseCache;
+  private maxPages: number;
+  private maxRateLimitWaitMs: number;
+  private rateLimitedUntil = 0;
 
-  constructor(apiToken: string) {
+  constructor(apiToken: string, options: GitHubTrackerOptions = {}) {
     this.apiToken = apiToken;
+    this.baseUrl = (options.baseUrl || 'https://api.github.com').replace(/\/+$/, '');
+    this.fetchImpl = options.fetch || fetch;
+    this.cache = options.cache || new Map<string, GitHubCacheEntry>();
+    this.maxPages = options.maxPages ?? 10;
+    this.maxRateLimitWaitMs = options.maxRateLimitWaitMs ?? 60000;
   }
 
   /**
    * Get user's GitHub activity for reward calculation
    */
-  async getUserActivity(username: string, days: number = 7): Promise<{
-    commits: number;
-    pullRequests: number;
-    issues: number;
-    repositories: number;
-    totalScore: number;
-  }> {
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  async getUserActivity(username: string, days: number = 7): Promise<GitHubActivity> {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
     
     try {
       // Get user's events
-      const eventsResponse = await fetch(
-        `${this.baseUrl}/users/${username}/events?per_page=100`,
-        {
-          headers: {
-            'Authorization': `token ${this.apiToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
-
-      if (!eventsResponse.ok) {
-        throw new Error(`GitHub API error: ${eventsResponse.status}`);
-      }
-
-      const events = await eventsResponse.json();
-      
-      // Filter events by date and type
-      const recentEvents = events.filter((event: any) => 
-        new Date(event.created_at) >= new Date(since)
-      );
+      const events = await this.getEvents(username, since);
+      const recentEvents = events.items;
 
       // Count different types of contributions
-      const commits = recentEvents.filter((e: any) => e.type === 'PushEvent').length;
-      const pullRequests = recentEvents.filter((e: any) => e.type === 'PullRequestEvent').length;
-      const issues = recentEvents.filter((e: any) => e.type === 'IssuesEvent').length;
+      const commits = recentEvents
+        .filter(e => e.type === 'PushEvent')
+        .reduce((sum, e) => sum + countPushCommits(e), 0);
+      const pullRequests = recentEvents.filter(e => e.type === 'PullRequestEvent').length;
+      const issues = recentEvents.filter(e => e.type === 'IssuesEvent').length;
       
       // Get repositories count
-      const reposResponse = await fetch(
-        `${this.baseUrl}/users/${username}/repos?type=public&sort=updated&per_page=100`,
-        {
-          headers: {
-            'Authorization': `token ${this.apiToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
+      const repos = await this.getAllPages(
+        `/users/${encodeURIComponent(username)}/repos?type=public&sort=updated&per_page=100`
       );
-
-      const repos = await reposResponse.json();
-      const repositories = repos.length;
+      const repositories = repos.items.length;
 
       // Calculate total score
-      const totalScore = (commits * 10) + (pullRequests * 25) + (issues * 5) + (repositories * 2);
+      const totalScore =
+        (commits * GITHUB_SCORE_WEIGHTS.commit) +
+        (pullRequests * GITHUB_SCORE_WEIGHTS.pullRequest) +
+        (issues * GITHUB_SCORE_WEIGHTS.issue) +
+        (repositories * GITHUB_SCORE_WEIGHTS.repository);
 
       return {
         commits,
         pullRequests,
         issues,
         repositories,
-        totalScore
+        totalScore,
+        truncated: events.truncated || repos.truncated
       };
     } catch (error) {
       console.error('Error fetching GitHub activity:', error);
@@ -320,6 +1026,14 @@ export class GitHubRewardsTracker {
     }
   }
 
+  /**
+   * Get a user's public events, newest first, following pagination
+   * until events older than `since` are reached
+   */
+  async getUserEvents(username: string, since?: Date): Promise<GitHubEvent[]> {
+    return (await this.getEvents(username, since)).items;
+  }
+
   /**
    * Check if repositories are crypto-related
    */
@@ -330,19 +1044,11 @@ export class GitHubRewardsTracker {
     ];
 
     try {
-      const response = await fetch(
-        `${this.baseUrl}/users/${username}/repos?type=public&per_page=100`,
-        {
-          headers: {
-            'Authorization': `token ${this.apiToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
+      const repos = await this.getAllPages(
+        `/users/${encodeURIComponent(username)}/repos?type=public&per_page=100`
       );
-
-      const repos = await response.json();
       
-      return repos
+      return repos.items
         .filter((repo: any) => {
           const name = repo.name.toLowerCase();
           const description = (repo.description || '').toLowerCase();
@@ -354,56 +1060,215 @@ export class GitHubRewardsTracker {
         .map((repo: any) => repo.name);
     } catch (error) {
       console.error('Error fetching crypto repositories:', error);
-      return [];
+      throw error;
     }
   }
+
+  // Private helper methods
+
+  private async getEvents(username: string, since?: Date): Promise<{ items: GitHubEvent[]; truncated: boolean }> {
+    const events = await this.getAllPages(
+      `/users/${encodeURIComponent(username)}/events?per_page=100`,
+      page => since !== undefined && page.some((e: GitHubEvent) => new Date(e.created_at) < since)
+    );
+    const items: GitHubEvent[] = events.items;
+
+    return { items: since ? items.filter(e => new Date(e.created_at) >= since) : items, truncated: events.truncated };
+  }
+
+  /**
+   * Fetch every page of a list endpoint by following Link: rel="next", up to maxPages.
+   * truncated is set when pages were left unread.
+   */
+  private async getAllPages(path: string, stop?: (page: any[]) => boolean): Promise<{ items: any[]; truncated: boolean }> {
+    const items: any[] = [];
+    let url: string | null = `${this.baseUrl}${path}`;
+
+    for (let page = 0; url; page++) {
+      if (page === this.maxPages) {
+        console.warn(`Stopped after ${this.maxPages} pages of ${path}; raise maxPages to read the rest`);
+        return { items, truncated: true };
+      }
+
+      const response: { body: any; next: string | null } = await this.request(url);
+      items.push(...response.body);
+
+      if (stop && stop(response.body)) {
+        break;
+      }
+      url = response.next;
+    }
+
+    return { items, truncated: false };
+  }
+
+  /**
+   * GET with ETag caching and rate limit handling
+   */
+  private async request(url: string): Promise<{ body: any; next: string | null }> {
+    const cached = this.cache.get(url);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit(this.rateLimitedUntil - Date.now());
+
+      const headers: Record<string, string> = {
+        'Accept': 'application/vnd.github.v3+json'
+      };
+      if (this.apiToken) {
+        headers['Authorization'] = `token ${this.apiToken}`;
+      }
+      if (cached) {
+        headers['If-None-Match'] = cached.etag;
+      }
+
+      const response = await this.fetchImpl(url, { headers });
+      this.trackRateLimit(response);
+
+      // Conditional requests that hit the cache don't count against the rate limit
+      if (response.status === 304 && cached) {
+        return { body: cached.body, next: cached.next };
+      }
+
+      if (response.status === 403 || response.status === 429) {
+        const waitMs = this.getRetryDelay(response);
+        if (waitMs !== null && attempt < 3) {
+          await this.waitForRateLimit(waitMs);
+          continue;
+        }
+      }
+
+      if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status}`);
+      }
+
+      const body = await response.json();
+      const next = parseNextLink(response.headers.get('link'));
+      const etag = response.headers.get('etag');
+
+      if (etag) {
+        this.cache.set(url, { etag, body, next });
+      }
+
+      return { body, next };
+    }
+  }
+
+  /**
+   * Remember when the rate limit window resets once it is exhausted
+   */
+  private trackRateLimit(response: Response): void {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+
+    if (remaining === '0' && reset) {
+      this.rateLimitedUntil = Number(reset) * 1000;
+    }
+  }
+
+  /**
+   * Delay before retrying a 403/429, or null if it is not a rate limit response
+   */
+  private getRetryDelay(response: Response): number | null {
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+      return Number(retryAfter) * 1000;
+    }
+
+    if (response.headers.get('x-ratelimit-remaining') === '0') {
+      return Math.max(0, this.rateLimitedUntil - Date.now());
+    }
+
+    return null;
+  }
+
+  private async waitForRateLimit(waitMs: number): Promise<void> {
+    if (waitMs <= 0) {
+      return;
+    }
+
+    if (waitMs > this.maxRateLimitWaitMs) {
+      throw new Error(`GitHub rate limit exceeded, retry in ${Math.ceil(waitMs / 1000)}s`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
 }
 
+/**
+ * Number of commits in a PushEvent (a single push can carry many)
+ */
+const countPushCommits = (event: GitHubEvent): number => {
+  const payload = event.payload || {};
+  return payload.size ?? (payload.commits ? payload.commits.length : 1);
+};
+
+/**
+ * Extract the rel="next" URL from a GitHub Link header
+ */
+const parseNextLink = (link: string | null): string | null => {
+  const match = link?.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+};
+
 /**
  * Base Network Utilities
  */
 export class BaseNetworkUtils {
-  static readonly MAINNET_RPC = 'https://mainnet.base.org';
-  static readonly TESTNET_RPC = 'https://goerli.base.org';
-  static readonly CHAIN_ID = 8453;
-  static readonly TESTNET_CHAIN_ID = 84531;
+  static readonly MAINNET_RPC = NETWORKS.base.rpcUrls[0];
+  static readonly TESTNET_RPC = NETWORKS.baseSepolia.rpcUrls[0];
+  static readonly CHAIN_ID = NETWORKS.base.chainId;
+  static readonly TESTNET_CHAIN_ID = NETWORKS.baseSepolia.chainId;
 
   /**
-   * Get Base network provider
+   * Get a provider for Base (testnet = Base Sepolia) or any registered network.
+   * Networks with several RPC URLs fail over when an endpoint errors or stalls.
    */
-  static getProvider(testnet: boolean = false): ethers.JsonRpcProvider {
-    const rpcUrl = testnet ? this.TESTNET_RPC : this.MAINNET_RPC;
-    return new ethers.JsonRpcProvider(rpcUrl);
+  static getProvider(network: boolean | NetworkLike = false, options?: ProviderOptions): JsonRpcProvider {
+    if (typeof network === 'boolean') {
+      return createProvider(network ? 'baseSepolia' : 'base', options);
+    }
+    return createProvider(network, options);
   }
 
   /**
-   * Check if connected to Base network
+   * Like getProvider, but only uses endpoints that answer and serve the expected chain
+   */
+  static async getHealthyProvider(network: NetworkLike = 'base', options?: ProviderOptions): Promise<JsonRpcProvider> {
+    return createHealthyProvider(network, options);
+  }
+
+  /**
+   * Check if connected to Base network (mainnet or Sepolia)
    */
   static async isBaseNetwork(provider: Provider): Promise<boolean> {
     try {
       const network = await provider.getNetwork();
-      return network.chainId === BigInt(this.CHAIN_ID) || 
-             network.chainId === BigInt(this.TESTNET_CHAIN_ID);
+      return isBaseChain(network.chainId);
     } catch {
       return false;
     }
   }
 
   /**
-   * Get gas price optimization
+   * Get EIP-1559 fee settings (or a legacy gasPrice where there is no base fee)
+   */
+  static async getFeeSettings(provider: Provider, maxPriorityFeePerGas?: bigint): Promise<FeeSettings> {
+    return getFeeSettings(provider, maxPriorityFeePerGas);
+  }
+
+  /**
+   * Get the gas price a transaction would effectively pay right now
+   * (base fee plus priority fee on EIP-1559 chains)
    */
   static async getOptimizedGasPrice(provider: Provider): Promise<bigint> {
-    const feeData = await provider.getFeeData();
-    
-    // Use EIP-1559 if available, otherwise fallback to legacy
-    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-      return feeData.maxFeePerGas;
-    } else if (feeData.gasPrice) {
-      return feeData.gasPrice;
-    } else {
-      // Fallback gas price
-      return ethers.parseUnits('1', 'gwei');
+    const fees = await getFeeSettings(provider);
+
+    if (fees.type === 0) {
+      return fees.gasPrice;
     }
+
+    const block = await provider.getBlock('latest');
+    return (block?.baseFeePerGas ?? BigInt(0)) + fees.maxPriorityFeePerGas;
   }
 }
 
@@ -424,5 +1289,17 @@ export const isValidAddress = (address: string): boolean => {
   return ethers.isAddress(address);
 };
 
+/**
+ * Score a single GitHub event with the same weights as getUserActivity
+ */
+export const scoreGitHubEvent = (event: GitHubEvent): number => {
+  switch (event.type) {
+    case 'PushEvent': return countPushCommits(event) * GITHUB_SCORE_WEIGHTS.commit;
+    case 'PullRequestEvent': return GITHUB_SCORE_WEIGHTS.pullRequest;
+    case 'IssuesEvent': return GITHUB_SCORE_WEIGHTS.issue;
+    default: return 0;
+  }
+};
+
 // Default export
 export default BaseRewardsManager;
@@ -0,0 +1,90 @@
+/**
+ * Dashboard Layout
+ * Navigation, network badge and account controls shared by every page
+ */
+
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useState } from 'react';
+import { formatAddress } from '../baseRewardsUtils';
+import { useRewards } from './RewardsContext';
+
+const PAGES = [
+  { href: '/', label: 'Builder' },
+  { href: '/leaderboard', label: 'Leaderboard' },
+  { href: '/record', label: 'Record' },
+  { href: '/feed', label: 'Live feed' }
+];
+
+// Unlocked accounts offered on local nodes; #0 is the deployer
+const LOCAL_ACCOUNTS = [1, 2, 3, 4];
+
+export function Layout({ children }) {
+  const { pathname } = useRouter();
+  const { deployment, error, account, connectWallet, connectLocalAccount, disconnect } = useRewards();
+  const [connectError, setConnectError] = useState(null);
+
+  const run = action => async () => {
+    setConnectError(null);
+    try {
+      await action();
+    } catch (err) {
+      setConnectError(err.message);
+    }
+  };
+
+  return (
+    <div className="dashboard">
+      <header>
+        <nav>
+          <strong>Base Builder Rewards</strong>
+          {PAGES.map(page => (
+            <Link key={page.href} href={page.href} className={pathname === page.href ? 'active' : undefined}>
+              {page.label}
+            </Link>
+          ))}
+        </nav>
+
+        <div className="account">
+          {deployment && <span className="badge">{deployment.networkName}</span>}
+          {account ? (
+            <>
+              <span title={account}>{formatAddress(account)}</span>
+              <button onClick={disconnect}>Disconnect</button>
+            </>
+          ) : (
+            <>
+              <button onClick={run(connectWallet)} disabled={!deployment}>Connect wallet</button>
+              {deployment?.local && (
+                <select
+                  defaultValue=""
+                  onChange={e => run(() => connectLocalAccount(Number(e.target.value)))()}
+                >
+                  <option value="" disabled>Local account</option>
+                  {LOCAL_ACCOUNTS.map(index => <option key={index} value={index}>Account #{index}</option>)}
+                </select>
+              )}
+            </>
+          )}
+        </div>
+      </header>
+
+      {error && <p className="error">Cannot load the deployment: {error}</p>}
+      {connectError && <p className="error">{connectError}</p>}
+      <main>{deployment ? children : !error && <p>Loading deployment…</p>}</main>
+    </div>
+  );
+}
+
+/**
+ * Loading and error states around async content
+ */
+export function AsyncContent({ state, children }) {
+  if (state.error) {
+    return <p className="error">{state.error.message}</p>;
+  }
+  if (state.loading && !state.data) {
+    return <p>Loading…</p>;
+  }
+  return children(state.data);
+}
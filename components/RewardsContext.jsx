@@ -0,0 +1,130 @@
+/**
+ * Rewards Context
+ * Loads the deployment from /api/deployment and shares a read-only BaseRewardsManager,
+ * plus a signing one once a wallet (or, on a local node, an unlocked account) is connected
+ */
+
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { BaseRewardsManager } from '../baseRewardsUtils';
+
+const RewardsContext = createContext(null);
+
+export function RewardsProvider({ children }) {
+  const [deployment, setDeployment] = useState(null);
+  const [error, setError] = useState(null);
+  const [signer, setSigner] = useState(null);
+  const [account, setAccount] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/deployment')
+      .then(async response => {
+        const body = await response.json();
+        if (!response.ok) {
+          throw new Error(body.error);
+        }
+        setDeployment(body);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const provider = useMemo(
+    () => deployment && new ethers.JsonRpcProvider(deployment.rpcUrl, deployment.chainId, { staticNetwork: true }),
+    [deployment]
+  );
+
+  const manager = useMemo(
+    () => provider && new BaseRewardsManager(deployment.contract, provider),
+    [deployment, provider]
+  );
+
+  const signerManager = useMemo(
+    () => signer && new BaseRewardsManager(deployment.contract, provider, signer),
+    [deployment, provider, signer]
+  );
+
+  const connectWallet = useCallback(async () => {
+    if (!window.ethereum) {
+      throw new Error('No browser wallet found');
+    }
+
+    const browserProvider = new ethers.BrowserProvider(window.ethereum);
+    await browserProvider.send('eth_requestAccounts', []);
+    await switchChain(window.ethereum, deployment);
+
+    const walletSigner = await browserProvider.getSigner();
+    setSigner(walletSigner);
+    setAccount(await walletSigner.getAddress());
+  }, [deployment]);
+
+  // Hardhat and Anvil nodes sign for their own accounts, so demos work without a wallet
+  const connectLocalAccount = useCallback(async index => {
+    const localSigner = await provider.getSigner(index);
+    setSigner(localSigner);
+    setAccount(await localSigner.getAddress());
+  }, [provider]);
+
+  const disconnect = useCallback(() => {
+    setSigner(null);
+    setAccount(null);
+  }, []);
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !window.ethereum?.on) {
+      return undefined;
+    }
+
+    const onAccountsChanged = () => disconnect();
+    window.ethereum.on('accountsChanged', onAccountsChanged);
+    return () => window.ethereum.removeListener('accountsChanged', onAccountsChanged);
+  }, [disconnect]);
+
+  const value = {
+    deployment,
+    error,
+    provider,
+    manager,
+    signerManager,
+    account,
+    connectWallet,
+    connectLocalAccount,
+    disconnect
+  };
+
+  return <RewardsContext.Provider value={value}>{children}</RewardsContext.Provider>;
+}
+
+export function useRewards() {
+  const context = useContext(RewardsContext);
+  if (!context) {
+    throw new Error('useRewards must be used inside RewardsProvider');
+  }
+  return context;
+}
+
+/**
+ * Ask the wallet to switch to the deployment's chain, adding it first if needed
+ */
+async function switchChain(ethereum, deployment) {
+  const chainId = ethers.toQuantity(deployment.chainId);
+
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (error) {
+    // 4902: the wallet does not know this chain
+    if (error.code !== 4902) {
+      throw error;
+    }
+
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: deployment.networkName,
+        rpcUrls: [deployment.rpcUrl],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        blockExplorerUrls: deployment.explorerUrl ? [deployment.explorerUrl] : undefined
+      }]
+    });
+  }
+}
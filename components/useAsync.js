@@ -0,0 +1,30 @@
+/**
+ * Run an async loader whenever it changes, ignoring results that arrive after a
+ * newer run started. Pass a loader memoized with useCallback, so it changes only
+ * when its own dependencies do.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+export function useAsync(load) {
+  const [state, setState] = useState({ loading: true, error: null, data: null });
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let current = true;
+    setState(previous => ({ ...previous, loading: true, error: null }));
+
+    Promise.resolve()
+      .then(load)
+      .then(data => current && setState({ loading: false, error: null, data }))
+      .catch(error => current && setState({ loading: false, error, data: null }));
+
+    return () => {
+      current = false;
+    };
+  }, [load, version]);
+
+  const reload = useCallback(() => setVersion(v => v + 1), []);
+
+  return { ...state, reload };
+}
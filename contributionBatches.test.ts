@@ -0,0 +1,112 @@
+/**
+ * Test Suite for gas-aware contribution batching
+ * Covers chunk planning, progress reporting and resuming after a failed batch
+ */
+
+import { expect } from 'chai';
+import { ethers, network } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { BaseRewardsManager, ContributionData } from './baseRewardsUtils';
+import { BatchImportProgress, planContributionChunks } from './contributionBatches';
+import { deployRewardsFixture } from './testHarness';
+
+describe('Contribution batches', function () {
+  async function createManager() {
+    const { rewardsOptimizer, address, user1 } = await loadFixture(deployRewardsFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider, user1, {
+      pollIntervalMs: 10
+    });
+
+    return { rewardsOptimizer, manager, user1 };
+  }
+
+  // A month of daily contributions, cycling through the three types
+  function backfill(days: number): ContributionData[] {
+    return Array.from({ length: days }, (_, day) => ({
+      type: day % 3,
+      value: BigInt(100 + day),
+      timestamp: day * 86400
+    }));
+  }
+
+  describe('planContributionChunks', function () {
+    it('Should fill each chunk up to the budget', function () {
+      const chunks = planContributionChunks([40n, 40n, 40n, 40n, 40n], 100n, 10n);
+
+      expect(chunks.map(c => [c.start, c.end])).to.deep.equal([[0, 2], [2, 4], [4, 5]]);
+      expect(chunks.map(c => c.estimatedGas)).to.deep.equal([90n, 90n, 50n]);
+    });
+
+    it('Should give an oversized item a chunk of its own', function () {
+      const chunks = planContributionChunks([20n, 500n, 20n], 100n, 10n);
+
+      expect(chunks.map(c => [c.start, c.end])).to.deep.equal([[0, 1], [1, 2], [2, 3]]);
+    });
+  });
+
+  describe('recordContributionsInBatches', function () {
+    it('Should import a large backlog in several batches', async function () {
+      const { rewardsOptimizer, manager, user1 } = await createManager();
+      const contributions = backfill(30);
+      const progress: BatchImportProgress[] = [];
+
+      const result = await manager.recordContributionsInBatches(contributions, {
+        maxGasPerBatch: 1000000n,
+        onProgress: p => { progress.push(p); }
+      });
+
+      expect(result.completed).to.be.true;
+      expect(result.chunks.length).to.be.gt(1);
+      result.chunks.forEach(chunk => expect(chunk.receipt!.gasUsed).to.be.lte(1000000n));
+
+      expect(progress.map(p => p.chunksDone)).to.deep.equal(result.chunks.map((_, i) => i + 1));
+      expect(progress[progress.length - 1].itemsRecorded).to.equal(30);
+
+      const total = contributions.reduce((sum, c) => sum + c.value, 0n);
+      expect((await rewardsOptimizer.getUserProfile(user1.address)).totalContributions).to.equal(total);
+    });
+
+    it('Should resume from the first batch that did not succeed', async function () {
+      const { rewardsOptimizer, manager, user1 } = await createManager();
+      const contributions = backfill(30);
+      const balance = await ethers.provider.getBalance(user1.address);
+
+      // Run out of funds after the first batch
+      const failed = await manager.recordContributionsInBatches(contributions, {
+        maxGasPerBatch: 1000000n,
+        onProgress: async p => {
+          if (p.chunksDone === 1) {
+            await network.provider.send('hardhat_setBalance', [user1.address, '0x0']);
+          }
+        }
+      });
+
+      expect(failed.completed).to.be.false;
+      expect(failed.chunks.map(c => c.status).slice(0, 3)).to.deep.equal(['confirmed', 'failed', 'queued']);
+      expect(failed.chunks[1].error).to.be.instanceOf(Error);
+
+      await network.provider.send('hardhat_setBalance', [user1.address, ethers.toQuantity(balance)]);
+      const resumed = await manager.recordContributionsInBatches(contributions, {
+        maxGasPerBatch: 1000000n,
+        resumeFrom: failed
+      });
+
+      expect(resumed.completed).to.be.true;
+      expect(resumed.chunks[0].receipt!.transactionHash).to.equal(failed.chunks[0].receipt!.transactionHash);
+
+      const total = contributions.reduce((sum, c) => sum + c.value, 0n);
+      expect((await rewardsOptimizer.getUserProfile(user1.address)).totalContributions).to.equal(total);
+    });
+
+    it('Should refuse to resume with a different set of contributions', async function () {
+      const { manager } = await createManager();
+      const previous = { totalItems: 5, completed: false, chunks: [] };
+
+      const error = await manager
+        .recordContributionsInBatches(backfill(3), { resumeFrom: previous })
+        .catch(e => e);
+
+      expect(error.message).to.equal('Cannot resume: previous import had 5 items, got 3');
+    });
+  });
+});
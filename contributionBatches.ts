@@ -0,0 +1,117 @@
+/**
+ * Contribution Batch Planning
+ * Splits large contribution imports into batches that fit a gas budget,
+ * and tracks per-batch progress so a failed import can be resumed
+ */
+
+import type { ContributionReceipt } from './baseRewardsUtils';
+import type { SentTransaction } from './transactionManager';
+
+// Types and Interfaces
+export type ChunkStatus = 'queued' | 'pending' | 'confirmed' | 'failed';
+
+export interface ContributionChunk {
+  index: number;
+  start: number; // first item, inclusive
+  end: number; // last item, exclusive
+  estimatedGas: bigint;
+  status: ChunkStatus;
+  transaction?: SentTransaction; // kept while pending so a resume waits instead of resending
+  receipt?: ContributionReceipt;
+  error?: Error;
+}
+
+export interface BatchImportProgress {
+  chunk: ContributionChunk;
+  chunksDone: number;
+  totalChunks: number;
+  itemsRecorded: number;
+  totalItems: number;
+}
+
+export interface BatchImportOptions {
+  maxGasPerBatch?: bigint;
+  onProgress?: (progress: BatchImportProgress) => void | Promise<void>; // awaited, e.g. to checkpoint
+  resumeFrom?: BatchImportResult; // result of an earlier, incomplete import of the same items
+}
+
+export interface BatchImportResult {
+  totalItems: number;
+  completed: boolean;
+  chunks: ContributionChunk[];
+}
+
+// Stays well inside the block gas limit of Base and Ethereum
+export const DEFAULT_MAX_GAS_PER_BATCH = BigInt(5000000);
+
+// Intrinsic transaction cost plus the batch function's own overhead
+export const BATCH_BASE_GAS = BigInt(30000);
+
+/**
+ * Greedily group items into chunks whose estimated gas stays within maxGasPerBatch.
+ * An item that is over budget on its own still gets a chunk of its own.
+ */
+export function planContributionChunks(
+  itemGas: bigint[],
+  maxGasPerBatch: bigint = DEFAULT_MAX_GAS_PER_BATCH,
+  baseGas: bigint = BATCH_BASE_GAS
+): ContributionChunk[] {
+  const chunks: ContributionChunk[] = [];
+  let start = 0;
+  let gas = baseGas;
+
+  for (let i = 0; i < itemGas.length; i++) {
+    if (i > start && gas + itemGas[i] > maxGasPerBatch) {
+      chunks.push(createChunk(chunks.length, start, i, gas));
+      start = i;
+      gas = baseGas;
+    }
+    gas += itemGas[i];
+  }
+
+  if (start < itemGas.length) {
+    chunks.push(createChunk(chunks.length, start, itemGas.length, gas));
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a chunk in two, e.g. when the real estimate turns out to exceed the budget
+ */
+export function splitChunk(chunks: ContributionChunk[], index: number): void {
+  const chunk = chunks[index];
+  const middle = chunk.start + Math.ceil((chunk.end - chunk.start) / 2);
+  const halfGas = chunk.estimatedGas / BigInt(2);
+
+  chunks.splice(
+    index,
+    1,
+    createChunk(index, chunk.start, middle, halfGas),
+    createChunk(index + 1, middle, chunk.end, halfGas)
+  );
+  chunks.forEach((c, i) => { c.index = i; });
+}
+
+/**
+ * Copy the chunks of an earlier import so it can continue where it stopped
+ */
+export function resumeBatchImport(previous: BatchImportResult, totalItems: number): BatchImportResult {
+  if (previous.totalItems !== totalItems) {
+    throw new Error(`Cannot resume: previous import had ${previous.totalItems} items, got ${totalItems}`);
+  }
+
+  return {
+    totalItems,
+    completed: false,
+    chunks: previous.chunks.map(chunk => ({ ...chunk }))
+  };
+}
+
+const createChunk = (index: number, start: number, end: number, estimatedGas: bigint): ContributionChunk => ({
+  index,
+  start,
+  end,
+  estimatedGas,
+  status: 'queued'
+});
@@ -0,0 +1,78 @@
+/**
+ * Test Suite for contribution types
+ * Covers the registry enum, name resolution, pre-send rejection and the engine mirror
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { BaseRewardsAdmin, BaseRewardsManager, ContributionType, UnknownContributionTypeError } from './baseRewardsUtils';
+import { toContributionTypeKey } from './contributionTypes';
+import { deployRewardsFixture } from './testHarness';
+
+describe('Contribution Types', function () {
+  async function auditFixture() {
+    const fixture = await deployRewardsFixture();
+    const admin = new BaseRewardsAdmin(fixture.address, ethers.provider, fixture.owner);
+    const audit = await admin.addContributionType('Security audit', 150n, true);
+    return { ...fixture, admin, audit };
+  }
+
+  it('Should expose the registered types as a named enum', async function () {
+    const { address, audit } = await loadFixture(auditFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider);
+
+    expect(audit.typeId).to.equal(3);
+    const types = await manager.getContributionTypes();
+    expect(types.toEnum()).to.deep.equal({ ...ContributionType, SecurityAudit: 3 });
+    expect(types.find('security audit')).to.include({ id: 3, weight: 150n, countsForDiversity: true });
+    expect(types.find('3')?.key).to.equal('SecurityAudit');
+    expect(toContributionTypeKey('docs & tutorials')).to.equal('DocsTutorials');
+  });
+
+  it('Should record by name and reject unknown or retired types before sending', async function () {
+    const { address, admin, user1 } = await loadFixture(auditFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider, user1, { confirmations: 1 });
+    const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+    const unknown = await manager.recordContribution('Grant', 100n).catch(error => error);
+    expect(unknown).to.be.instanceOf(UnknownContributionTypeError);
+    expect(unknown.message).to.include('"Grant"');
+    expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(nonce);
+
+    // Added after the registry was cached; the miss reloads it
+    await admin.addContributionType('Grant', 100n, false);
+    const receipt = await manager.recordContribution('grant', 100n);
+    expect(receipt.contributions[0].contributionType).to.equal(4);
+
+    // The cached registry still lists Other as active, so the simulation catches it
+    await admin.updateContributionType(ContributionType.Other, 100n, false);
+    const batch = [{ type: ContributionType.GitHub, value: 100n }, { type: 'Other', value: 100n }];
+    expect(await manager.preflightBatchContributions(batch).catch(error => error))
+      .to.be.instanceOf(UnknownContributionTypeError);
+
+    await manager.getContributionTypes({ refresh: true });
+    const retired = await manager.preflightBatchContributions(batch).catch(error => error);
+    expect(retired.message).to.equal('Contribution 1 has type Other, which is no longer accepted');
+  });
+
+  it('Should simulate weighted types exactly as the contract records them', async function () {
+    const { address, user1 } = await loadFixture(auditFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider, user1, { confirmations: 1 });
+
+    await manager.recordContribution(ContributionType.GitHub, 400n);
+    const simulation = await manager.simulateReward(user1.address, {
+      contributions: [{ type: 'SecurityAudit', value: 500n }, { type: 'SecurityAudit', value: 100n }]
+    });
+
+    await manager.batchRecordContributions([
+      { type: 'SecurityAudit', value: 500n, timestamp: Date.now() },
+      { type: 3, value: 100n, timestamp: Date.now() }
+    ]);
+
+    const profile = await manager.getUserProfile(user1.address);
+    expect(profile).to.include({ totalContributions: 1300n, diversityTypes: 2n });
+    expect(simulation.projected).to.deep.equal(await manager.getRewardBreakdown(user1.address));
+    expect(simulation.projected.totalReward).to.equal(await manager.calculateReward(user1.address));
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Contribution Types
+ * The contract's contribution type registry as a named enum, so callers write
+ * ContributionType.GitHub or 'Audit' instead of magic numbers
+ */
+
+import type { BaseRewardsOptimizerContract } from './baseRewardsContract';
+import { UnknownContributionTypeError } from './rewardsErrors';
+
+// Types and Interfaces
+
+// A registered id (digit strings included), or a type's name or enum key (case-insensitive)
+export type ContributionTypeRef = number | string;
+
+export interface ContributionTypeInfo {
+  id: number;
+  key: string; // enum key derived from the name, e.g. ContractDeployment
+  name: string;
+  weight: bigint; // percent of a contribution's value that counts toward rewards, 100 = 1x
+  countsForDiversity: boolean;
+  active: boolean;
+}
+
+// Registered by the contract's constructor, so these ids hold on every deployment
+export const ContributionType = {
+  GitHub: 0,
+  ContractDeployment: 1,
+  Other: 2
+} as const;
+
+export const BUILT_IN_CONTRIBUTION_TYPES: ReadonlyArray<ContributionTypeInfo> = [
+  { id: 0, key: 'GitHub', name: 'GitHub', weight: BigInt(100), countsForDiversity: true, active: true },
+  { id: 1, key: 'ContractDeployment', name: 'Contract deployment', weight: BigInt(100), countsForDiversity: true, active: true },
+  { id: 2, key: 'Other', name: 'Other', weight: BigInt(100), countsForDiversity: false, active: true }
+];
+
+/**
+ * ContributionTypeRegistry - lookup over the registered contribution types
+ */
+export class ContributionTypeRegistry {
+  private types: ContributionTypeInfo[];
+  private byName = new Map<string, ContributionTypeInfo>();
+
+  constructor(types: ReadonlyArray<ContributionTypeInfo> = BUILT_IN_CONTRIBUTION_TYPES) {
+    this.types = types.map(type => ({ ...type }));
+
+    for (const type of this.types) {
+      this.byName.set(type.name.toLowerCase(), type);
+      this.byName.set(type.key.toLowerCase(), type);
+    }
+  }
+
+  /**
+   * Load every registered type, retired ones included, from a deployed BaseRewardsOptimizer
+   */
+  static async fromContract(contract: BaseRewardsOptimizerContract): Promise<ContributionTypeRegistry> {
+    const registered = await contract.getContributionTypes();
+    const keys = new Set<string>();
+
+    return new ContributionTypeRegistry(registered.map((type, id) => {
+      // Names are unique on chain, but two can still share a key ("docs" and "Docs")
+      let key = toContributionTypeKey(type.name) || `Type${id}`;
+      if (keys.has(key)) {
+        key = `${key}${id}`;
+      }
+      keys.add(key);
+
+      return {
+        id,
+        key,
+        name: type.name,
+        weight: type.weight,
+        countsForDiversity: type.countsForDiversity,
+        active: type.active
+      };
+    }));
+  }
+
+  /**
+   * Every registered type by enum key, e.g. { GitHub: 0, ContractDeployment: 1, Other: 2, Audit: 3 }
+   */
+  toEnum(): Readonly<Record<string, number>> {
+    return Object.freeze(Object.fromEntries(this.types.map(type => [type.key, type.id])));
+  }
+
+  list(): ContributionTypeInfo[] {
+    return this.types.map(type => ({ ...type }));
+  }
+
+  find(ref: ContributionTypeRef): ContributionTypeInfo | undefined {
+    const text = String(ref).trim();
+    const type = /^\d+$/.test(text) ? this.types[Number(text)] : this.byName.get(text.toLowerCase());
+    return type && { ...type };
+  }
+
+  /**
+   * The type a contribution may be recorded with; unknown and retired types throw
+   */
+  resolve(ref: ContributionTypeRef, label: string = 'Contribution'): ContributionTypeInfo {
+    const type = this.find(ref);
+
+    if (!type) {
+      const known = this.types.filter(t => t.active).map(t => `${t.id} (${t.key})`).join(', ');
+      throw new UnknownContributionTypeError(`${label} has unknown type ${JSON.stringify(ref)}; registered types: ${known}`);
+    }
+    if (!type.active) {
+      throw new UnknownContributionTypeError(`${label} has type ${type.key}, which is no longer accepted`);
+    }
+
+    return type;
+  }
+}
+
+/**
+ * Enum key for a type name: "Contract deployment" becomes "ContractDeployment"
+ */
+export function toContributionTypeKey(name: string): string {
+  return name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('')
+    .replace(/^(\d)/, '_$1');
+}
@@ -3,26 +3,32 @@
  * Comprehensive deployment automation for Base network
  */
 
-const { ethers } = require('hardhat');
+const hre = require('hardhat');
+const { ethers } = hre;
 const fs = require('fs');
 const path = require('path');
+const { createExplorerClient, verifyContract, runSmokeChecks } = require('./verification');
+const { NETWORKS, RETIRED_NETWORKS, findNetwork, getNetworkName, isLocalChain } = require('./networks');
+const { resolveDeploymentsDir } = require('./deployments');
 
-// Configuration
+// Kept for scripts that import CONFIG; networks.js is the single source of network settings
 const CONFIG = {
-  BASE_MAINNET: {
-    name: 'Base Mainnet',
-    chainId: 8453,
-    rpcUrl: 'https://mainnet.base.org',
-    explorerUrl: 'https://basescan.org'
-  },
-  BASE_SEPOLIA: {
-    name: 'Base Sepolia',
-    chainId: 84532,
-    rpcUrl: 'https://sepolia.base.org',
-    explorerUrl: 'https://sepolia.basescan.org'
-  }
+  BASE_MAINNET: NETWORKS.base,
+  BASE_SEPOLIA: NETWORKS.baseSepolia
+};
+
+// Constructor defaults of BaseRewardsOptimizer, checked after a fresh deploy
+const EXPECTED_REWARD_PARAMS = {
+  baseMultiplier: 100,
+  streakBonus: 10,
+  diversityBonus: 25,
+  gasOptimizationReward: 50,
+  minimumThreshold: 1000
 };
 
+// Deployment manifests live in <deployments dir>/<chainId>.json, found the same way the SDK finds them
+const MANIFEST_VERSION = 1;
+
 /**
  * Main deployment function
  */
@@ -32,9 +38,14 @@ async function main() {
   // Get network information
   const network = await ethers.provider.getNetwork();
   const networkName = getNetworkName(network.chainId);
+  const networkConfig = findNetwork(network.chainId);
   
   console.log(`📡 Network: ${networkName} (Chain ID: ${network.chainId})`);
   
+  if (RETIRED_NETWORKS[Number(network.chainId)]) {
+    throw new Error(RETIRED_NETWORKS[Number(network.chainId)]);
+  }
+  
   // Get deployer account
   const [deployer] = await ethers.getSigners();
   const deployerAddress = await deployer.getAddress();
@@ -49,40 +60,59 @@ async function main() {
     throw new Error(`Insufficient balance. Need at least 0.01 ETH, have ${ethers.formatEther(balance)} ETH`);
   }
   
+  // Load the previous manifest so finished steps are reused on reruns
+  const forcedBy = getForceSource();
+  const force = forcedBy !== null;
+  const manifest = force
+    ? createDeploymentManifest(network.chainId)
+    : loadDeploymentManifest(network.chainId) || createDeploymentManifest(network.chainId);
+  manifest.deployer = deployerAddress;
+  
+  if (force) {
+    console.log(`⚠️ ${forcedBy} given, redeploying every contract`);
+  }
+  
   // Deploy contracts
   const deploymentResults = {};
   
   try {
     // 1. Deploy BaseRewardsOptimizer
     console.log('\n📄 Deploying BaseRewardsOptimizer...');
-    const rewardsOptimizer = await deployContract('BaseRewardsOptimizer', []);
+    const rewardsOptimizer = await deployOrReuse(manifest, 'BaseRewardsOptimizer', [], force);
     deploymentResults.BaseRewardsOptimizer = rewardsOptimizer;
     
     // 2. Deploy mock token for testing (if not mainnet)
     let tokenAddress;
-    if (network.chainId !== 8453n) {
+    if (!networkConfig || networkConfig.testnet) {
       console.log('\n🪙 Deploying Mock Token for testing...');
-      const mockToken = await deployContract('MockERC20', [
+      const mockToken = await deployOrReuse(manifest, 'MockERC20', [
         'Base Reward Token',
         'BRT',
         ethers.parseEther('1000000')
-      ]);
+      ], force);
       deploymentResults.MockToken = mockToken;
       tokenAddress = mockToken.address;
     }
     
     // 3. Setup initial configuration
     console.log('\n⚙️ Setting up initial configuration...');
-    await setupContracts(deploymentResults, tokenAddress);
+    await setupContracts(deploymentResults, tokenAddress, manifest);
     
     // 4. Save deployment information
     console.log('\n💾 Saving deployment information...');
-    await saveDeploymentInfo(deploymentResults, network);
+    saveDeploymentInfo(manifest);
+    
+    // 5. Smoke-check the deployed contract
+    console.log('\n🩺 Running smoke checks...');
+    const checks = await runSmokeChecks(deploymentResults.BaseRewardsOptimizer.contract, {
+      deployer: deployerAddress,
+      expectedParams: deploymentResults.BaseRewardsOptimizer.reused ? undefined : EXPECTED_REWARD_PARAMS
+    });
+    checks.forEach(check => console.log(`   ✅ ${check.name}`));
     
-    // 5. Verify contracts (if not local network)
-    if (network.chainId !== 31337n && network.chainId !== 1337n) {
-      console.log('\n✅ Verification commands:');
-      printVerificationCommands(deploymentResults);
+    // 6. Verify contracts (if not local network)
+    if (!isLocalChain(network.chainId)) {
+      await verifyDeployment(deploymentResults, manifest, network.chainId);
     }
     
     console.log('\n🎉 Deployment completed successfully!');
@@ -106,10 +136,8 @@ async function deployContract(contractName, constructorArgs = []) {
     const ContractFactory = await ethers.getContractFactory(contractName);
     
     // Estimate gas
-    const deploymentData = ContractFactory.interface.encodeDeploy(constructorArgs);
-    const estimatedGas = await ethers.provider.estimateGas({
-      data: deploymentData
-    });
+    const deployTx = await ContractFactory.getDeployTransaction(...constructorArgs);
+    const estimatedGas = await ethers.provider.estimateGas(deployTx);
     
     console.log(`   ⛽ Estimated gas: ${estimatedGas.toString()}`);
     
@@ -121,11 +149,13 @@ async function deployContract(contractName, constructorArgs = []) {
     // Wait for deployment
     await contract.waitForDeployment();
     const address = await contract.getAddress();
+    const receipt = await contract.deploymentTransaction().wait();
     
     const endTime = Date.now();
     const deployTime = ((endTime - startTime) / 1000).toFixed(2);
     
     console.log(`   ✅ ${contractName} deployed to: ${address}`);
+    console.log(`   ⛽ Gas used: ${receipt.gasUsed.toString()}`);
     console.log(`   ⏱️ Deployment time: ${deployTime}s`);
     
     return {
@@ -133,8 +163,12 @@ async function deployContract(contractName, constructorArgs = []) {
       address: address,
       contract: contract,
       constructorArgs: constructorArgs,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
       deploymentTime: deployTime,
-      gasUsed: estimatedGas.toString()
+      gasUsed: receipt.gasUsed.toString(),
+      abiHash: hashAbi(ContractFactory.interface),
+      bytecodeHash: ethers.keccak256(ContractFactory.bytecode)
     };
     
   } catch (error) {
@@ -144,58 +178,269 @@ async function deployContract(contractName, constructorArgs = []) {
 }
 
 /**
- * Setup contracts with initial configuration
+ * Deploy a contract, or reuse the one recorded in the manifest if it is
+ * still on-chain and was built from the same bytecode and arguments
  */
-async function setupContracts(deploymentResults, tokenAddress) {
+async function deployOrReuse(manifest, contractName, constructorArgs = [], force = false) {
+  const existing = manifest.contracts[contractName];
+  
+  if (existing && !force) {
+    const ContractFactory = await ethers.getContractFactory(contractName);
+    const code = await ethers.provider.getCode(existing.address);
+    const sameBuild = existing.bytecodeHash === ethers.keccak256(ContractFactory.bytecode);
+    const sameArgs = JSON.stringify(existing.constructorArgs) === JSON.stringify(serializeArgs(constructorArgs));
+    
+    if (code !== '0x' && sameBuild && sameArgs) {
+      console.log(`   ♻️ Reusing ${contractName} at ${existing.address}`);
+      return {
+        ...existing,
+        name: contractName,
+        contract: ContractFactory.attach(existing.address),
+        constructorArgs: constructorArgs,
+        reused: true
+      };
+    }
+    
+    console.log(`   ⚠️ Recorded ${contractName} is missing or out of date, redeploying`);
+  }
+  
+  const result = await deployContract(contractName, constructorArgs);
+  
+  manifest.contracts[contractName] = {
+    address: result.address,
+    transactionHash: result.transactionHash,
+    blockNumber: result.blockNumber,
+    gasUsed: result.gasUsed,
+    constructorArgs: serializeArgs(constructorArgs),
+    abiHash: result.abiHash,
+    bytecodeHash: result.bytecodeHash,
+    deployedAt: new Date().toISOString()
+  };
+  
+  // Save after every contract so a failed run can resume
+  saveDeploymentManifest(manifest);
+  
+  return result;
+}
+
+/**
+ * Setup contracts with initial configuration. Failures are fatal: epochs cannot be
+ * published without a reward token, and unrecorded steps are retried on the next run.
+ */
+async function setupContracts(deploymentResults, tokenAddress, manifest) {
   try {
     // Transfer tokens to contracts for testing
     if (deploymentResults.MockToken) {
       const mockToken = deploymentResults.MockToken.contract;
+      const fundingStep = manifest.setup.rewardsFunding;
       
-      console.log('   🔄 Transferring tokens to contracts...');
+      if (fundingStep && fundingStep.token === tokenAddress &&
+          fundingStep.recipient === deploymentResults.BaseRewardsOptimizer.address) {
+        console.log(`   ♻️ Token transfer already done in ${fundingStep.transactionHash}`);
+      } else {
+        console.log('   🔄 Transferring tokens to contracts...');
+        
+        // Transfer to rewards optimizer
+        const tx = await mockToken.transfer(
+          deploymentResults.BaseRewardsOptimizer.address,
+          ethers.parseEther('100000')
+        );
+        const receipt = await tx.wait();
+        
+        manifest.setup.rewardsFunding = {
+          token: tokenAddress,
+          recipient: deploymentResults.BaseRewardsOptimizer.address,
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        };
+        saveDeploymentManifest(manifest);
+        
+        console.log('   ✅ Token transfers completed');
+      }
       
-      // Transfer to rewards optimizer
-      await mockToken.transfer(
-        deploymentResults.BaseRewardsOptimizer.address,
-        ethers.parseEther('100000')
-      );
+      // Epoch claims are paid in the funded token
+      const rewardsOptimizer = deploymentResults.BaseRewardsOptimizer.contract;
+      const currentToken = await rewardsOptimizer.rewardToken();
       
-      console.log('   ✅ Token transfers completed');
+      if (currentToken === ethers.ZeroAddress) {
+        console.log('   🔄 Setting reward token...');
+        const tx = await rewardsOptimizer.setRewardToken(tokenAddress);
+        const receipt = await tx.wait();
+        
+        manifest.setup.rewardToken = {
+          token: tokenAddress,
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        };
+        saveDeploymentManifest(manifest);
+        
+        console.log('   ✅ Reward token set');
+      } else if (currentToken !== tokenAddress) {
+        console.log(`   ⚠️ Reward token is already ${currentToken} and cannot be changed`);
+      } else {
+        console.log('   ♻️ Reward token already set');
+      }
+    } else {
+      console.log('   ℹ️ No mock token on this network; call setRewardToken before publishing epochs');
     }
     
   } catch (error) {
     console.error('   ❌ Setup failed:', error.message);
-    // Don't throw here, setup is optional
+    throw error;
   }
 }
 
 /**
  * Save deployment information to file
  */
-async function saveDeploymentInfo(deploymentResults, network) {
-  const deploymentInfo = {
+function saveDeploymentInfo(manifest) {
+  const filename = saveDeploymentManifest(manifest);
+  console.log(`   💾 Deployment info saved to: ${path.relative(process.cwd(), filename)}`);
+}
+
+/**
+ * Create an empty deployment manifest for a chain
+ */
+function createDeploymentManifest(chainId) {
+  return {
+    version: MANIFEST_VERSION,
     network: {
-      name: getNetworkName(network.chainId),
-      chainId: network.chainId.toString(),
-      timestamp: new Date().toISOString()
+      name: getNetworkName(chainId),
+      chainId: chainId.toString()
     },
+    deployer: null,
+    updatedAt: null,
     contracts: {},
-    deployer: await (await ethers.getSigners())[0].getAddress()
+    setup: {}
   };
+}
+
+/**
+ * Get the manifest path for a chain
+ */
+function getManifestPath(chainId) {
+  return path.join(resolveDeploymentsDir(), `${chainId.toString()}.json`);
+}
+
+/**
+ * Load the deployment manifest for a chain, or null if there is none
+ */
+function loadDeploymentManifest(chainId) {
+  const filename = getManifestPath(chainId);
   
-  // Add contract information
-  for (const [name, result] of Object.entries(deploymentResults)) {
-    deploymentInfo.contracts[name] = {
-      address: result.address,
-      constructorArgs: result.constructorArgs,
-      deploymentTime: result.deploymentTime,
-      gasUsed: result.gasUsed
-    };
+  if (!fs.existsSync(filename)) {
+    return null;
   }
   
-  // Save to file
-  const filename = `deployment-${network.chainId}-${Date.now()}.json`;
-  console.log(`   💾 Deployment info saved to: ${filename}`);
+  const manifest = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported deployment manifest version ${manifest.version} in ${filename}`);
+  }
+  
+  manifest.setup = manifest.setup || {};
+  return manifest;
+}
+
+/**
+ * Write the manifest atomically and return its path
+ */
+function saveDeploymentManifest(manifest) {
+  const filename = getManifestPath(manifest.network.chainId);
+  const tmpFilename = `${filename}.tmp`;
+  
+  manifest.updatedAt = new Date().toISOString();
+  
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  fs.writeFileSync(tmpFilename, JSON.stringify(manifest, null, 2) + '\n');
+  fs.renameSync(tmpFilename, filename);
+  
+  return filename;
+}
+
+/**
+ * Hash a contract ABI so SDK consumers can detect a changed interface
+ */
+function hashAbi(contractInterface) {
+  return ethers.keccak256(ethers.toUtf8Bytes(contractInterface.formatJson()));
+}
+
+/**
+ * Make constructor args JSON-safe (bigints become decimal strings)
+ */
+function serializeArgs(args) {
+  return args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg));
+}
+
+/**
+ * What asked to ignore the manifest and redeploy everything, or null.
+ * `hardhat run` does not forward script arguments, so DEPLOY_FORCE=true works too.
+ */
+function getForceSource() {
+  if (process.argv.includes('--force')) {
+    return '--force';
+  }
+  if (process.env.DEPLOY_FORCE === 'true') {
+    return 'DEPLOY_FORCE=true';
+  }
+  return null;
+}
+
+/**
+ * Verify every deployed contract through the explorer API,
+ * or print the manual commands when no API key is configured
+ */
+async function verifyDeployment(deploymentResults, manifest, chainId) {
+  const networkConfig = findNetwork(chainId);
+  const apiUrl = process.env.EXPLORER_API_URL || (networkConfig && networkConfig.explorerApiUrl);
+  const apiKey = process.env.EXPLORER_API_KEY || process.env.BASESCAN_API_KEY;
+  
+  if (!apiUrl || !apiKey) {
+    console.log('\n✅ Verification commands (set EXPLORER_API_KEY to verify automatically):');
+    printVerificationCommands(deploymentResults);
+    return;
+  }
+  
+  console.log('\n🔍 Verifying contracts...');
+  const client = createExplorerClient({ apiUrl, apiKey, chainId });
+  
+  for (const [key, result] of Object.entries(deploymentResults)) {
+    const recorded = manifest.contracts[result.name];
+    if (recorded && recorded.verified) {
+      console.log(`   ♻️ ${key} already verified`);
+      continue;
+    }
+    
+    const submission = await buildVerificationSubmission(result);
+    const outcome = await verifyContract(client, submission);
+    
+    recorded.verified = true;
+    saveDeploymentManifest(manifest);
+    
+    const explorerLink = networkConfig && networkConfig.explorerUrl ? ` (${networkConfig.explorerUrl}/address/${result.address}#code)` : '';
+    console.log(`   ✅ ${key} ${outcome.status}${explorerLink}`);
+  }
+}
+
+/**
+ * Collect the standard-JSON input and encoded args the explorer needs
+ */
+async function buildVerificationSubmission(result) {
+  const artifact = await hre.artifacts.readArtifact(result.name);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const ContractFactory = await ethers.getContractFactory(result.name);
+  
+  if (!buildInfo) {
+    throw new Error(`No build info for ${fullyQualifiedName}, run hardhat compile first`);
+  }
+  
+  return {
+    address: result.address,
+    contractName: fullyQualifiedName,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    sourceInput: buildInfo.input,
+    constructorArgs: ContractFactory.interface.encodeDeploy(result.constructorArgs)
+  };
 }
 
 /**
@@ -203,14 +448,19 @@ async function saveDeploymentInfo(deploymentResults, network) {
  */
 function printVerificationCommands(deploymentResults) {
   for (const [name, result] of Object.entries(deploymentResults)) {
-    const args = result.constructorArgs.length > 0 
-      ? ` --constructor-args ${result.constructorArgs.join(' ')}`
-      : '';
+    const args = result.constructorArgs.map(arg => ` ${shellQuote(arg.toString())}`).join('');
     
-    console.log(`npx hardhat verify ${result.address}${args}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${result.address}${args}`);
   }
 }
 
+/**
+ * Quote a value for POSIX shells
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
 /**
  * Print deployment summary
  */
@@ -220,43 +470,26 @@ function printDeploymentSummary(deploymentResults) {
   console.log('├─────────────────────────┼──────────────────────────────────────────────┤');
   
   for (const [name, result] of Object.entries(deploymentResults)) {
-    const paddedName = name.padEnd(23);
+    const paddedName = (result.reused ? `${name} ♻️` : name).padEnd(23);
     console.log(`│ ${paddedName} │ ${result.address} │`);
   }
   
   console.log('└─────────────────────────┴──────────────────────────────────────────────┘');
 }
 
-/**
- * Get network name from chain ID
- */
-function getNetworkName(chainId) {
-  const id = chainId.toString();
-  switch (id) {
-    case '8453': return 'Base Mainnet';
-    case '84532': return 'Base Sepolia';
-    case '84531': return 'Base Goerli';
-    case '31337':
-    case '1337': return 'Hardhat Local';
-    default: return `Unknown (${id})`;
-  }
-}
-
-/**
- * Error handling and cleanup
- */
-process.on('unhandledRejection', (error) => {
-  console.error('\n❌ Unhandled rejection:', error);
-  process.exit(1);
-});
-
-process.on('SIGINT', () => {
-  console.log('\n⏹️ Deployment interrupted by user');
-  process.exit(0);
-});
-
 // Run deployment
 if (require.main === module) {
+  // Error handling and cleanup, only when run as a script so tests can require this file
+  process.on('unhandledRejection', (error) => {
+    console.error('\n❌ Unhandled rejection:', error);
+    process.exit(1);
+  });
+  
+  process.on('SIGINT', () => {
+    console.log('\n⏹️ Deployment interrupted by user');
+    process.exit(0);
+  });
+  
   main()
     .then(() => {
       console.log('\n✨ All done!');
@@ -271,5 +504,9 @@ if (require.main === module) {
 module.exports = {
   main,
   deployContract,
+  deployOrReuse,
+  loadDeploymentManifest,
+  saveDeploymentManifest,
+  getManifestPath,
   CONFIG
 };
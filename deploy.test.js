@@ -0,0 +1,161 @@
+/**
+ * Test Suite for deploy.js
+ * Runs the deployment against the Hardhat network with manifests in a temp directory
+ */
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { ethers } = hre;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, loadDeploymentManifest, getManifestPath } = require('./deploy');
+const { findProjectRoot, resolveDeploymentsDir } = require('./deployments');
+
+describe('Deployment', function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rewards-deploy-'));
+    process.env.DEPLOYMENTS_DIR = dir;
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    delete process.env.DEPLOY_FORCE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('Should write a manifest with every contract and setup step', async function () {
+    await main();
+
+    expect(getManifestPath(31337)).to.equal(path.join(dir, '31337.json'));
+    const manifest = loadDeploymentManifest(31337);
+    const [deployer] = await ethers.getSigners();
+
+    expect(manifest).to.deep.include({ version: 1, deployer: deployer.address });
+    expect(manifest.network.chainId).to.equal('31337');
+    expect(Object.keys(manifest.contracts)).to.have.members(['BaseRewardsOptimizer', 'MockERC20']);
+
+    const optimizer = manifest.contracts.BaseRewardsOptimizer;
+    const receipt = await ethers.provider.getTransactionReceipt(optimizer.transactionHash);
+    expect(receipt.contractAddress).to.equal(optimizer.address);
+    expect(optimizer).to.include({ blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+    expect(optimizer.bytecodeHash).to.equal(
+      ethers.keccak256((await ethers.getContractFactory('BaseRewardsOptimizer')).bytecode)
+    );
+    expect(manifest.contracts.MockERC20.constructorArgs).to.deep.equal([
+      'Base Reward Token',
+      'BRT',
+      ethers.parseEther('1000000').toString()
+    ]);
+
+    const token = manifest.contracts.MockERC20.address;
+    expect(manifest.setup.rewardsFunding).to.include({ token, recipient: optimizer.address });
+    expect(manifest.setup.rewardToken).to.include({ token });
+
+    const rewardsOptimizer = await ethers.getContractAt('BaseRewardsOptimizer', optimizer.address);
+    expect(await rewardsOptimizer.rewardToken()).to.equal(token);
+  });
+
+  it('Should reuse recorded contracts unless forced', async function () {
+    await main();
+    const first = loadDeploymentManifest(31337);
+
+    await main();
+    const rerun = loadDeploymentManifest(31337);
+    expect(rerun.contracts).to.deep.equal(first.contracts);
+    expect(rerun.setup).to.deep.equal(first.setup);
+
+    process.env.DEPLOY_FORCE = 'true';
+    const logged = [];
+    const log = console.log;
+    console.log = message => logged.push(message);
+    try {
+      await main();
+    } finally {
+      console.log = log;
+    }
+    expect(logged).to.include('⚠️ DEPLOY_FORCE=true given, redeploying every contract');
+    const forced = loadDeploymentManifest(31337);
+    expect(forced.contracts.BaseRewardsOptimizer.address).to.not.equal(first.contracts.BaseRewardsOptimizer.address);
+    expect(forced.contracts.MockERC20.address).to.not.equal(first.contracts.MockERC20.address);
+    expect(forced.setup.rewardToken.token).to.equal(forced.contracts.MockERC20.address);
+  });
+
+  it('Should resume after a partial failure', async function () {
+    const getContractFactory = ethers.getContractFactory;
+    ethers.getContractFactory = async (name, ...args) => {
+      if (name === 'MockERC20') {
+        throw new Error('RPC went away');
+      }
+      return getContractFactory.call(ethers, name, ...args);
+    };
+
+    try {
+      await main();
+      expect.fail('Deployment should have failed');
+    } catch (error) {
+      expect(error.message).to.equal('RPC went away');
+    } finally {
+      ethers.getContractFactory = getContractFactory;
+    }
+
+    const partial = loadDeploymentManifest(31337);
+    expect(Object.keys(partial.contracts)).to.deep.equal(['BaseRewardsOptimizer']);
+    expect(partial.setup).to.deep.equal({});
+
+    await main();
+    const resumed = loadDeploymentManifest(31337);
+    expect(resumed.contracts.BaseRewardsOptimizer).to.deep.equal(partial.contracts.BaseRewardsOptimizer);
+    expect(resumed.contracts.MockERC20).to.exist;
+    expect(resumed.setup.rewardToken.token).to.equal(resumed.contracts.MockERC20.address);
+  });
+
+  it('Should fail when the reward token cannot be set and retry it on the next run', async function () {
+    const getContractFactory = ethers.getContractFactory;
+    ethers.getContractFactory = async (name, ...args) => {
+      const factory = await getContractFactory.call(ethers, name, ...args);
+      if (name === 'BaseRewardsOptimizer') {
+        const deploy = factory.deploy.bind(factory);
+        factory.deploy = async (...deployArgs) => {
+          const contract = await deploy(...deployArgs);
+          contract.setRewardToken = async () => { throw new Error('replacement transaction underpriced'); };
+          return contract;
+        };
+      }
+      return factory;
+    };
+
+    try {
+      await main();
+      expect.fail('Deployment should have failed');
+    } catch (error) {
+      expect(error.message).to.equal('replacement transaction underpriced');
+    } finally {
+      ethers.getContractFactory = getContractFactory;
+    }
+
+    const partial = loadDeploymentManifest(31337);
+    expect(partial.setup.rewardsFunding).to.exist;
+    expect(partial.setup.rewardToken).to.be.undefined;
+
+    await main();
+    const resumed = loadDeploymentManifest(31337);
+    expect(resumed.contracts).to.deep.equal(partial.contracts);
+    expect(resumed.setup.rewardToken.token).to.equal(resumed.contracts.MockERC20.address);
+
+    const rewardsOptimizer = await ethers.getContractAt('BaseRewardsOptimizer', resumed.contracts.BaseRewardsOptimizer.address);
+    expect(await rewardsOptimizer.rewardToken()).to.equal(resumed.contracts.MockERC20.address);
+  });
+
+  it('Should resolve the same manifest directory as the SDK', async function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    const expected = path.join(hre.config.paths.root, 'deployments');
+
+    expect(path.dirname(getManifestPath(31337))).to.equal(expected);
+    expect(resolveDeploymentsDir()).to.equal(expected);
+    expect(findProjectRoot(path.join(hre.config.paths.root, 'components'))).to.equal(hre.config.paths.root);
+    expect(resolveDeploymentsDir(undefined, { DEPLOYMENTS_DIR: dir })).to.equal(dir);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Deployment Manifest Utilities
+ * Reads the deployments/<chainId>.json manifests written by deploy.js (Node.js only).
+ * deploy.js resolves the directory with resolveDeploymentsDir too, so both agree.
+ */
+
+import { ethers } from 'ethers';
+import { Provider } from 'ethers';
+import { readFileSync, existsSync } from 'fs';
+import * as path from 'path';
+import { BaseRewardsManager } from './baseRewardsUtils';
+
+// Types and Interfaces
+export interface DeployedContract {
+  address: string;
+  transactionHash: string;
+  blockNumber: number;
+  gasUsed: string;
+  constructorArgs: unknown[];
+  abiHash: string;
+  bytecodeHash: string;
+  deployedAt: string;
+}
+
+export interface DeploymentManifest {
+  version: number;
+  network: {
+    name: string;
+    chainId: string;
+  };
+  deployer: string;
+  updatedAt: string;
+  contracts: Record<string, DeployedContract>;
+  setup: Record<string, unknown>;
+}
+
+const HARDHAT_CONFIG_FILES = ['hardhat.config.ts', 'hardhat.config.js', 'hardhat.config.cjs'];
+
+/**
+ * Find the Hardhat project root the way Hardhat does: the nearest directory at or
+ * above `from` with a hardhat.config file. Falls back to `from` itself.
+ */
+export function findProjectRoot(from: string = process.cwd()): string {
+  let dir = path.resolve(from);
+
+  while (!HARDHAT_CONFIG_FILES.some(file => existsSync(path.join(dir, file)))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return path.resolve(from);
+    }
+    dir = parent;
+  }
+
+  return dir;
+}
+
+/**
+ * Manifest directory: an explicit dir, else DEPLOYMENTS_DIR, else deployments/ in the
+ * project root. Resolved on every call, so a changed working directory or env is seen.
+ */
+export function resolveDeploymentsDir(
+  deploymentsDir?: string,
+  env: Record<string, string | undefined> = process.env
+): string {
+  return path.resolve(deploymentsDir || env.DEPLOYMENTS_DIR || path.join(findProjectRoot(), 'deployments'));
+}
+
+/**
+ * Load the manifest for a chain
+ */
+export function loadDeploymentManifest(
+  chainId: bigint | number | string,
+  deploymentsDir: string = resolveDeploymentsDir()
+): DeploymentManifest {
+  const filename = path.join(deploymentsDir, `${chainId.toString()}.json`);
+
+  if (!existsSync(filename)) {
+    throw new Error(`No deployment manifest for chain ${chainId} at ${filename}`);
+  }
+
+  return JSON.parse(readFileSync(filename, 'utf8'));
+}
+
+/**
+ * Get the address of a deployed contract from a manifest
+ */
+export function getDeployedAddress(
+  manifest: DeploymentManifest,
+  contractName: string = 'BaseRewardsOptimizer'
+): string {
+  const deployed = manifest.contracts[contractName];
+
+  if (!deployed) {
+    throw new Error(`${contractName} is not in the manifest for chain ${manifest.network.chainId}`);
+  }
+
+  return deployed.address;
+}
+
+/**
+ * Build a BaseRewardsManager for whatever chain the provider is connected to
+ */
+export async function createManagerFromDeployment(
+  provider: Provider,
+  signer?: ethers.Signer,
+  deploymentsDir: string = resolveDeploymentsDir()
+): Promise<BaseRewardsManager> {
+  const { chainId } = await provider.getNetwork();
+  const manifest = loadDeploymentManifest(chainId, deploymentsDir);
+
+  return BaseRewardsManager.fromManifest(manifest, provider, signer);
+}
@@ -0,0 +1,171 @@
+/**
+ * Test Suite for RewardsEventIndexer
+ * Covers chunked backfill, imported builders, resume from the store and reorg rollback
+ */
+
+import { expect } from 'chai';
+import { ethers, network } from 'hardhat';
+import type { Filter } from 'ethers';
+import { loadFixture, mine } from '@nomicfoundation/hardhat-network-helpers';
+import * as os from 'os';
+import * as path from 'path';
+import { promises as fs } from 'fs';
+import { IndexerState, JsonFileStore, MemoryStore, RewardsEventIndexer } from './eventIndexer';
+import { deployRewardsFixture } from './testHarness';
+
+describe('RewardsEventIndexer', function () {
+  async function deployWithHistoryFixture() {
+    const fixture = await deployRewardsFixture();
+    const { rewardsOptimizer, owner, user1, user2 } = fixture;
+
+    await rewardsOptimizer.connect(user1).recordContribution(0, 1500);
+    await mine(5);
+    await rewardsOptimizer.connect(user2).recordContribution(1, 1);
+    await rewardsOptimizer.connect(owner).updateRewardParameters(120, 10, 25, 50, 1000);
+    await rewardsOptimizer.connect(user1).batchRecordContributions([0, 2], [200, 300]);
+
+    return fixture;
+  }
+
+  it('Should backfill all events in chunks', async function () {
+    const { address, deployBlock, user1 } = await loadFixture(deployWithHistoryFixture);
+    const indexer = new RewardsEventIndexer(address, ethers.provider, new MemoryStore(), {
+      startBlock: deployBlock,
+      chunkSize: 2
+    });
+
+    const result = await indexer.sync();
+    expect(result.newEvents).to.equal(5);
+
+    const history = await indexer.getContributionHistory(user1.address);
+    expect(history.map(h => h.value)).to.deep.equal([1500n, 200n, 300n]);
+    expect(history.map(h => h.contributionType)).to.deep.equal([0, 0, 2]);
+    expect(history[0].timestamp).to.be.gt(0);
+
+    const updates = await indexer.getEvents({ name: 'ParametersUpdated' });
+    expect(updates).to.have.length(1);
+    expect(updates[0].args.newMultiplier).to.equal('120');
+
+    expect(await indexer.getContributors()).to.have.length(2);
+  });
+
+  it('Should count imported builders as contributors', async function () {
+    const { rewardsOptimizer, address, deployBlock, owner, user1, user2, user3 } = await loadFixture(deployWithHistoryFixture);
+    const day = Math.floor((await ethers.provider.getBlock('latest'))!.timestamp / 86400);
+
+    await rewardsOptimizer.connect(owner).importBuilderStates([{
+      user: user3.address,
+      profile: {
+        totalContributions: 1500,
+        githubScore: 1500,
+        contractDeployments: 0,
+        lastUpdateTime: day * 86400,
+        streakDays: 1,
+        isActive: true,
+        diversityTypes: 1
+      },
+      dailyDays: [day],
+      dailyValues: [1500],
+      typeValues: [1500]
+    }]);
+
+    const indexer = new RewardsEventIndexer(address, ethers.provider, new MemoryStore(), { startBlock: deployBlock });
+    await indexer.sync();
+
+    const imported = await indexer.getEvents({ name: 'BuilderStateImported' });
+    expect(imported.map(event => event.user)).to.deep.equal([user3.address]);
+    expect(await indexer.getContributors()).to.have.members([user1.address, user2.address, user3.address]);
+    expect(await indexer.getContributionHistory(user3.address)).to.deep.equal([]);
+  });
+
+  it('Should resume from the last indexed block', async function () {
+    const { rewardsOptimizer, address, deployBlock, user2 } = await loadFixture(deployWithHistoryFixture);
+    const store = new MemoryStore<IndexerState>();
+
+    await new RewardsEventIndexer(address, ethers.provider, store, { startBlock: deployBlock }).sync();
+    await rewardsOptimizer.connect(user2).recordContribution(0, 42);
+
+    const resumed = new RewardsEventIndexer(address, ethers.provider, store, { startBlock: deployBlock });
+    const result = await resumed.sync();
+
+    expect(result.fromBlock).to.equal(result.toBlock);
+    expect(result.newEvents).to.equal(1);
+    expect(await resumed.getEvents()).to.have.length(6);
+  });
+
+  it('Should roll back blocks replaced by a reorg', async function () {
+    const { rewardsOptimizer, address, deployBlock, user1, user2 } = await loadFixture(deployWithHistoryFixture);
+    const store = new MemoryStore<IndexerState>();
+
+    const snapshot = await network.provider.send('evm_snapshot');
+    await rewardsOptimizer.connect(user1).recordContribution(0, 999);
+
+    await new RewardsEventIndexer(address, ethers.provider, store, {
+      startBlock: deployBlock,
+      confirmations: 100
+    }).sync();
+
+    // Replace the last block with a different one
+    await network.provider.send('evm_revert', [snapshot]);
+    await rewardsOptimizer.connect(user2).recordContribution(0, 777);
+
+    const indexer = new RewardsEventIndexer(address, ethers.provider, store, { confirmations: 100 });
+    const result = await indexer.sync();
+
+    expect(result.rolledBackEvents).to.equal(1);
+    expect(result.newEvents).to.equal(1);
+
+    const values = (await indexer.getEvents({ name: 'ContributionRecorded' })).map(e => e.args.value);
+    expect(values).to.include('777');
+    expect(values).to.not.include('999');
+  });
+
+  it('Should fetch a chunk again when the chain forks between its logs and block hashes', async function () {
+    const { rewardsOptimizer, address, deployBlock, user1, user2 } = await loadFixture(deployWithHistoryFixture);
+    const store = new MemoryStore<IndexerState>();
+
+    const snapshot = await network.provider.send('evm_snapshot');
+    await rewardsOptimizer.connect(user1).recordContribution(0, 999);
+
+    // Replace the last block right after the first log query answers
+    let forked = false;
+    const provider = Object.create(ethers.provider);
+    provider.getLogs = async (filter: Filter) => {
+      const logs = await ethers.provider.getLogs(filter);
+      if (!forked) {
+        forked = true;
+        await network.provider.send('evm_revert', [snapshot]);
+        await rewardsOptimizer.connect(user2).recordContribution(0, 777);
+      }
+      return logs;
+    };
+
+    await new RewardsEventIndexer(address, provider, store, { startBlock: deployBlock, confirmations: 100 }).sync();
+    expect(forked).to.equal(true);
+
+    const indexer = new RewardsEventIndexer(address, ethers.provider, store, { confirmations: 100 });
+    expect((await indexer.sync()).rolledBackEvents).to.equal(0);
+
+    const values = (await indexer.getEvents({ name: 'ContributionRecorded' })).map(e => e.args.value);
+    expect(values).to.include('777');
+    expect(values).to.not.include('999');
+  });
+
+  it('Should persist state to a JSON file', async function () {
+    const { address, deployBlock, user2 } = await loadFixture(deployWithHistoryFixture);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rewards-indexer-'));
+    const filePath = path.join(dir, 'events.json');
+
+    await new RewardsEventIndexer(address, ethers.provider, new JsonFileStore(filePath), {
+      startBlock: deployBlock
+    }).sync();
+
+    const reloaded = new RewardsEventIndexer(address, ethers.provider, new JsonFileStore(filePath));
+    const history = await reloaded.getContributionHistory(user2.address);
+
+    expect(history).to.have.length(1);
+    expect(history[0].value).to.equal(1n);
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
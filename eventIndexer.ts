@@ -0,0 +1,342 @@
+/**
+ * Base Builder Rewards Event Indexer
+ * Backfills and persists ContributionRecorded, RewardDistributed, ParametersUpdated and
+ * BuilderStateImported history so it survives process restarts, with resume and reorg rollback
+ */
+
+import { EventLog, Provider } from 'ethers';
+import { BaseRewardsOptimizerContract, connectBaseRewardsOptimizer } from './baseRewardsContract';
+import { JsonFileStore, MemoryStore, StateStore } from './jsonFileStore';
+
+export { JsonFileStore, MemoryStore };
+
+// Types and Interfaces
+export type IndexedEventName =
+  | 'ContributionRecorded'
+  | 'RewardDistributed'
+  | 'ParametersUpdated'
+  | 'BuilderStateImported';
+
+export const INDEXED_EVENTS: IndexedEventName[] = [
+  'ContributionRecorded',
+  'RewardDistributed',
+  'ParametersUpdated',
+  'BuilderStateImported'
+];
+
+export interface IndexedEvent {
+  name: IndexedEventName;
+  blockNumber: number;
+  blockHash: string;
+  timestamp: number;
+  transactionHash: string;
+  logIndex: number;
+  user?: string;
+  args: Record<string, string>; // uint256 values are stored as decimal strings
+}
+
+export interface ContributionHistoryEntry {
+  blockNumber: number;
+  timestamp: number;
+  transactionHash: string;
+  contributionType: number;
+  value: bigint;
+}
+
+export interface IndexerState {
+  version: number;
+  contractAddress: string;
+  startBlock: number;
+  lastIndexedBlock: number;
+  recentBlocks: { number: number; hash: string }[]; // not yet final, used for reorg checks
+  events: IndexedEvent[];
+}
+
+export type IndexerStore = StateStore<IndexerState>;
+
+export interface IndexerOptions {
+  startBlock?: number;
+  chunkSize?: number;
+  confirmations?: number; // blocks after which a block is treated as final
+}
+
+export interface SyncResult {
+  fromBlock: number;
+  toBlock: number;
+  newEvents: number;
+  rolledBackEvents: number;
+}
+
+// Version 2 indexes BuilderStateImported; older stores lack it and must be rebuilt
+export const INDEXER_STATE_VERSION = 2;
+
+// Times a chunk is refetched when its logs and block hashes come from different forks
+const MAX_CHUNK_ATTEMPTS = 3;
+
+/**
+ * RewardsEventIndexer - persistent history of BaseRewardsOptimizer events
+ */
+export class RewardsEventIndexer {
+  private contract: BaseRewardsOptimizerContract;
+  private provider: Provider;
+  private store: IndexerStore;
+  private startBlock: number;
+  private chunkSize: number;
+  private confirmations: number;
+  private state?: IndexerState;
+
+  constructor(
+    contractAddress: string,
+    provider: Provider,
+    store: IndexerStore,
+    options: IndexerOptions = {}
+  ) {
+    this.provider = provider;
+    this.store = store;
+    this.contract = connectBaseRewardsOptimizer(contractAddress, provider);
+    this.startBlock = options.startBlock ?? 0;
+    this.chunkSize = options.chunkSize ?? 2000;
+    this.confirmations = options.confirmations ?? 12;
+  }
+
+  /**
+   * Index everything from the last indexed block up to the chain head.
+   * Progress is saved after every chunk, so an interrupted sync resumes where it stopped.
+   */
+  async sync(): Promise<SyncResult> {
+    const state = await this.loadState();
+    const rolledBackEvents = await this.rollbackReorgedBlocks(state);
+
+    const head = await this.provider.getBlockNumber();
+    const fromBlock = state.lastIndexedBlock + 1;
+    let newEvents = 0;
+
+    for (let start = fromBlock; start <= head; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, head);
+      const { events, recentBlocks } = await this.fetchChunk(start, end, head);
+
+      state.events.push(...events);
+      state.lastIndexedBlock = end;
+      state.recentBlocks = [...state.recentBlocks, ...recentBlocks].filter(b => b.number > head - this.confirmations);
+      await this.store.save(state);
+
+      newEvents += events.length;
+    }
+
+    if (fromBlock > head) {
+      await this.store.save(state);
+    }
+
+    return { fromBlock, toBlock: head, newEvents, rolledBackEvents };
+  }
+
+  /**
+   * Get the last block that has been indexed
+   */
+  async getLastIndexedBlock(): Promise<number> {
+    return (await this.loadState()).lastIndexedBlock;
+  }
+
+  /**
+   * Query indexed events, oldest first
+   */
+  async getEvents(filter: {
+    name?: IndexedEventName;
+    user?: string;
+    fromBlock?: number;
+    toBlock?: number;
+  } = {}): Promise<IndexedEvent[]> {
+    const state = await this.loadState();
+    const user = filter.user?.toLowerCase();
+
+    return state.events.filter(event =>
+      (!filter.name || event.name === filter.name) &&
+      (!user || event.user?.toLowerCase() === user) &&
+      (filter.fromBlock === undefined || event.blockNumber >= filter.fromBlock) &&
+      (filter.toBlock === undefined || event.blockNumber <= filter.toBlock)
+    );
+  }
+
+  /**
+   * Get a user's full contribution history
+   */
+  async getContributionHistory(userAddress: string): Promise<ContributionHistoryEntry[]> {
+    const events = await this.getEvents({ name: 'ContributionRecorded', user: userAddress });
+
+    return events.map(event => ({
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+      contributionType: Number(event.args.contributionType),
+      value: BigInt(event.args.value)
+    }));
+  }
+
+  /**
+   * Get every address that has recorded at least one contribution or had its state imported
+   */
+  async getContributors(): Promise<string[]> {
+    const events = (await this.getEvents()).filter(event =>
+      event.name === 'ContributionRecorded' || event.name === 'BuilderStateImported'
+    );
+    return [...new Set(events.map(event => event.user!))];
+  }
+
+  // Private helper methods
+  private async loadState(): Promise<IndexerState> {
+    if (this.state) {
+      return this.state;
+    }
+
+    const contractAddress = await this.contract.getAddress();
+    const stored = await this.store.load();
+
+    if (stored) {
+      if (stored.version !== INDEXER_STATE_VERSION) {
+        throw new Error(`Unsupported indexer state version: ${stored.version}`);
+      }
+      if (stored.contractAddress.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`Indexer store belongs to ${stored.contractAddress}, not ${contractAddress}`);
+      }
+      this.state = stored;
+    } else {
+      this.state = {
+        version: INDEXER_STATE_VERSION,
+        contractAddress,
+        startBlock: this.startBlock,
+        lastIndexedBlock: this.startBlock - 1,
+        recentBlocks: [],
+        events: []
+      };
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Events and not-yet-final block hashes of one chunk, read from the same fork.
+   * Logs and blocks are separate requests, so a reorg between them could pair events
+   * and hashes from different forks and hide the reorg from later syncs. Hashes are
+   * read first and the chunk is fetched again when an event's block hash differs
+   * from any hash read for its block; a reorg after the logs is caught by the next sync.
+   */
+  private async fetchChunk(
+    fromBlock: number,
+    toBlock: number,
+    head: number
+  ): Promise<{ events: IndexedEvent[]; recentBlocks: { number: number; hash: string }[] }> {
+    for (let attempt = 1; attempt <= MAX_CHUNK_ATTEMPTS; attempt++) {
+      const recentBlocks = await this.fetchRecentBlocks(fromBlock, toBlock, head);
+      const { events, blockHashes } = await this.fetchEvents(fromBlock, toBlock);
+      const recentHashes = new Map(recentBlocks.map(block => [block.number, block.hash]));
+
+      const sameFork = events.every(event =>
+        blockHashes.get(event.blockNumber) === event.blockHash &&
+        (recentHashes.get(event.blockNumber) ?? event.blockHash) === event.blockHash
+      );
+      if (sameFork) {
+        return { events, recentBlocks };
+      }
+
+      console.warn(`Blocks ${fromBlock}-${toBlock} changed while being indexed, fetching them again`);
+    }
+
+    throw new Error(`Blocks ${fromBlock}-${toBlock} kept changing across ${MAX_CHUNK_ATTEMPTS} attempts`);
+  }
+
+  private async fetchEvents(
+    fromBlock: number,
+    toBlock: number
+  ): Promise<{ events: IndexedEvent[]; blockHashes: Map<number, string> }> {
+    const logs: EventLog[] = [];
+
+    for (const name of INDEXED_EVENTS) {
+      const result = await this.contract.queryFilter(name, fromBlock, toBlock);
+      logs.push(...(result.filter(log => log instanceof EventLog) as EventLog[]));
+    }
+
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map<number, number>();
+    const blockHashes = new Map<number, string>();
+    const events: IndexedEvent[] = [];
+
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block ? block.timestamp : 0);
+        if (block?.hash) {
+          blockHashes.set(log.blockNumber, block.hash);
+        }
+      }
+
+      const args: Record<string, string> = {};
+      log.fragment.inputs.forEach((input, i) => {
+        args[input.name] = log.args[i].toString();
+      });
+
+      events.push({
+        name: log.eventName as IndexedEventName,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: timestamps.get(log.blockNumber)!,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        user: args.user,
+        args
+      });
+    }
+
+    return { events, blockHashes };
+  }
+
+  /**
+   * Hashes of the blocks in a range that are not final yet
+   */
+  private async fetchRecentBlocks(
+    fromBlock: number,
+    toBlock: number,
+    head: number
+  ): Promise<{ number: number; hash: string }[]> {
+    const recentBlocks: { number: number; hash: string }[] = [];
+
+    for (let n = Math.max(fromBlock, head - this.confirmations + 1); n <= toBlock; n++) {
+      const block = await this.provider.getBlock(n);
+      if (block?.hash) {
+        recentBlocks.push({ number: n, hash: block.hash });
+      }
+    }
+
+    return recentBlocks;
+  }
+
+  /**
+   * Compare stored block hashes with the chain and drop everything from the first
+   * block that changed. Returns the number of events removed.
+   */
+  private async rollbackReorgedBlocks(state: IndexerState): Promise<number> {
+    let forkBlock: number | undefined;
+
+    for (const recent of state.recentBlocks) {
+      const block = await this.provider.getBlock(recent.number);
+      if (!block || block.hash !== recent.hash) {
+        forkBlock = recent.number;
+        break;
+      }
+    }
+
+    if (forkBlock === undefined) {
+      return 0;
+    }
+
+    const before = state.events.length;
+    state.events = state.events.filter(event => event.blockNumber < forkBlock!);
+    state.recentBlocks = state.recentBlocks.filter(b => b.number < forkBlock!);
+    state.lastIndexedBlock = forkBlock - 1;
+    await this.store.save(state);
+
+    console.warn(`Reorg detected at block ${forkBlock}, rolled back ${before - state.events.length} events`);
+
+    return before - state.events.length;
+  }
+}
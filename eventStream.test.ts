@@ -0,0 +1,154 @@
+/**
+ * Test Suite for RewardsEventStream
+ * Covers confirmations, resuming from a cursor, gap filling after RPC errors and teardown
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import type { Filter } from 'ethers';
+import { loadFixture, mine } from '@nomicfoundation/hardhat-network-helpers';
+import { BASE_REWARDS_ABI, BaseRewardsManager } from './baseRewardsUtils';
+import { RewardsEventStream, StreamedEvent } from './eventStream';
+import { deployRewardsFixture } from './testHarness';
+
+/**
+ * Read events until count have arrived, then close the stream
+ */
+async function take(stream: RewardsEventStream, count: number): Promise<StreamedEvent[]> {
+  const events: StreamedEvent[] = [];
+
+  for await (const event of stream) {
+    events.push(event);
+    if (events.length === count) {
+      break;
+    }
+  }
+
+  stream.close();
+  return events;
+}
+
+describe('RewardsEventStream', function () {
+  async function deployWithHistoryFixture() {
+    const fixture = await deployRewardsFixture();
+    const { rewardsOptimizer, address, user1, user2 } = fixture;
+
+    await rewardsOptimizer.connect(user1).recordContribution(0, 100);
+    await rewardsOptimizer.connect(user2).recordContribution(1, 200);
+    await rewardsOptimizer.connect(user1).batchRecordContributions([0, 2], [300, 400]);
+
+    const manager = new BaseRewardsManager(address, ethers.provider);
+
+    return { ...fixture, manager };
+  }
+
+  it('Should replay history and hold back unconfirmed events', async function () {
+    const { manager, deployBlock } = await loadFixture(deployWithHistoryFixture);
+
+    // The batch is in the latest block, so it has only one confirmation
+    const confirmed = await take(
+      manager.streamEvents({ fromBlock: deployBlock, confirmations: 2, pollIntervalMs: 10 }),
+      2
+    );
+    expect(confirmed.map(e => e.args.value)).to.deep.equal([100n, 200n]);
+
+    const stream = manager.streamEvents({ cursor: confirmed[1].cursor, confirmations: 2, pollIntervalMs: 10 });
+    const pending = take(stream, 2);
+    await mine(1);
+
+    expect((await pending).map(e => e.args.value)).to.deep.equal([300n, 400n]);
+
+    // The loop broke before acknowledging 400, so a resume would deliver it again
+    expect(stream.getCursor()).to.deep.equal({ blockNumber: deployBlock + 3, logIndex: 0 });
+  });
+
+  it('Should resume after a saved cursor without repeating events', async function () {
+    const { manager, deployBlock, user1 } = await loadFixture(deployWithHistoryFixture);
+
+    const first = await take(manager.streamEvents({ fromBlock: deployBlock, pollIntervalMs: 10 }), 3);
+    const saved = JSON.parse(JSON.stringify(first[2].cursor));
+
+    const rest = await take(manager.streamEvents({ cursor: saved, pollIntervalMs: 10 }), 1);
+
+    expect(rest[0].args.value).to.equal(400n);
+    expect(rest[0].args.user).to.equal(user1.address);
+  });
+
+  it('Should deliver the rest of a chunk when iterated again after a break', async function () {
+    const { manager, deployBlock } = await loadFixture(deployWithHistoryFixture);
+    const stream = manager.streamEvents({ fromBlock: deployBlock, pollIntervalMs: 10 });
+    const first: StreamedEvent[] = [];
+
+    // Every event arrives in one chunk; stop partway through it
+    for await (const event of stream) {
+      first.push(event);
+      if (first.length === 2) {
+        break;
+      }
+    }
+
+    const rest = await take(stream, 3);
+
+    expect(first.map(e => e.args.value)).to.deep.equal([100n, 200n]);
+    // 200 was not acknowledged before the break, so it comes again
+    expect(rest.map(e => e.args.value)).to.deep.equal([200n, 300n, 400n]);
+  });
+
+  it('Should filter by user', async function () {
+    const { manager, deployBlock, user2 } = await loadFixture(deployWithHistoryFixture);
+
+    const events = await take(
+      manager.streamEvents({ fromBlock: deployBlock, user: user2.address, pollIntervalMs: 10 }),
+      1
+    );
+
+    expect(events[0].args.value).to.equal(200n);
+  });
+
+  it('Should fill the gap after the RPC connection drops', async function () {
+    const { address, deployBlock } = await loadFixture(deployWithHistoryFixture);
+    const errors: unknown[] = [];
+    let failuresLeft = 2;
+
+    const flakyProvider = Object.create(ethers.provider);
+    flakyProvider.getLogs = async (filter: Filter) => {
+      if (failuresLeft-- > 0) {
+        throw new Error('socket hang up');
+      }
+      return ethers.provider.getLogs(filter);
+    };
+
+    const stream = new RewardsEventStream(new ethers.Contract(address, BASE_REWARDS_ABI, flakyProvider), {
+      fromBlock: deployBlock,
+      pollIntervalMs: 5,
+      onError: error => errors.push(error)
+    });
+
+    const events = await take(stream, 4);
+
+    expect(errors).to.have.length(2);
+    expect(events.map(e => e.args.value)).to.deep.equal([100n, 200n, 300n, 400n]);
+  });
+
+  it('Should stop calling back after unsubscribe', async function () {
+    const { rewardsOptimizer, manager, user1 } = await loadFixture(deployWithHistoryFixture);
+    const seen: bigint[] = [];
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const subscription = manager.onContributionRecorded((user, type, value) => {
+      seen.push(value);
+    }, { fromBlock, pollIntervalMs: 10 });
+
+    await rewardsOptimizer.connect(user1).recordContribution(0, 500);
+    while (seen.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    await subscription.unsubscribe();
+    await rewardsOptimizer.connect(user1).recordContribution(0, 600);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(seen).to.deep.equal([500n]);
+    expect(subscription.getCursor()!.logIndex).to.equal(0);
+  });
+});
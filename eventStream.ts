@@ -0,0 +1,231 @@
+/**
+ * Rewards Event Streams
+ * Cursor-based streams of BaseRewardsOptimizer events built on getLogs polling,
+ * so a dropped connection never loses events and every stream can be torn down
+ */
+
+import { ethers } from 'ethers';
+import { BaseContract, Provider } from 'ethers';
+import type { IndexedEventName } from './eventIndexer';
+
+// Types and Interfaces
+
+// Position of the last delivered event; JSON-serializable so it can be saved and resumed
+export interface EventCursor {
+  blockNumber: number;
+  logIndex: number;
+}
+
+export interface StreamedEvent {
+  name: IndexedEventName;
+  blockNumber: number;
+  blockHash: string;
+  transactionHash: string;
+  logIndex: number;
+  args: Record<string, any>;
+  cursor: EventCursor;
+}
+
+export interface EventStreamOptions {
+  events?: IndexedEventName[];
+  user?: string; // only events whose indexed user matches
+  fromBlock?: number; // ignored when a cursor is given; defaults to the next block
+  cursor?: EventCursor; // resume right after this event
+  confirmations?: number; // blocks an event needs before it is delivered
+  pollIntervalMs?: number;
+  chunkSize?: number;
+  maxRetryDelayMs?: number;
+  onError?: (error: unknown) => void; // RPC failures; the stream keeps retrying
+}
+
+export interface EventSubscription {
+  unsubscribe(): Promise<void>;
+  getCursor(): EventCursor | null;
+}
+
+const DEFAULT_EVENTS: IndexedEventName[] = ['ContributionRecorded', 'RewardDistributed', 'ParametersUpdated'];
+
+/**
+ * RewardsEventStream - async iterable over contract events, oldest first.
+ * Delivery is at-least-once: the cursor only moves past an event once the
+ * consumer asks for the next one, and iterating again resumes from the cursor.
+ */
+export class RewardsEventStream implements AsyncIterable<StreamedEvent> {
+  private contract: BaseContract;
+  private provider: Provider;
+  private options: Required<Omit<EventStreamOptions, 'user' | 'fromBlock' | 'cursor' | 'onError'>> &
+    Pick<EventStreamOptions, 'user' | 'onError'>;
+  private cursor: EventCursor | null;
+  private nextBlock?: number; // first block the next poll reads; never past an undelivered event
+  private closed = false;
+  private wake?: () => void;
+
+  constructor(contract: BaseContract, options: EventStreamOptions = {}) {
+    if (!contract.runner?.provider) {
+      throw new Error('Contract must be connected to a provider');
+    }
+
+    this.contract = contract;
+    this.provider = contract.runner.provider;
+    this.cursor = options.cursor ?? null;
+    this.nextBlock = options.cursor ? options.cursor.blockNumber : options.fromBlock;
+    this.options = {
+      events: options.events ?? DEFAULT_EVENTS,
+      user: options.user,
+      confirmations: options.confirmations ?? 1,
+      pollIntervalMs: options.pollIntervalMs ?? 4000,
+      chunkSize: options.chunkSize ?? 2000,
+      maxRetryDelayMs: options.maxRetryDelayMs ?? 60000,
+      onError: options.onError
+    };
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<StreamedEvent> {
+    let failures = 0;
+
+    while (!this.closed) {
+      let events: StreamedEvent[];
+      let toBlock: number;
+
+      try {
+        ({ events, toBlock } = await this.poll());
+        failures = 0;
+      } catch (error) {
+        // Nothing was delivered past the cursor, so the next poll fills the gap
+        this.options.onError?.(error);
+        failures++;
+        await this.sleep(Math.min(this.options.pollIntervalMs * 2 ** failures, this.options.maxRetryDelayMs));
+        continue;
+      }
+
+      for (const event of events) {
+        if (this.closed) {
+          return;
+        }
+        yield event;
+        this.cursor = event.cursor;
+        this.nextBlock = event.blockNumber;
+      }
+
+      // Only a fully delivered chunk moves the next poll past it
+      this.nextBlock = toBlock + 1;
+
+      if (events.length === 0) {
+        await this.sleep(this.options.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Call handler for every event until unsubscribed. A throwing handler stops the
+   * subscription (reported through onError); resume later from getCursor().
+   */
+  subscribe(handler: (event: StreamedEvent) => void | Promise<void>): EventSubscription {
+    const done = (async () => {
+      try {
+        for await (const event of this) {
+          await handler(event);
+        }
+      } catch (error) {
+        this.options.onError?.(error);
+        this.close();
+      }
+    })();
+
+    return {
+      unsubscribe: async () => {
+        this.close();
+        await done;
+      },
+      getCursor: () => this.getCursor()
+    };
+  }
+
+  /**
+   * Position of the last event the consumer finished with
+   */
+  getCursor(): EventCursor | null {
+    return this.cursor && { ...this.cursor };
+  }
+
+  /**
+   * Stop the stream; a pending iteration ends without yielding
+   */
+  close(): void {
+    this.closed = true;
+    this.wake?.();
+  }
+
+  // Private helper methods
+
+  /**
+   * Fetch the next chunk of confirmed logs after the cursor, and the last block it covers
+   */
+  private async poll(): Promise<{ events: StreamedEvent[]; toBlock: number }> {
+    const head = await this.provider.getBlockNumber();
+    const safeBlock = head - this.options.confirmations + 1;
+
+    if (this.nextBlock === undefined) {
+      this.nextBlock = safeBlock + 1;
+    }
+    if (safeBlock < this.nextBlock) {
+      return { events: [], toBlock: this.nextBlock - 1 };
+    }
+
+    const fromBlock = this.nextBlock;
+    const toBlock = Math.min(safeBlock, fromBlock + this.options.chunkSize - 1);
+    const topics: (string | string[] | null)[] = [
+      this.options.events.map(name => this.contract.interface.getEvent(name)!.topicHash)
+    ];
+    if (this.options.user) {
+      topics.push(ethers.zeroPadValue(this.options.user, 32));
+    }
+
+    const logs = await this.provider.getLogs({
+      address: await this.contract.getAddress(),
+      topics,
+      fromBlock,
+      toBlock
+    });
+
+    const cursor = this.cursor;
+    const events = logs
+      .filter(log => !cursor || log.blockNumber > cursor.blockNumber ||
+        (log.blockNumber === cursor.blockNumber && log.index > cursor.logIndex))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .map(log => this.decode(log));
+
+    return { events, toBlock };
+  }
+
+  private decode(log: ethers.Log): StreamedEvent {
+    const parsed = this.contract.interface.parseLog(log)!;
+    const args: Record<string, any> = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = parsed.args[i];
+    });
+
+    return {
+      name: parsed.name as IndexedEventName,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args,
+      cursor: { blockNumber: log.blockNumber, logIndex: log.index }
+    };
+  }
+
+  private sleep(ms: number): Promise<void> {
+    return new Promise(resolve => {
+      if (this.closed) {
+        return resolve();
+      }
+      const timer = setTimeout(resolve, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
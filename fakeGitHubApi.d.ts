@@ -0,0 +1,39 @@
+/**
+ * Type declarations for fakeGitHubApi.js, shared with the TypeScript tests
+ */
+
+import type { IncomingHttpHeaders } from 'http';
+import type { GitHubEvent } from './baseRewardsUtils';
+
+export interface FakeGitHubUser {
+  events?: GitHubEvent[]; // newest first
+  repos?: { name: string; description?: string | null }[];
+}
+
+export interface FakeGitHubRequest {
+  method: string;
+  path: string;
+  headers: IncomingHttpHeaders;
+}
+
+export interface FakeGitHubApi {
+  url: string; // pass as GitHubTrackerOptions.baseUrl
+  requests: FakeGitHubRequest[];
+  setUser(login: string, data: FakeGitHubUser): void;
+  rateLimitNext(count?: number, options?: { retryAfter?: number; reset?: number }): void;
+  close(): Promise<void>;
+}
+
+export function startFakeGitHubApi(options?: {
+  users?: Record<string, FakeGitHubUser>;
+  pageSize?: number; // smaller pages exercise pagination
+  rateLimit?: number; // requests before the quota is exhausted
+}): Promise<FakeGitHubApi>;
+
+export function githubEvent(
+  id: string | number,
+  type: string,
+  options?: { createdAt?: Date | string | number; payload?: any; repo?: string }
+): GitHubEvent;
+
+export function githubRepo(name: string, description?: string | null): { name: string; description: string | null };
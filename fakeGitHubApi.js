@@ -0,0 +1,154 @@
+/**
+ * Fake GitHub REST API
+ * An in-process HTTP server with scripted users, events and repositories, so
+ * GitHubRewardsTracker and the services built on it can be tested offline.
+ * Supports the parts of the real API they rely on: page/per_page pagination with
+ * Link headers, ETags with 304 responses, and rate limit headers and 403/429 responses.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_RATE_LIMIT = 5000;
+
+// GitHub caps per_page at 100
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Start the server on a random local port. `users` maps a login to its
+ * events (newest first, as GitHub returns them) and repositories.
+ */
+async function startFakeGitHubApi({ users = {}, pageSize = MAX_PAGE_SIZE, rateLimit = DEFAULT_RATE_LIMIT } = {}) {
+  const state = {
+    users: new Map(Object.entries(users)),
+    requests: [],
+    scripted: [],
+    remaining: rateLimit
+  };
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    state.requests.push({ method: req.method, path: url.pathname + url.search, headers: req.headers });
+
+    const reset = Math.floor(Date.now() / 1000) + 60;
+    const scripted = state.scripted.shift();
+
+    // A secondary limit (429) sends Retry-After; an exhausted quota (403) sends the reset time
+    if (scripted && scripted.retryAfter !== undefined) {
+      return send(res, 429, { message: 'You have exceeded a secondary rate limit' }, {
+        'retry-after': String(scripted.retryAfter)
+      });
+    }
+    if (scripted) {
+      return send(res, 403, { message: 'API rate limit exceeded' }, {
+        'x-ratelimit-limit': String(rateLimit),
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(scripted.reset ?? reset)
+      });
+    }
+
+    state.remaining = Math.max(0, state.remaining - 1);
+    const rateHeaders = {
+      'x-ratelimit-limit': String(rateLimit),
+      'x-ratelimit-remaining': String(state.remaining),
+      'x-ratelimit-reset': String(reset)
+    };
+
+    const match = url.pathname.match(/^\/users\/([^/]+)\/(events|repos)$/);
+    const user = match && state.users.get(decodeURIComponent(match[1]));
+
+    if (req.method !== 'GET' || !user) {
+      return send(res, 404, { message: 'Not Found' }, rateHeaders);
+    }
+
+    const items = (match[2] === 'events' ? user.events : user.repos) || [];
+    const perPage = Math.min(Number(url.searchParams.get('per_page')) || 30, pageSize, MAX_PAGE_SIZE);
+    const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+    const body = items.slice((page - 1) * perPage, page * perPage);
+
+    const headers = { ...rateHeaders, etag: `"${hash(body)}"` };
+    if (page * perPage < items.length) {
+      const next = new URL(url);
+      next.searchParams.set('page', String(page + 1));
+      headers.link = `<${next}>; rel="next"`;
+    }
+
+    // Conditional requests that match don't use up the rate limit
+    if (req.headers['if-none-match'] === headers.etag) {
+      state.remaining++;
+      headers['x-ratelimit-remaining'] = String(state.remaining);
+      return send(res, 304, null, headers);
+    }
+
+    send(res, 200, body, headers);
+  });
+  server.on('connection', socket => sockets.add(socket));
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests: state.requests,
+
+    /**
+     * Add or replace a user's events and repositories
+     */
+    setUser(login, data) {
+      state.users.set(login, data);
+    },
+
+    /**
+     * Answer the next `count` requests with a rate limit error: 403 with an
+     * exhausted quota by default, or 429 with Retry-After when `retryAfter` is given
+     */
+    rateLimitNext(count = 1, { retryAfter, reset } = {}) {
+      for (let i = 0; i < count; i++) {
+        state.scripted.push({ retryAfter, reset });
+      }
+    },
+
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * A GitHub event as returned by /users/{login}/events
+ */
+function githubEvent(id, type, { createdAt = new Date(), payload = {}, repo = 'base-org/web' } = {}) {
+  return {
+    id: String(id),
+    type,
+    created_at: new Date(createdAt).toISOString(),
+    repo: { name: repo },
+    payload
+  };
+}
+
+/**
+ * A repository as returned by /users/{login}/repos
+ */
+function githubRepo(name, description = null) {
+  return { name, full_name: name, description, private: false };
+}
+
+// Private helper functions
+
+function send(res, status, body, headers) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+  res.end(body === null ? undefined : JSON.stringify(body));
+}
+
+function hash(body) {
+  return crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex');
+}
+
+module.exports = {
+  startFakeGitHubApi,
+  githubEvent,
+  githubRepo
+};
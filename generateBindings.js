@@ -0,0 +1,218 @@
+/**
+ * Typed Contract Bindings Generator
+ * Writes baseRewardsContract.ts from the compiled BaseRewardsOptimizer artifact,
+ * so the SDK's ABI, struct fields and event types always match the Solidity source.
+ *
+ *   npx hardhat run generateBindings.js                        regenerate
+ *   BINDINGS_CHECK=true npx hardhat run generateBindings.js    fail if out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACT_NAME = 'BaseRewardsOptimizer';
+const OUTPUT_FILE = path.join(__dirname, 'baseRewardsContract.ts');
+
+/**
+ * Render the bindings module for an ABI. Pure, so tests can compare it with the committed file.
+ */
+function renderBindings(abi, contractName = CONTRACT_NAME) {
+  const structs = new Map();
+  const functions = abi.filter(f => f.type === 'function').sort((a, b) => a.name.localeCompare(b.name));
+  const events = abi.filter(f => f.type === 'event').sort((a, b) => a.name.localeCompare(b.name));
+  const outputTypes = [];
+
+  const methods = functions.map(fn => {
+    const args = fn.inputs.map((input, i) => `${input.name || `arg${i}`}: ${inputType(input)}`).join(', ');
+    const isView = fn.stateMutability === 'view' || fn.stateMutability === 'pure';
+
+    if (!isView) {
+      return `  ${fn.name}: WriteMethod<[${args}]>;`;
+    }
+    return `  ${fn.name}: ViewMethod<[${args}], ${returnType(fn)}>;`;
+  });
+
+  function returnType(fn) {
+    if (fn.outputs.length === 0) {
+      return 'void';
+    }
+    if (fn.outputs.length === 1) {
+      return outputType(fn.outputs[0]);
+    }
+    if (fn.outputs.every(output => output.name)) {
+      const name = `${capitalize(fn.name)}Output`;
+      outputTypes.push(renderInterface(name, fn.outputs));
+      return name;
+    }
+    return `[${fn.outputs.map(outputType).join(', ')}]`;
+  }
+
+  function outputType(param) {
+    const arrayMatch = param.type.match(/^(.*)\[(\d*)\]$/);
+    if (arrayMatch) {
+      return `${outputType({ ...param, type: arrayMatch[1], internalType: stripArray(param.internalType) })}[]`;
+    }
+    if (param.type === 'tuple') {
+      const name = `${param.internalType.replace(/^struct /, '').split('.').pop()}Struct`;
+      if (!structs.has(name)) {
+        structs.set(name, renderInterface(name, param.components));
+      }
+      return name;
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+      return 'bigint';
+    }
+    if (param.type === 'bool') {
+      return 'boolean';
+    }
+    return 'string';
+  }
+
+  function inputType(param) {
+    const arrayMatch = param.type.match(/^(.*)\[(\d*)\]$/);
+    if (arrayMatch) {
+      return `${inputType({ ...param, type: arrayMatch[1], internalType: stripArray(param.internalType) })}[]`;
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+      return 'BigNumberish';
+    }
+    if (param.type === 'address') {
+      return 'AddressLike';
+    }
+    if (param.type === 'bool') {
+      return 'boolean';
+    }
+    return param.type === 'tuple' ? outputType(param) : 'string';
+  }
+
+  function renderInterface(name, params) {
+    const fields = params.map(p => `  ${p.name}: ${outputType(p)};`).join('\n');
+    return `export interface ${name} {\n${fields}\n}`;
+  }
+
+  const eventArgs = events.map(ev => renderInterface(`${ev.name}EventArgs`, ev.inputs));
+  const eventUnion = events.map(ev => `  | { name: '${ev.name}'; args: ${ev.name}EventArgs }`).join('\n');
+  const eventNames = events.map(ev => `'${ev.name}'`).join(', ');
+
+  return `/**
+ * ${contractName} Typed Bindings
+ * Generated by generateBindings.js from the compiled artifact - do not edit by hand.
+ * Run \`npx hardhat run generateBindings.js\` after changing the contract.
+ */
+
+import { ethers } from 'ethers';
+import {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  ContractRunner,
+  ContractTransaction,
+  ContractTransactionResponse,
+  JsonFragment,
+  Overrides
+} from 'ethers';
+
+// Types and Interfaces
+${[...structs.values(), ...outputTypes].join('\n\n')}
+
+${eventArgs.join('\n\n')}
+
+export type ${contractName}Event =
+${eventUnion};
+
+export type ${contractName}EventName = ${contractName}Event['name'];
+
+// Every method takes optional overrides (blockTag, gasLimit, ...) after its arguments
+export type WithOverrides<A extends unknown[]> = A | [...A, Overrides];
+
+export interface ViewMethod<A extends unknown[], R> {
+  (...args: WithOverrides<A>): Promise<R>;
+  staticCall(...args: WithOverrides<A>): Promise<R>;
+}
+
+export interface WriteMethod<A extends unknown[]> {
+  (...args: WithOverrides<A>): Promise<ContractTransactionResponse>;
+  staticCall(...args: WithOverrides<A>): Promise<void>;
+  estimateGas(...args: WithOverrides<A>): Promise<bigint>;
+  populateTransaction(...args: WithOverrides<A>): Promise<ContractTransaction>;
+}
+
+export type ${contractName}Contract = BaseContract & {
+${methods.join('\n')}
+};
+
+export const ${constantCase(contractName)}_EVENTS: ${contractName}EventName[] = [${eventNames}];
+
+export const ${constantCase(contractName)}_ABI: JsonFragment[] = ${JSON.stringify(abi, null, 2)};
+
+/**
+ * Connect to a deployed ${contractName} with full typing
+ */
+export function connect${contractName}(address: string, runner?: ContractRunner | null): ${contractName}Contract {
+  return new ethers.Contract(address, ${constantCase(contractName)}_ABI, runner) as unknown as ${contractName}Contract;
+}
+
+/**
+ * Decode a log emitted by ${contractName}, or null if it is not one of its events
+ */
+export function parse${contractName}Log(log: { topics: ReadonlyArray<string>; data: string }): ${contractName}Event | null {
+  const parsed = EVENT_INTERFACE.parseLog(log);
+  if (!parsed) {
+    return null;
+  }
+
+  const args: Record<string, unknown> = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+
+  return { name: parsed.name, args } as unknown as ${contractName}Event;
+}
+
+const EVENT_INTERFACE = new ethers.Interface(${constantCase(contractName)}_ABI);
+`;
+}
+
+function stripArray(internalType) {
+  return internalType ? internalType.replace(/\[\d*\]$/, '') : internalType;
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function constantCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+async function main() {
+  const hre = require('hardhat');
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const rendered = renderBindings(artifact.abi);
+
+  if (process.argv.includes('--check') || process.env.BINDINGS_CHECK === 'true') {
+    const current = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+    if (current !== rendered) {
+      console.error(`❌ ${path.basename(OUTPUT_FILE)} is out of date with ${CONTRACT_NAME}.sol, run npx hardhat run generateBindings.js`);
+      process.exit(1);
+    }
+    console.log(`✅ ${path.basename(OUTPUT_FILE)} matches the compiled ${CONTRACT_NAME}`);
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT_FILE, rendered);
+  console.log(`📝 Wrote ${path.basename(OUTPUT_FILE)}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  renderBindings,
+  CONTRACT_NAME,
+  OUTPUT_FILE
+};
@@ -0,0 +1,42 @@
+/**
+ * Test Suite for the generated contract bindings
+ * Fails whenever baseRewardsContract.ts no longer matches the compiled contract
+ */
+
+const { expect } = require('chai');
+const { artifacts } = require('hardhat');
+const fs = require('fs');
+const { renderBindings, CONTRACT_NAME, OUTPUT_FILE } = require('./generateBindings');
+
+describe('Contract Bindings', function () {
+  let abi;
+
+  before(async function () {
+    abi = (await artifacts.readArtifact(CONTRACT_NAME)).abi;
+  });
+
+  it('Should match the compiled BaseRewardsOptimizer', function () {
+    const committed = fs.readFileSync(OUTPUT_FILE, 'utf8');
+
+    expect(renderBindings(abi) === committed, 'baseRewardsContract.ts is out of date, run npx hardhat run generateBindings.js')
+      .to.be.true;
+  });
+
+  it('Should give struct fields their Solidity names', function () {
+    const rendered = renderBindings(abi);
+
+    expect(rendered).to.include('export interface UserProfileStruct {\n  totalContributions: bigint;');
+    expect(rendered).to.include('getUserProfile: ViewMethod<[user: AddressLike], UserProfileStruct>;');
+    expect(rendered).to.include('updateRewardParameters: WriteMethod<');
+    expect(rendered).to.include("| { name: 'RewardCalculated'; args: RewardCalculatedEventArgs }");
+  });
+
+  it('Should notice a changed struct layout', function () {
+    const changed = JSON.parse(JSON.stringify(abi));
+    const getUserProfile = changed.find(f => f.name === 'getUserProfile');
+    const components = getUserProfile.outputs[0].components;
+    [components[2], components[3]] = [components[3], components[2]];
+
+    expect(renderBindings(changed)).to.not.equal(renderBindings(abi));
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Test Suite for GitHubContributionSync
+ * Covers dedup across runs, dry runs, scheduled failures and recovery after a crash mid-submission
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { GitHubEvent, GitHubRewardsTracker } from './baseRewardsUtils';
+import { GitHubContributionSync, MemoryStore, SyncLedger } from './githubSync';
+import { deployRewardsFixture } from './testHarness';
+
+/**
+ * Tracker backed by an in-memory event list instead of api.github.com
+ */
+function createTracker(events: GitHubEvent[]): GitHubRewardsTracker {
+  const fakeFetch = async () => new Response(JSON.stringify(events), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  return new GitHubRewardsTracker('', { fetch: fakeFetch as typeof fetch });
+}
+
+function event(id: string, type: string, payload?: any): GitHubEvent {
+  return { id, type, created_at: new Date().toISOString(), payload };
+}
+
+describe('GitHubContributionSync', function () {
+  async function deploySyncFixture() {
+    const fixture = await deployRewardsFixture();
+
+    // The sync signs offline, so the builder needs a real Wallet
+    const builder = ethers.Wallet.createRandom().connect(ethers.provider);
+    await fixture.owner.sendTransaction({ to: builder.address, value: ethers.parseEther('1') });
+
+    return { ...fixture, builder };
+  }
+
+  it('Should record new events once and skip them on later runs', async function () {
+    const { rewardsOptimizer, address, builder } = await loadFixture(deploySyncFixture);
+    const events = [event('1', 'PushEvent', { size: 3 }), event('2', 'PullRequestEvent'), event('3', 'WatchEvent')];
+    const store = new MemoryStore<SyncLedger>();
+    const accounts = [{ githubUsername: 'alice', signer: builder }];
+
+    const first = await new GitHubContributionSync(address, ethers.provider, createTracker(events), accounts, store).runOnce();
+    expect(first.submitted).to.have.length(1);
+    expect(first.submitted[0].eventCount).to.equal(2);
+
+    const second = await new GitHubContributionSync(address, ethers.provider, createTracker(events), accounts, store).runOnce();
+    expect(second.submitted).to.have.length(0);
+
+    events.unshift(event('4', 'IssuesEvent'));
+    const third = await new GitHubContributionSync(address, ethers.provider, createTracker(events), accounts, store).runOnce();
+    expect(third.planned[0].events.map(e => e.id)).to.deep.equal(['4']);
+
+    const profile = await rewardsOptimizer.getUserProfile(builder.address);
+    expect(profile.githubScore).to.equal(30n + 25n + 5n);
+  });
+
+  it('Should only print the plan in dry-run mode', async function () {
+    const { rewardsOptimizer, address, builder } = await loadFixture(deploySyncFixture);
+    const store = new MemoryStore<SyncLedger>();
+    const printed: string[] = [];
+    const sync = new GitHubContributionSync(
+      address,
+      ethers.provider,
+      createTracker([event('1', 'PushEvent', { size: 1 })]),
+      [{ githubUsername: 'alice', signer: builder }],
+      store,
+      { dryRun: true, log: message => printed.push(message) }
+    );
+
+    const report = await sync.runOnce();
+
+    expect(printed[0]).to.equal(`[dry run] alice -> ${builder.address}: 1 new events`);
+    expect(printed).to.have.length(2);
+    expect(report.planned[0].contributions[0].value).to.equal(10n);
+    expect(report.submitted).to.have.length(0);
+    expect(await store.load()).to.be.null;
+    expect((await rewardsOptimizer.getUserProfile(builder.address)).isActive).to.be.false;
+  });
+
+  it('Should hand failed scheduled passes to the caller', async function () {
+    const { address, builder } = await loadFixture(deploySyncFixture);
+    const tracker = createTracker([]);
+    tracker.getUserEvents = async () => {
+      throw new Error('GitHub is down');
+    };
+    const sync = new GitHubContributionSync(
+      address,
+      ethers.provider,
+      tracker,
+      [{ githubUsername: 'alice', signer: builder }],
+      new MemoryStore<SyncLedger>()
+    );
+
+    const failure = await new Promise<unknown>((resolve, reject) => {
+      const stop = sync.schedule(
+        60 * 1000,
+        () => reject(new Error('Expected the pass to fail')),
+        error => {
+          stop();
+          resolve(error);
+        }
+      );
+    });
+
+    expect((failure as Error).message).to.equal('GitHub is down');
+  });
+
+  it('Should not double-count after a crash between signing and broadcasting', async function () {
+    const { rewardsOptimizer, address, builder } = await loadFixture(deploySyncFixture);
+    const events = [event('1', 'PushEvent', { size: 2 })];
+    const store = new MemoryStore<SyncLedger>();
+    const accounts = [{ githubUsername: 'alice', signer: builder }];
+
+    // Provider whose broadcast "crashes" the process after the ledger was written
+    const crashingProvider = Object.create(ethers.provider);
+    crashingProvider.broadcastTransaction = async () => {
+      throw new Error('process crashed');
+    };
+
+    const crash = await new GitHubContributionSync(address, crashingProvider, createTracker(events), accounts, store)
+      .runOnce()
+      .catch(error => error);
+    expect(crash.message).to.equal('process crashed');
+    expect((await store.load())!.pending).to.have.length(1);
+
+    const report = await new GitHubContributionSync(address, ethers.provider, createTracker(events), accounts, store).runOnce();
+
+    expect(report.recovered.map(r => r.outcome)).to.deep.equal(['recorded']);
+    expect(report.submitted).to.have.length(0);
+    expect((await rewardsOptimizer.getUserProfile(builder.address)).githubScore).to.equal(20n);
+  });
+
+  it('Should not double-count when the crash happens after broadcasting', async function () {
+    const { rewardsOptimizer, address, builder } = await loadFixture(deploySyncFixture);
+    const events = [event('1', 'PushEvent', { size: 2 })];
+    const store = new MemoryStore<SyncLedger>();
+    const accounts = [{ githubUsername: 'alice', signer: builder }];
+
+    // Broadcast succeeds, but the process dies before the receipt is processed
+    const crashingProvider = Object.create(ethers.provider);
+    crashingProvider.getTransaction = async () => {
+      throw new Error('process crashed');
+    };
+
+    const crash = await new GitHubContributionSync(address, crashingProvider, createTracker(events), accounts, store)
+      .runOnce()
+      .catch(error => error);
+    expect(crash.message).to.equal('process crashed');
+
+    const report = await new GitHubContributionSync(address, ethers.provider, createTracker(events), accounts, store).runOnce();
+
+    expect(report.recovered.map(r => r.outcome)).to.deep.equal(['recorded']);
+    expect(report.submitted).to.have.length(0);
+    expect((await rewardsOptimizer.getUserProfile(builder.address)).githubScore).to.equal(20n);
+  });
+});
@@ -0,0 +1,377 @@
+/**
+ * GitHub-to-Chain Contribution Sync
+ * Turns new GitHub activity into on-chain contributions, with a ledger of processed
+ * event IDs so no activity is ever recorded twice, even across crashes
+ */
+
+import { ethers } from 'ethers';
+import { Provider } from 'ethers';
+import { connectBaseRewardsOptimizer } from './baseRewardsContract';
+import {
+  ContributionData,
+  GitHubEvent,
+  GitHubRewardsTracker,
+  scoreGitHubEvent
+} from './baseRewardsUtils';
+import { JsonFileStore, MemoryStore, StateStore } from './jsonFileStore';
+
+export { JsonFileStore, MemoryStore };
+
+// Types and Interfaces
+
+/**
+ * A builder to sync. The contract credits msg.sender, so each GitHub account
+ * needs the signer of the wallet it maps to (a Wallet, which can sign offline).
+ */
+export interface SyncAccount {
+  githubUsername: string;
+  signer: ethers.Signer;
+}
+
+export interface PendingSubmission {
+  githubUsername: string;
+  wallet: string;
+  eventIds: string[];
+  txHash: string;
+  rawTransaction: string;
+  createdAt: string;
+}
+
+export interface SyncLedger {
+  version: number;
+  contractAddress: string;
+  recorded: Record<string, { wallet: string; txHash: string; recordedAt: string }>;
+  pending: PendingSubmission[];
+  lastSyncedAt: Record<string, string>;
+}
+
+export type SyncLedgerStore = StateStore<SyncLedger>;
+
+export interface SyncOptions {
+  dryRun?: boolean;
+  lookbackDays?: number; // how far back the first sync of a user reaches
+  confirmations?: number;
+  confirmationTimeoutMs?: number;
+  retentionDays?: number; // GitHub only serves ~90 days of events, older IDs can be pruned
+  log?: (message: string) => void; // submissions and dry-run plans; dropped by default
+}
+
+export interface SyncPlanItem {
+  githubUsername: string;
+  wallet: string;
+  events: { id: string; type: string; createdAt: string; score: number }[];
+  contributions: ContributionData[];
+}
+
+export interface SyncReport {
+  dryRun: boolean;
+  planned: SyncPlanItem[];
+  submitted: { githubUsername: string; wallet: string; txHash: string; eventCount: number }[];
+  recovered: { txHash: string; outcome: 'recorded' | 'released' | 'pending' }[];
+}
+
+export const SYNC_LEDGER_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GitHubContributionSync - records new GitHub activity through batchRecordContributions
+ *
+ * Crash safety: every batch is signed first, its hash and raw bytes are saved to the
+ * ledger as pending, and only then broadcast. On restart each pending entry is checked
+ * against its receipt and either marked recorded, rebroadcast or released.
+ */
+export class GitHubContributionSync {
+  private contractAddress: string;
+  private provider: Provider;
+  private tracker: GitHubRewardsTracker;
+  private accounts: SyncAccount[];
+  private store: SyncLedgerStore;
+  private options: Required<SyncOptions>;
+  private running = false;
+
+  constructor(
+    contractAddress: string,
+    provider: Provider,
+    tracker: GitHubRewardsTracker,
+    accounts: SyncAccount[],
+    store: SyncLedgerStore,
+    options: SyncOptions = {}
+  ) {
+    this.contractAddress = contractAddress;
+    this.provider = provider;
+    this.tracker = tracker;
+    this.accounts = accounts;
+    this.store = store;
+    this.options = {
+      dryRun: options.dryRun ?? false,
+      lookbackDays: options.lookbackDays ?? 7,
+      confirmations: options.confirmations ?? 1,
+      confirmationTimeoutMs: options.confirmationTimeoutMs ?? 5 * 60 * 1000,
+      retentionDays: options.retentionDays ?? 120,
+      log: options.log ?? (() => undefined)
+    };
+  }
+
+  /**
+   * Run one sync pass over every account
+   */
+  async runOnce(): Promise<SyncReport> {
+    const ledger = await this.loadLedger();
+    const dryRun = this.options.dryRun;
+    const report: SyncReport = { dryRun, planned: [], submitted: [], recovered: [] };
+
+    if (!dryRun) {
+      report.recovered = await this.recoverPending(ledger);
+    }
+
+    for (const account of this.accounts) {
+      const syncStartedAt = new Date().toISOString();
+      const plan = await this.planAccount(account, ledger);
+
+      if (plan.contributions.length === 0) {
+        continue;
+      }
+      report.planned.push(plan);
+
+      if (dryRun) {
+        this.printPlan(plan);
+        continue;
+      }
+
+      const entry = await this.submit(account, plan, ledger);
+      report.submitted.push({
+        githubUsername: plan.githubUsername,
+        wallet: plan.wallet,
+        txHash: entry.txHash,
+        eventCount: plan.events.length
+      });
+
+      // Only move the window forward once the events are safely recorded
+      if (await this.settle(entry, ledger) === 'recorded') {
+        ledger.lastSyncedAt[account.githubUsername] = syncStartedAt;
+        await this.store.save(ledger);
+      }
+    }
+
+    if (!dryRun) {
+      this.pruneLedger(ledger);
+      await this.store.save(ledger);
+    }
+
+    return report;
+  }
+
+  /**
+   * Run the sync on an interval; passes never overlap. Returns a stop function.
+   * A failed pass goes to onError, so a cron wrapper can stop and set an exit code,
+   * or to the log option without one; later passes run either way.
+   */
+  schedule(
+    intervalMs: number,
+    onReport?: (report: SyncReport) => void,
+    onError?: (error: unknown) => void
+  ): () => void {
+    const tick = async () => {
+      if (this.running) {
+        return;
+      }
+
+      this.running = true;
+      try {
+        const report = await this.runOnce();
+        onReport?.(report);
+      } catch (error) {
+        if (onError) {
+          onError(error);
+        } else {
+          this.options.log(`GitHub sync failed: ${(error as Error)?.message ?? error}`);
+        }
+      } finally {
+        this.running = false;
+      }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    tick();
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Work out which of an account's events have not been recorded yet
+   */
+  async planAccount(account: SyncAccount, ledger?: SyncLedger): Promise<SyncPlanItem> {
+    const state = ledger || await this.loadLedger();
+    const wallet = await account.signer.getAddress();
+    const lastSyncedAt = state.lastSyncedAt[account.githubUsername];
+
+    // Overlap by a day; duplicates are filtered by event ID below
+    const since = lastSyncedAt
+      ? new Date(new Date(lastSyncedAt).getTime() - DAY_MS)
+      : new Date(Date.now() - this.options.lookbackDays * DAY_MS);
+
+    const inFlight = new Set(state.pending.flatMap(p => p.eventIds));
+    const events: GitHubEvent[] = await this.tracker.getUserEvents(account.githubUsername, since);
+
+    const fresh = events
+      .filter(e => !state.recorded[e.id] && !inFlight.has(e.id))
+      .map(e => ({ id: e.id, type: e.type, createdAt: e.created_at, score: scoreGitHubEvent(e) }))
+      .filter(e => e.score > 0)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    return {
+      githubUsername: account.githubUsername,
+      wallet,
+      events: fresh,
+      contributions: fresh.map(e => ({
+        type: 0,
+        value: BigInt(e.score),
+        timestamp: Math.floor(new Date(e.createdAt).getTime() / 1000),
+        description: `github:${e.type}:${e.id}`
+      }))
+    };
+  }
+
+  // Private helper methods
+  private async loadLedger(): Promise<SyncLedger> {
+    const stored = await this.store.load();
+
+    if (!stored) {
+      return {
+        version: SYNC_LEDGER_VERSION,
+        contractAddress: this.contractAddress,
+        recorded: {},
+        pending: [],
+        lastSyncedAt: {}
+      };
+    }
+
+    if (stored.version !== SYNC_LEDGER_VERSION) {
+      throw new Error(`Unsupported sync ledger version: ${stored.version}`);
+    }
+    if (stored.contractAddress.toLowerCase() !== this.contractAddress.toLowerCase()) {
+      throw new Error(`Sync ledger belongs to ${stored.contractAddress}, not ${this.contractAddress}`);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Sign the batch, persist it as pending, then broadcast it
+   */
+  private async submit(
+    account: SyncAccount,
+    plan: SyncPlanItem,
+    ledger: SyncLedger
+  ): Promise<PendingSubmission> {
+    const contract = connectBaseRewardsOptimizer(this.contractAddress, account.signer);
+    const unsigned = await contract.batchRecordContributions.populateTransaction(
+      plan.contributions.map(c => c.type),
+      plan.contributions.map(c => c.value)
+    );
+    const populated = await account.signer.populateTransaction(unsigned);
+    const rawTransaction = await account.signer.signTransaction(populated);
+
+    const entry: PendingSubmission = {
+      githubUsername: plan.githubUsername,
+      wallet: plan.wallet,
+      eventIds: plan.events.map(e => e.id),
+      txHash: ethers.Transaction.from(rawTransaction).hash!,
+      rawTransaction,
+      createdAt: new Date().toISOString()
+    };
+
+    ledger.pending.push(entry);
+    await this.store.save(ledger);
+
+    await this.provider.broadcastTransaction(rawTransaction);
+    this.options.log(`Submitted ${plan.events.length} GitHub events for ${plan.githubUsername}: ${entry.txHash}`);
+
+    return entry;
+  }
+
+  /**
+   * Wait for a pending submission and move its events to recorded (or release them)
+   */
+  private async settle(entry: PendingSubmission, ledger: SyncLedger): Promise<'recorded' | 'released' | 'pending'> {
+    const tx = await this.provider.getTransaction(entry.txHash);
+    let receipt: ethers.TransactionReceipt | null = null;
+
+    try {
+      receipt = tx && await tx.wait(this.options.confirmations, this.options.confirmationTimeoutMs);
+    } catch (error: any) {
+      if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+        receipt = error.receipt;
+      } else if (error.code !== 'TIMEOUT') {
+        throw error;
+      }
+    }
+
+    if (!receipt) {
+      return 'pending';
+    }
+
+    if (receipt.status === 1) {
+      const recordedAt = new Date().toISOString();
+      for (const id of entry.eventIds) {
+        ledger.recorded[id] = { wallet: entry.wallet, txHash: entry.txHash, recordedAt };
+      }
+    }
+
+    ledger.pending = ledger.pending.filter(p => p.txHash !== entry.txHash);
+    await this.store.save(ledger);
+
+    return receipt.status === 1 ? 'recorded' : 'released';
+  }
+
+  /**
+   * Resolve submissions left pending by a previous run
+   */
+  private async recoverPending(ledger: SyncLedger): Promise<SyncReport['recovered']> {
+    const recovered: SyncReport['recovered'] = [];
+
+    for (const entry of [...ledger.pending]) {
+      const receipt = await this.provider.getTransactionReceipt(entry.txHash);
+
+      if (!receipt) {
+        try {
+          // Same signed bytes, same hash: rebroadcasting can never double-record
+          await this.provider.broadcastTransaction(entry.rawTransaction);
+        } catch (error: any) {
+          if (error.code === 'NONCE_EXPIRED' && !(await this.provider.getTransactionReceipt(entry.txHash))) {
+            // The nonce was used by another transaction, so this one can never be mined
+            ledger.pending = ledger.pending.filter(p => p.txHash !== entry.txHash);
+            await this.store.save(ledger);
+            recovered.push({ txHash: entry.txHash, outcome: 'released' });
+            continue;
+          }
+          if (!/already known/i.test(error.message)) {
+            throw error;
+          }
+        }
+      }
+
+      recovered.push({ txHash: entry.txHash, outcome: await this.settle(entry, ledger) });
+    }
+
+    return recovered;
+  }
+
+  private pruneLedger(ledger: SyncLedger): void {
+    const cutoff = Date.now() - this.options.retentionDays * DAY_MS;
+
+    for (const [id, record] of Object.entries(ledger.recorded)) {
+      if (new Date(record.recordedAt).getTime() < cutoff) {
+        delete ledger.recorded[id];
+      }
+    }
+  }
+
+  private printPlan(plan: SyncPlanItem): void {
+    this.options.log(`[dry run] ${plan.githubUsername} -> ${plan.wallet}: ${plan.events.length} new events`);
+    for (const event of plan.events) {
+      this.options.log(`  ${event.createdAt}  ${event.type.padEnd(18)} ${event.id}  type 0, value ${event.score}`);
+    }
+  }
+}
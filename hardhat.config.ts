@@ -0,0 +1,76 @@
+/**
+ * Hardhat Configuration
+ * Contracts, tests and scripts all live in the project root, so the source and
+ * test file lookups are narrowed to it instead of walking node_modules
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { subtask } from 'hardhat/config';
+import type { HardhatUserConfig } from 'hardhat/config';
+import {
+  TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS,
+  TASK_TEST_GET_TEST_FILES
+} from 'hardhat/builtin-tasks/task-names';
+import '@nomicfoundation/hardhat-toolbox';
+
+const { NETWORKS } = require('./networks');
+
+const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+
+// Files directly inside dir (not its subdirectories) matching a suffix, as absolute paths
+function rootFiles(dir: string, suffixes: string[]): string[] {
+  return fs.readdirSync(dir)
+    .filter(name => suffixes.some(suffix => name.endsWith(suffix)))
+    .map(name => path.join(dir, name));
+}
+
+// *.sol next to this file; OpenZeppelin imports still resolve from node_modules
+subtask(TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS).setAction(async ({ sourcePath }, hre) => {
+  return rootFiles(sourcePath ?? hre.config.paths.sources, ['.sol']);
+});
+
+// *.test.js and *.test.ts next to this file, unless files are named on the command line
+subtask(TASK_TEST_GET_TEST_FILES).setAction(async ({ testFiles }, hre, runSuper) => {
+  if (testFiles.length > 0) {
+    return runSuper();
+  }
+  return rootFiles(hre.config.paths.root, ['.test.js', '.test.ts']);
+});
+
+const config: HardhatUserConfig = {
+  solidity: {
+    version: '0.8.26',
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      // OpenZeppelin 5's EIP712 uses mcopy, which needs Cancun
+      evmVersion: 'cancun'
+    }
+  },
+  networks: {
+    base: {
+      url: NETWORKS.base.rpcUrls[0],
+      chainId: NETWORKS.base.chainId,
+      accounts
+    },
+    baseSepolia: {
+      url: NETWORKS.baseSepolia.rpcUrls[0],
+      chainId: NETWORKS.baseSepolia.chainId,
+      accounts
+    }
+  },
+  paths: {
+    root: __dirname,
+    sources: __dirname,
+    tests: __dirname
+  },
+  typechain: {
+    outDir: 'typechain-types',
+    target: 'ethers-v6'
+  },
+  mocha: {
+    timeout: 60000
+  }
+};
+
+export default config;
@@ -0,0 +1,53 @@
+/**
+ * Small persistence helpers shared by the indexer and sync services
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+export interface StateStore<T> {
+  load(): Promise<T | null>;
+  save(state: T): Promise<void>;
+}
+
+/**
+ * JSON file store, written atomically so a crash never leaves a half-written file
+ */
+export class JsonFileStore<T> implements StateStore<T> {
+  constructor(private filePath: string) {}
+
+  async load(): Promise<T | null> {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(state: T): Promise<void> {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * In-memory store, mainly for tests and short-lived scripts
+ */
+export class MemoryStore<T> implements StateStore<T> {
+  private state: T | null = null;
+
+  async load(): Promise<T | null> {
+    return this.state ? JSON.parse(JSON.stringify(this.state)) : null;
+  }
+
+  async save(state: T): Promise<void> {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
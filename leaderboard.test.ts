@@ -0,0 +1,108 @@
+/**
+ * Test Suite for the rewards leaderboard
+ * Covers Multicall3 and chunked reads, ranking, pagination and weekly snapshots
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { MemoryStore, RewardsEventIndexer } from './eventIndexer';
+import { BaseRewardsManager } from './baseRewardsUtils';
+import { LeaderboardSnapshot, MULTICALL3_ADDRESS } from './leaderboard';
+import { WEEK_SECONDS } from './rewardDistribution';
+import { deployRewardsFixture } from './testHarness';
+
+describe('Rewards Leaderboard', function () {
+  async function deployFixture() {
+    const fixture = await deployRewardsFixture();
+    const { rewardsOptimizer, user1, user2, user3 } = fixture;
+    const [, , , , user4] = await ethers.getSigners();
+
+    // user1 and user4 tie on reward; user2 builds a two-day streak; user3 stays below the threshold
+    await rewardsOptimizer.connect(user1).recordContribution(0, 1500);
+    await rewardsOptimizer.connect(user4).recordContribution(0, 1500);
+    await rewardsOptimizer.connect(user2).recordContribution(0, 1500);
+    await rewardsOptimizer.connect(user3).recordContribution(2, 50);
+    await time.increase(24 * 60 * 60);
+    await rewardsOptimizer.connect(user2).recordContribution(0, 1500);
+
+    const MockMulticall3 = await ethers.getContractFactory('MockMulticall3');
+    const multicall = await MockMulticall3.deploy();
+    await multicall.waitForDeployment();
+
+    return { ...fixture, multicall, user4 };
+  }
+
+  async function syncedIndexer(address: string, deployBlock: number) {
+    const indexer = new RewardsEventIndexer(address, ethers.provider, new MemoryStore(), { startBlock: deployBlock });
+    await indexer.sync();
+    return indexer;
+  }
+
+  it('Should rank the same way through Multicall3 and chunked calls', async function () {
+    const { multicall, address, deployBlock, user1, user2, user3, user4 } = await loadFixture(deployFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider);
+    const indexer = await syncedIndexer(address, deployBlock);
+
+    // No Multicall3 on the local chain yet, so this one falls back
+    const chunked = await manager.createLeaderboard(indexer, { batchSize: 3 }).getPage();
+
+    await ethers.provider.send('hardhat_setCode', [MULTICALL3_ADDRESS, await ethers.provider.getCode(await multicall.getAddress())]);
+    const batched = await manager.createLeaderboard(indexer, { batchSize: 3 }).getPage();
+
+    const [tieFirst, tieSecond] = [user1.address, user4.address].sort((a, b) => a.toLowerCase() < b.toLowerCase() ? -1 : 1);
+    expect(batched.entries.map(e => e.address)).to.deep.equal([user2.address, tieFirst, tieSecond, user3.address]);
+    expect(batched.entries.map(e => e.reward)).to.deep.equal([3750n, 1875n, 1875n, 0n]);
+    expect(batched).to.deep.equal(chunked);
+    expect(batched.entries[0]).to.include({ rank: 1, streakDays: 2n, isActive: true, previousRank: null });
+  });
+
+  it('Should filter and paginate while keeping overall ranks', async function () {
+    const { multicall, address, owner, user1, user2, user3, user4 } = await loadFixture(deployFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider);
+    const leaderboard = manager.createLeaderboard(
+      [user1.address, user2.address, user3.address, user4.address, owner.address],
+      { multicallAddress: await multicall.getAddress() }
+    );
+
+    const page = await leaderboard.getPage({ offset: 1, limit: 2 });
+    expect(page.total).to.equal(5);
+    expect(page.entries.map(e => e.rank)).to.deep.equal([2, 3]);
+
+    const active = await leaderboard.getPage({ activeOnly: true });
+    expect(active.entries.map(e => e.address)).to.not.include(owner.address);
+    expect(active.total).to.equal(4);
+
+    const streaks = await leaderboard.getPage({ minStreak: 2 });
+    expect(streaks.entries.map(e => [e.rank, e.address])).to.deep.equal([[1, user2.address]]);
+
+    const rewarded = await leaderboard.getPage({ minReward: 1n, offset: 2 });
+    expect(rewarded.total).to.equal(3);
+    expect(rewarded.entries.map(e => e.rank)).to.deep.equal([3]);
+  });
+
+  it('Should keep one snapshot per week and report rank changes', async function () {
+    const { rewardsOptimizer, address, deployBlock, user1, user2 } = await loadFixture(deployFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider);
+    const store = new MemoryStore<LeaderboardSnapshot[]>();
+    const indexer = await syncedIndexer(address, deployBlock);
+
+    const first = await manager.createLeaderboard(indexer, { store }).refresh();
+    await manager.createLeaderboard(indexer, { store }).refresh();
+    expect(await store.load()).to.deep.equal([first]);
+
+    await rewardsOptimizer.connect(user1).recordContribution(0, 3000);
+    await time.increase(WEEK_SECONDS);
+    await rewardsOptimizer.advanceEpoch();
+    await indexer.sync();
+
+    const leaderboard = manager.createLeaderboard(indexer, { store });
+    const page = await leaderboard.getPage();
+
+    expect(page.week).to.equal(first.week + 1);
+    const previousRank = first.entries.find(e => e.address === user1.address)!.rank;
+    expect(page.entries[0]).to.include({ address: user1.address, rank: 1, previousRank, rankChange: previousRank - 1 });
+    expect(page.entries[1]).to.include({ address: user2.address, previousRank: 1, rankChange: -1 });
+    expect((await leaderboard.getSnapshots()).map(s => s.week)).to.deep.equal([first.week, first.week + 1]);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Rewards Leaderboard
+ * Ranks every builder found in contribution history by reward, reading scores and
+ * profiles in batches through Multicall3 and saving a snapshot for each week
+ */
+
+import { ethers } from 'ethers';
+import type { BaseRewardsOptimizerContract } from './baseRewardsContract';
+import type { StateStore } from './jsonFileStore';
+
+// Types and Interfaces
+
+// RewardsEventIndexer fits; so does a fixed list of addresses
+export interface ParticipantSource {
+  getContributors(): Promise<string[]>;
+}
+
+export interface LeaderboardEntry {
+  rank: number;
+  address: string;
+  reward: bigint;
+  totalContributions: bigint;
+  streakDays: bigint;
+  isActive: boolean;
+  previousRank: number | null; // rank in the latest snapshot of an earlier week
+  rankChange: number | null; // positive when the builder moved up
+}
+
+export interface LeaderboardQuery {
+  offset?: number;
+  limit?: number;
+  activeOnly?: boolean;
+  minStreak?: number;
+  minReward?: bigint;
+}
+
+export interface LeaderboardPage {
+  week: number;
+  blockNumber: number;
+  total: number; // entries matching the filters
+  offset: number;
+  limit: number;
+  entries: LeaderboardEntry[]; // ranks are over all participants, not just the filtered ones
+}
+
+// JSON-serializable, so snapshots can live in a JsonFileStore
+export interface LeaderboardSnapshot {
+  week: number;
+  blockNumber: number;
+  entries: { rank: number; address: string; reward: string }[];
+}
+
+export interface LeaderboardOptions {
+  store?: StateStore<LeaderboardSnapshot[]>; // one snapshot per week, replaced on refresh
+  multicallAddress?: string;
+  batchSize?: number; // users per eth_call
+}
+
+// Deployed at the same address on Base and most other chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const DEFAULT_BATCH_SIZE = 100;
+
+const DEFAULT_PAGE_SIZE = 50;
+
+interface RankedLeaderboard {
+  week: number;
+  blockNumber: number;
+  entries: LeaderboardEntry[];
+}
+
+/**
+ * RewardsLeaderboard - ranked, paginated view over every participant
+ */
+export class RewardsLeaderboard {
+  private contract: BaseRewardsOptimizerContract;
+  private provider: ethers.Provider;
+  private participants: ParticipantSource;
+  private options: LeaderboardOptions;
+  private multicall?: ethers.Contract | null;
+  private ranking?: RankedLeaderboard;
+
+  constructor(
+    contract: BaseRewardsOptimizerContract,
+    participants: ParticipantSource,
+    options: LeaderboardOptions = {}
+  ) {
+    if (!contract.runner?.provider) {
+      throw new Error('Contract must be connected to a provider');
+    }
+
+    this.contract = contract;
+    this.provider = contract.runner.provider;
+    this.participants = participants;
+    this.options = options;
+  }
+
+  /**
+   * Read every participant at the latest block, rank them and save the week's snapshot
+   */
+  async refresh(): Promise<LeaderboardSnapshot> {
+    const blockNumber = await this.provider.getBlockNumber();
+    const [week, participants] = await Promise.all([
+      this.contract.currentWeek({ blockTag: blockNumber }),
+      this.participants.getContributors()
+    ]);
+
+    const addresses = [...new Set(participants.map(address => ethers.getAddress(address)))];
+    const rows = await this.readParticipants(addresses, blockNumber);
+    rows.sort(compareEntries);
+
+    const snapshots = (await this.options.store?.load()) ?? [];
+    const previous = snapshots
+      .filter(snapshot => snapshot.week < Number(week))
+      .sort((a, b) => b.week - a.week)[0];
+    const previousRanks = new Map(previous?.entries.map(entry => [entry.address, entry.rank]));
+
+    const entries = rows.map((row, i) => {
+      const previousRank = previousRanks.get(row.address) ?? null;
+      return { ...row, rank: i + 1, previousRank, rankChange: previousRank === null ? null : previousRank - (i + 1) };
+    });
+
+    this.ranking = { week: Number(week), blockNumber, entries };
+
+    const snapshot: LeaderboardSnapshot = {
+      week: Number(week),
+      blockNumber,
+      entries: entries.map(entry => ({ rank: entry.rank, address: entry.address, reward: entry.reward.toString() }))
+    };
+
+    if (this.options.store) {
+      await this.options.store.save([...snapshots.filter(s => s.week !== snapshot.week), snapshot]);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * A page of the leaderboard; the first call refreshes it
+   */
+  async getPage(query: LeaderboardQuery = {}): Promise<LeaderboardPage> {
+    if (!this.ranking) {
+      await this.refresh();
+    }
+
+    const { week, blockNumber, entries } = this.ranking!;
+    const offset = query.offset ?? 0;
+    const limit = query.limit ?? DEFAULT_PAGE_SIZE;
+
+    const matching = entries.filter(entry =>
+      (!query.activeOnly || entry.isActive) &&
+      entry.streakDays >= BigInt(query.minStreak ?? 0) &&
+      entry.reward >= (query.minReward ?? BigInt(0))
+    );
+
+    return {
+      week,
+      blockNumber,
+      total: matching.length,
+      offset,
+      limit,
+      entries: matching.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Saved snapshots, oldest week first
+   */
+  async getSnapshots(): Promise<LeaderboardSnapshot[]> {
+    const snapshots = (await this.options.store?.load()) ?? [];
+    return snapshots.sort((a, b) => a.week - b.week);
+  }
+
+  // Private helper methods
+
+  private async readParticipants(
+    addresses: string[],
+    blockTag: number
+  ): Promise<Omit<LeaderboardEntry, 'rank' | 'previousRank' | 'rankChange'>[]> {
+    const batchSize = this.options.batchSize ?? DEFAULT_BATCH_SIZE;
+    const multicall = await this.getMulticall();
+    const rows: Omit<LeaderboardEntry, 'rank' | 'previousRank' | 'rankChange'>[] = [];
+
+    for (let i = 0; i < addresses.length; i += batchSize) {
+      const batch = addresses.slice(i, i + batchSize);
+      const { rewards, profiles } = multicall
+        ? await this.readWithMulticall(multicall, batch, blockTag)
+        : await this.readInChunks(batch, blockTag);
+
+      batch.forEach((address, j) => {
+        rows.push({
+          address,
+          reward: rewards[j],
+          totalContributions: profiles[j].totalContributions,
+          streakDays: profiles[j].streakDays,
+          isActive: profiles[j].isActive
+        });
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * One eth_call per batch: calculateOptimizedReward and getUserProfile for every user
+   */
+  private async readWithMulticall(multicall: ethers.Contract, batch: string[], blockTag: number) {
+    const target = await this.contract.getAddress();
+    const iface = this.contract.interface;
+    const calls = batch.flatMap(address => [
+      { target, allowFailure: false, callData: iface.encodeFunctionData('calculateOptimizedReward', [address]) },
+      { target, allowFailure: false, callData: iface.encodeFunctionData('getUserProfile', [address]) }
+    ]);
+
+    const results: { returnData: string }[] = await multicall.aggregate3.staticCall(calls, { blockTag });
+
+    return {
+      rewards: batch.map((_, j) => iface.decodeFunctionResult('calculateOptimizedReward', results[2 * j].returnData)[0] as bigint),
+      profiles: batch.map((_, j) => iface.decodeFunctionResult('getUserProfile', results[2 * j + 1].returnData)[0])
+    };
+  }
+
+  /**
+   * Fallback for chains without Multicall3: one getTopContributors call per batch
+   * plus a profile read per user
+   */
+  private async readInChunks(batch: string[], blockTag: number) {
+    const [{ scores }, profiles] = await Promise.all([
+      this.contract.getTopContributors(batch, { blockTag }),
+      Promise.all(batch.map(address => this.contract.getUserProfile(address, { blockTag })))
+    ]);
+
+    return { rewards: [...scores], profiles };
+  }
+
+  private async getMulticall(): Promise<ethers.Contract | null> {
+    if (this.multicall === undefined) {
+      const address = this.options.multicallAddress ?? MULTICALL3_ADDRESS;
+      const code = await this.provider.getCode(address);
+      this.multicall = code === '0x' ? null : new ethers.Contract(address, MULTICALL3_ABI, this.provider);
+    }
+
+    return this.multicall;
+  }
+}
+
+// Private helper functions
+
+/**
+ * Highest reward first, then most contributions, then address, so equal
+ * rewards always rank the same way
+ */
+function compareEntries(a: { reward: bigint; totalContributions: bigint; address: string }, b: typeof a): number {
+  if (a.reward !== b.reward) {
+    return a.reward > b.reward ? -1 : 1;
+  }
+  if (a.totalContributions !== b.totalContributions) {
+    return a.totalContributions > b.totalContributions ? -1 : 1;
+  }
+  return a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1;
+}
@@ -0,0 +1,55 @@
+/**
+ * Type declarations for networks.js, shared with the TypeScript SDK
+ */
+
+import { JsonRpcProvider } from 'ethers';
+
+export interface NetworkConfig {
+  key: string;
+  name: string;
+  chainId: number;
+  rpcUrls: string[];
+  explorerUrl?: string;
+  explorerApiUrl?: string;
+  isBase: boolean;
+  testnet: boolean;
+  local: boolean;
+}
+
+export interface ProviderOptions {
+  rpcUrls?: string[]; // overrides the network's own list
+  stallTimeoutMs?: number;
+  healthCheckTimeoutMs?: number;
+}
+
+export interface RpcHealth {
+  url: string;
+  healthy: boolean;
+  blockNumber?: number;
+  latencyMs?: number;
+  error?: string;
+}
+
+export type NetworkLike = string | number | bigint | NetworkConfig;
+
+export const NETWORKS: Record<string, NetworkConfig>;
+export const RETIRED_NETWORKS: Record<number, string>;
+export const DEFAULT_PROVIDER_OPTIONS: Required<Omit<ProviderOptions, 'rpcUrls'>>;
+
+export class FailoverRpcProvider extends JsonRpcProvider {
+  readonly rpcUrls: string[];
+  constructor(rpcUrls: string[], network: number | bigint, options?: ProviderOptions);
+  getActiveUrl(): string;
+}
+
+export function registerNetwork(
+  config: Pick<NetworkConfig, 'key' | 'chainId' | 'rpcUrls'> & Partial<NetworkConfig>
+): NetworkConfig;
+export function getNetworkConfig(network: NetworkLike): NetworkConfig;
+export function findNetwork(chainId: number | bigint | string): NetworkConfig | null;
+export function getNetworkName(chainId: number | bigint | string): string;
+export function isBaseChain(chainId: number | bigint | string): boolean;
+export function isLocalChain(chainId: number | bigint | string): boolean;
+export function createProvider(network: NetworkLike, options?: ProviderOptions): JsonRpcProvider;
+export function checkRpcEndpoints(network: NetworkLike, options?: ProviderOptions): Promise<RpcHealth[]>;
+export function createHealthyProvider(network: NetworkLike, options?: ProviderOptions): Promise<JsonRpcProvider>;
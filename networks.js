@@ -0,0 +1,261 @@
+/**
+ * Network Registry
+ * The networks deploy.js and the TypeScript SDK know about, plus providers
+ * that fail over between several RPC endpoints
+ */
+
+const { ethers } = require('ethers');
+
+// Built-in networks, keyed by a short name usable on the command line
+const NETWORKS = {
+  base: {
+    key: 'base',
+    name: 'Base Mainnet',
+    chainId: 8453,
+    rpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+    explorerUrl: 'https://basescan.org',
+    explorerApiUrl: 'https://api.etherscan.io/v2/api',
+    isBase: true,
+    testnet: false,
+    local: false
+  },
+  baseSepolia: {
+    key: 'baseSepolia',
+    name: 'Base Sepolia',
+    chainId: 84532,
+    rpcUrls: ['https://sepolia.base.org', 'https://base-sepolia-rpc.publicnode.com'],
+    explorerUrl: 'https://sepolia.basescan.org',
+    explorerApiUrl: 'https://api.etherscan.io/v2/api',
+    isBase: true,
+    testnet: true,
+    local: false
+  },
+  // Hardhat and Anvil both default to chain ID 31337
+  localhost: {
+    key: 'localhost',
+    name: 'Local (Hardhat/Anvil)',
+    chainId: 31337,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    isBase: false,
+    testnet: true,
+    local: true
+  },
+  ganache: {
+    key: 'ganache',
+    name: 'Local (1337)',
+    chainId: 1337,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    isBase: false,
+    testnet: true,
+    local: true
+  }
+};
+
+// Chains that were shut down; looking them up fails with a pointer to the replacement
+const RETIRED_NETWORKS = {
+  84531: 'Base Goerli was shut down, use Base Sepolia (84532) instead'
+};
+
+const DEFAULT_PROVIDER_OPTIONS = {
+  stallTimeoutMs: 5000,
+  healthCheckTimeoutMs: 5000
+};
+
+/**
+ * Add or replace a user-defined network, e.g. a devnet or a private RPC for mainnet
+ */
+function registerNetwork(config) {
+  if (!config || !config.key || !Number.isInteger(config.chainId) || !Array.isArray(config.rpcUrls) || config.rpcUrls.length === 0) {
+    throw new Error('A network needs a key, an integer chainId and at least one RPC URL');
+  }
+
+  NETWORKS[config.key] = {
+    name: config.key,
+    isBase: false,
+    testnet: false,
+    local: false,
+    ...config
+  };
+
+  return NETWORKS[config.key];
+}
+
+/**
+ * Look up a network by key, chain ID (number, bigint or string) or config object
+ */
+function getNetworkConfig(network) {
+  if (network && typeof network === 'object') {
+    return network;
+  }
+
+  if (typeof network === 'string' && NETWORKS[network]) {
+    return NETWORKS[network];
+  }
+
+  const chainId = Number(network);
+  if (RETIRED_NETWORKS[chainId]) {
+    throw new Error(RETIRED_NETWORKS[chainId]);
+  }
+
+  const config = Object.values(NETWORKS).find(n => n.chainId === chainId);
+  if (!config) {
+    throw new Error(`Unknown network: ${network}`);
+  }
+
+  return config;
+}
+
+/**
+ * Find a network by chain ID without throwing, for display and checks
+ */
+function findNetwork(chainId) {
+  return Object.values(NETWORKS).find(n => BigInt(n.chainId) === BigInt(chainId)) || null;
+}
+
+/**
+ * Human readable network name for a chain ID
+ */
+function getNetworkName(chainId) {
+  const config = findNetwork(chainId);
+  return config ? config.name : `Unknown (${chainId.toString()})`;
+}
+
+function isBaseChain(chainId) {
+  const config = findNetwork(chainId);
+  return Boolean(config && config.isBase);
+}
+
+function isLocalChain(chainId) {
+  const config = findNetwork(chainId);
+  return Boolean(config && config.local);
+}
+
+/**
+ * JSON-RPC provider over several endpoints. Each request goes to the endpoint that
+ * last worked; when it errors or does not answer within stallTimeoutMs, the next
+ * endpoint is tried. (ethers' FallbackProvider waits for every backend on startup,
+ * so a single stalled endpoint blocks it entirely.)
+ */
+class FailoverRpcProvider extends ethers.JsonRpcProvider {
+  constructor(rpcUrls, network, options = {}) {
+    const staticNetwork = ethers.Network.from(network);
+    super(rpcUrls[0], staticNetwork, { staticNetwork });
+
+    this.rpcUrls = rpcUrls;
+    this.stallTimeoutMs = options.stallTimeoutMs || DEFAULT_PROVIDER_OPTIONS.stallTimeoutMs;
+    this.activeIndex = 0;
+  }
+
+  getActiveUrl() {
+    return this.rpcUrls[this.activeIndex];
+  }
+
+  async _send(payload) {
+    let lastError;
+
+    for (let attempt = 0; attempt < this.rpcUrls.length; attempt++) {
+      const index = (this.activeIndex + attempt) % this.rpcUrls.length;
+      const request = new ethers.FetchRequest(this.rpcUrls[index]);
+      request.body = JSON.stringify(payload);
+      request.setHeader('content-type', 'application/json');
+      request.timeout = this.stallTimeoutMs;
+
+      try {
+        const response = await request.send();
+        response.assertOk();
+
+        this.activeIndex = index;
+        const result = response.bodyJson;
+        return Array.isArray(result) ? result : [result];
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+/**
+ * Provider for a network. With several RPC URLs, requests fail over to the
+ * next endpoint when one errors or stalls for stallTimeoutMs.
+ */
+function createProvider(network, options = {}) {
+  const config = getNetworkConfig(network);
+  const rpcUrls = options.rpcUrls || config.rpcUrls;
+
+  if (rpcUrls.length === 1) {
+    const staticNetwork = ethers.Network.from(config.chainId);
+    return new ethers.JsonRpcProvider(rpcUrls[0], staticNetwork, { staticNetwork });
+  }
+
+  return new FailoverRpcProvider(rpcUrls, config.chainId, options);
+}
+
+/**
+ * Probe each RPC URL: it must answer within the timeout and serve the expected chain
+ */
+async function checkRpcEndpoints(network, options = {}) {
+  const config = getNetworkConfig(network);
+  const rpcUrls = options.rpcUrls || config.rpcUrls;
+  const timeoutMs = options.healthCheckTimeoutMs || DEFAULT_PROVIDER_OPTIONS.healthCheckTimeoutMs;
+
+  return Promise.all(rpcUrls.map(async url => {
+    const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true });
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+      });
+      const [chainId, blockNumber] = await Promise.race([
+        Promise.all([provider.send('eth_chainId', []), provider.send('eth_blockNumber', [])]),
+        timeout
+      ]);
+
+      if (Number(chainId) !== config.chainId) {
+        return { url, healthy: false, error: `Serves chain ${Number(chainId)}, expected ${config.chainId}` };
+      }
+
+      return { url, healthy: true, blockNumber: Number(blockNumber), latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { url, healthy: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+      provider.destroy();
+    }
+  }));
+}
+
+/**
+ * Like createProvider, but drops unhealthy endpoints first and tries the fastest first
+ */
+async function createHealthyProvider(network, options = {}) {
+  const config = getNetworkConfig(network);
+  const results = await checkRpcEndpoints(config, options);
+  const healthy = results.filter(r => r.healthy).sort((a, b) => a.latencyMs - b.latencyMs);
+
+  if (healthy.length === 0) {
+    const details = results.map(r => `${r.url}: ${r.error}`).join('; ');
+    throw new Error(`No healthy RPC endpoint for ${config.name} (${details})`);
+  }
+
+  return createProvider(config, { ...options, rpcUrls: healthy.map(r => r.url) });
+}
+
+module.exports = {
+  NETWORKS,
+  RETIRED_NETWORKS,
+  DEFAULT_PROVIDER_OPTIONS,
+  registerNetwork,
+  getNetworkConfig,
+  findNetwork,
+  getNetworkName,
+  isBaseChain,
+  isLocalChain,
+  FailoverRpcProvider,
+  createProvider,
+  checkRpcEndpoints,
+  createHealthyProvider
+};
@@ -0,0 +1,147 @@
+/**
+ * Test Suite for the network registry and RPC failover
+ * Runs offline against local JSON-RPC stubs
+ */
+
+const { expect } = require('chai');
+const http = require('http');
+const {
+  NETWORKS,
+  registerNetwork,
+  getNetworkConfig,
+  getNetworkName,
+  isBaseChain,
+  isLocalChain,
+  createProvider,
+  checkRpcEndpoints,
+  createHealthyProvider
+} = require('./networks');
+
+const toHex = value => `0x${value.toString(16)}`;
+
+/**
+ * Start a JSON-RPC stub for one chain. A stalled stub accepts requests but never answers.
+ */
+async function startRpcStub({ chainId, blockNumber = 100, stalled = false }) {
+  const sockets = new Set();
+  let requestCount = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requestCount++;
+      if (stalled) {
+        return;
+      }
+
+      const payload = JSON.parse(body);
+      const answer = ({ id, method }) => ({
+        jsonrpc: '2.0',
+        id,
+        result: method === 'eth_chainId' ? toHex(chainId) : toHex(blockNumber)
+      });
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  server.on('connection', socket => sockets.add(socket));
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests: () => requestCount,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+describe('Network Registry', function () {
+  let stubs = [];
+
+  afterEach(async function () {
+    await Promise.all(stubs.map(stub => stub.close()));
+    stubs = [];
+  });
+
+  async function stub(options) {
+    const started = await startRpcStub(options);
+    stubs.push(started);
+    return started;
+  }
+
+  it('Should know Base mainnet, Base Sepolia and local chains', function () {
+    expect(getNetworkConfig(8453).name).to.equal('Base Mainnet');
+    expect(getNetworkConfig('baseSepolia').chainId).to.equal(84532);
+    expect(getNetworkName(84532n)).to.equal('Base Sepolia');
+    expect(getNetworkName(999)).to.equal('Unknown (999)');
+
+    expect(isBaseChain(8453n)).to.be.true;
+    expect(isBaseChain(84532)).to.be.true;
+    expect(isBaseChain(31337)).to.be.false;
+    expect(isLocalChain(31337n)).to.be.true;
+  });
+
+  it('Should reject the retired Base Goerli testnet', function () {
+    expect(() => getNetworkConfig(84531)).to.throw('Base Goerli was shut down, use Base Sepolia (84532) instead');
+  });
+
+  it('Should register user-defined networks', function () {
+    const devnet = registerNetwork({ key: 'devnet', chainId: 424242, rpcUrls: ['http://127.0.0.1:9545'] });
+
+    expect(getNetworkConfig(424242)).to.equal(devnet);
+    expect(getNetworkName(424242)).to.equal('devnet');
+    expect(() => registerNetwork({ key: 'broken', chainId: 1, rpcUrls: [] })).to.throw();
+
+    delete NETWORKS.devnet;
+  });
+
+  it('Should fail over when the first endpoint stalls', async function () {
+    const stalled = await stub({ chainId: 8453, stalled: true });
+    const healthy = await stub({ chainId: 8453, blockNumber: 1234 });
+
+    const provider = createProvider('base', { rpcUrls: [stalled.url, healthy.url], stallTimeoutMs: 100 });
+    const blockNumber = await provider.getBlockNumber();
+
+    expect(blockNumber).to.equal(1234);
+    expect(stalled.requests()).to.equal(1);
+    expect(provider.getActiveUrl()).to.equal(healthy.url);
+
+    // Later requests stay on the endpoint that answered
+    await provider.getBlockNumber();
+    expect(stalled.requests()).to.equal(1);
+    provider.destroy();
+  });
+
+  it('Should report stalled and wrong-chain endpoints as unhealthy', async function () {
+    const stalled = await stub({ chainId: 84532, stalled: true });
+    const wrongChain = await stub({ chainId: 84531 });
+    const healthy = await stub({ chainId: 84532, blockNumber: 77 });
+    const rpcUrls = [stalled.url, wrongChain.url, healthy.url];
+
+    const results = await checkRpcEndpoints('baseSepolia', { rpcUrls, healthCheckTimeoutMs: 200 });
+
+    expect(results.map(r => r.healthy)).to.deep.equal([false, false, true]);
+    expect(results[0].error).to.equal('No response within 200ms');
+    expect(results[1].error).to.equal('Serves chain 84531, expected 84532');
+    expect(results[2].blockNumber).to.equal(77);
+
+    const provider = await createHealthyProvider('baseSepolia', { rpcUrls, healthCheckTimeoutMs: 200 });
+    expect(await provider.getBlockNumber()).to.equal(77);
+    provider.destroy();
+  });
+
+  it('Should fail when no endpoint is healthy', async function () {
+    const stalled = await stub({ chainId: 8453, stalled: true });
+
+    const error = await createHealthyProvider('base', { rpcUrls: [stalled.url], healthCheckTimeoutMs: 100 })
+      .catch(e => e);
+
+    expect(error.message).to.match(/^No healthy RPC endpoint for Base Mainnet/);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Next.js Configuration
+ * The dashboard imports the shared SDK, which reaches the JSON file store; only
+ * MemoryStore is used in the browser, so the Node built-ins are stubbed there
+ */
+
+/** @type {import('next').NextConfig} */
+module.exports = {
+  reactStrictMode: true,
+  webpack(config, { isServer }) {
+    if (!isServer) {
+      config.resolve.fallback = { ...config.resolve.fallback, fs: false, path: false };
+    }
+    return config;
+  }
+};
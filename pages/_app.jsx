@@ -0,0 +1,27 @@
+/**
+ * Builder Dashboard
+ * Next.js pages on top of BaseRewardsManager. Against a local node:
+ *
+ *   npx hardhat node
+ *   npx hardhat run deploy.js --network localhost
+ *   npm run dev
+ */
+
+import Head from 'next/head';
+import { Layout } from '../components/Layout';
+import { RewardsProvider } from '../components/RewardsContext';
+import '../styles/dashboard.css';
+
+export default function DashboardApp({ Component, pageProps }) {
+  return (
+    <RewardsProvider>
+      <Head>
+        <title>Base Builder Rewards</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <Layout>
+        <Component {...pageProps} />
+      </Layout>
+    </RewardsProvider>
+  );
+}
@@ -0,0 +1,10 @@
+/**
+ * GET /api/builders/:address/breakdown
+ * How a builder's reward is made up, computed exactly as the contract does
+ */
+
+import { handleApiRequest } from '../../../../rewardsApi';
+
+export default function handler(req, res) {
+  return handleApiRequest(req, res, api => api.getBreakdown(req.query.address));
+}
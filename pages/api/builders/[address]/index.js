@@ -0,0 +1,10 @@
+/**
+ * GET /api/builders/:address
+ * Profile and current reward of one builder
+ */
+
+import { handleApiRequest } from '../../../../rewardsApi';
+
+export default function handler(req, res) {
+  return handleApiRequest(req, res, api => api.getBuilder(req.query.address));
+}
@@ -0,0 +1,14 @@
+/**
+ * Deployment API
+ * Tells the dashboard which network and contract to use (see resolveApiDeployment)
+ */
+
+import { resolveApiDeployment } from '../../rewardsApi';
+
+export default function handler(req, res) {
+  try {
+    res.status(200).json(resolveApiDeployment());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,10 @@
+/**
+ * GET /api/leaderboard?offset=&limit=&activeOnly=&minStreak=&minReward=
+ * A page of the ranking over every builder in contribution history
+ */
+
+import { handleApiRequest } from '../../rewardsApi';
+
+export default function handler(req, res) {
+  return handleApiRequest(req, res, api => api.getLeaderboard(req.query));
+}
@@ -0,0 +1,10 @@
+/**
+ * GET /api/stats
+ * Contract balance, rewards paid out, current week and builder counts
+ */
+
+import { handleApiRequest } from '../../rewardsApi';
+
+export default function handler(req, res) {
+  return handleApiRequest(req, res, api => api.getStats());
+}
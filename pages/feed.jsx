@@ -0,0 +1,92 @@
+/**
+ * Feed Page
+ * Contributions as they are recorded, starting from a short look-back
+ */
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+import { formatAddress } from '../baseRewardsUtils';
+import { useRewards } from '../components/RewardsContext';
+
+const LOOKBACK_BLOCKS = 100;
+const MAX_EVENTS = 50;
+
+export default function FeedPage() {
+  const { manager, provider, deployment } = useRewards();
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+  const [types, setTypes] = useState(null);
+
+  useEffect(() => {
+    manager.getContributionTypes().then(setTypes, () => setTypes(null));
+  }, [manager]);
+
+  useEffect(() => {
+    let stream = null;
+    let cancelled = false;
+
+    provider.getBlockNumber().then(latest => {
+      if (cancelled) {
+        return;
+      }
+      stream = manager.streamEvents({
+        events: ['ContributionRecorded'],
+        fromBlock: Math.max(deployment.deployBlock ?? 0, latest - LOOKBACK_BLOCKS),
+        onError: err => setError(err.shortMessage || err.message)
+      });
+      stream.subscribe(event => {
+        setError(null);
+        setEvents(previous => [event, ...previous].slice(0, MAX_EVENTS));
+      });
+    }, err => setError(err.shortMessage || err.message));
+
+    return () => {
+      cancelled = true;
+      stream?.close();
+    };
+  }, [manager, provider, deployment]);
+
+  return (
+    <section>
+      <h2>Live feed</h2>
+      {error && <p className="error">{error} (retrying)</p>}
+      {events.length === 0 ? (
+        <p className="muted">Waiting for contributions…</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th className="number">Block</th>
+              <th>Builder</th>
+              <th>Type</th>
+              <th className="number">Value</th>
+              <th>Transaction</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map(event => (
+              <tr key={`${event.transactionHash}:${event.logIndex}`}>
+                <td className="number">{event.blockNumber}</td>
+                <td>
+                  <Link href={{ pathname: '/', query: { address: event.args.user } }} title={event.args.user}>
+                    {formatAddress(event.args.user)}
+                  </Link>
+                </td>
+                <td>{types?.find(Number(event.args.contributionType))?.name ?? `Type ${event.args.contributionType}`}</td>
+                <td className="number">{event.args.value.toString()}</td>
+                <td><TransactionLink hash={event.transactionHash} explorerUrl={deployment.explorerUrl} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
+
+function TransactionLink({ hash, explorerUrl }) {
+  const short = `${hash.slice(0, 10)}…`;
+  return explorerUrl
+    ? <a href={`${explorerUrl}/tx/${hash}`} target="_blank" rel="noreferrer" title={hash}>{short}</a>
+    : <span title={hash}>{short}</span>;
+}
@@ -0,0 +1,138 @@
+/**
+ * Builder Page
+ * Profile, reward breakdown and streak status for the connected account or ?address=
+ */
+
+import { useRouter } from 'next/router';
+import { useCallback, useState } from 'react';
+import { ethers } from 'ethers';
+import { AsyncContent } from '../components/Layout';
+import { useRewards } from '../components/RewardsContext';
+import { useAsync } from '../components/useAsync';
+import { formatUtcDay, getUtcDay } from '../streakCalendar';
+
+const CALENDAR_DAYS = 28;
+
+export default function BuilderPage() {
+  const router = useRouter();
+  const { account } = useRewards();
+  const [lookup, setLookup] = useState('');
+  const address = typeof router.query.address === 'string' ? router.query.address : account;
+
+  const search = event => {
+    event.preventDefault();
+    if (ethers.isAddress(lookup)) {
+      router.push({ pathname: '/', query: { address: ethers.getAddress(lookup) } });
+    }
+  };
+
+  return (
+    <>
+      <form className="toolbar" onSubmit={search}>
+        <input placeholder="0x… builder address" value={lookup} onChange={e => setLookup(e.target.value.trim())} size={44} />
+        <button type="submit" disabled={!ethers.isAddress(lookup)}>Look up</button>
+      </form>
+
+      {address && ethers.isAddress(address)
+        ? <BuilderDetails address={ethers.getAddress(address)} />
+        : <p className="muted">Connect a wallet or look up an address to see a builder's rewards.</p>}
+    </>
+  );
+}
+
+function BuilderDetails({ address }) {
+  const { manager, provider } = useRewards();
+
+  const state = useAsync(useCallback(async () => {
+    // Streak days follow chain time, which can run ahead of the clock on a local node
+    const now = (await provider.getBlock('latest')).timestamp;
+    const [profile, breakdown, forecast, calendar] = await Promise.all([
+      manager.getUserProfile(address),
+      manager.getRewardBreakdown(address),
+      manager.getStreakForecast(address, now),
+      manager.getStreakCalendar(address, { days: CALENDAR_DAYS, now })
+    ]);
+
+    return { now, profile, breakdown, forecast, calendar };
+  }, [manager, provider, address]));
+
+  return (
+    <AsyncContent state={state}>
+      {({ now, profile, breakdown, forecast, calendar }) => (
+        <>
+          <section>
+            <h2>Profile <span className="muted">{address}</span></h2>
+            <table>
+              <tbody>
+                <Row label="Total contributions" value={profile.totalContributions} />
+                <Row label="GitHub score" value={profile.githubScore} />
+                <Row label="Contract deployments" value={profile.contractDeployments} />
+                <Row label="Streak" value={`${profile.streakDays} days`} />
+                <Row
+                  label="Last contribution"
+                  value={profile.lastUpdateTime === BigInt(0) ? 'never' : new Date(Number(profile.lastUpdateTime) * 1000).toISOString()}
+                />
+                <Row label="Active" value={profile.isActive ? 'yes' : 'no'} />
+              </tbody>
+            </table>
+          </section>
+
+          <section>
+            <h2>Reward breakdown</h2>
+            {!breakdown.eligible && <p className="muted">Not eligible yet: below the minimum contribution threshold.</p>}
+            <table>
+              <tbody>
+                <Row label="Base reward" value={breakdown.baseReward} />
+                <Row label={`Streak bonus (${formatMultiplier(breakdown.streakMultiplier)})`} value={breakdown.streakBonus} />
+                <Row label={`Diversity bonus (${formatMultiplier(breakdown.diversityMultiplier)})`} value={breakdown.diversityBonus} />
+                <Row label="Gas optimization bonus" value={breakdown.gasOptimizationBonus} />
+                <Row label={<strong>Total reward</strong>} value={<strong>{breakdown.totalReward.toString()}</strong>} />
+              </tbody>
+            </table>
+          </section>
+
+          <section>
+            <h2>Streak</h2>
+            <p>{forecast.message}</p>
+            <StreakCalendar days={calendar.days} today={getUtcDay(now)} />
+            {calendar.lastBreak && (
+              <p className="muted">
+                Last broke on {calendar.lastBreak.date}, losing a {calendar.lastBreak.streakLost}-day streak.
+              </p>
+            )}
+          </section>
+        </>
+      )}
+    </AsyncContent>
+  );
+}
+
+function StreakCalendar({ days, today }) {
+  const active = new Set(days.map(day => day.day));
+  const cells = Array.from({ length: CALENDAR_DAYS }, (_, i) => today - CALENDAR_DAYS + 1 + i);
+
+  return (
+    <div className="calendar" aria-label={`Contributions over the last ${CALENDAR_DAYS} days`}>
+      {cells.map(day => (
+        <span
+          key={day}
+          className={active.has(day) ? 'active' : undefined}
+          title={`${formatUtcDay(day)}${active.has(day) ? '' : ' (no contribution)'}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+function Row({ label, value }) {
+  return (
+    <tr>
+      <th>{label}</th>
+      <td className="number">{typeof value === 'bigint' ? value.toString() : value}</td>
+    </tr>
+  );
+}
+
+function formatMultiplier(multiplier) {
+  return `${Number(multiplier) / 100}x`;
+}
@@ -0,0 +1,111 @@
+/**
+ * Leaderboard Page
+ * Builders found in contribution history since the deployment block, ranked by reward
+ */
+
+import Link from 'next/link';
+import { useCallback, useMemo, useState } from 'react';
+import { formatAddress } from '../baseRewardsUtils';
+import { MemoryStore } from '../jsonFileStore';
+import { AsyncContent } from '../components/Layout';
+import { useRewards } from '../components/RewardsContext';
+import { useAsync } from '../components/useAsync';
+
+const PAGE_SIZE = 25;
+
+export default function LeaderboardPage() {
+  const { manager, deployment } = useRewards();
+  const [page, setPage] = useState(0);
+  const [activeOnly, setActiveOnly] = useState(false);
+  const [minStreak, setMinStreak] = useState(0);
+
+  // Snapshots live in memory for the session, so rank changes show between refreshes in later weeks
+  const store = useMemo(() => new MemoryStore(), []);
+
+  const leaderboard = useAsync(useCallback(async () => {
+    const indexer = await manager.createEventIndexer(new MemoryStore(), { startBlock: deployment.deployBlock });
+    await indexer.sync();
+
+    const board = manager.createLeaderboard(indexer, { store });
+    await board.refresh();
+    return board;
+  }, [manager, deployment, store]));
+
+  const entries = useAsync(useCallback(
+    async () => leaderboard.data && leaderboard.data.getPage({ offset: page * PAGE_SIZE, limit: PAGE_SIZE, activeOnly, minStreak }),
+    [leaderboard.data, page, activeOnly, minStreak]
+  ));
+
+  const filter = update => {
+    update();
+    setPage(0);
+  };
+
+  return (
+    <section>
+      <h2>Leaderboard</h2>
+      <div className="toolbar">
+        <label>
+          <input type="checkbox" checked={activeOnly} onChange={e => filter(() => setActiveOnly(e.target.checked))} /> Active only
+        </label>
+        <label>
+          Min streak{' '}
+          <input type="number" min={0} value={minStreak} onChange={e => filter(() => setMinStreak(Number(e.target.value) || 0))} />
+        </label>
+        <button onClick={leaderboard.reload} disabled={leaderboard.loading}>Refresh</button>
+      </div>
+
+      <AsyncContent state={leaderboard.error || !leaderboard.data ? leaderboard : entries}>
+        {result => result && (
+          <>
+            <p className="muted">Week {result.week}, block {result.blockNumber}: {result.total} builders</p>
+            <table>
+              <thead>
+                <tr>
+                  <th className="number">Rank</th>
+                  <th>Change</th>
+                  <th>Builder</th>
+                  <th className="number">Reward</th>
+                  <th className="number">Contributions</th>
+                  <th className="number">Streak</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.entries.map(entry => (
+                  <tr key={entry.address}>
+                    <td className="number">{entry.rank}</td>
+                    <td><RankChange change={entry.rankChange} /></td>
+                    <td>
+                      <Link href={{ pathname: '/', query: { address: entry.address } }} title={entry.address}>
+                        {formatAddress(entry.address)}
+                      </Link>
+                    </td>
+                    <td className="number">{entry.reward.toString()}</td>
+                    <td className="number">{entry.totalContributions.toString()}</td>
+                    <td className="number">{entry.streakDays.toString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="toolbar">
+              <button onClick={() => setPage(p => p - 1)} disabled={page === 0}>Previous</button>
+              <span className="muted">Page {page + 1} of {Math.max(1, Math.ceil(result.total / PAGE_SIZE))}</span>
+              <button onClick={() => setPage(p => p + 1)} disabled={(page + 1) * PAGE_SIZE >= result.total}>Next</button>
+            </div>
+          </>
+        )}
+      </AsyncContent>
+    </section>
+  );
+}
+
+function RankChange({ change }) {
+  if (change === null) {
+    return <span className="muted">–</span>;
+  }
+  if (change === 0) {
+    return <span className="muted">=</span>;
+  }
+  return <span className={change > 0 ? 'up' : 'down'}>{change > 0 ? `▲${change}` : `▼${-change}`}</span>;
+}
@@ -0,0 +1,161 @@
+/**
+ * Record Page
+ * Record a single contribution, or a CSV batch split into gas-sized transactions
+ */
+
+import { useCallback, useState } from 'react';
+import { AsyncContent } from '../components/Layout';
+import { useRewards } from '../components/RewardsContext';
+import { useAsync } from '../components/useAsync';
+
+export default function RecordPage() {
+  const { manager, signerManager } = useRewards();
+  const types = useAsync(useCallback(() => manager.getContributionTypes(), [manager]));
+
+  if (!signerManager) {
+    return <p className="muted">Connect a wallet to record contributions.</p>;
+  }
+
+  return (
+    <AsyncContent state={types}>
+      {registry => (
+        <>
+          <SingleContributionForm manager={signerManager} types={registry.list().filter(type => type.active)} />
+          <BatchContributionForm manager={signerManager} types={registry.list().filter(type => type.active)} />
+        </>
+      )}
+    </AsyncContent>
+  );
+}
+
+function SingleContributionForm({ manager, types }) {
+  const [type, setType] = useState(types[0]?.id ?? 0);
+  const [value, setValue] = useState('');
+  const [description, setDescription] = useState('');
+  const { status, run } = useSubmission();
+
+  const submit = event => {
+    event.preventDefault();
+    run(async () => {
+      const receipt = await manager.recordContribution(type, parseValue(value, 'Value'), description || undefined);
+      setValue('');
+      setDescription('');
+      return `Recorded in block ${receipt.blockNumber} (${receipt.transactionHash})`;
+    });
+  };
+
+  return (
+    <section>
+      <h2>Record a contribution</h2>
+      <form onSubmit={submit}>
+        <select value={type} onChange={e => setType(Number(e.target.value))}>
+          {types.map(t => <option key={t.id} value={t.id}>{t.name} ({Number(t.weight) / 100}x)</option>)}
+        </select>
+        <input placeholder="Value" inputMode="numeric" value={value} onChange={e => setValue(e.target.value.trim())} />
+        <input placeholder="Description (optional)" value={description} onChange={e => setDescription(e.target.value)} />
+        <button type="submit" disabled={status.pending || !value}>Record</button>
+      </form>
+      <Status status={status} />
+    </section>
+  );
+}
+
+function BatchContributionForm({ manager, types }) {
+  const [csv, setCsv] = useState('');
+  const { status, run } = useSubmission();
+
+  const submit = event => {
+    event.preventDefault();
+    run(async () => {
+      const result = await manager.recordContributionsInBatches(parseContributionsCsv(csv));
+      const confirmed = result.chunks.filter(chunk => chunk.status === 'confirmed');
+      const recorded = confirmed.reduce((sum, chunk) => sum + chunk.end - chunk.start, 0);
+
+      if (!result.completed) {
+        const failed = result.chunks.find(chunk => chunk.status !== 'confirmed');
+        throw new Error(`Recorded ${recorded} of ${result.totalItems}; batch ${failed.index + 1} ${failed.status}: ${failed.error?.message ?? ''}`);
+      }
+      return `Recorded ${recorded} contributions in ${confirmed.length} transaction(s)`;
+    });
+  };
+
+  return (
+    <section>
+      <h2>Record a batch</h2>
+      <form onSubmit={submit}>
+        <textarea
+          rows={6}
+          placeholder={'type,value,description\n0,400,PR #12\n1,1,Deployed vault'}
+          value={csv}
+          onChange={e => setCsv(e.target.value)}
+        />
+        <button type="submit" disabled={status.pending || !csv.trim()}>Record batch</button>
+      </form>
+      <p className="muted">Types by id or key: {types.map(t => `${t.id} ${t.key}`).join(', ')}</p>
+      <Status status={status} />
+    </section>
+  );
+}
+
+function useSubmission() {
+  const [status, setStatus] = useState({ pending: false, message: null, error: null });
+
+  const run = async action => {
+    setStatus({ pending: true, message: null, error: null });
+    try {
+      setStatus({ pending: false, message: await action(), error: null });
+    } catch (error) {
+      setStatus({ pending: false, message: null, error: error.shortMessage || error.message });
+    }
+  };
+
+  return { status, run };
+}
+
+function Status({ status }) {
+  if (status.pending) {
+    return <p className="muted">Waiting for confirmation…</p>;
+  }
+  if (status.error) {
+    return <p className="error">{status.error}</p>;
+  }
+  return status.message ? <p>{status.message}</p> : null;
+}
+
+function parseValue(text, label) {
+  if (!/^\d+$/.test(text) || BigInt(text) === BigInt(0)) {
+    throw new Error(`${label} must be a positive integer, got "${text}"`);
+  }
+  return BigInt(text);
+}
+
+/**
+ * Parse type,value[,description] rows; a header row is skipped. Types may be ids
+ * or names and are checked against the registry before anything is sent.
+ */
+function parseContributionsCsv(text) {
+  const contributions = [];
+
+  text.split('\n').map(line => line.trim()).forEach((line, i) => {
+    if (!line || (i === 0 && /^type\s*,/i.test(line))) {
+      return;
+    }
+
+    const [type, value, ...description] = line.split(',').map(field => field.trim());
+    if (!type) {
+      throw new Error(`Line ${i + 1}: missing type`);
+    }
+
+    contributions.push({
+      type: /^\d+$/.test(type) ? Number(type) : type,
+      value: parseValue(value ?? '', `Line ${i + 1}: value`),
+      timestamp: Date.now(),
+      description: description.join(',') || undefined
+    });
+  });
+
+  if (contributions.length === 0) {
+    throw new Error('No contributions to record');
+  }
+  return contributions;
+}
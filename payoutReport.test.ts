@@ -0,0 +1,96 @@
+/**
+ * Test Suite for payout reports
+ * Covers block pinning, byte-identical regeneration, content hashes and epoch end blocks
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { connectBaseRewardsOptimizer } from './baseRewardsContract';
+import {
+  findEpochEndBlock,
+  formatPayoutCsv,
+  formatPayoutJson,
+  generatePayoutReport,
+  verifyPayoutReport
+} from './payoutReport';
+import { WEEK_SECONDS } from './rewardDistribution';
+import { advanceToNextEpoch, currentEpoch, deployRewardsFixture } from './testHarness';
+
+describe('Payout Reports', function () {
+  // Rewards: user3 3750, user1 1875, user2 below the threshold
+  async function contributedFixture() {
+    const fixture = await deployRewardsFixture();
+    await fixture.rewardsOptimizer.connect(fixture.user1).recordContribution(0, 1500);
+    await fixture.rewardsOptimizer.connect(fixture.user2).recordContribution(1, 2);
+    await fixture.rewardsOptimizer.connect(fixture.user3).recordContribution(0, 3000);
+    return fixture;
+  }
+
+  it('Should pin every read to the block and regenerate byte-identical output', async function () {
+    const { rewardsOptimizer, address, deployBlock, user1, user2, user3 } = await loadFixture(contributedFixture);
+    const contract = connectBaseRewardsOptimizer(address, ethers.provider);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const report = await generatePayoutReport(contract, { fromBlock: deployBlock, blockNumber });
+    expect(report).to.include({ epoch: null, blockNumber, contract: address, chainId: '31337' });
+    expect(report.totals).to.deep.equal({ builders: 3, eligible: 2, totalReward: '5625.0' });
+    expect(report.entries.map(entry => entry.address)).to.deep.equal([user3.address, user1.address, user2.address]);
+    expect(report.entries[1]).to.deep.include({
+      eligible: true,
+      baseReward: '1500.0',
+      streakMultiplier: '1x',
+      streakBonus: '0.0',
+      diversityMultiplier: '1.25x',
+      diversityBonus: '375.0',
+      gasOptimizationBonus: '0.0',
+      totalReward: '1875.0'
+    });
+
+    // Later contributions and a parameter change do not reach a report pinned before them
+    await rewardsOptimizer.connect(user1).recordContribution(0, 5000);
+    await rewardsOptimizer.updateRewardParameters(200, 10, 50, 50, 1000);
+    const again = await generatePayoutReport(contract, { fromBlock: deployBlock, blockNumber });
+
+    expect(formatPayoutJson(again)).to.equal(formatPayoutJson(report));
+    expect(formatPayoutCsv(again)).to.equal(formatPayoutCsv(report));
+    expect(verifyPayoutReport(JSON.parse(formatPayoutJson(report)))).to.equal(true);
+    expect(verifyPayoutReport({ ...report, totals: { ...report.totals, totalReward: '9999.0' } })).to.equal(false);
+
+    const latest = await generatePayoutReport(contract, { fromBlock: deployBlock, blockNumber: blockNumber + 2 });
+    expect(latest.parameters.baseMultiplier).to.equal('200');
+    expect(latest.contentHash).to.not.equal(report.contentHash);
+
+    const lines = formatPayoutCsv(report).trimEnd().split('\n');
+    expect(lines).to.have.length(4);
+    expect(lines[0]).to.match(/^address,eligible,totalContributions,.*,totalReward$/);
+    expect(lines[2]).to.equal(`${user1.address},true,1500,1,1,0,1500.0,1x,0.0,1.25x,375.0,0.0,1875.0`);
+  });
+
+  it('Should report at the last block of a finished epoch', async function () {
+    const { rewardsOptimizer, address, deployBlock, user1 } = await loadFixture(contributedFixture);
+    const contract = connectBaseRewardsOptimizer(address, ethers.provider);
+    const epoch = await currentEpoch();
+
+    const unfinished = await generatePayoutReport(contract, { fromBlock: deployBlock, epoch }).catch(error => error);
+    expect(unfinished.message).to.equal(`Epoch ${epoch} has not finished`);
+
+    await advanceToNextEpoch();
+    await rewardsOptimizer.connect(user1).recordContribution(0, 100);
+
+    const endBlock = await findEpochEndBlock(ethers.provider, epoch);
+    expect((await ethers.provider.getBlock(endBlock))!.timestamp).to.be.below((epoch + 1) * WEEK_SECONDS);
+    expect((await ethers.provider.getBlock(endBlock + 1))!.timestamp).to.equal((epoch + 1) * WEEK_SECONDS);
+
+    const report = await generatePayoutReport(contract, { fromBlock: deployBlock, epoch });
+    expect(report).to.include({ epoch, blockNumber: endBlock });
+    expect(report.entries.find(entry => entry.address === user1.address)?.totalReward).to.equal('1875.0');
+
+    // Without an epoch or block, the last finished epoch is reported
+    expect(await generatePayoutReport(contract, { fromBlock: deployBlock })).to.deep.equal(report);
+
+    const both = await generatePayoutReport(contract, { fromBlock: deployBlock, epoch, blockNumber: endBlock })
+      .catch(error => error);
+    expect(both.message).to.equal('Pass an epoch or a block number, not both');
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Payout Reports
+ * Who earned what and why, read from the contract at one pinned block. Every profile
+ * and rewardParams read is a historical eth_call at that block, so generating the same
+ * report again later comes out byte-identical and its content hash can be audited.
+ */
+
+import { ethers } from 'ethers';
+import type { BaseRewardsOptimizerContract } from './baseRewardsContract';
+import { calculateReward } from './rewardEngine';
+import { DEFAULT_REWARD_UNIT, WEEK_SECONDS, findBuilders, getEpoch } from './rewardDistribution';
+import { formatReward } from './baseRewardsUtils';
+import type { RewardCalculation, RewardParameters, UserProfile } from './baseRewardsUtils';
+
+// Types and Interfaces
+export interface PayoutReportOptions {
+  fromBlock: number; // where to start looking for builders, usually the deployment block
+  epoch?: number; // report at the last block of this finished week
+  blockNumber?: number; // or at this block; without either, the last finished epoch
+  rewardUnit?: bigint; // token amount paid per reward point, as in the epoch distribution
+  chunkSize?: number;
+}
+
+// Amounts are formatted with formatReward, multipliers as "1.5x"
+export interface PayoutReportEntry {
+  address: string;
+  eligible: boolean;
+  totalContributions: string;
+  streakDays: string;
+  diversityTypes: string;
+  contractDeployments: string;
+  baseReward: string;
+  streakMultiplier: string;
+  streakBonus: string;
+  diversityMultiplier: string;
+  diversityBonus: string;
+  gasOptimizationBonus: string;
+  totalReward: string;
+}
+
+// Only chain state goes in, never the time the report was generated
+export interface PayoutReport {
+  chainId: string;
+  contract: string;
+  epoch: number | null; // null for a report pinned to an explicit block
+  blockNumber: number;
+  blockHash: string;
+  blockTimestamp: number;
+  fromBlock: number;
+  rewardUnit: string;
+  parameters: Record<keyof RewardParameters, string>;
+  totals: {
+    builders: number;
+    eligible: number;
+    totalReward: string;
+  };
+  entries: PayoutReportEntry[]; // highest total reward first, then by address
+  contentHash: string; // keccak256 of the report's canonical JSON without this field
+}
+
+export const PAYOUT_CSV_COLUMNS: (keyof PayoutReportEntry)[] = [
+  'address',
+  'eligible',
+  'totalContributions',
+  'streakDays',
+  'diversityTypes',
+  'contractDeployments',
+  'baseReward',
+  'streakMultiplier',
+  'streakBonus',
+  'diversityMultiplier',
+  'diversityBonus',
+  'gasOptimizationBonus',
+  'totalReward'
+];
+
+// Historical reads are sent this many at a time
+const READS_PER_BATCH = 50;
+
+// getTopContributors calls are kept well below RPC gas caps
+const USERS_PER_CALL = 200;
+
+/**
+ * Generate the report for an epoch or block. Each breakdown is recomputed with the
+ * reward engine and checked against calculateOptimizedReward at the same block.
+ */
+export async function generatePayoutReport(
+  contract: BaseRewardsOptimizerContract,
+  options: PayoutReportOptions
+): Promise<PayoutReport> {
+  const provider = contract.runner?.provider;
+  if (!provider) {
+    throw new Error('Contract must be connected to a provider');
+  }
+  if (options.epoch !== undefined && options.blockNumber !== undefined) {
+    throw new Error('Pass an epoch or a block number, not both');
+  }
+
+  let epoch: number | null = options.epoch ?? null;
+  let blockNumber = options.blockNumber;
+
+  if (blockNumber === undefined) {
+    if (epoch === null) {
+      const latest = await provider.getBlock('latest');
+      epoch = getEpoch(latest!.timestamp) - 1;
+    }
+    blockNumber = await findEpochEndBlock(provider, epoch);
+  }
+
+  const block = await provider.getBlock(blockNumber);
+  if (!block) {
+    throw new Error(`Block ${blockNumber} not found`);
+  }
+  if (blockNumber < options.fromBlock) {
+    throw new Error(`Block ${blockNumber} is before fromBlock ${options.fromBlock}`);
+  }
+
+  const rewardUnit = options.rewardUnit ?? DEFAULT_REWARD_UNIT;
+  const [{ chainId }, address, params] = await Promise.all([
+    provider.getNetwork(),
+    contract.getAddress(),
+    readParameters(contract, blockNumber)
+  ]);
+
+  const builders = await findBuilders(contract, options.fromBlock, blockNumber, options.chunkSize ?? 2000);
+  const rows = await readBreakdowns(contract, [...builders].sort(), params, blockNumber);
+  rows.sort(compareRows);
+
+  const format = (points: bigint) => formatReward(points * rewardUnit);
+  const report: Omit<PayoutReport, 'contentHash'> = {
+    chainId: chainId.toString(),
+    contract: address,
+    epoch,
+    blockNumber,
+    blockHash: block.hash!,
+    blockTimestamp: block.timestamp,
+    fromBlock: options.fromBlock,
+    rewardUnit: rewardUnit.toString(),
+    parameters: {
+      baseMultiplier: params.baseMultiplier.toString(),
+      streakBonus: params.streakBonus.toString(),
+      diversityBonus: params.diversityBonus.toString(),
+      gasOptimizationReward: params.gasOptimizationReward.toString(),
+      minimumThreshold: params.minimumThreshold.toString()
+    },
+    totals: {
+      builders: rows.length,
+      eligible: rows.filter(row => row.reward.eligible).length,
+      totalReward: format(rows.reduce((sum, row) => sum + row.reward.totalReward, BigInt(0)))
+    },
+    entries: rows.map(({ address, profile, reward }) => ({
+      address,
+      eligible: reward.eligible,
+      totalContributions: profile.totalContributions.toString(),
+      streakDays: profile.streakDays.toString(),
+      diversityTypes: profile.diversityTypes.toString(),
+      contractDeployments: profile.contractDeployments.toString(),
+      baseReward: format(reward.baseReward),
+      streakMultiplier: formatMultiplier(reward.streakMultiplier),
+      streakBonus: format(reward.streakBonus),
+      diversityMultiplier: formatMultiplier(reward.diversityMultiplier),
+      diversityBonus: format(reward.diversityBonus),
+      gasOptimizationBonus: format(reward.gasOptimizationBonus),
+      totalReward: format(reward.totalReward)
+    }))
+  };
+
+  return { ...report, contentHash: hashPayoutReport(report) };
+}
+
+/**
+ * Last block of a finished epoch, found by binary search over block timestamps
+ */
+export async function findEpochEndBlock(provider: ethers.Provider, epoch: number): Promise<number> {
+  const end = (epoch + 1) * WEEK_SECONDS;
+  const latest = await provider.getBlock('latest');
+
+  if (!latest || latest.timestamp < end) {
+    throw new Error(`Epoch ${epoch} has not finished`);
+  }
+
+  // The first block at or after the end of the epoch
+  let low = 0;
+  let high = latest.number;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await provider.getBlock(middle))!.timestamp >= end) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  if (high === 0) {
+    throw new Error(`Epoch ${epoch} ended before the first block`);
+  }
+  return high - 1;
+}
+
+/**
+ * keccak256 of the canonical JSON (sorted keys, no whitespace) of everything but contentHash
+ */
+export function hashPayoutReport(report: Omit<PayoutReport, 'contentHash'>): string {
+  return ethers.keccak256(ethers.toUtf8Bytes(toCanonicalJson({ ...report, contentHash: undefined })));
+}
+
+/**
+ * Whether a saved report still matches its content hash
+ */
+export function verifyPayoutReport(report: PayoutReport): boolean {
+  return hashPayoutReport(report) === report.contentHash;
+}
+
+export function formatPayoutJson(report: PayoutReport): string {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * One row per builder in report order, with a header row
+ */
+export function formatPayoutCsv(report: PayoutReport): string {
+  const lines = [
+    PAYOUT_CSV_COLUMNS.join(','),
+    ...report.entries.map(entry => PAYOUT_CSV_COLUMNS.map(column => String(entry[column])).join(','))
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+// Private helper functions
+
+interface BreakdownRow {
+  address: string;
+  profile: UserProfile;
+  reward: RewardCalculation;
+}
+
+async function readParameters(contract: BaseRewardsOptimizerContract, blockTag: number): Promise<RewardParameters> {
+  const params = await contract.rewardParams({ blockTag });
+
+  return {
+    baseMultiplier: params.baseMultiplier,
+    streakBonus: params.streakBonus,
+    diversityBonus: params.diversityBonus,
+    gasOptimizationReward: params.gasOptimizationReward,
+    minimumThreshold: params.minimumThreshold
+  };
+}
+
+async function readBreakdowns(
+  contract: BaseRewardsOptimizerContract,
+  addresses: string[],
+  params: RewardParameters,
+  blockTag: number
+): Promise<BreakdownRow[]> {
+  const rows: BreakdownRow[] = [];
+
+  for (let i = 0; i < addresses.length; i += READS_PER_BATCH) {
+    const batch = addresses.slice(i, i + READS_PER_BATCH);
+    const profiles = await Promise.all(batch.map(address => contract.getUserProfile(address, { blockTag })));
+
+    batch.forEach((address, j) => {
+      const profile: UserProfile = {
+        totalContributions: profiles[j].totalContributions,
+        githubScore: profiles[j].githubScore,
+        contractDeployments: profiles[j].contractDeployments,
+        lastUpdateTime: profiles[j].lastUpdateTime,
+        streakDays: profiles[j].streakDays,
+        isActive: profiles[j].isActive,
+        diversityTypes: profiles[j].diversityTypes
+      };
+      rows.push({ address, profile, reward: calculateReward(profile, params) });
+    });
+  }
+
+  // A breakdown that disagrees with the contract must not reach a payout
+  for (let i = 0; i < rows.length; i += USERS_PER_CALL) {
+    const batch = rows.slice(i, i + USERS_PER_CALL);
+    const { scores } = await contract.getTopContributors(batch.map(row => row.address), { blockTag });
+
+    batch.forEach((row, j) => {
+      if (scores[j] !== row.reward.totalReward) {
+        throw new Error(
+          `Reward for ${row.address} at block ${blockTag} is ${scores[j]} on-chain but ${row.reward.totalReward} in the breakdown`
+        );
+      }
+    });
+  }
+
+  return rows;
+}
+
+function compareRows(a: BreakdownRow, b: BreakdownRow): number {
+  if (a.reward.totalReward !== b.reward.totalReward) {
+    return a.reward.totalReward > b.reward.totalReward ? -1 : 1;
+  }
+  return a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1;
+}
+
+function formatMultiplier(multiplier: bigint): string {
+  return `${Number(multiplier) / 100}x`;
+}
+
+function toCanonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(toCanonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    // Undefined members are left out, as JSON.stringify does
+    const object = value as Record<string, unknown>;
+    const keys = Object.keys(object).filter(key => object[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${toCanonicalJson(object[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
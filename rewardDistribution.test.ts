@@ -0,0 +1,184 @@
+/**
+ * Test Suite for epoch Merkle distributions
+ * Covers tree proofs, the weekly job, claiming and the contract's distribution guards
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { AlreadyClaimedError, InvalidProofError, NotAuthorizedError, decodeRewardsError } from './rewardsErrors';
+import { BaseRewardsManager } from './baseRewardsUtils';
+import { BaseRewardsAdmin } from './rewardsAdmin';
+import { MemoryStore } from './jsonFileStore';
+import {
+  EpochDistribution,
+  RewardMerkleTree,
+  WEEK_SECONDS,
+  computeEpochDistribution,
+  getEpoch
+} from './rewardDistribution';
+import { connectBaseRewardsOptimizer } from './baseRewardsContract';
+import { REWARD_POOL, deployFundedRewardsFixture } from './testHarness';
+
+const TOKEN = 10n ** 18n;
+
+describe('Reward Distribution', function () {
+  async function deployFundedFixture() {
+    const fixture = await deployFundedRewardsFixture();
+    const { rewardsOptimizer, user1, user2, user3 } = fixture;
+
+    // Rewards: user1 1875, user2 3750, user3 below the threshold
+    await rewardsOptimizer.connect(user1).recordContribution(0, 1500);
+    await rewardsOptimizer.connect(user2).recordContribution(0, 3000);
+    await rewardsOptimizer.connect(user3).recordContribution(2, 50);
+
+    return fixture;
+  }
+
+  // Managers hold a nonce, so they are created per test rather than in the fixture
+  function managerFor(address: string, signer: any) {
+    return new BaseRewardsManager(address, ethers.provider, signer);
+  }
+
+  describe('RewardMerkleTree', function () {
+    it('Should prove every claim for trees of any size', function () {
+      for (const size of [1, 2, 3, 5, 8]) {
+        const claims = Array.from({ length: size }, (_, i) => ({
+          account: ethers.Wallet.createRandom().address,
+          amount: BigInt(i + 1) * TOKEN
+        }));
+        const tree = new RewardMerkleTree(claims);
+
+        for (const { account, amount } of claims) {
+          const proof = tree.getProof(account, amount);
+          expect(RewardMerkleTree.verify(tree.root, account, amount, proof)).to.equal(true);
+          expect(RewardMerkleTree.verify(tree.root, account, amount + 1n, proof)).to.equal(false);
+        }
+      }
+    });
+  });
+
+  describe('Weekly job and claims', function () {
+    it('Should publish an epoch that builders can claim once', async function () {
+      const { rewardsOptimizer, token, address, deployBlock, owner, user1, user3 } =
+        await loadFixture(deployFundedFixture);
+      await time.increase(WEEK_SECONDS);
+
+      const store = new MemoryStore<EpochDistribution[]>();
+      const admin = new BaseRewardsAdmin(address, ethers.provider, owner);
+      const distribution = await admin.distributeEpoch(store, { fromBlock: deployBlock });
+
+      expect(distribution.epoch).to.equal(getEpoch(await time.latest()) - 1);
+      expect(Object.keys(distribution.claims)).to.have.length(2);
+      expect(distribution.claims[user1.address].amount).to.equal((1875n * TOKEN).toString());
+      expect(await rewardsOptimizer.epochRoots(distribution.epoch)).to.equal(distribution.merkleRoot);
+      expect(await rewardsOptimizer.currentWeek()).to.equal(BigInt(distribution.epoch + 1));
+
+      const before = await token.balanceOf(user1.address);
+      const receipt = await managerFor(address, user1).claimReward(distribution);
+
+      expect(receipt.amount).to.equal(1875n * TOKEN);
+      expect(await token.balanceOf(user1.address)).to.equal(before + 1875n * TOKEN);
+      expect(await rewardsOptimizer.totalRewardsDistributed()).to.equal(1875n * TOKEN);
+      expect(await rewardsOptimizer.outstandingRewards()).to.equal(3750n * TOKEN);
+
+      const again = await managerFor(address, user1).claimReward(distribution).catch(error => error);
+      expect(again).to.be.instanceOf(AlreadyClaimedError);
+
+      const nothing = await managerFor(address, user3).claimReward(distribution).catch(error => error);
+      expect(nothing.message).to.include('has no reward in epoch');
+    });
+
+    it('Should only pay reward growth in later epochs', async function () {
+      const { rewardsOptimizer, address, deployBlock, owner, user1, user2 } = await loadFixture(deployFundedFixture);
+      const store = new MemoryStore<EpochDistribution[]>();
+      const admin = new BaseRewardsAdmin(address, ethers.provider, owner);
+
+      await time.increase(WEEK_SECONDS);
+      const first = await admin.distributeEpoch(store, { fromBlock: deployBlock });
+
+      await rewardsOptimizer.connect(user1).recordContribution(0, 500);
+      await time.increase(WEEK_SECONDS);
+      const second = await admin.distributeEpoch(store, { fromBlock: deployBlock });
+
+      expect(second.epoch).to.equal(first.epoch + 1);
+      expect(Object.keys(second.claims)).to.deep.equal([user1.address]);
+      // 2000 contributions with the 1.25x diversity multiplier, minus the 1875 already paid
+      expect(second.claims[user1.address].amount).to.equal((625n * TOKEN).toString());
+      expect(await store.load()).to.have.length(2);
+
+      const manager = managerFor(address, user2);
+      expect(await manager.getUnclaimedRewards([first, second], user2.address)).to.have.length(1);
+      await manager.claimReward(first);
+      expect(await manager.getUnclaimedRewards([first, second], user2.address)).to.deep.equal([]);
+    });
+
+    it('Should publish a saved but unpublished distribution unchanged', async function () {
+      const { rewardsOptimizer, address, deployBlock, owner, user2 } = await loadFixture(deployFundedFixture);
+      await time.increase(WEEK_SECONDS);
+
+      const epoch = getEpoch(await time.latest()) - 1;
+      const contract = connectBaseRewardsOptimizer(address, ethers.provider);
+      const saved = await computeEpochDistribution(contract, { epoch, fromBlock: deployBlock });
+      const store = new MemoryStore<EpochDistribution[]>();
+      await store.save([saved]);
+
+      // Changes after the crash must not alter the saved tree
+      await rewardsOptimizer.connect(user2).recordContribution(0, 1000);
+
+      const admin = new BaseRewardsAdmin(address, ethers.provider, owner);
+      const published = await admin.distributeEpoch(store, { fromBlock: deployBlock });
+
+      expect(published).to.deep.equal(saved);
+      expect(await rewardsOptimizer.epochRoots(epoch)).to.equal(saved.merkleRoot);
+    });
+  });
+
+  describe('Contract guards', function () {
+    it('Should reject unfinished, duplicate, unfunded and unauthorized publishes', async function () {
+      const { rewardsOptimizer, user1 } = await loadFixture(deployFundedFixture);
+      const root = ethers.id('root');
+      const week = Number(await rewardsOptimizer.currentWeek());
+
+      await expect(rewardsOptimizer.publishEpochRoot(week, root, 1))
+        .to.be.revertedWith('Epoch not finished');
+
+      await time.increase(WEEK_SECONDS);
+      await expect(rewardsOptimizer.advanceEpoch())
+        .to.emit(rewardsOptimizer, 'EpochAdvanced')
+        .withArgs(week + 1);
+
+      await expect(rewardsOptimizer.publishEpochRoot(week, root, REWARD_POOL + 1n))
+        .to.be.revertedWith('Insufficient reward funds');
+      await expect(rewardsOptimizer.connect(user1).publishEpochRoot(week, root, 1))
+        .to.be.revertedWith('Not authorized');
+
+      await expect(rewardsOptimizer.publishEpochRoot(week, root, TOKEN))
+        .to.emit(rewardsOptimizer, 'EpochPublished')
+        .withArgs(week, root, TOKEN);
+      await expect(rewardsOptimizer.publishEpochRoot(week, root, TOKEN))
+        .to.be.revertedWith('Epoch already published');
+      await expect(rewardsOptimizer.setRewardToken(user1.address))
+        .to.be.revertedWith('Reward token already set');
+    });
+
+    it('Should reject a proof used by someone else', async function () {
+      const { address, deployBlock, owner, user1, user3 } = await loadFixture(deployFundedFixture);
+      await time.increase(WEEK_SECONDS);
+
+      const admin = new BaseRewardsAdmin(address, ethers.provider, owner);
+      const distribution = await admin.distributeEpoch(new MemoryStore(), { fromBlock: deployBlock });
+      const { amount, proof } = distribution.claims[user1.address];
+
+      const contract = connectBaseRewardsOptimizer(address, user3);
+      const stolen = await contract.claim(distribution.epoch, amount, proof).catch(decodeRewardsError);
+
+      expect(stolen).to.be.instanceOf(InvalidProofError);
+      const republished = await admin.publishEpoch(distribution).catch(error => error);
+      expect(republished.reason).to.equal('Epoch already published');
+      expect(
+        await new BaseRewardsAdmin(address, ethers.provider, user1).setRewardToken(address).catch(error => error)
+      ).to.be.instanceOf(NotAuthorizedError);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Epoch Reward Distribution
+ * Computes each builder's reward for a weekly epoch from on-chain state and builds the
+ * Merkle tree whose root BaseRewardsOptimizer.claim verifies
+ */
+
+import { ethers } from 'ethers';
+import type { BaseRewardsOptimizerContract } from './baseRewardsContract';
+
+// Types and Interfaces
+export interface EpochClaim {
+  amount: string;
+  proof: string[];
+}
+
+// JSON-serializable, so it can be saved and published for builders to fetch their proofs
+export interface EpochDistribution {
+  epoch: number;
+  merkleRoot: string;
+  totalAmount: string;
+  snapshotBlock: number;
+  rewardUnit: string;
+  claims: Record<string, EpochClaim>; // keyed by checksummed address
+}
+
+export interface DistributionOptions {
+  epoch: number;
+  fromBlock: number; // where to start looking for builders, usually the deployment block
+  snapshotBlock?: number; // defaults to the latest block
+  previous?: EpochDistribution[]; // earlier epochs; only growth since them is paid
+  rewardUnit?: bigint; // token amount paid per reward point
+  chunkSize?: number;
+}
+
+export const WEEK_SECONDS = 7 * 24 * 60 * 60;
+
+export const DEFAULT_REWARD_UNIT = ethers.parseEther('1');
+
+// getTopContributors calls are kept well below RPC gas caps
+const USERS_PER_CALL = 200;
+
+/**
+ * Epoch (week number) containing a timestamp, as the contract computes currentWeek
+ */
+export function getEpoch(timestampSeconds: number): number {
+  return Math.floor(timestampSeconds / WEEK_SECONDS);
+}
+
+/**
+ * Leaf for one claim, matching keccak256(bytes.concat(keccak256(abi.encode(account, amount))))
+ */
+export function hashClaimLeaf(account: string, amount: bigint): string {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [account, amount]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * RewardMerkleTree - sorted-pair Merkle tree compatible with OpenZeppelin's MerkleProof
+ */
+export class RewardMerkleTree {
+  readonly root: string;
+  private layers: string[][];
+
+  constructor(claims: { account: string; amount: bigint }[]) {
+    if (claims.length === 0) {
+      throw new Error('Cannot build a Merkle tree without claims');
+    }
+
+    const leaves = [...new Set(claims.map(c => hashClaimLeaf(c.account, c.amount)))].sort();
+    this.layers = [leaves];
+
+    while (this.layers[this.layers.length - 1].length > 1) {
+      const layer = this.layers[this.layers.length - 1];
+      const next: string[] = [];
+
+      for (let i = 0; i < layer.length; i += 2) {
+        // An unpaired node moves up unchanged
+        next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+      }
+      this.layers.push(next);
+    }
+
+    this.root = this.layers[this.layers.length - 1][0];
+  }
+
+  getProof(account: string, amount: bigint): string[] {
+    let index = this.layers[0].indexOf(hashClaimLeaf(account, amount));
+    if (index === -1) {
+      throw new Error(`No claim for ${account} with amount ${amount}`);
+    }
+
+    const proof: string[] = [];
+    for (const layer of this.layers.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = index >> 1;
+    }
+
+    return proof;
+  }
+
+  static verify(root: string, account: string, amount: bigint, proof: string[]): boolean {
+    return proof.reduce(hashPair, hashClaimLeaf(account, amount)) === root;
+  }
+}
+
+/**
+ * Compute an epoch's distribution. Each builder is paid the growth of
+ * calculateOptimizedReward since the previous epochs, never less than zero, so a
+ * reward that drops (a broken streak) is only paid again once it passes its old high.
+ */
+export async function computeEpochDistribution(
+  contract: BaseRewardsOptimizerContract,
+  options: DistributionOptions
+): Promise<EpochDistribution> {
+  const provider = contract.runner?.provider;
+  if (!provider) {
+    throw new Error('Contract must be connected to a provider');
+  }
+
+  const previous = options.previous || [];
+  if (previous.some(d => d.epoch === options.epoch)) {
+    throw new Error(`Epoch ${options.epoch} has already been distributed`);
+  }
+
+  const rewardUnit = options.rewardUnit ?? DEFAULT_REWARD_UNIT;
+  const snapshotBlock = options.snapshotBlock ?? await provider.getBlockNumber();
+  const allocated = getAllocatedRewards(previous);
+
+  const builders = await findBuilders(contract, options.fromBlock, snapshotBlock, options.chunkSize ?? 2000);
+  allocated.forEach((_, account) => builders.add(account));
+
+  const accounts = [...builders].sort();
+  const claims: { account: string; amount: bigint }[] = [];
+
+  for (let i = 0; i < accounts.length; i += USERS_PER_CALL) {
+    const batch = accounts.slice(i, i + USERS_PER_CALL);
+    const { scores } = await contract.getTopContributors(batch, { blockTag: snapshotBlock });
+
+    batch.forEach((account, j) => {
+      const amount = scores[j] * rewardUnit - (allocated.get(account) ?? BigInt(0));
+      if (amount > BigInt(0)) {
+        claims.push({ account, amount });
+      }
+    });
+  }
+
+  const distribution: EpochDistribution = {
+    epoch: options.epoch,
+    merkleRoot: ethers.ZeroHash,
+    totalAmount: claims.reduce((sum, c) => sum + c.amount, BigInt(0)).toString(),
+    snapshotBlock,
+    rewardUnit: rewardUnit.toString(),
+    claims: {}
+  };
+
+  if (claims.length > 0) {
+    const tree = new RewardMerkleTree(claims);
+    distribution.merkleRoot = tree.root;
+
+    for (const { account, amount } of claims) {
+      distribution.claims[account] = { amount: amount.toString(), proof: tree.getProof(account, amount) };
+    }
+  }
+
+  return distribution;
+}
+
+/**
+ * A user's claim in a distribution, or null if they earned nothing that epoch
+ */
+export function getEpochClaim(
+  distribution: EpochDistribution,
+  account: string
+): { epoch: number; amount: bigint; proof: string[] } | null {
+  const claim = distribution.claims[ethers.getAddress(account)];
+  return claim ? { epoch: distribution.epoch, amount: BigInt(claim.amount), proof: claim.proof } : null;
+}
+
+/**
+ * Total already allocated to each account across distributions
+ */
+export function getAllocatedRewards(distributions: EpochDistribution[]): Map<string, bigint> {
+  const allocated = new Map<string, bigint>();
+
+  for (const distribution of distributions) {
+    for (const [account, claim] of Object.entries(distribution.claims)) {
+      allocated.set(account, (allocated.get(account) ?? BigInt(0)) + BigInt(claim.amount));
+    }
+  }
+
+  return allocated;
+}
+
+/**
+ * Every address that recorded a contribution in the block range, or whose state
+ * was imported from a previous deployment (see stateMigration.ts)
+ */
+export async function findBuilders(
+  contract: BaseRewardsOptimizerContract,
+  fromBlock: number,
+  toBlock: number,
+  chunkSize: number
+): Promise<Set<string>> {
+  const provider = contract.runner!.provider!;
+  const address = await contract.getAddress();
+  const topics = [
+    contract.interface.getEvent('ContributionRecorded')!.topicHash,
+    contract.interface.getEvent('BuilderStateImported')!.topicHash
+  ];
+  const builders = new Set<string>();
+
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const logs = await provider.getLogs({
+      address,
+      topics: [topics],
+      fromBlock: start,
+      toBlock: Math.min(start + chunkSize - 1, toBlock)
+    });
+
+    for (const log of logs) {
+      builders.add(ethers.getAddress(ethers.dataSlice(log.topics[1], 12)));
+    }
+  }
+
+  return builders;
+}
+
+// Private helper functions
+
+function hashPair(a: string, b: string): string {
+  return ethers.keccak256(a < b ? ethers.concat([a, b]) : ethers.concat([b, a]));
+}
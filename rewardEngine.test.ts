@@ -0,0 +1,185 @@
+/**
+ * Test Suite for the off-chain RewardEngine
+ * Checks every simulated reward against calculateOptimizedReward on a local Hardhat node
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { time, loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { BaseRewardsManager } from './baseRewardsUtils';
+import { DEFAULT_REWARD_PARAMETERS, RewardEngine, calculateReward } from './rewardEngine';
+import { deployRewardsFixture } from './testHarness';
+
+const ONE_DAY = 24 * 60 * 60;
+
+describe('RewardEngine', function () {
+  async function deployEngineFixture() {
+    const fixture = await deployRewardsFixture();
+    const manager = new BaseRewardsManager(fixture.address, ethers.provider);
+
+    return { ...fixture, manager };
+  }
+
+  // Compare the engine against the contract for one user
+  async function expectMatchesContract(manager: BaseRewardsManager, user: string) {
+    const breakdown = await manager.getRewardBreakdown(user);
+    const onChain = await manager.calculateReward(user);
+
+    expect(breakdown.totalReward).to.equal(onChain);
+    expect(
+      breakdown.baseReward +
+      breakdown.streakBonus +
+      breakdown.diversityBonus +
+      breakdown.gasOptimizationBonus
+    ).to.equal(breakdown.totalReward);
+
+    return breakdown;
+  }
+
+  describe('Parameters', function () {
+    it('Should load the live parameters from the contract', async function () {
+      const { manager } = await loadFixture(deployEngineFixture);
+
+      expect(await manager.getRewardParameters()).to.deep.equal(DEFAULT_REWARD_PARAMETERS);
+    });
+
+    it('Should follow parameter updates', async function () {
+      const { rewardsOptimizer, manager, owner, user1 } = await loadFixture(deployEngineFixture);
+
+      await rewardsOptimizer.connect(user1).recordContribution(0, 1500);
+      await rewardsOptimizer.connect(user1).recordContribution(1, 10);
+      await rewardsOptimizer.connect(owner).updateRewardParameters(137, 15, 33, 71, 1200);
+
+      const params = await manager.getRewardParameters();
+      expect(params.baseMultiplier).to.equal(137n);
+      expect(params.gasOptimizationReward).to.equal(71n);
+      expect(params.minimumThreshold).to.equal(1200n);
+
+      await expectMatchesContract(manager, user1.address);
+    });
+  });
+
+  describe('Threshold Gate', function () {
+    it('Should return zero for inactive users', async function () {
+      const { manager, user1 } = await loadFixture(deployEngineFixture);
+
+      const breakdown = await expectMatchesContract(manager, user1.address);
+      expect(breakdown.eligible).to.be.false;
+      expect(breakdown.totalReward).to.equal(0n);
+    });
+
+    it('Should return zero below the minimum threshold, gas bonus included', async function () {
+      const { rewardsOptimizer, manager, user1 } = await loadFixture(deployEngineFixture);
+
+      await rewardsOptimizer.connect(user1).recordContribution(1, 999);
+
+      const breakdown = await expectMatchesContract(manager, user1.address);
+      expect(breakdown.eligible).to.be.false;
+      expect(breakdown.gasOptimizationBonus).to.equal(0n);
+    });
+
+    it('Should become eligible exactly at the threshold', async function () {
+      const { rewardsOptimizer, manager, user1 } = await loadFixture(deployEngineFixture);
+
+      await rewardsOptimizer.connect(user1).recordContribution(2, 1000);
+
+      const breakdown = await expectMatchesContract(manager, user1.address);
+      expect(breakdown.eligible).to.be.true;
+      expect(breakdown.totalReward).to.equal(1000n);
+    });
+  });
+
+  describe('Reward Components', function () {
+    it('Should match the contract for mixed contribution types', async function () {
+      const { rewardsOptimizer, manager, user1 } = await loadFixture(deployEngineFixture);
+
+      await rewardsOptimizer.connect(user1).recordContribution(0, 1001);
+      await rewardsOptimizer.connect(user1).recordContribution(1, 7);
+      await rewardsOptimizer.connect(user1).recordContribution(1, 3);
+
+      const breakdown = await expectMatchesContract(manager, user1.address);
+      expect(breakdown.diversityMultiplier).to.equal(150n);
+      // 7 + 3 deployments at 50 each
+      expect(breakdown.gasOptimizationBonus).to.equal(500n);
+    });
+
+    it('Should match the contract at every streak tier', async function () {
+      const { rewardsOptimizer, manager, user1 } = await loadFixture(deployEngineFixture);
+      const expected: Record<number, bigint> = { 1: 100n, 3: 150n, 7: 200n, 14: 300n, 30: 500n };
+
+      for (let day = 1; day <= 30; day++) {
+        await rewardsOptimizer.connect(user1).recordContribution(0, 333);
+
+        if (expected[day] !== undefined) {
+          const breakdown = await expectMatchesContract(manager, user1.address);
+          expect(breakdown.streakMultiplier).to.equal(expected[day]);
+        }
+
+        await time.increase(ONE_DAY);
+      }
+    });
+  });
+
+  describe('What-if Simulations', function () {
+    it('Should predict the reward after more streak days', async function () {
+      const { rewardsOptimizer, manager, user1 } = await loadFixture(deployEngineFixture);
+
+      for (let day = 0; day < 4; day++) {
+        await rewardsOptimizer.connect(user1).recordContribution(0, 400);
+        await time.increase(ONE_DAY);
+      }
+
+      const simulation = await manager.simulateReward(user1.address, {
+        extraStreakDays: 3,
+        contributions: [{ type: 0, value: 400n }, { type: 0, value: 400n }, { type: 0, value: 400n }]
+      });
+
+      for (let day = 0; day < 3; day++) {
+        await rewardsOptimizer.connect(user1).recordContribution(0, 400);
+        if (day < 2) await time.increase(ONE_DAY);
+      }
+
+      expect(simulation.projected.streakMultiplier).to.equal(200n);
+      expect(simulation.projected.totalReward).to.equal(
+        await rewardsOptimizer.calculateOptimizedReward(user1.address)
+      );
+      expect(simulation.delta).to.equal(
+        simulation.projected.totalReward - simulation.current.totalReward
+      );
+    });
+
+    it('Should predict the reward under new parameters', async function () {
+      const { rewardsOptimizer, manager, owner, user1 } = await loadFixture(deployEngineFixture);
+
+      await rewardsOptimizer.connect(user1).recordContribution(0, 2500);
+      await rewardsOptimizer.connect(user1).recordContribution(1, 1);
+
+      const simulation = await manager.simulateReward(user1.address, {
+        parameters: { baseMultiplier: 120n, diversityBonus: 40n, gasOptimizationReward: 90n }
+      });
+
+      await rewardsOptimizer.connect(owner).updateRewardParameters(120, 10, 40, 90, 1000);
+
+      expect(simulation.projected.totalReward).to.equal(
+        await rewardsOptimizer.calculateOptimizedReward(user1.address)
+      );
+    });
+
+    it('Should reject zero-value simulated contributions like the contract', function () {
+      const engine = new RewardEngine();
+      const profile = {
+        totalContributions: 0n,
+        githubScore: 0n,
+        contractDeployments: 0n,
+        lastUpdateTime: 0n,
+        streakDays: 0n,
+        isActive: false,
+        diversityTypes: 0n
+      };
+
+      expect(() => engine.simulate(profile, { contributions: [{ type: 0, value: 0n }] }))
+        .to.throw('Invalid contribution value');
+      expect(calculateReward(profile, DEFAULT_REWARD_PARAMETERS).totalReward).to.equal(0n);
+    });
+  });
+});
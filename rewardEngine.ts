@@ -0,0 +1,225 @@
+/**
+ * Base Builder Rewards Engine
+ * Pure TypeScript mirror of BaseRewardsOptimizer.calculateOptimizedReward, used for
+ * off-chain breakdowns and "what-if" simulations without spending gas
+ */
+
+import type { BaseRewardsOptimizerContract } from './baseRewardsContract';
+import { ContributionType, ContributionTypeRegistry } from './contributionTypes';
+import type {
+  ContributionData,
+  RewardCalculation,
+  RewardParameters,
+  UserProfile
+} from './baseRewardsUtils';
+
+// All multipliers use the contract's fixed-point convention: 100 = 1x
+const PERCENT = BigInt(100);
+
+// Matches the constructor defaults in BaseRewardsOptimizer.sol
+export const DEFAULT_REWARD_PARAMETERS: RewardParameters = {
+  baseMultiplier: BigInt(100),
+  streakBonus: BigInt(10),
+  diversityBonus: BigInt(25),
+  gasOptimizationReward: BigInt(50),
+  minimumThreshold: BigInt(1000)
+};
+
+// Matches _calculateStreakMultiplier, highest tier first
+export const STREAK_TIERS: ReadonlyArray<{ minDays: bigint; multiplier: bigint }> = [
+  { minDays: BigInt(30), multiplier: BigInt(500) },
+  { minDays: BigInt(14), multiplier: BigInt(300) },
+  { minDays: BigInt(7), multiplier: BigInt(200) },
+  { minDays: BigInt(3), multiplier: BigInt(150) }
+];
+
+export interface RewardScenario {
+  extraStreakDays?: number;
+  contributions?: Pick<ContributionData, 'type' | 'value'>[];
+  parameters?: Partial<RewardParameters>;
+}
+
+export interface RewardSimulation {
+  current: RewardCalculation;
+  projected: RewardCalculation;
+  delta: bigint;
+}
+
+/**
+ * Streak multiplier for a given streak length.
+ * Note: the contract ignores rewardParams.streakBonus, so the tiers are fixed.
+ */
+export function getStreakMultiplier(streakDays: bigint): bigint {
+  const tier = STREAK_TIERS.find(t => streakDays >= t.minDays);
+  return tier ? tier.multiplier : PERCENT;
+}
+
+/**
+ * Diversity multiplier: 1x plus diversityBonus for each diversity-flagged type contributed to
+ */
+export function getDiversityMultiplier(
+  profile: Pick<UserProfile, 'diversityTypes'>,
+  params: RewardParameters
+): bigint {
+  return PERCENT + profile.diversityTypes * params.diversityBonus;
+}
+
+/**
+ * Calculate a reward with the same integer math and rounding as the contract.
+ * The amount components always sum to totalReward.
+ */
+export function calculateReward(
+  profile: UserProfile,
+  params: RewardParameters
+): RewardCalculation {
+  const streakMultiplier = getStreakMultiplier(profile.streakDays);
+  const diversityMultiplier = getDiversityMultiplier(profile, params);
+
+  if (!profile.isActive || profile.totalContributions < params.minimumThreshold) {
+    return {
+      eligible: false,
+      baseReward: BigInt(0),
+      streakMultiplier,
+      streakBonus: BigInt(0),
+      diversityMultiplier,
+      diversityBonus: BigInt(0),
+      gasOptimizationBonus: BigInt(0),
+      totalReward: BigInt(0)
+    };
+  }
+
+  const baseReward = (profile.totalContributions * params.baseMultiplier) / PERCENT;
+  const afterStreak = (baseReward * streakMultiplier) / PERCENT;
+  const afterDiversity = (afterStreak * diversityMultiplier) / PERCENT;
+  const gasOptimizationBonus = profile.contractDeployments * params.gasOptimizationReward;
+
+  return {
+    eligible: true,
+    baseReward,
+    streakMultiplier,
+    streakBonus: afterStreak - baseReward,
+    diversityMultiplier,
+    diversityBonus: afterDiversity - afterStreak,
+    gasOptimizationBonus,
+    totalReward: afterDiversity + gasOptimizationBonus
+  };
+}
+
+/**
+ * Apply a scenario to a profile the way recordContribution would update it.
+ * contributedTypes lists the type ids the user has already contributed to; GitHub
+ * and contract deployments are also inferred from the profile itself.
+ */
+export function applyScenario(
+  profile: UserProfile,
+  scenario: RewardScenario,
+  types: ContributionTypeRegistry = new ContributionTypeRegistry(),
+  contributedTypes: number[] = []
+): UserProfile {
+  const next: UserProfile = { ...profile };
+  const contributed = new Set(contributedTypes);
+
+  if (profile.githubScore > 0) {
+    contributed.add(ContributionType.GitHub);
+  }
+  if (profile.contractDeployments > 0) {
+    contributed.add(ContributionType.ContractDeployment);
+  }
+
+  for (const contribution of scenario.contributions || []) {
+    if (contribution.value <= 0) {
+      throw new Error('Invalid contribution value');
+    }
+
+    const type = types.resolve(contribution.type);
+    next.totalContributions += (contribution.value * type.weight) / PERCENT;
+    next.isActive = true;
+
+    if (!contributed.has(type.id) && type.countsForDiversity) {
+      next.diversityTypes += BigInt(1);
+    }
+    contributed.add(type.id);
+
+    if (type.id === ContributionType.GitHub) {
+      next.githubScore += contribution.value;
+    } else if (type.id === ContributionType.ContractDeployment) {
+      next.contractDeployments += contribution.value;
+    }
+  }
+
+  if (scenario.extraStreakDays) {
+    next.streakDays += BigInt(scenario.extraStreakDays);
+  }
+
+  return next;
+}
+
+/**
+ * RewardEngine - reward calculator bound to a set of reward parameters
+ * and contribution types
+ */
+export class RewardEngine {
+  private params: RewardParameters;
+  private types: ContributionTypeRegistry;
+
+  constructor(
+    params: RewardParameters = DEFAULT_REWARD_PARAMETERS,
+    types: ContributionTypeRegistry = new ContributionTypeRegistry()
+  ) {
+    this.params = { ...params };
+    this.types = types;
+  }
+
+  /**
+   * Load the live rewardParams and contribution types from a deployed BaseRewardsOptimizer
+   */
+  static async fromContract(contract: BaseRewardsOptimizerContract): Promise<RewardEngine> {
+    const [params, types] = await Promise.all([
+      contract.rewardParams(),
+      ContributionTypeRegistry.fromContract(contract)
+    ]);
+
+    return new RewardEngine({
+      baseMultiplier: params.baseMultiplier,
+      streakBonus: params.streakBonus,
+      diversityBonus: params.diversityBonus,
+      gasOptimizationReward: params.gasOptimizationReward,
+      minimumThreshold: params.minimumThreshold
+    }, types);
+  }
+
+  getParameters(): RewardParameters {
+    return { ...this.params };
+  }
+
+  getContributionTypes(): ContributionTypeRegistry {
+    return this.types;
+  }
+
+  /**
+   * Return a new engine with some parameters replaced
+   */
+  withParameters(overrides: Partial<RewardParameters>): RewardEngine {
+    return new RewardEngine({ ...this.params, ...overrides }, this.types);
+  }
+
+  calculate(profile: UserProfile): RewardCalculation {
+    return calculateReward(profile, this.params);
+  }
+
+  /**
+   * Compare the current reward with the reward under a hypothetical scenario
+   * (see applyScenario for contributedTypes)
+   */
+  simulate(profile: UserProfile, scenario: RewardScenario, contributedTypes: number[] = []): RewardSimulation {
+    const current = this.calculate(profile);
+    const engine = scenario.parameters ? this.withParameters(scenario.parameters) : this;
+    const projected = engine.calculate(applyScenario(profile, scenario, this.types, contributedTypes));
+
+    return {
+      current,
+      projected,
+      delta: projected.totalReward - current.totalReward
+    };
+  }
+}
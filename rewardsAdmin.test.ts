@@ -0,0 +1,138 @@
+/**
+ * Test Suite for BaseRewardsAdmin
+ * Covers proposals, impact previews, direct updates and Safe exports
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { NotAuthorizedError } from './rewardsErrors';
+import { BaseRewardsAdmin, formatImpactTable } from './rewardsAdmin';
+import { deployRewardsFixture } from './testHarness';
+
+describe('BaseRewardsAdmin', function () {
+  async function deployWithUsersFixture() {
+    const fixture = await deployRewardsFixture();
+    const { rewardsOptimizer, user1, user2, user3 } = fixture;
+
+    // user1: GitHub only, user2: GitHub and contracts, user3: below the threshold
+    await rewardsOptimizer.connect(user1).recordContribution(0, 2000);
+    await rewardsOptimizer.connect(user2).recordContribution(0, 1500);
+    await rewardsOptimizer.connect(user2).recordContribution(1, 10);
+    await rewardsOptimizer.connect(user3).recordContribution(2, 50);
+
+    const users = [user1.address, user2.address, user3.address];
+
+    return { ...fixture, users };
+  }
+
+  it('Should only list the parameters that change', async function () {
+    const { address } = await loadFixture(deployWithUsersFixture);
+    const admin = new BaseRewardsAdmin(address, ethers.provider);
+
+    const proposal = await admin.proposeParameters({ baseMultiplier: 150n, streakBonus: 20n });
+
+    expect(proposal.changes).to.deep.equal([
+      { name: 'baseMultiplier', current: 100n, proposed: 150n },
+      { name: 'streakBonus', current: 10n, proposed: 20n }
+    ]);
+    expect(proposal.warnings).to.have.length(1);
+    expect(proposal.warnings[0]).to.include('streakBonus does not affect rewards');
+  });
+
+  it('Should refuse proposals that change nothing', async function () {
+    const { address } = await loadFixture(deployWithUsersFixture);
+    const admin = new BaseRewardsAdmin(address, ethers.provider);
+
+    const unchanged = await admin.proposeParameters({ baseMultiplier: 100n }).catch(error => error);
+    expect(unchanged.message).to.equal('Proposal does not change any reward parameter');
+  });
+
+  it('Should lower the minimum threshold and log every parameter', async function () {
+    const { rewardsOptimizer, address, owner, users } = await loadFixture(deployWithUsersFixture);
+    const admin = new BaseRewardsAdmin(address, ethers.provider, owner);
+
+    const proposal = await admin.proposeParameters({ minimumThreshold: 50n });
+    expect(proposal.changes).to.deep.equal([{ name: 'minimumThreshold', current: 1000n, proposed: 50n }]);
+
+    const preview = await admin.previewImpact(proposal, users);
+    expect(preview.users[2]).to.include({ eligible: true, before: 0n, after: 50n });
+
+    const result = await admin.updateParameters(proposal);
+    expect(result.parameters.minimumThreshold).to.equal(50n);
+    expect(await rewardsOptimizer.calculateOptimizedReward(users[2])).to.equal(50n);
+
+    const receipt = await ethers.provider.getTransactionReceipt(result.transactionHash);
+    const event = rewardsOptimizer.interface.parseLog(receipt!.logs[0])!;
+    expect(event.name).to.equal('ParametersUpdated');
+    expect([...event.args]).to.deep.equal([100n, 10n, 25n, 50n, 50n]);
+  });
+
+  it('Should preview rewards that match the contract after the update', async function () {
+    const { rewardsOptimizer, address, owner, users } = await loadFixture(deployWithUsersFixture);
+    const admin = new BaseRewardsAdmin(address, ethers.provider, owner);
+
+    const proposal = await admin.proposeParameters({ baseMultiplier: 150n, diversityBonus: 40n });
+    const preview = await admin.previewImpact(proposal, [...users, users[0].toLowerCase()]);
+
+    expect(preview.users).to.have.length(3);
+    for (const impact of preview.users) {
+      expect(impact.before).to.equal(await rewardsOptimizer.calculateOptimizedReward(impact.user));
+    }
+    expect(preview.users[2]).to.include({ eligible: false, delta: 0n });
+    expect(preview.totals).to.include({ increased: 2, decreased: 0, unchanged: 1 });
+
+    const result = await admin.updateParameters(proposal);
+
+    expect(result.parameters.baseMultiplier).to.equal(150n);
+    for (const impact of preview.users) {
+      expect(impact.after).to.equal(await rewardsOptimizer.calculateOptimizedReward(impact.user));
+    }
+
+    const table = formatImpactTable(preview);
+    expect(table).to.include('baseMultiplier: 100 -> 150');
+    expect(table).to.match(/Total\s+\d+\s+\d+\s+\+\d+\s+\+\d+%/);
+  });
+
+  it('Should reject a stale proposal and a non-owner signer', async function () {
+    const { rewardsOptimizer, address, owner, user1 } = await loadFixture(deployWithUsersFixture);
+
+    const proposal = await new BaseRewardsAdmin(address, ethers.provider, user1)
+      .proposeParameters({ gasOptimizationReward: 80n });
+
+    const unauthorized = await new BaseRewardsAdmin(address, ethers.provider, user1)
+      .submitParameters(proposal)
+      .catch(error => error);
+    expect(unauthorized).to.be.instanceOf(NotAuthorizedError);
+
+    await rewardsOptimizer.connect(owner).updateRewardParameters(100, 10, 30, 50, 1000);
+
+    const stale = await new BaseRewardsAdmin(address, ethers.provider, owner)
+      .submitParameters(proposal)
+      .catch(error => error);
+    expect(stale.message).to.equal('Reward parameters changed since the proposal was made (diversityBonus is now 30)');
+  });
+
+  it('Should export a Safe batch that only the owner can execute', async function () {
+    const { address, owner, user1 } = await loadFixture(deployWithUsersFixture);
+    const admin = new BaseRewardsAdmin(address, ethers.provider);
+
+    const proposal = await admin.proposeParameters({ gasOptimizationReward: 80n });
+    const batch = await admin.exportSafeTransaction(proposal, owner.address, { createdAt: 0 });
+
+    expect(batch.chainId).to.equal('31337');
+    expect(batch.meta.description).to.equal('gasOptimizationReward 50 -> 80');
+    expect(batch.transactions[0]).to.deep.include({ to: address, value: '0', data: proposal.data });
+    expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+      newMultiplier: '100',
+      newStreakBonus: '10',
+      newDiversityBonus: '25',
+      newGasReward: '80',
+      newMinimumThreshold: '1000'
+    });
+    expect(JSON.parse(JSON.stringify(batch))).to.deep.equal(batch);
+
+    const notOwner = await admin.exportSafeTransaction(proposal, user1.address).catch(error => error);
+    expect(notOwner).to.be.instanceOf(NotAuthorizedError);
+  });
+});
@@ -0,0 +1,593 @@
+/**
+ * Reward Parameter Administration
+ * Owner tooling for updateRewardParameters: propose a change, preview its effect on
+ * a set of users, then send it directly or export it for a Safe multisig.
+ * Also runs the weekly epoch distribution (see rewardDistribution.ts) and manages
+ * the contribution type registry and the attestor key (see attestations.ts), and
+ * imports builder state from a previous deployment (see stateMigration.ts).
+ */
+
+import { ethers } from 'ethers';
+import { Provider } from 'ethers';
+import { BaseRewardsOptimizerContract, connectBaseRewardsOptimizer } from './baseRewardsContract';
+import { RewardEngine, calculateReward } from './rewardEngine';
+import { ImportSealedError, decodeRewardsError } from './rewardsErrors';
+import { SentTransaction, TransactionManager, TransactionOptions } from './transactionManager';
+import { DistributionOptions, EpochDistribution, computeEpochDistribution, getEpoch } from './rewardDistribution';
+import {
+  MigrationContributionType,
+  MigrationSnapshot,
+  MigrationVerification,
+  assertSnapshotVersion,
+  toBuilderStates,
+  verifyMigration
+} from './stateMigration';
+import type { StateStore } from './jsonFileStore';
+import type { RewardParameters, UserProfile } from './baseRewardsUtils';
+
+// Types and Interfaces
+export interface ParameterChange {
+  name: keyof RewardParameters;
+  current: bigint;
+  proposed: bigint;
+}
+
+// A complete updateRewardParameters call, checked against the parameters it was built from
+export interface ParameterProposal {
+  current: RewardParameters;
+  proposed: RewardParameters;
+  changes: ParameterChange[];
+  warnings: string[];
+  to: string;
+  data: string;
+}
+
+export interface RewardImpact {
+  user: string;
+  eligible: boolean;
+  before: bigint;
+  after: bigint;
+  delta: bigint;
+}
+
+export interface ParameterImpactPreview {
+  proposal: ParameterProposal;
+  users: RewardImpact[];
+  totals: {
+    before: bigint;
+    after: bigint;
+    delta: bigint;
+    increased: number;
+    decreased: number;
+    unchanged: number;
+  };
+}
+
+export interface AdminTransactionResult {
+  transactionHash: string;
+  blockNumber: number;
+}
+
+export interface ParameterUpdateResult extends AdminTransactionResult {
+  parameters: RewardParameters;
+}
+
+export interface ContributionTypeResult extends AdminTransactionResult {
+  typeId: number;
+}
+
+export interface MigrationImportOptions {
+  batchSize?: number; // builders per importBuilderStates transaction
+  onBatch?: (imported: number, total: number) => void;
+}
+
+export interface MigrationImportResult {
+  imported: number;
+  typesChanged: number; // contribution types added or updated to match the snapshot
+  transactions: AdminTransactionResult[];
+}
+
+// The epoch defaults to the last finished week; earlier epochs come from the store
+export type EpochJobOptions = Omit<DistributionOptions, 'epoch' | 'previous'> & { epoch?: number };
+
+// Transaction Builder batch format, importable in the Safe{Wallet} web app
+export interface SafeTransactionBatch {
+  version: '1.0';
+  chainId: string;
+  createdAt: number;
+  meta: {
+    name: string;
+    description: string;
+    txBuilderVersion: string;
+    createdFromSafeAddress: string;
+  };
+  transactions: {
+    to: string;
+    value: string;
+    data: string;
+    contractMethod: {
+      name: string;
+      payable: boolean;
+      inputs: { name: string; type: string; internalType: string }[];
+    };
+    contractInputsValues: Record<string, string>;
+  }[];
+}
+
+export interface SafeExportOptions {
+  name?: string;
+  description?: string;
+  createdAt?: number;
+}
+
+// Order of the updateRewardParameters arguments
+const UPDATABLE_PARAMETERS: (keyof RewardParameters)[] = [
+  'baseMultiplier',
+  'streakBonus',
+  'diversityBonus',
+  'gasOptimizationReward',
+  'minimumThreshold'
+];
+
+const SAFE_TX_BUILDER_VERSION = '1.16.5';
+
+// Each builder carries up to 60 days of history, so batches stay well inside a block
+const DEFAULT_IMPORT_BATCH_SIZE = 20;
+
+/**
+ * BaseRewardsAdmin - reward parameter changes for the contract owner
+ */
+export class BaseRewardsAdmin {
+  private contract: BaseRewardsOptimizerContract;
+  private provider: Provider;
+  private signer?: ethers.Signer;
+  private txOptions: TransactionOptions;
+  private txManager?: TransactionManager;
+
+  constructor(
+    contractAddress: string,
+    provider: Provider,
+    signer?: ethers.Signer,
+    txOptions: TransactionOptions = {}
+  ) {
+    this.provider = provider;
+    this.signer = signer;
+    this.txOptions = txOptions;
+    this.contract = connectBaseRewardsOptimizer(contractAddress, signer || provider);
+  }
+
+  /**
+   * Get the live reward parameters
+   */
+  async getParameters(): Promise<RewardParameters> {
+    return (await RewardEngine.fromContract(this.contract)).getParameters();
+  }
+
+  /**
+   * Build an updateRewardParameters call from the live parameters and the values to change
+   */
+  async proposeParameters(updates: Partial<RewardParameters>): Promise<ParameterProposal> {
+    const current = await this.getParameters();
+    const proposed: RewardParameters = { ...current, ...updates };
+    const changes: ParameterChange[] = [];
+
+    for (const name of UPDATABLE_PARAMETERS) {
+      if (proposed[name] < BigInt(0)) {
+        throw new Error(`${name} must not be negative`);
+      }
+      if (proposed[name] !== current[name]) {
+        changes.push({ name, current: current[name], proposed: proposed[name] });
+      }
+    }
+
+    if (changes.length === 0) {
+      throw new Error('Proposal does not change any reward parameter');
+    }
+
+    const populated = await this.contract.updateRewardParameters.populateTransaction(
+      ...UPDATABLE_PARAMETERS.map(name => proposed[name]) as [bigint, bigint, bigint, bigint, bigint]
+    );
+
+    return {
+      current,
+      proposed,
+      changes,
+      warnings: this.getWarnings(changes),
+      to: populated.to,
+      data: populated.data
+    };
+  }
+
+  /**
+   * Compare every user's reward under the live and the proposed parameters
+   */
+  async previewImpact(
+    proposal: ParameterProposal,
+    userAddresses: string[]
+  ): Promise<ParameterImpactPreview> {
+    const users = [...new Set(userAddresses.map(address => ethers.getAddress(address)))];
+    const profiles = await Promise.all(users.map(user => this.getUserProfile(user)));
+
+    const impacts = users.map((user, i) => {
+      const before = calculateReward(profiles[i], proposal.current);
+      const after = calculateReward(profiles[i], proposal.proposed);
+
+      return {
+        user,
+        eligible: after.eligible,
+        before: before.totalReward,
+        after: after.totalReward,
+        delta: after.totalReward - before.totalReward
+      };
+    });
+
+    const zero = BigInt(0);
+    return {
+      proposal,
+      users: impacts,
+      totals: {
+        before: impacts.reduce((sum, impact) => sum + impact.before, zero),
+        after: impacts.reduce((sum, impact) => sum + impact.after, zero),
+        delta: impacts.reduce((sum, impact) => sum + impact.delta, zero),
+        increased: impacts.filter(impact => impact.delta > zero).length,
+        decreased: impacts.filter(impact => impact.delta < zero).length,
+        unchanged: impacts.filter(impact => impact.delta === zero).length
+      }
+    };
+  }
+
+  /**
+   * Send a proposal from the owner signer without waiting for it to be mined
+   */
+  async submitParameters(proposal: ParameterProposal): Promise<SentTransaction> {
+    this.getTransactionManager(); // fails fast without a signer
+    await this.assertCurrent(proposal);
+
+    return this.send({ to: proposal.to, data: proposal.data });
+  }
+
+  /**
+   * Send a proposal and wait for it, then confirm it by reading rewardParams back
+   */
+  async updateParameters(proposal: ParameterProposal): Promise<ParameterUpdateResult> {
+    const result = await this.confirm(await this.submitParameters(proposal));
+
+    const parameters = await this.getParameters();
+    const mismatch = UPDATABLE_PARAMETERS.find(name => parameters[name] !== proposal.proposed[name]);
+    if (mismatch) {
+      throw new Error(`${mismatch} is ${parameters[mismatch]} after the update, expected ${proposal.proposed[mismatch]}`);
+    }
+
+    return { ...result, parameters };
+  }
+
+  /**
+   * Set the ERC20 token rewards are paid in; the contract only allows this once
+   */
+  async setRewardToken(tokenAddress: string): Promise<AdminTransactionResult> {
+    const { to, data } = await this.contract.setRewardToken.populateTransaction(tokenAddress);
+    return this.confirm(await this.send({ to, data }));
+  }
+
+  /**
+   * Set the key whose signatures recordAttestedContribution accepts. Rotating it
+   * invalidates attestations the old key signed but nobody has relayed yet;
+   * the zero address turns attested contributions off.
+   */
+  async setAttestor(attestorAddress: string): Promise<AdminTransactionResult> {
+    const { to, data } = await this.contract.setAttestor.populateTransaction(attestorAddress);
+    return this.confirm(await this.send({ to, data }));
+  }
+
+  /**
+   * Register a contribution type such as audits, docs or grants. weight is the percent
+   * of each contribution's value that counts toward rewards (100 = 1x); whether the
+   * type earns a diversity bonus cannot be changed later.
+   */
+  async addContributionType(
+    name: string,
+    weight: bigint,
+    countsForDiversity: boolean
+  ): Promise<ContributionTypeResult> {
+    const { to, data } = await this.contract.addContributionType.populateTransaction(name, weight, countsForDiversity);
+    const result = await this.confirm(await this.send({ to, data }));
+
+    const events = await this.contract.queryFilter('ContributionTypeAdded', result.blockNumber, result.blockNumber);
+    const added = events.find(event => event.transactionHash === result.transactionHash) as ethers.EventLog;
+
+    return { ...result, typeId: Number(added.args.typeId) };
+  }
+
+  /**
+   * Change a type's weight for future contributions, or retire it (active = false)
+   * so recordContribution rejects it
+   */
+  async updateContributionType(typeId: number, weight: bigint, active: boolean): Promise<AdminTransactionResult> {
+    const { to, data } = await this.contract.updateContributionType.populateTransaction(typeId, weight, active);
+    return this.confirm(await this.send({ to, data }));
+  }
+
+  /**
+   * Publish a computed distribution's Merkle root so builders can claim it
+   */
+  async publishEpoch(distribution: EpochDistribution): Promise<AdminTransactionResult> {
+    if (distribution.merkleRoot === ethers.ZeroHash) {
+      throw new Error(`Epoch ${distribution.epoch} has no rewards to publish`);
+    }
+
+    const { to, data } = await this.contract.publishEpochRoot.populateTransaction(
+      distribution.epoch,
+      distribution.merkleRoot,
+      distribution.totalAmount
+    );
+    return this.confirm(await this.send({ to, data }));
+  }
+
+  /**
+   * Weekly job: compute an epoch's distribution, save it, then publish its root.
+   * The distribution is saved before it is published, so a rerun after a crash
+   * publishes the same tree rather than computing a new one.
+   */
+  async distributeEpoch(
+    store: StateStore<EpochDistribution[]>,
+    options: EpochJobOptions
+  ): Promise<EpochDistribution> {
+    const distributions = (await store.load()) ?? [];
+    const latest = await this.provider.getBlock('latest');
+    const epoch = options.epoch ?? getEpoch(latest!.timestamp) - 1;
+
+    let distribution = distributions.find(d => d.epoch === epoch);
+    if (!distribution) {
+      distribution = await computeEpochDistribution(this.contract, { ...options, epoch, previous: distributions });
+      await store.save([...distributions, distribution]);
+    }
+
+    const published = (await this.contract.epochRoots(epoch)) !== ethers.ZeroHash;
+    if (distribution.merkleRoot !== ethers.ZeroHash && !published) {
+      await this.publishEpoch(distribution);
+    }
+
+    return distribution;
+  }
+
+  /**
+   * Import a migration snapshot into this deployment. The contribution type registry is
+   * brought in line with the snapshot first, then builders are imported in batches.
+   * Importing a builder again clears what its last import wrote, so an interrupted
+   * import, or a newer snapshot, can simply be run again. A builder who has contributed
+   * to this deployment fails the batch with BuilderHasStateError.
+   */
+  async importMigrationSnapshot(
+    snapshot: MigrationSnapshot,
+    options: MigrationImportOptions = {}
+  ): Promise<MigrationImportResult> {
+    assertSnapshotVersion(snapshot);
+
+    if (ethers.getAddress(snapshot.contract) === await this.contract.getAddress()) {
+      throw new Error('The snapshot was exported from this deployment');
+    }
+    if (await this.contract.importSealed()) {
+      throw new ImportSealedError();
+    }
+
+    const typesChanged = await this.syncContributionTypes(snapshot.contributionTypes);
+    const batchSize = options.batchSize ?? DEFAULT_IMPORT_BATCH_SIZE;
+    const transactions: AdminTransactionResult[] = [];
+
+    for (let i = 0; i < snapshot.builders.length; i += batchSize) {
+      const batch = snapshot.builders.slice(i, i + batchSize);
+      const { to, data } = await this.contract.importBuilderStates.populateTransaction(toBuilderStates(batch));
+
+      transactions.push(await this.confirm(await this.send({ to, data })));
+      options.onBatch?.(i + batch.length, snapshot.builders.length);
+    }
+
+    return { imported: snapshot.builders.length, typesChanged, transactions };
+  }
+
+  /**
+   * Diff this deployment against the one the snapshot was exported from
+   */
+  async verifyMigration(snapshot: MigrationSnapshot): Promise<MigrationVerification> {
+    const source = connectBaseRewardsOptimizer(snapshot.contract, this.provider);
+    return verifyMigration(source, this.contract, snapshot);
+  }
+
+  /**
+   * End the migration for good. Run verifyMigration first: once sealed, missed or
+   * wrong state can no longer be imported.
+   */
+  async sealImport(): Promise<AdminTransactionResult> {
+    const { to, data } = await this.contract.sealImport.populateTransaction();
+    return this.confirm(await this.send({ to, data }));
+  }
+
+  /**
+   * Export a proposal as a Safe Transaction Builder batch. The call is simulated from
+   * the Safe first, so a Safe that is not the owner is rejected here rather than on-chain.
+   */
+  async exportSafeTransaction(
+    proposal: ParameterProposal,
+    safeAddress: string,
+    options: SafeExportOptions = {}
+  ): Promise<SafeTransactionBatch> {
+    const safe = ethers.getAddress(safeAddress);
+    await this.assertCurrent(proposal);
+
+    try {
+      await this.provider.call({ from: safe, to: proposal.to, data: proposal.data });
+    } catch (error) {
+      throw decodeRewardsError(error);
+    }
+
+    const fragment = this.contract.interface.getFunction('updateRewardParameters')!;
+    const { chainId } = await this.provider.getNetwork();
+    const summary = proposal.changes.map(c => `${c.name} ${c.current} -> ${c.proposed}`).join(', ');
+
+    return {
+      version: '1.0',
+      chainId: chainId.toString(),
+      createdAt: options.createdAt ?? Date.now(),
+      meta: {
+        name: options.name || 'Update reward parameters',
+        description: options.description || summary,
+        txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+        createdFromSafeAddress: safe
+      },
+      transactions: [{
+        to: proposal.to,
+        value: '0',
+        data: proposal.data,
+        contractMethod: {
+          name: fragment.name,
+          payable: fragment.payable,
+          inputs: fragment.inputs.map(input => ({ name: input.name, type: input.type, internalType: input.type }))
+        },
+        contractInputsValues: Object.fromEntries(
+          fragment.inputs.map((input, i) => [input.name, proposal.proposed[UPDATABLE_PARAMETERS[i]].toString()])
+        )
+      }]
+    };
+  }
+
+  /**
+   * Transaction layer for the owner signer
+   */
+  getTransactionManager(): TransactionManager {
+    if (!this.signer) {
+      throw new Error('Signer required for transactions');
+    }
+
+    if (!this.txManager) {
+      this.txManager = new TransactionManager(this.signer, this.txOptions);
+    }
+
+    return this.txManager;
+  }
+
+  // Private helper methods
+
+  /**
+   * Simulate and estimate before sending, so reverts surface as typed errors without spending gas
+   */
+  private async send(request: { to: string; data: string }): Promise<SentTransaction> {
+    const txManager = this.getTransactionManager();
+
+    try {
+      await this.signer!.call(request);
+      const gasLimit = await txManager.estimateGas(request);
+      return await txManager.send({ ...request, gasLimit });
+    } catch (error) {
+      throw decodeRewardsError(error);
+    }
+  }
+
+  private async confirm(sent: SentTransaction): Promise<AdminTransactionResult> {
+    const receipt = await this.getTransactionManager().wait(sent);
+
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Refuse to act on a proposal whose baseline no longer matches the chain
+   */
+  private async assertCurrent(proposal: ParameterProposal): Promise<void> {
+    const live = await this.getParameters();
+    const stale = UPDATABLE_PARAMETERS.find(name => live[name] !== proposal.current[name]);
+
+    if (stale) {
+      throw new Error(`Reward parameters changed since the proposal was made (${stale} is now ${live[stale]})`);
+    }
+  }
+
+  private getWarnings(changes: ParameterChange[]): string[] {
+    const warnings: string[] = [];
+
+    for (const change of changes) {
+      if (change.name === 'streakBonus') {
+        warnings.push('streakBonus does not affect rewards: calculateOptimizedReward uses fixed streak tiers');
+      }
+      if (change.name === 'baseMultiplier' && change.proposed === BigInt(0)) {
+        warnings.push('baseMultiplier 0 leaves only the gas optimization bonus');
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Add the snapshot's types missing here and match weights and retirements.
+   * A type whose name or diversity flag differs cannot be reconciled.
+   */
+  private async syncContributionTypes(types: MigrationContributionType[]): Promise<number> {
+    const registered = await this.contract.getContributionTypes();
+    let changed = 0;
+
+    for (const [id, type] of types.entries()) {
+      const current = id < registered.length ? registered[id] : undefined;
+      const weight = BigInt(type.weight);
+
+      if (!current) {
+        await this.addContributionType(type.name, weight, type.countsForDiversity);
+        if (!type.active) {
+          await this.updateContributionType(id, weight, false);
+        }
+        changed++;
+      } else if (current.name !== type.name) {
+        throw new Error(`Contribution type ${id} is ${current.name} here but ${type.name} in the snapshot`);
+      } else if (current.countsForDiversity !== type.countsForDiversity) {
+        throw new Error(`Contribution type ${id} (${type.name}) differs from the snapshot in whether it counts for diversity`);
+      } else if (current.weight !== weight || current.active !== type.active) {
+        await this.updateContributionType(id, weight, type.active);
+        changed++;
+      }
+    }
+
+    return changed;
+  }
+
+  private async getUserProfile(user: string): Promise<UserProfile> {
+    const profile = await this.contract.getUserProfile(user);
+
+    return {
+      totalContributions: profile.totalContributions,
+      githubScore: profile.githubScore,
+      contractDeployments: profile.contractDeployments,
+      lastUpdateTime: profile.lastUpdateTime,
+      streakDays: profile.streakDays,
+      isActive: profile.isActive,
+      diversityTypes: profile.diversityTypes
+    };
+  }
+}
+
+/**
+ * Render a preview as a plain-text table for governance reviews
+ */
+export function formatImpactTable(preview: ParameterImpactPreview): string {
+  const signed = (value: bigint) => (value > BigInt(0) ? `+${value}` : value.toString());
+  const percent = (before: bigint, delta: bigint) =>
+    before === BigInt(0) ? (delta === BigInt(0) ? '0%' : 'new') : `${signed((delta * BigInt(100)) / before)}%`;
+
+  const rows = [
+    ['User', 'Before', 'After', 'Delta', 'Change'],
+    ...preview.users.map(u => [u.user, u.before.toString(), u.after.toString(), signed(u.delta), percent(u.before, u.delta)]),
+    ['Total', preview.totals.before.toString(), preview.totals.after.toString(), signed(preview.totals.delta),
+      percent(preview.totals.before, preview.totals.delta)]
+  ];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  const line = (row: string[]) => row.map((cell, col) => (col === 0 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]))).join('  ');
+
+  return [
+    ...preview.proposal.changes.map(c => `${c.name}: ${c.current} -> ${c.proposed}`),
+    ...preview.proposal.warnings.map(w => `Warning: ${w}`),
+    '',
+    ...rows.map(line),
+    '',
+    `${preview.totals.increased} up, ${preview.totals.decreased} down, ${preview.totals.unchanged} unchanged`
+  ].join('\n');
+}
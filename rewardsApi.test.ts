@@ -0,0 +1,172 @@
+/**
+ * Test Suite for the rewards read API
+ * Covers JSON serialization, validation, cache invalidation by block and event,
+ * and where the API's indexer starts
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import * as os from 'os';
+import * as path from 'path';
+import { promises as fs } from 'fs';
+import { BaseRewardsManager } from './baseRewardsUtils';
+import { MemoryStore, RewardsEventIndexer } from './eventIndexer';
+import { RewardsApiError, RewardsReadApi, handleApiRequest, resolveApiDeployment } from './rewardsApi';
+import { deployRewardsFixture } from './testHarness';
+
+describe('Rewards Read API', function () {
+  async function contributedFixture() {
+    const fixture = await deployRewardsFixture();
+    await fixture.rewardsOptimizer.connect(fixture.user1).recordContribution(0, 1500);
+    await fixture.rewardsOptimizer.connect(fixture.user2).recordContribution(1, 2);
+    return fixture;
+  }
+
+  // Counts profile reads, the one call every builder response makes
+  function createApi(address: string, deployBlock: number) {
+    const manager = new BaseRewardsManager(address, ethers.provider);
+    const indexer = new RewardsEventIndexer(address, ethers.provider, new MemoryStore(), { startBlock: deployBlock });
+    const reads: string[] = [];
+
+    const getUserProfile = manager.getUserProfile.bind(manager);
+    manager.getUserProfile = async (user: string) => {
+      reads.push(user);
+      return getUserProfile(user);
+    };
+
+    return { api: new RewardsReadApi(manager, indexer, ethers.provider, { maxPageSize: 10 }), reads };
+  }
+
+  it('Should serialize bigints as decimal strings and reject bad input', async function () {
+    const { address, deployBlock, user1 } = await loadFixture(contributedFixture);
+    const { api } = createApi(address, deployBlock);
+
+    const builder = await api.getBuilder(user1.address.toLowerCase());
+    expect(builder.address).to.equal(user1.address);
+    expect(builder.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(builder.profile).to.include({ totalContributions: '1500', githubScore: '1500', streakDays: '1', isActive: true });
+    expect(builder.reward).to.equal('1875');
+
+    const { breakdown } = await api.getBreakdown(user1.address);
+    expect(breakdown).to.include({ eligible: true, baseReward: '1500', totalReward: '1875' });
+    expect(JSON.parse(JSON.stringify(breakdown))).to.deep.equal(breakdown);
+
+    const invalid = await api.getBuilder('0x1234').catch(error => error);
+    expect(invalid).to.be.instanceOf(RewardsApiError);
+    expect(invalid.status).to.equal(400);
+
+    const tooLarge = await api.getLeaderboard({ limit: '11' }).catch(error => error);
+    expect(tooLarge.message).to.equal('limit must be between 1 and 10');
+    const negative = await api.getLeaderboard({ minStreak: '-1' }).catch(error => error);
+    expect(negative.status).to.equal(400);
+  });
+
+  it('Should keep reads across blocks until a contribution invalidates them', async function () {
+    const { rewardsOptimizer, address, deployBlock, user1, user2 } = await loadFixture(contributedFixture);
+    const { api, reads } = createApi(address, deployBlock);
+
+    await api.getBuilder(user1.address);
+    await api.getBuilder(user2.address);
+    await api.getBuilder(user1.address);
+    expect(reads).to.deep.equal([user1.address, user2.address]);
+
+    // A block without contract events leaves both entries valid
+    await ethers.provider.send('evm_mine', []);
+    const unchanged = await api.getBuilder(user1.address);
+    expect(unchanged.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(reads).to.have.length(2);
+
+    await rewardsOptimizer.connect(user1).recordContribution(0, 100);
+    const updated = await api.getBuilder(user1.address);
+    await api.getBuilder(user2.address);
+
+    expect(updated.profile.totalContributions).to.equal('1600');
+    expect(reads).to.deep.equal([user1.address, user2.address, user1.address]);
+  });
+
+  it('Should read stats every block and rank every indexed builder', async function () {
+    const { rewardsOptimizer, address, deployBlock, user1, user2, user3 } = await loadFixture(contributedFixture);
+    const { api } = createApi(address, deployBlock);
+
+    const stats = await api.getStats();
+    expect(stats).to.include({ builders: 2, contributions: 2, totalRewardsDistributed: '0' });
+    expect(stats.balance).to.be.a('string');
+
+    const page = await api.getLeaderboard({ limit: '1' });
+    expect(page).to.include({ total: 2, limit: 1, offset: 0 });
+    expect(page.entries[0]).to.include({ rank: 1, address: user1.address, reward: '1875' });
+
+    await rewardsOptimizer.connect(user3).recordContribution(0, 3000);
+    const ranked = await api.getLeaderboard({ activeOnly: 'true' });
+    expect(ranked.entries.map(entry => entry.address)).to.deep.equal([user3.address, user1.address, user2.address]);
+    expect((await api.getStats()).builders).to.equal(3);
+
+    const response: any = { headers: {} };
+    response.status = (code: number) => Object.assign(response, { code });
+    response.setHeader = (name: string, value: string) => { response.headers[name] = value; };
+    response.json = (body: unknown) => Object.assign(response, { body });
+
+    await handleApiRequest({ method: 'POST', query: {} }, response, api => api.getStats());
+    expect(response).to.deep.include({ code: 405, headers: { Allow: 'GET' } });
+  });
+
+  it('Should drop cached reads of a builder whose state is imported', async function () {
+    const { rewardsOptimizer, address, deployBlock, owner, user1, user2, user3 } = await loadFixture(contributedFixture);
+    const { api } = createApi(address, deployBlock);
+    const day = Math.floor((await ethers.provider.getBlock('latest'))!.timestamp / 86400);
+
+    expect((await api.getBuilder(user3.address)).profile.isActive).to.equal(false);
+    expect((await api.getBreakdown(user3.address)).breakdown).to.include({ eligible: false });
+    expect((await api.getLeaderboard({})).total).to.equal(2);
+
+    await rewardsOptimizer.connect(owner).importBuilderStates([{
+      user: user3.address,
+      profile: {
+        totalContributions: 3000,
+        githubScore: 3000,
+        contractDeployments: 0,
+        lastUpdateTime: day * 86400,
+        streakDays: 1,
+        isActive: true,
+        diversityTypes: 1
+      },
+      dailyDays: [day],
+      dailyValues: [3000],
+      typeValues: [3000]
+    }]);
+
+    const imported = await api.getBuilder(user3.address);
+    expect(imported.profile).to.include({ totalContributions: '3000', isActive: true });
+    expect((await api.getBreakdown(user3.address)).breakdown).to.include({ eligible: true, baseReward: '3000' });
+
+    const ranked = await api.getLeaderboard({});
+    expect(ranked.entries.map(entry => entry.address)).to.deep.equal([user3.address, user1.address, user2.address]);
+    expect((await api.getStats()).builders).to.equal(3);
+  });
+
+  it('Should start indexing at the deployment block, never at genesis', async function () {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rewards-api-'));
+    const listed = ethers.Wallet.createRandom().address;
+    const unlisted = ethers.Wallet.createRandom().address;
+    await fs.writeFile(path.join(dir, '31337.json'), JSON.stringify({
+      network: { name: 'localhost', chainId: '31337' },
+      contracts: { BaseRewardsOptimizer: { address: listed, blockNumber: 42 } }
+    }));
+    const env = { DEPLOYMENTS_DIR: dir };
+
+    try {
+      expect(resolveApiDeployment(env)).to.include({ contract: listed, deployBlock: 42 });
+      expect(resolveApiDeployment({ ...env, REWARDS_CONTRACT: listed.toLowerCase() }).deployBlock).to.equal(42);
+      expect(resolveApiDeployment({ ...env, REWARDS_CONTRACT: unlisted, REWARDS_START_BLOCK: '7' }))
+        .to.include({ contract: unlisted, deployBlock: 7 });
+
+      expect(() => resolveApiDeployment({ ...env, REWARDS_CONTRACT: unlisted })).to.throw(/REWARDS_START_BLOCK/);
+      expect(() => resolveApiDeployment({ REWARDS_CONTRACT: unlisted, DEPLOYMENTS_DIR: os.tmpdir() }))
+        .to.throw(/REWARDS_START_BLOCK/);
+      expect(() => resolveApiDeployment({ ...env, REWARDS_START_BLOCK: 'latest' })).to.throw(/Invalid REWARDS_START_BLOCK/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
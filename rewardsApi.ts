@@ -0,0 +1,444 @@
+/**
+ * Rewards Read API
+ * Builder profiles, reward breakdowns, the leaderboard and contract stats as plain
+ * JSON, served by the dashboard's /api routes. Responses are cached per block and
+ * survive later blocks until a ContributionRecorded (or ParametersUpdated) event
+ * picked up by the event indexer makes them stale.
+ */
+
+import { ethers, Provider } from 'ethers';
+import { BaseRewardsManager, RewardCalculation, UserProfile, isValidAddress } from './baseRewardsUtils';
+import { DeployedContract, getDeployedAddress, loadDeploymentManifest, resolveDeploymentsDir } from './deployments';
+import { RewardsEventIndexer } from './eventIndexer';
+import { MemoryStore, StateStore } from './jsonFileStore';
+import { LeaderboardPage, LeaderboardSnapshot, RewardsLeaderboard } from './leaderboard';
+import { getNetworkConfig } from './networks';
+
+// Types and Interfaces
+export interface ApiDeployment {
+  chainId: number;
+  networkName: string;
+  rpcUrl: string;
+  explorerUrl: string | null;
+  local: boolean;
+  contract: string;
+  deployBlock: number;
+}
+
+export interface RewardsApiOptions {
+  leaderboardStore?: StateStore<LeaderboardSnapshot[]>;
+  maxPageSize?: number;
+  maxCacheEntries?: number;
+}
+
+// What a value looks like once serializeBigInts has turned its bigints into strings
+export type Serialized<T> = T extends bigint
+  ? string
+  : T extends (infer U)[]
+    ? Serialized<U>[]
+    : T extends object
+      ? { [K in keyof T]: Serialized<T[K]> }
+      : T;
+
+export interface BuilderResponse {
+  address: string;
+  blockNumber: number;
+  profile: Serialized<UserProfile>;
+  reward: string;
+}
+
+export interface BreakdownResponse {
+  address: string;
+  blockNumber: number;
+  breakdown: Serialized<RewardCalculation>;
+}
+
+export type LeaderboardResponse = Serialized<LeaderboardPage>;
+
+export interface StatsResponse {
+  blockNumber: number;
+  balance: string;
+  totalRewardsDistributed: string;
+  currentWeek: string;
+  builders: number; // addresses with at least one contribution
+  contributions: number;
+}
+
+// Query string values as Next.js hands them over
+export type ApiQuery = Record<string, string | string[] | undefined>;
+
+// Minimal request/response surface of Next.js API routes
+export interface ApiRequest {
+  method?: string;
+  query: ApiQuery;
+}
+
+export interface ApiResponse {
+  status(code: number): ApiResponse;
+  setHeader(name: string, value: string | string[]): unknown;
+  json(body: unknown): void;
+}
+
+interface CacheEntry {
+  blockNumber: number;
+  perBlock: boolean; // not tied to any event, so only valid for the block it was read at
+  value: Promise<unknown>;
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+
+const DEFAULT_MAX_PAGE_SIZE = 100;
+
+const DEFAULT_MAX_CACHE_ENTRIES = 1000;
+
+/**
+ * Error with the HTTP status to answer with
+ */
+export class RewardsApiError extends Error {
+  status: number;
+
+  constructor(message: string, status: number = 400) {
+    super(message);
+    this.name = 'RewardsApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * RewardsReadApi - cached, JSON-ready reads on top of BaseRewardsManager
+ */
+export class RewardsReadApi {
+  private manager: BaseRewardsManager;
+  private indexer: RewardsEventIndexer;
+  private leaderboard: RewardsLeaderboard;
+  private options: Required<Omit<RewardsApiOptions, 'leaderboardStore'>>;
+  private provider: Provider;
+  private cache = new Map<string, CacheEntry>();
+  private syncedBlock = -1;
+  private pendingSync?: Promise<number>;
+
+  constructor(
+    manager: BaseRewardsManager,
+    indexer: RewardsEventIndexer,
+    provider: Provider,
+    options: RewardsApiOptions = {}
+  ) {
+    this.manager = manager;
+    this.indexer = indexer;
+    this.provider = provider;
+    this.leaderboard = manager.createLeaderboard(indexer, { store: options.leaderboardStore });
+    this.options = {
+      maxPageSize: options.maxPageSize ?? DEFAULT_MAX_PAGE_SIZE,
+      maxCacheEntries: options.maxCacheEntries ?? DEFAULT_MAX_CACHE_ENTRIES
+    };
+  }
+
+  /**
+   * GET /api/builders/:address
+   */
+  async getBuilder(address: string): Promise<BuilderResponse> {
+    const user = parseAddress(address);
+    const { blockNumber, value } = await this.read(`builder:${user}`, false, async () => {
+      const [profile, reward] = await Promise.all([
+        this.manager.getUserProfile(user),
+        this.manager.calculateReward(user)
+      ]);
+      return { profile, reward };
+    });
+
+    return serializeBigInts({ address: user, blockNumber, ...value });
+  }
+
+  /**
+   * GET /api/builders/:address/breakdown
+   */
+  async getBreakdown(address: string): Promise<BreakdownResponse> {
+    const user = parseAddress(address);
+    const { blockNumber, value } = await this.read(`breakdown:${user}`, false, () =>
+      this.manager.getRewardBreakdown(user)
+    );
+
+    return serializeBigInts({ address: user, blockNumber, breakdown: value });
+  }
+
+  /**
+   * GET /api/leaderboard?offset=&limit=&activeOnly=&minStreak=&minReward=
+   */
+  async getLeaderboard(query: ApiQuery = {}): Promise<LeaderboardResponse> {
+    const limit = parseInteger(query, 'limit', Math.min(DEFAULT_PAGE_SIZE, this.options.maxPageSize));
+    if (limit < 1 || limit > this.options.maxPageSize) {
+      throw new RewardsApiError(`limit must be between 1 and ${this.options.maxPageSize}`);
+    }
+
+    const pageQuery = {
+      offset: parseInteger(query, 'offset', 0),
+      limit,
+      activeOnly: parseBoolean(query, 'activeOnly'),
+      minStreak: parseInteger(query, 'minStreak', 0),
+      minReward: BigInt(parseDecimal(query, 'minReward', '0'))
+    };
+
+    // One ranking serves every page and filter until a contribution changes it
+    await this.read('leaderboard', false, () => this.leaderboard.refresh());
+    return serializeBigInts(await this.leaderboard.getPage(pageQuery));
+  }
+
+  /**
+   * GET /api/stats
+   */
+  async getStats(): Promise<StatsResponse> {
+    // The reward balance also moves with plain token transfers, which emit no contract event
+    const { blockNumber, value } = await this.read('stats', true, async () => {
+      const [stats, contributors, contributions] = await Promise.all([
+        this.manager.getContractStats(),
+        this.indexer.getContributors(),
+        this.indexer.getEvents({ name: 'ContributionRecorded' })
+      ]);
+      return { ...stats, builders: contributors.length, contributions: contributions.length };
+    });
+
+    return serializeBigInts({ blockNumber, ...value });
+  }
+
+  // Private helper methods
+
+  /**
+   * Serve key from the cache unless it was read at an earlier block and is
+   * perBlock, or an event since then dropped it
+   */
+  private async read<T>(key: string, perBlock: boolean, load: () => Promise<T>): Promise<{ blockNumber: number; value: T }> {
+    const blockNumber = await this.sync();
+    let entry = this.cache.get(key);
+
+    if (!entry || (entry.perBlock && entry.blockNumber !== blockNumber)) {
+      const value = load();
+      const created: CacheEntry = { blockNumber, perBlock, value };
+      value.catch(() => {
+        if (this.cache.get(key) === created) {
+          this.cache.delete(key);
+        }
+      });
+      entry = created;
+    }
+
+    // Re-inserting keeps the map in least-recently-used order
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    if (this.cache.size > this.options.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value!);
+    }
+
+    return { blockNumber, value: (await entry.value) as T };
+  }
+
+  /**
+   * Index up to the chain head once per block, dropping entries its events touch
+   */
+  private async sync(): Promise<number> {
+    if (!this.pendingSync) {
+      this.pendingSync = this.syncEvents().finally(() => {
+        this.pendingSync = undefined;
+      });
+    }
+    return this.pendingSync;
+  }
+
+  private async syncEvents(): Promise<number> {
+    if (await this.provider.getBlockNumber() === this.syncedBlock) {
+      return this.syncedBlock;
+    }
+
+    const indexed = await this.indexer.getLastIndexedBlock();
+    const result = await this.indexer.sync();
+
+    if (result.rolledBackEvents > 0) {
+      this.cache.clear();
+    } else {
+      for (const event of await this.indexer.getEvents({ fromBlock: indexed + 1 })) {
+        this.invalidate(event.name, event.user);
+      }
+    }
+
+    this.syncedBlock = result.toBlock;
+    return result.toBlock;
+  }
+
+  private invalidate(eventName: string, user?: string): void {
+    if ((eventName === 'ContributionRecorded' || eventName === 'BuilderStateImported') && user) {
+      const address = ethers.getAddress(user);
+      this.cache.delete(`builder:${address}`);
+      this.cache.delete(`breakdown:${address}`);
+      this.cache.delete('leaderboard');
+    } else if (eventName === 'ParametersUpdated') {
+      // Every reward depends on the parameters
+      this.cache.clear();
+    }
+  }
+}
+
+/**
+ * Replace bigints with decimal strings, everywhere in a value, so every route
+ * encodes uint256 amounts the same way
+ */
+export function serializeBigInts<T>(value: T): Serialized<T> {
+  if (typeof value === 'bigint') {
+    return value.toString() as Serialized<T>;
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeBigInts) as Serialized<T>;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, serializeBigInts(item)])
+    ) as Serialized<T>;
+  }
+  return value as Serialized<T>;
+}
+
+/**
+ * Network and contract the dashboard serves. REWARDS_NETWORK (default: localhost),
+ * REWARDS_RPC_URL, REWARDS_CONTRACT and DEPLOYMENTS_DIR override the defaults, as
+ * they do for deploy.js and the CLI. The manifest is read on every call, so
+ * redeploying to a local node needs no restart.
+ *
+ * The indexer starts at REWARDS_START_BLOCK, else at the deployment block in the
+ * manifest. A REWARDS_CONTRACT the manifest does not list needs REWARDS_START_BLOCK,
+ * since indexing it from genesis would scan the whole chain.
+ */
+export function resolveApiDeployment(env: Record<string, string | undefined> = process.env): ApiDeployment {
+  const network = getNetworkConfig(env.REWARDS_NETWORK || 'localhost');
+  const deploymentsDir = resolveDeploymentsDir(undefined, env);
+  const startBlock = parseStartBlock(env.REWARDS_START_BLOCK);
+  let contract = env.REWARDS_CONTRACT;
+  let deployBlock: number;
+
+  if (!contract) {
+    const manifest = loadDeploymentManifest(network.chainId, deploymentsDir);
+    contract = getDeployedAddress(manifest);
+    deployBlock = startBlock ?? manifest.contracts.BaseRewardsOptimizer!.blockNumber;
+  } else {
+    deployBlock = startBlock ?? findDeployBlock(network.chainId, contract, deploymentsDir);
+  }
+
+  return {
+    chainId: network.chainId,
+    networkName: network.name,
+    rpcUrl: env.REWARDS_RPC_URL || network.rpcUrls[0],
+    explorerUrl: network.explorerUrl || null,
+    local: network.local,
+    contract,
+    deployBlock
+  };
+}
+
+function parseStartBlock(value: string | undefined): number | undefined {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const block = Number(value);
+  if (!Number.isSafeInteger(block) || block < 0) {
+    throw new Error(`Invalid REWARDS_START_BLOCK ${value}; expected a block number`);
+  }
+  return block;
+}
+
+/**
+ * Deployment block of an address, if the manifest lists it as the rewards contract
+ */
+function findDeployBlock(chainId: number, contract: string, deploymentsDir: string): number {
+  let deployed: DeployedContract | undefined;
+  try {
+    deployed = loadDeploymentManifest(chainId, deploymentsDir).contracts.BaseRewardsOptimizer;
+  } catch {
+    deployed = undefined;
+  }
+
+  if (!deployed || deployed.address.toLowerCase() !== contract.toLowerCase()) {
+    throw new Error(
+      `REWARDS_CONTRACT ${contract} is not in the deployment manifest for chain ${chainId}; ` +
+      'set REWARDS_START_BLOCK to the block it was deployed in'
+    );
+  }
+  return deployed.blockNumber;
+}
+
+let sharedApi: { key: string; api: RewardsReadApi } | undefined;
+
+/**
+ * The process-wide read API for the configured deployment, rebuilt when it changes
+ */
+export async function getSharedRewardsApi(): Promise<RewardsReadApi> {
+  const deployment = resolveApiDeployment();
+  const key = `${deployment.rpcUrl}:${deployment.contract}`;
+
+  if (sharedApi?.key !== key) {
+    const provider = new ethers.JsonRpcProvider(deployment.rpcUrl, deployment.chainId, { staticNetwork: true });
+    const manager = new BaseRewardsManager(deployment.contract, provider);
+    const indexer = await manager.createEventIndexer(new MemoryStore(), { startBlock: deployment.deployBlock });
+
+    sharedApi = { key, api: new RewardsReadApi(manager, indexer, provider, { leaderboardStore: new MemoryStore() }) };
+  }
+
+  return sharedApi.api;
+}
+
+/**
+ * Answer a GET request with the JSON from load. RewardsApiError becomes its status,
+ * anything else (usually the RPC) a 502.
+ */
+export async function handleApiRequest(
+  req: ApiRequest,
+  res: ApiResponse,
+  load: (api: RewardsReadApi) => Promise<unknown>
+): Promise<void> {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+    return;
+  }
+
+  try {
+    res.status(200).json(await load(await getSharedRewardsApi()));
+  } catch (error: any) {
+    const status = error instanceof RewardsApiError ? error.status : 502;
+    res.status(status).json({ error: error.shortMessage || error.message });
+  }
+}
+
+// Private helper functions
+
+function parseAddress(address: string): string {
+  if (!isValidAddress(address)) {
+    throw new RewardsApiError(`Invalid address: ${address}`);
+  }
+  return ethers.getAddress(address);
+}
+
+function queryValue(query: ApiQuery, name: string): string | undefined {
+  const value = query[name];
+  return Array.isArray(value) ? value[value.length - 1] : value;
+}
+
+function parseDecimal(query: ApiQuery, name: string, fallback: string): string {
+  const value = queryValue(query, name) ?? fallback;
+  if (!/^\d+$/.test(value)) {
+    throw new RewardsApiError(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return value;
+}
+
+function parseInteger(query: ApiQuery, name: string, fallback: number): number {
+  return Number(parseDecimal(query, name, String(fallback)));
+}
+
+function parseBoolean(query: ApiQuery, name: string): boolean {
+  const value = queryValue(query, name);
+  if (value === undefined || value === 'false' || value === '0') {
+    return false;
+  }
+  if (value === 'true' || value === '1' || value === '') {
+    return true;
+  }
+  throw new RewardsApiError(`${name} must be true or false, got "${value}"`);
+}
@@ -0,0 +1,192 @@
+/**
+ * Test Suite for the rewards CLI
+ * Runs commands in-process against a local Hardhat node and checks output and exit codes
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { EXIT_CODES, runCli } from './rewardsCli';
+import { deployRewardsFixture } from './testHarness';
+
+describe('rewards CLI', function () {
+  async function deployFixture() {
+    const fixture = await deployRewardsFixture();
+
+    await fixture.rewardsOptimizer.connect(fixture.user1).recordContribution(0, 1500);
+    await fixture.rewardsOptimizer.connect(fixture.user2).recordContribution(0, 3000);
+
+    const contributedBlock = await ethers.provider.getBlockNumber();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rewards-cli-'));
+
+    return { ...fixture, contributedBlock, dir };
+  }
+
+  // A funded key the CLI can sign with
+  async function createFundedWallet() {
+    const wallet = ethers.Wallet.createRandom();
+    await ethers.provider.send('hardhat_setBalance', [wallet.address, ethers.toBeHex(ethers.parseEther('10'))]);
+    return wallet;
+  }
+
+  async function run(argv: string[], env: Record<string, string | undefined> = {}) {
+    const stdout: string[] = [];
+    const stderr: string[] = [];
+    const code = await runCli(argv, {
+      stdout: line => stdout.push(line),
+      stderr: line => stderr.push(line),
+      env,
+      provider: ethers.provider
+    });
+
+    return { code, stdout, stderr };
+  }
+
+  it('Should print a profile as a table or as JSON', async function () {
+    const { address, user1 } = await loadFixture(deployFixture);
+
+    const table = await run(['profile', user1.address, '--contract', address]);
+    expect(table.code).to.equal(EXIT_CODES.ok);
+    expect(table.stdout).to.include('Total contributions   1500');
+
+    const json = await run(['profile', user1.address.toLowerCase(), '--contract', address, '--json']);
+    expect(JSON.parse(json.stdout[0])).to.include({
+      address: user1.address,
+      totalContributions: '1500',
+      isActive: true
+    });
+  });
+
+  it('Should exit with distinct codes for usage and configuration errors', async function () {
+    const { address, dir } = await loadFixture(deployFixture);
+
+    expect((await run(['profile', 'not-an-address', '--contract', address])).code).to.equal(EXIT_CODES.usage);
+    expect((await run(['frobnicate'])).code).to.equal(EXIT_CODES.usage);
+    expect((await run(['stats', '--bogus'])).code).to.equal(EXIT_CODES.usage);
+
+    const noManifest = await run(['stats', '--deployments', dir]);
+    expect(noManifest.code).to.equal(EXIT_CODES.config);
+    expect(noManifest.stderr[0]).to.include('No deployment manifest for chain 31337');
+
+    const noSigner = await run(['record', '0', '10', '--contract', address]);
+    expect(noSigner.code).to.equal(EXIT_CODES.config);
+    expect(noSigner.stderr[0]).to.include('REWARDS_PRIVATE_KEY');
+  });
+
+  it('Should rank a leaderboard from an addresses file', async function () {
+    const { dir, user1, user2, owner, address } = await loadFixture(deployFixture);
+    const file = path.join(dir, 'addresses.txt');
+    await fs.writeFile(file, `# builders\n${user1.address}\n${owner.address}\n\n${user2.address}\n`);
+
+    const result = await run(['leaderboard', '--addresses-file', file, '--contract', address, '--json']);
+    const ranked = JSON.parse(result.stdout[0]).entries;
+
+    expect(ranked.map((entry: any) => entry.address)).to.deep.equal([user2.address, user1.address, owner.address]);
+    expect(ranked[2]).to.include({ rank: 3, address: owner.address, reward: '0', isActive: false });
+  });
+
+  it('Should page a leaderboard of builders found since a block', async function () {
+    const { deployBlock, user1, address } = await loadFixture(deployFixture);
+
+    const result = await run(['leaderboard', '--from-block', String(deployBlock), '--contract', address,
+      '--offset', '1', '--limit', '1']);
+
+    expect(result.code).to.equal(EXIT_CODES.ok);
+    expect(result.stdout).to.have.length(2);
+    expect(result.stdout[1]).to.match(new RegExp(`^2\\s+-\\s+${user1.address}\\s+1875\\s+1$`));
+    expect((await run(['leaderboard', '--contract', address])).code).to.equal(EXIT_CODES.usage);
+  });
+
+  it('Should record single and batched contributions with an env var key', async function () {
+    const { address, dir } = await loadFixture(deployFixture);
+    const wallet = await createFundedWallet();
+    const env = { REWARDS_PRIVATE_KEY: wallet.privateKey };
+
+    const single = await run(['record', '1', '5', '--contract', address, '--json'], env);
+    expect(single.code).to.equal(EXIT_CODES.ok);
+    expect(single.stdout).to.have.length(1);
+    expect(JSON.parse(single.stdout[0]).contributions[0].user).to.equal(wallet.address);
+    expect(single.stderr).to.deep.equal(['Recorded contribution: Type 1, Value 5, Description: N/A']);
+
+    const csv = path.join(dir, 'contributions.csv');
+    await fs.writeFile(csv, 'type,value,description\n0,400,PR #1\n0,600,PR #2\n2,30,talk, with comma\n');
+
+    const batch = await run(['batch-record', csv, '--contract', address, '--json'], env);
+    expect(batch.code).to.equal(EXIT_CODES.ok);
+    expect(batch.stdout).to.have.length(1);
+    expect(JSON.parse(batch.stdout[0])).to.include({ completed: true, recorded: 3, total: 3 });
+    expect(batch.stderr).to.deep.equal(['Batch 1/1 recorded 3 contributions']);
+
+    const profile = await run(['profile', wallet.address, '--contract', address, '--json']);
+    expect(JSON.parse(profile.stdout[0]).totalContributions).to.equal('1035');
+
+    const badCsv = path.join(dir, 'bad.csv');
+    await fs.writeFile(badCsv, '0,100\n1,zero\n');
+    const bad = await run(['batch-record', badCsv, '--contract', address], env);
+    expect(bad.code).to.equal(EXIT_CODES.usage);
+    expect(bad.stderr[0]).to.include('line 2 value');
+  });
+
+  it('Should sign from an encrypted keystore', async function () {
+    const { address, dir } = await loadFixture(deployFixture);
+    const wallet = await createFundedWallet();
+    const keystore = path.join(dir, 'keystore.json');
+    // A cheap scrypt cost keeps the test fast
+    const json = await ethers.encryptKeystoreJson(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      'hunter2',
+      { scrypt: { N: 1024 } }
+    );
+    await fs.writeFile(keystore, json);
+
+    const wrongPassword = await run(
+      ['record', '0', '10', '--contract', address, '--keystore', keystore],
+      { REWARDS_KEYSTORE_PASSWORD: 'wrong' }
+    );
+    expect(wrongPassword.code).to.equal(EXIT_CODES.config);
+
+    const result = await run(
+      ['record', '0', '10', '--contract', address, '--keystore', keystore],
+      { REWARDS_KEYSTORE_PASSWORD: 'hunter2' }
+    );
+    expect(result.code).to.equal(EXIT_CODES.ok);
+    expect(result.stdout[0]).to.match(/^Transaction\s+0x[0-9a-f]{64}$/);
+  });
+
+  it('Should watch events and resume from a cursor file', async function () {
+    const { rewardsOptimizer, address, deployBlock, dir, user1 } = await loadFixture(deployFixture);
+    const cursorFile = path.join(dir, 'cursor.json');
+    const watch = ['watch', '--contract', address, '--from-block', String(deployBlock), '--cursor-file', cursorFile];
+
+    const first = await run([...watch, '--limit', '1']);
+    expect(first.code).to.equal(EXIT_CODES.ok);
+    expect(first.stdout[0]).to.match(/ContributionRecorded user=0x\w+ contributionType=0 value=1500/);
+
+    await rewardsOptimizer.connect(user1).recordContribution(2, 7);
+
+    const rest = await run([...watch, '--limit', '2', '--json']);
+    expect(rest.stdout.map(line => JSON.parse(line).args.value)).to.deep.equal(['3000', '7']);
+  });
+
+  it('Should write a payout report pinned to a block', async function () {
+    const { address, deployBlock, contributedBlock, dir, user2 } = await loadFixture(deployFixture);
+    const out = path.join(dir, 'payout');
+    const report = ['payout-report', '--contract', address, '--from-block', String(deployBlock),
+      '--block', String(contributedBlock), '--reward-unit', '0.5'];
+
+    const written = await run([...report, '--out', out]);
+    expect(written.code).to.equal(EXIT_CODES.ok);
+    const json = JSON.parse(await fs.readFile(`${out}.json`, 'utf8'));
+    expect(json.totals).to.deep.equal({ builders: 2, eligible: 2, totalReward: '2812.5' });
+    expect(written.stdout).to.include(`Content hash  ${json.contentHash}`);
+
+    const printed = (await run(report)).stdout.join('\n');
+    expect(`${printed}\n`).to.equal(await fs.readFile(`${out}.csv`, 'utf8'));
+    expect(printed.split('\n')[1]).to.match(new RegExp(`^${user2.address},true,3000,.*,1875.0$`));
+
+    expect((await run([...report, '--epoch', '1'])).code).to.equal(EXIT_CODES.usage);
+  });
+});
@@ -0,0 +1,636 @@
+/**
+ * Rewards Command-Line Tool
+ * The `rewards` command wraps BaseRewardsManager for shell pipelines and cron jobs:
+ *
+ *   npm run rewards -- profile 0x1234... --network base --json
+ *   REWARDS_PRIVATE_KEY=0x... npm run rewards -- record 0 150 --network baseSepolia
+ *
+ * Exit codes: 0 success, 1 unexpected error, 2 bad arguments or input,
+ * 3 configuration (network, contract, signer), 4 contract revert, 5 transaction timeout
+ */
+
+import { ethers } from 'ethers';
+import { Provider } from 'ethers';
+import { promises as fs, readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { BaseRewardsManager, ContributionData, ContributionTypeRef, parseReward } from './baseRewardsUtils';
+import { RewardsContractError } from './rewardsErrors';
+import { TransactionTimeoutError } from './transactionManager';
+import { createProvider } from './networks';
+import { getDeployedAddress, loadDeploymentManifest, resolveDeploymentsDir } from './deployments';
+import { JsonFileStore, MemoryStore } from './jsonFileStore';
+import type { EventCursor } from './eventStream';
+import { INDEXED_EVENTS, IndexedEventName, RewardsEventIndexer } from './eventIndexer';
+import type { LeaderboardSnapshot } from './leaderboard';
+import { formatPayoutCsv, formatPayoutJson } from './payoutReport';
+
+// Types and Interfaces
+export interface CliEnvironment {
+  stdout: (line: string) => void;
+  stderr: (line: string) => void;
+  env: Record<string, string | undefined>;
+  provider?: Provider; // replaces --network/--rpc-url
+  signal?: AbortSignal; // ends a running watch
+}
+
+type CliOptions = ReturnType<typeof parseCliArgs>['values'];
+
+interface CommandContext {
+  args: string[];
+  options: CliOptions;
+  io: CliEnvironment;
+  connect(withSigner?: boolean): Promise<BaseRewardsManager>;
+}
+
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  config: 3,
+  reverted: 4,
+  timeout: 5
+};
+
+/**
+ * An expected failure: the message is printed without a stack trace
+ */
+export class CliError extends Error {
+  exitCode: number;
+
+  constructor(message: string, exitCode: number = EXIT_CODES.usage) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+const USAGE = `Usage: rewards <command> [options]
+
+Commands:
+  profile <address>                  Show a user's on-chain profile
+  breakdown <address>                Show how a user's reward is calculated
+  leaderboard                        Rank builders by reward, from --addresses-file or --from-block
+  record <type> <value>              Record a contribution; type is an id or name from \`types\`
+  batch-record <csv>                 Record type,value[,description] rows in gas-sized batches
+  types                              List the registered contribution types
+  payout-report                      Reward breakdown of every builder since --from-block at an epoch or block
+  stats                              Show contract statistics
+  watch                              Print contract events as they are confirmed
+
+Options:
+  --network <name|chainId>           Network from the registry (default: REWARDS_NETWORK or base)
+  --rpc-url <url>                    Use this RPC endpoint instead of the network's own
+  --contract <address>               Contract address (default: REWARDS_CONTRACT or the deployment manifest)
+  --deployments <dir>                Deployment manifest directory (default: DEPLOYMENTS_DIR or deployments/ in the project root)
+  --json                             Print JSON instead of tables
+  --keystore <file>                  Sign with an encrypted JSON keystore, unlocked with REWARDS_KEYSTORE_PASSWORD
+  --confirmations <n>                Confirmations to wait for after a write
+  --description <text>               record: description to log with the contribution
+  --max-gas <gas>                    batch-record: gas budget per batch
+  --addresses-file <file>            leaderboard: addresses to rank, one per line ("-" for stdin)
+  --offset <n>                       leaderboard: entries to skip
+  --active-only                      leaderboard: only active builders
+  --min-streak <days>                leaderboard: only builders with at least this streak
+  --snapshot-file <file>             leaderboard: save the week's ranking and show rank changes
+  --from-block <n>                   watch: replay events from this block; leaderboard, payout-report: find builders since it
+  --epoch <n>                        payout-report: report at the end of this week (default: the last finished one)
+  --block <n>                        payout-report: report at this block instead of an epoch
+  --reward-unit <amount>             payout-report: tokens paid per reward point (default 1)
+  --out <prefix>                     payout-report: write <prefix>.csv and <prefix>.json instead of printing CSV
+  --events <a,b>                     watch: event names (default: all)
+  --cursor-file <file>               watch: resume from and save the last delivered event
+  --limit <n>                        watch: exit after this many events; leaderboard: page size (default 50)
+  -h, --help                         Show this message
+
+Without --keystore, writes are signed with REWARDS_PRIVATE_KEY.`;
+
+const COMMANDS: Record<string, (context: CommandContext) => Promise<number>> = {
+  profile: profileCommand,
+  breakdown: breakdownCommand,
+  leaderboard: leaderboardCommand,
+  record: recordCommand,
+  'batch-record': batchRecordCommand,
+  types: typesCommand,
+  'payout-report': payoutReportCommand,
+  stats: statsCommand,
+  watch: watchCommand
+};
+
+/**
+ * Run the CLI and resolve to its exit code. Never throws.
+ */
+export async function runCli(argv: string[], environment: Partial<CliEnvironment> = {}): Promise<number> {
+  const io: CliEnvironment = {
+    stdout: line => process.stdout.write(`${line}\n`),
+    stderr: line => process.stderr.write(`${line}\n`),
+    env: process.env,
+    ...environment
+  };
+
+  try {
+    const { values: options, positionals } = parseCliArgs(argv);
+    const [command, ...args] = positionals;
+
+    if (options.help) {
+      io.stdout(USAGE);
+      return EXIT_CODES.ok;
+    }
+    if (!command || !COMMANDS[command]) {
+      io.stderr(command ? `Unknown command "${command}"\n\n${USAGE}` : USAGE);
+      return EXIT_CODES.usage;
+    }
+
+    return await COMMANDS[command]({
+      args,
+      options,
+      io,
+      connect: (withSigner = false) => connect(options, io, withSigner)
+    });
+  } catch (error: any) {
+    io.stderr(`Error: ${error instanceof CliError || error instanceof RewardsContractError ? error.message : error.stack || error}`);
+    return getExitCode(error);
+  }
+}
+
+// Commands
+
+async function profileCommand({ args, options, io, connect }: CommandContext): Promise<number> {
+  const address = requireAddress(args[0]);
+  const profile = await (await connect()).getUserProfile(address);
+
+  output(io, options, { address, ...profile }, () => [
+    ['Address', address],
+    ['Total contributions', profile.totalContributions.toString()],
+    ['GitHub score', profile.githubScore.toString()],
+    ['Contract deployments', profile.contractDeployments.toString()],
+    ['Streak days', profile.streakDays.toString()],
+    ['Last update', formatTimestamp(profile.lastUpdateTime)],
+    ['Active', profile.isActive ? 'yes' : 'no']
+  ]);
+  return EXIT_CODES.ok;
+}
+
+async function breakdownCommand({ args, options, io, connect }: CommandContext): Promise<number> {
+  const address = requireAddress(args[0]);
+  const breakdown = await (await connect()).getRewardBreakdown(address);
+
+  output(io, options, { address, ...breakdown }, () => [
+    ['Address', address],
+    ['Eligible', breakdown.eligible ? 'yes' : 'no (inactive or below the minimum threshold)'],
+    ['Base reward', breakdown.baseReward.toString()],
+    ['Streak bonus', `${breakdown.streakBonus} (${formatMultiplier(breakdown.streakMultiplier)})`],
+    ['Diversity bonus', `${breakdown.diversityBonus} (${formatMultiplier(breakdown.diversityMultiplier)})`],
+    ['Gas optimization bonus', breakdown.gasOptimizationBonus.toString()],
+    ['Total reward', breakdown.totalReward.toString()]
+  ]);
+  return EXIT_CODES.ok;
+}
+
+async function leaderboardCommand({ options, io, connect }: CommandContext): Promise<number> {
+  const manager = await connect();
+  let participants: string[] | RewardsEventIndexer;
+
+  if (options['addresses-file']) {
+    participants = parseAddressList(await readInput(options['addresses-file']));
+    if (participants.length === 0) {
+      throw new CliError(`No addresses in ${options['addresses-file']}`);
+    }
+  } else if (options['from-block']) {
+    // Builders come from contribution history since --from-block
+    participants = await manager.createEventIndexer(new MemoryStore(), {
+      startBlock: parseCount(options['from-block'], '--from-block')
+    });
+    await participants.sync();
+  } else {
+    throw new CliError('leaderboard needs --addresses-file or --from-block');
+  }
+
+  const store = options['snapshot-file'] ? new JsonFileStore<LeaderboardSnapshot[]>(options['snapshot-file']) : undefined;
+  const page = await manager.createLeaderboard(participants, { store }).getPage({
+    offset: options.offset ? parseCount(options.offset, '--offset') : undefined,
+    limit: options.limit ? parseCount(options.limit, '--limit') : undefined,
+    activeOnly: options['active-only'],
+    minStreak: options['min-streak'] ? parseCount(options['min-streak'], '--min-streak') : undefined
+  });
+
+  output(io, options, page, () => [
+    ['Rank', 'Change', 'Address', 'Reward', 'Streak'],
+    ...page.entries.map(entry => [
+      entry.rank.toString(),
+      formatRankChange(entry.rankChange),
+      entry.address,
+      entry.reward.toString(),
+      entry.streakDays.toString()
+    ])
+  ]);
+  return EXIT_CODES.ok;
+}
+
+async function recordCommand({ args, options, io, connect }: CommandContext): Promise<number> {
+  if (args.length !== 2) {
+    throw new CliError('Usage: rewards record <type> <value>');
+  }
+
+  const type = parseContributionType(args[0], 'type');
+  const value = parseContributionValue(args[1], 'value');
+  const receipt = await (await connect(true)).recordContribution(type, value, options.description);
+
+  output(io, options, receipt, () => [
+    ['Transaction', receipt.transactionHash],
+    ['Block', receipt.blockNumber.toString()],
+    ['Gas used', receipt.gasUsed.toString()],
+    ['Fee', `${ethers.formatEther(receipt.fee)} ETH`],
+    ['Contributions', receipt.contributions.length.toString()]
+  ]);
+  return EXIT_CODES.ok;
+}
+
+async function batchRecordCommand({ args, options, io, connect }: CommandContext): Promise<number> {
+  if (args.length !== 1) {
+    throw new CliError('Usage: rewards batch-record <csv>');
+  }
+
+  const contributions = parseContributionsCsv(await readInput(args[0]));
+  if (contributions.length === 0) {
+    throw new CliError(`No contributions in ${args[0]}`);
+  }
+
+  const maxGasPerBatch = options['max-gas'] ? parseContributionValue(options['max-gas'], '--max-gas') : undefined;
+  const result = await (await connect(true)).recordContributionsInBatches(contributions, { maxGasPerBatch });
+  const chunks = result.chunks.map(chunk => ({
+    index: chunk.index,
+    items: chunk.end - chunk.start,
+    status: chunk.status,
+    transactionHash: chunk.receipt?.transactionHash ?? chunk.transaction?.hashes.slice(-1)[0],
+    error: chunk.error?.message
+  }));
+  const recorded = result.chunks
+    .filter(chunk => chunk.status === 'confirmed')
+    .reduce((sum, chunk) => sum + chunk.end - chunk.start, 0);
+
+  output(io, options, { completed: result.completed, recorded, total: result.totalItems, chunks }, () => [
+    ['Batch', 'Items', 'Status', 'Transaction'],
+    ...chunks.map(c => [(c.index + 1).toString(), c.items.toString(), c.status, c.transactionHash || c.error || ''])
+  ]);
+
+  const failed = result.chunks.find(chunk => chunk.status === 'failed' || chunk.status === 'pending');
+  if (failed) {
+    io.stderr(`Recorded ${recorded} of ${result.totalItems} contributions; batch ${failed.index + 1} ${failed.status}`);
+    return getExitCode(failed.error);
+  }
+  return EXIT_CODES.ok;
+}
+
+async function typesCommand({ options, io, connect }: CommandContext): Promise<number> {
+  const types = (await (await connect()).getContributionTypes()).list();
+
+  output(io, options, types, () => [
+    ['Id', 'Key', 'Name', 'Weight', 'Diversity', 'Active'],
+    ...types.map(type => [
+      type.id.toString(),
+      type.key,
+      type.name,
+      `${Number(type.weight) / 100}x`,
+      type.countsForDiversity ? 'yes' : 'no',
+      type.active ? 'yes' : 'no'
+    ])
+  ]);
+  return EXIT_CODES.ok;
+}
+
+async function payoutReportCommand({ options, io, connect }: CommandContext): Promise<number> {
+  if (!options['from-block']) {
+    throw new CliError('payout-report needs --from-block');
+  }
+  if (options.epoch && options.block) {
+    throw new CliError('Pass --epoch or --block, not both');
+  }
+
+  const report = await (await connect()).generatePayoutReport({
+    fromBlock: parseCount(options['from-block'], '--from-block'),
+    epoch: options.epoch ? parseCount(options.epoch, '--epoch') : undefined,
+    blockNumber: options.block ? parseCount(options.block, '--block') : undefined,
+    rewardUnit: options['reward-unit'] ? parseRewardUnit(options['reward-unit']) : undefined
+  });
+
+  if (!options.out) {
+    io.stdout((options.json ? formatPayoutJson(report) : formatPayoutCsv(report)).trimEnd());
+    return EXIT_CODES.ok;
+  }
+
+  const files = [`${options.out}.csv`, `${options.out}.json`];
+  try {
+    await fs.writeFile(files[0], formatPayoutCsv(report));
+    await fs.writeFile(files[1], formatPayoutJson(report));
+  } catch (error: any) {
+    throw new CliError(`Cannot write report: ${error.message}`);
+  }
+
+  const summary = { ...report, entries: undefined, files };
+  output(io, options, summary, () => [
+    ['Epoch', report.epoch === null ? '-' : report.epoch.toString()],
+    ['Block', `${report.blockNumber} (${formatTimestamp(BigInt(report.blockTimestamp))})`],
+    ['Builders', `${report.totals.builders} (${report.totals.eligible} eligible)`],
+    ['Total reward', report.totals.totalReward],
+    ['Content hash', report.contentHash],
+    ['Files', files.join(', ')]
+  ]);
+  return EXIT_CODES.ok;
+}
+
+async function statsCommand({ options, io, connect }: CommandContext): Promise<number> {
+  const manager = await connect();
+  const [stats, parameters] = await Promise.all([manager.getContractStats(), manager.getRewardParameters()]);
+
+  output(io, options, { ...stats, parameters }, () => [
+    ['Balance', `${ethers.formatEther(stats.balance)} ETH`],
+    ['Total rewards distributed', stats.totalRewardsDistributed.toString()],
+    ['Current week', stats.currentWeek.toString()],
+    ...Object.entries(parameters).map(([name, value]) => [name, value.toString()])
+  ]);
+  return EXIT_CODES.ok;
+}
+
+async function watchCommand({ options, io, connect }: CommandContext): Promise<number> {
+  const limit = options.limit ? parseCount(options.limit, '--limit') : Infinity;
+  const cursorStore = options['cursor-file'] ? new JsonFileStore<EventCursor>(options['cursor-file']) : null;
+  const cursor = (await cursorStore?.load()) ?? undefined;
+  const events = options.events?.split(',').map(name => name.trim()) as IndexedEventName[] | undefined;
+
+  const unknown = events?.find(name => !INDEXED_EVENTS.includes(name));
+  if (unknown) {
+    throw new CliError(`Unknown event ${unknown}; expected one of ${INDEXED_EVENTS.join(', ')}`);
+  }
+
+  const stream = (await connect()).streamEvents({
+    events,
+    fromBlock: options['from-block'] ? parseCount(options['from-block'], '--from-block') : undefined,
+    cursor,
+    confirmations: options.confirmations ? parseCount(options.confirmations, '--confirmations') : undefined,
+    onError: error => io.stderr(`RPC error, retrying: ${(error as Error).message}`)
+  });
+
+  io.signal?.addEventListener('abort', () => stream.close());
+  let delivered = 0;
+
+  for await (const event of stream) {
+    if (options.json) {
+      io.stdout(toJson(event));
+    } else {
+      const args = Object.entries(event.args).map(([name, value]) => `${name}=${value}`).join(' ');
+      io.stdout(`${event.blockNumber}:${event.logIndex} ${event.name} ${args} ${event.transactionHash}`);
+    }
+
+    await cursorStore?.save(event.cursor);
+    if (++delivered >= limit) {
+      break;
+    }
+  }
+
+  stream.close();
+  return EXIT_CODES.ok;
+}
+
+// Private helper functions
+
+function parseCliArgs(argv: string[]) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        network: { type: 'string' },
+        'rpc-url': { type: 'string' },
+        contract: { type: 'string' },
+        deployments: { type: 'string' },
+        json: { type: 'boolean' },
+        keystore: { type: 'string' },
+        confirmations: { type: 'string' },
+        description: { type: 'string' },
+        'max-gas': { type: 'string' },
+        'addresses-file': { type: 'string' },
+        offset: { type: 'string' },
+        'active-only': { type: 'boolean' },
+        'min-streak': { type: 'string' },
+        'snapshot-file': { type: 'string' },
+        'from-block': { type: 'string' },
+        epoch: { type: 'string' },
+        block: { type: 'string' },
+        'reward-unit': { type: 'string' },
+        out: { type: 'string' },
+        events: { type: 'string' },
+        'cursor-file': { type: 'string' },
+        limit: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error: any) {
+    throw new CliError(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+/**
+ * Build a manager from the global options, with a signer for commands that write
+ */
+async function connect(options: CliOptions, io: CliEnvironment, withSigner: boolean): Promise<BaseRewardsManager> {
+  let provider = io.provider;
+
+  if (!provider) {
+    try {
+      provider = createProvider(
+        options.network || io.env.REWARDS_NETWORK || 'base',
+        options['rpc-url'] ? { rpcUrls: [options['rpc-url']] } : {}
+      );
+    } catch (error: any) {
+      throw new CliError(error.message, EXIT_CODES.config);
+    }
+  }
+
+  let address = options.contract || io.env.REWARDS_CONTRACT;
+  if (!address) {
+    const { chainId } = await provider.getNetwork();
+
+    try {
+      address = getDeployedAddress(loadDeploymentManifest(chainId, resolveDeploymentsDir(options.deployments, io.env)));
+    } catch (error: any) {
+      throw new CliError(`${error.message}; pass --contract or set REWARDS_CONTRACT`, EXIT_CODES.config);
+    }
+  }
+  if (!ethers.isAddress(address)) {
+    throw new CliError(`Invalid contract address ${address}`, EXIT_CODES.config);
+  }
+
+  const signer = withSigner ? await loadSigner(options, io, provider) : undefined;
+  const confirmations = options.confirmations ? parseCount(options.confirmations, '--confirmations') : undefined;
+
+  // Progress messages go to stderr so stdout only carries command output
+  return new BaseRewardsManager(address, provider, signer, { confirmations, log: io.stderr });
+}
+
+/**
+ * Unlock the signing key from --keystore or REWARDS_PRIVATE_KEY
+ */
+async function loadSigner(options: CliOptions, io: CliEnvironment, provider: Provider): Promise<ethers.Signer> {
+  try {
+    if (options.keystore) {
+      const password = io.env.REWARDS_KEYSTORE_PASSWORD;
+      if (password === undefined) {
+        throw new Error('Set REWARDS_KEYSTORE_PASSWORD to unlock --keystore');
+      }
+
+      const wallet = await ethers.Wallet.fromEncryptedJson(await fs.readFile(options.keystore, 'utf8'), password);
+      return wallet.connect(provider);
+    }
+
+    if (io.env.REWARDS_PRIVATE_KEY) {
+      return new ethers.Wallet(io.env.REWARDS_PRIVATE_KEY, provider);
+    }
+  } catch (error: any) {
+    throw new CliError(`Cannot load signer: ${error.message}`, EXIT_CODES.config);
+  }
+
+  throw new CliError('This command sends a transaction: pass --keystore or set REWARDS_PRIVATE_KEY', EXIT_CODES.config);
+}
+
+function getExitCode(error: unknown): number {
+  if (error instanceof CliError) {
+    return error.exitCode;
+  }
+  if (error instanceof RewardsContractError) {
+    return EXIT_CODES.reverted;
+  }
+  if (error instanceof TransactionTimeoutError) {
+    return EXIT_CODES.timeout;
+  }
+  return EXIT_CODES.error;
+}
+
+/**
+ * Print data as JSON, or as an aligned table built from rows
+ */
+function output(io: CliEnvironment, options: CliOptions, data: unknown, rows: () => string[][]): void {
+  if (options.json) {
+    io.stdout(toJson(data));
+    return;
+  }
+
+  const table = rows();
+  const widths = table[0].map((_, col) => Math.max(...table.map(row => row[col].length)));
+  for (const row of table) {
+    io.stdout(row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd());
+  }
+}
+
+function toJson(data: unknown): string {
+  return JSON.stringify(data, (_, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+// "-" reads standard input, so lists can be piped in
+async function readInput(file: string): Promise<string> {
+  try {
+    return file === '-' ? readFileSync(0, 'utf8') : await fs.readFile(file, 'utf8');
+  } catch (error: any) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function parseAddressList(text: string): string[] {
+  return text
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .map(address => requireAddress(address));
+}
+
+/**
+ * Parse type,value[,description] rows; a header row is skipped
+ */
+function parseContributionsCsv(text: string): ContributionData[] {
+  const rows = text.split('\n').map(line => line.trim());
+  const contributions: ContributionData[] = [];
+
+  rows.forEach((line, i) => {
+    if (!line || (i === 0 && /^type\s*,/i.test(line))) {
+      return;
+    }
+
+    const [type, value, ...description] = line.split(',').map(field => field.trim());
+    contributions.push({
+      type: parseContributionType(type, `line ${i + 1} type`),
+      value: parseContributionValue(value ?? '', `line ${i + 1} value`),
+      timestamp: Date.now(),
+      description: description.join(',') || undefined
+    });
+  });
+
+  return contributions;
+}
+
+function requireAddress(address?: string): string {
+  if (!address || !ethers.isAddress(address)) {
+    throw new CliError(address ? `Invalid address ${address}` : 'Missing <address>');
+  }
+  return ethers.getAddress(address);
+}
+
+// Names are checked against the contract's registry when the contribution is sent
+function parseContributionType(text: string, label: string): ContributionTypeRef {
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  if (!/^[A-Za-z]/.test(text)) {
+    throw new CliError(`${label} must be a type id or name, got "${text}"`);
+  }
+  return text;
+}
+
+function parseContributionValue(text: string, label: string): bigint {
+  if (!/^\d+$/.test(text) || BigInt(text) === BigInt(0)) {
+    throw new CliError(`${label} must be a positive integer, got "${text}"`);
+  }
+  return BigInt(text);
+}
+
+function parseRewardUnit(text: string): bigint {
+  try {
+    const unit = parseReward(text);
+    if (unit > BigInt(0)) {
+      return unit;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new CliError(`--reward-unit must be a positive token amount, got "${text}"`);
+}
+
+function parseCount(text: string, label: string): number {
+  if (!/^\d+$/.test(text)) {
+    throw new CliError(`${label} must be a non-negative integer, got "${text}"`);
+  }
+  return Number(text);
+}
+
+function formatMultiplier(multiplier: bigint): string {
+  return `${Number(multiplier) / 100}x`;
+}
+
+function formatRankChange(change: number | null): string {
+  if (change === null) {
+    return '-';
+  }
+  return change > 0 ? `+${change}` : change === 0 ? '=' : change.toString();
+}
+
+function formatTimestamp(seconds: bigint): string {
+  return seconds === BigInt(0) ? 'never' : new Date(Number(seconds) * 1000).toISOString();
+}
+
+if (require.main === module) {
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+
+  runCli(process.argv.slice(2), { signal: controller.signal }).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * Test Suite for typed contract errors and preflight checks
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { BaseRewardsManager } from './baseRewardsUtils';
+import {
+  ArrayLengthMismatchError,
+  InvalidContributionValueError,
+  NotAuthorizedError,
+  RewardsContractError,
+  decodeRewardsError
+} from './rewardsErrors';
+import { deployRewardsFixture } from './testHarness';
+
+describe('Rewards contract errors', function () {
+  describe('decodeRewardsError', function () {
+    it('Should decode each revert reason to its own class', async function () {
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
+      const asUser = rewardsOptimizer.connect(user1);
+
+      const invalid = await asUser.recordContribution(0, 0).catch(decodeRewardsError);
+      const mismatch = await asUser.batchRecordContributions([0, 1], [10]).catch(decodeRewardsError);
+      const unauthorized = await asUser.updateRewardParameters(1, 1, 1, 1, 1).catch(decodeRewardsError);
+
+      expect(invalid).to.be.instanceOf(InvalidContributionValueError);
+      expect(mismatch).to.be.instanceOf(ArrayLengthMismatchError);
+      expect(unauthorized).to.be.instanceOf(NotAuthorizedError);
+      expect((unauthorized as RewardsContractError).reason).to.equal('Not authorized');
+    });
+
+    it('Should decode raw Error(string) revert data', function () {
+      const data = ethers.concat([
+        '0x08c379a0',
+        ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['Array length mismatch'])
+      ]);
+
+      expect(decodeRewardsError({ error: { data } })).to.be.instanceOf(ArrayLengthMismatchError);
+    });
+
+    it('Should leave errors that are not reverts untouched', function () {
+      const networkError = new Error('connection refused');
+      expect(decodeRewardsError(networkError)).to.equal(networkError);
+    });
+  });
+
+  describe('BaseRewardsManager preflight', function () {
+    it('Should reject an invalid value before sending anything', async function () {
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
+      const manager = new BaseRewardsManager(await rewardsOptimizer.getAddress(), ethers.provider, user1);
+      const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+      const error = await manager.batchRecordContributions([
+        { type: 0, value: 10n, timestamp: 0 },
+        { type: 1, value: 0n, timestamp: 0 }
+      ]).catch(e => e);
+
+      expect(error).to.be.instanceOf(InvalidContributionValueError);
+      expect(error.message).to.equal('Contribution 1 has value 0; values must be greater than zero');
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(nonce);
+    });
+
+    it('Should simulate and estimate gas without sending', async function () {
+      const { rewardsOptimizer, user1 } = await loadFixture(deployRewardsFixture);
+      const manager = new BaseRewardsManager(await rewardsOptimizer.getAddress(), ethers.provider, user1);
+      const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+      const result = await manager.preflightContribution(0, 1500n);
+
+      expect(result.gasLimit).to.be.gt(21000n);
+      expect(result.request.gasLimit).to.equal(result.gasLimit);
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(nonce);
+    });
+  });
+});
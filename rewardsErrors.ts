@@ -0,0 +1,183 @@
+/**
+ * Typed Errors for BaseRewardsOptimizer
+ * Maps the contract's revert reasons to error classes callers can tell apart
+ */
+
+import { ethers } from 'ethers';
+
+// Revert strings as written in BaseRewardsOptimizer.sol
+export const REVERT_REASONS = {
+  invalidContributionValue: 'Invalid contribution value',
+  arrayLengthMismatch: 'Array length mismatch',
+  notAuthorized: 'Not authorized',
+  alreadyClaimed: 'Already claimed',
+  invalidProof: 'Invalid proof',
+  unknownContributionType: 'Unknown contribution type',
+  attestorNotSet: 'Attestor not set',
+  attestationExpired: 'Attestation expired',
+  invalidAttestationNonce: 'Invalid attestation nonce',
+  invalidAttestationSignature: 'Invalid attestation signature',
+  importSealed: 'Import sealed',
+  builderHasState: 'Builder already has state'
+};
+
+/**
+ * Base class for every revert raised by BaseRewardsOptimizer
+ */
+export class RewardsContractError extends Error {
+  reason: string;
+  cause?: unknown;
+
+  constructor(reason: string, message?: string, cause?: unknown) {
+    super(message || `Contract reverted: ${reason}`);
+    this.name = 'RewardsContractError';
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+export class InvalidContributionValueError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.invalidContributionValue, message || 'Contribution value must be greater than zero', cause);
+    this.name = 'InvalidContributionValueError';
+  }
+}
+
+export class ArrayLengthMismatchError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.arrayLengthMismatch, message || 'Contribution types and values must have the same length', cause);
+    this.name = 'ArrayLengthMismatchError';
+  }
+}
+
+export class NotAuthorizedError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.notAuthorized, message || 'Only the contract owner can do this', cause);
+    this.name = 'NotAuthorizedError';
+  }
+}
+
+export class AlreadyClaimedError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.alreadyClaimed, message || 'This epoch reward has already been claimed', cause);
+    this.name = 'AlreadyClaimedError';
+  }
+}
+
+export class InvalidProofError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.invalidProof, message || 'The Merkle proof does not match the published epoch root', cause);
+    this.name = 'InvalidProofError';
+  }
+}
+
+export class UnknownContributionTypeError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.unknownContributionType, message || 'The contribution type is not registered or no longer active', cause);
+    this.name = 'UnknownContributionTypeError';
+  }
+}
+
+export class AttestorNotSetError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.attestorNotSet, message || 'The contract owner has not set an attestor', cause);
+    this.name = 'AttestorNotSetError';
+  }
+}
+
+export class AttestationExpiredError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.attestationExpired, message || 'The attestation deadline has passed', cause);
+    this.name = 'AttestationExpiredError';
+  }
+}
+
+export class InvalidAttestationNonceError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.invalidAttestationNonce, message || 'The attestation was already used or is out of order', cause);
+    this.name = 'InvalidAttestationNonceError';
+  }
+}
+
+export class InvalidAttestationSignatureError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.invalidAttestationSignature, message || 'The attestation was not signed by the attestor', cause);
+    this.name = 'InvalidAttestationSignatureError';
+  }
+}
+
+export class ImportSealedError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.importSealed, message || 'State import into this deployment has been sealed', cause);
+    this.name = 'ImportSealedError';
+  }
+}
+
+export class BuilderHasStateError extends RewardsContractError {
+  constructor(message?: string, cause?: unknown) {
+    super(REVERT_REASONS.builderHasState, message || 'The builder already contributed to this deployment, so its state cannot be imported', cause);
+    this.name = 'BuilderHasStateError';
+  }
+}
+
+const ERROR_CLASSES: Record<string, new (message?: string, cause?: unknown) => RewardsContractError> = {
+  [REVERT_REASONS.invalidContributionValue]: InvalidContributionValueError,
+  [REVERT_REASONS.arrayLengthMismatch]: ArrayLengthMismatchError,
+  [REVERT_REASONS.notAuthorized]: NotAuthorizedError,
+  [REVERT_REASONS.alreadyClaimed]: AlreadyClaimedError,
+  [REVERT_REASONS.invalidProof]: InvalidProofError,
+  [REVERT_REASONS.unknownContributionType]: UnknownContributionTypeError,
+  [REVERT_REASONS.attestorNotSet]: AttestorNotSetError,
+  [REVERT_REASONS.attestationExpired]: AttestationExpiredError,
+  [REVERT_REASONS.invalidAttestationNonce]: InvalidAttestationNonceError,
+  [REVERT_REASONS.invalidAttestationSignature]: InvalidAttestationSignatureError,
+  [REVERT_REASONS.importSealed]: ImportSealedError,
+  [REVERT_REASONS.builderHasState]: BuilderHasStateError
+};
+
+// Selector of the built-in Error(string) revert
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+/**
+ * Turn an ethers error into a typed contract error. Errors that are not
+ * reverts (network failures, bad arguments) are returned unchanged.
+ */
+export function decodeRewardsError(error: unknown): Error {
+  if (error instanceof RewardsContractError) {
+    return error;
+  }
+
+  const reason = getRevertReason(error);
+  if (reason === null) {
+    return error instanceof Error ? error : new Error(String(error));
+  }
+
+  const ErrorClass = ERROR_CLASSES[reason];
+  return ErrorClass ? new ErrorClass(undefined, error) : new RewardsContractError(reason, undefined, error);
+}
+
+/**
+ * Extract the revert reason string from an ethers or JSON-RPC error, if there is one
+ */
+export function getRevertReason(error: unknown): string | null {
+  const seen = new Set<unknown>();
+  let current: any = error;
+
+  // Providers nest the original RPC error at different depths
+  while (current && typeof current === 'object' && !seen.has(current)) {
+    seen.add(current);
+
+    const data = typeof current.data === 'string' ? current.data : current.data?.data;
+    if (typeof data === 'string' && data.startsWith(ERROR_STRING_SELECTOR)) {
+      return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+    }
+
+    if (current.code === 'CALL_EXCEPTION' && typeof current.reason === 'string') {
+      return current.reason;
+    }
+
+    current = current.error ?? current.info?.error ?? current.cause;
+  }
+
+  return null;
+}
@@ -0,0 +1,155 @@
+/**
+ * Test Suite for the contribution risk analyzer
+ * Replays honest and abusive contribution patterns and checks which signals fire
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture, mine } from '@nomicfoundation/hardhat-network-helpers';
+import { MemoryStore, RewardsEventIndexer } from './eventIndexer';
+import { BlockScanFundingSource, analyzeContributionRisk, formatRiskReport } from './riskAnalyzer';
+import { advanceDays, deployRewardsFixture } from './testHarness';
+
+describe('Contribution Risk Analyzer', function () {
+  async function deployHistoryFixture() {
+    const fixture = await deployRewardsFixture();
+    const { rewardsOptimizer, owner, user1, user2, user3 } = fixture;
+    const [, , , , spammer, duster] = await ethers.getSigners();
+
+    // Three fresh wallets funded by the owner right before they contribute
+    const sybils = Array.from({ length: 3 }, () => ethers.Wallet.createRandom().connect(ethers.provider));
+    for (const sybil of sybils) {
+      await owner.sendTransaction({ to: sybil.address, value: ethers.parseEther('1') });
+    }
+    for (const sybil of sybils) {
+      await rewardsOptimizer.connect(sybil).recordContribution(0, 1200);
+    }
+
+    // Honest, steady work
+    for (const value of [1500, 1200, 1300, 1400]) {
+      await rewardsOptimizer.connect(user1).recordContribution(0, value);
+    }
+
+    // Small history, then a sudden jump
+    for (const value of [100, 120, 110, 5000]) {
+      await rewardsOptimizer.connect(user2).recordContribution(0, value);
+    }
+
+    // Self-reported absurd value
+    await rewardsOptimizer.connect(user3).recordContribution(0, 10n ** 30n);
+
+    // One batch of 12, then deployment farming at one call each
+    await rewardsOptimizer.connect(spammer).batchRecordContributions(Array(12).fill(2), Array(12).fill(100));
+    for (let i = 0; i < 6; i++) {
+      await rewardsOptimizer.connect(spammer).recordContribution(1, 1);
+    }
+
+    // A real contribution, then a streak kept alive with dust
+    await rewardsOptimizer.connect(duster).recordContribution(0, 1500);
+    for (let i = 0; i < 3; i++) {
+      await advanceDays(1);
+      await rewardsOptimizer.connect(duster).recordContribution(2, 1);
+    }
+
+    const indexer = new RewardsEventIndexer(fixture.address, ethers.provider, new MemoryStore(), {
+      startBlock: fixture.deployBlock
+    });
+    await indexer.sync();
+
+    return { ...fixture, indexer, sybils, spammer, duster };
+  }
+
+  function signalsOf(report: Awaited<ReturnType<typeof analyzeContributionRisk>>, address: string) {
+    return report.addresses.find(a => a.address === address)!.signals.map(s => s.name);
+  }
+
+  it('Should flag each abuse pattern and leave honest builders alone', async function () {
+    const { indexer, owner, user1, user2, user3, spammer, duster, sybils } = await loadFixture(deployHistoryFixture);
+
+    const report = await analyzeContributionRisk(indexer, {
+      fundingSource: new BlockScanFundingSource(ethers.provider)
+    });
+
+    expect(report.analyzed).to.equal(8);
+    expect(signalsOf(report, user1.address)).to.deep.equal([]);
+    expect(signalsOf(report, user2.address)).to.deep.equal(['value-spike']);
+    expect(signalsOf(report, user3.address)).to.deep.equal(['max-value']);
+    expect(signalsOf(report, spammer.address)).to.deep.equal(['batch-spam']);
+    expect(signalsOf(report, duster.address)).to.deep.equal(['dust-streak']);
+    expect(report.clusters).to.deep.equal([{ funder: owner.address, addresses: sybils.map(s => s.address) }]);
+
+    const spam = report.addresses.find(a => a.address === spammer.address)!;
+    expect(spam.signals[0].detail).to.equal(
+      '1 transaction(s) with more than 10 contributions; 6 contract deployments reported in one day'
+    );
+    expect(spam.signals[0].transactions).to.have.length(7);
+
+    expect(report.addresses[0]).to.include({ address: user3.address, score: 50, level: 'medium' });
+    expect(report.flagged).to.equal(7);
+  });
+
+  it('Should skip funding checks without a funding source and honour custom thresholds', async function () {
+    const { indexer, user2, duster, sybils } = await loadFixture(deployHistoryFixture);
+    const events = await indexer.getEvents({ name: 'ContributionRecorded' });
+
+    const report = await analyzeContributionRisk(events, {
+      spikeMultiplier: 100,
+      minDustDays: 4,
+      weights: { 'max-value': 80 }
+    });
+
+    expect(report.clusters).to.deep.equal([]);
+    expect(signalsOf(report, sybils[0].address)).to.deep.equal([]);
+    expect(signalsOf(report, user2.address)).to.deep.equal([]);
+    expect(signalsOf(report, duster.address)).to.deep.equal([]);
+    expect(report.addresses[0]).to.include({ score: 80, level: 'high' });
+  });
+
+  it('Should scan blocks in batches and keep only recent ones cached', async function () {
+    await loadFixture(deployHistoryFixture);
+    await mine(40);
+    const head = await ethers.provider.getBlockNumber();
+    const unfunded = ethers.Wallet.createRandom().address;
+
+    // Records every block requested and the most requested at once
+    const requested: number[] = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const provider = Object.create(ethers.provider);
+    provider.getBlock = async (number: number, prefetch: boolean) => {
+      requested.push(number);
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      try {
+        return await ethers.provider.getBlock(number, prefetch);
+      } finally {
+        inFlight--;
+      }
+    };
+
+    const bounded = new BlockScanFundingSource(provider, { lookbackBlocks: 30, batchSize: 10, maxCachedBlocks: 10 });
+    expect(await bounded.getFundingInfo(unfunded, head)).to.deep.equal({ funder: null, priorTransactions: 0 });
+    expect(requested).to.have.length(30);
+    expect(maxInFlight).to.equal(10);
+
+    // Only the last 10 blocks stayed cached, and the next scan evicts them before reaching them
+    await bounded.getFundingInfo(unfunded, head);
+    expect(requested).to.have.length(60);
+
+    const cached = new BlockScanFundingSource(provider, { lookbackBlocks: 30, batchSize: 10, maxCachedBlocks: 30 });
+    await cached.getFundingInfo(unfunded, head);
+    await cached.getFundingInfo(unfunded, head);
+    expect(requested).to.have.length(90);
+  });
+
+  it('Should format a report for review', async function () {
+    const { indexer, user3 } = await loadFixture(deployHistoryFixture);
+    const text = formatRiskReport(await analyzeContributionRisk(indexer));
+
+    expect(text).to.match(/^Blocks \d+-\d+: 4 of 8 addresses flagged/);
+    expect(text).to.include(`  max-value (+50): 1 contribution(s) above 1000000, largest ${10n ** 30n}`);
+    expect(text.split('\n')[2]).to.match(/^Address\s+Score\s+Level\s+Contributions\s+Signals$/);
+    expect(text).to.include(user3.address);
+
+    expect(formatRiskReport(await analyzeContributionRisk([]))).to.include('No suspicious activity found');
+  });
+});
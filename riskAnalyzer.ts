@@ -0,0 +1,435 @@
+/**
+ * Contribution Risk Analyzer
+ * Scores every contributor for sybil and self-reporting abuse from indexed
+ * ContributionRecorded history, so payouts can be reviewed before they are published
+ */
+
+import { ethers, Provider } from 'ethers';
+import type { IndexedEvent } from './eventIndexer';
+import { buildStreakCalendar, getUtcDay } from './streakCalendar';
+
+// Types and Interfaces
+export type RiskSignalName = 'max-value' | 'value-spike' | 'batch-spam' | 'funding-cluster' | 'dust-streak';
+
+export type RiskLevel = 'none' | 'low' | 'medium' | 'high';
+
+export interface RiskSignal {
+  name: RiskSignalName;
+  weight: number;
+  detail: string;
+  transactions: string[]; // evidence, oldest first
+}
+
+export interface AddressRisk {
+  address: string;
+  score: number; // 0-100, the sum of signal weights
+  level: RiskLevel;
+  contributions: number;
+  totalValue: bigint;
+  signals: RiskSignal[];
+}
+
+export interface FundingCluster {
+  funder: string;
+  addresses: string[];
+}
+
+export interface RiskReport {
+  fromBlock: number;
+  toBlock: number;
+  analyzed: number;
+  flagged: number;
+  addresses: AddressRisk[]; // highest score first
+  clusters: FundingCluster[];
+}
+
+export interface FundingInfo {
+  funder: string | null; // first address to send the account ETH
+  priorTransactions: number; // transactions the account sent before it first contributed
+}
+
+export interface FundingSource {
+  getFundingInfo(address: string, beforeBlock: number): Promise<FundingInfo>;
+}
+
+// RewardsEventIndexer fits
+export interface ContributionEventSource {
+  getEvents(filter: { name: 'ContributionRecorded' }): Promise<IndexedEvent[]>;
+}
+
+export interface RiskOptions {
+  maxPlausibleValue?: bigint; // larger single contributions are treated as self-reported abuse
+  spikeMultiplier?: number; // a value this many times the address's median is a spike
+  minHistoryForSpike?: number;
+  maxPerTransaction?: number; // contributions in one batchRecordContributions call
+  maxPerDay?: number;
+  maxDeploymentsPerDay?: number; // each type 1 call counts as a deployment whatever its value
+  dustValue?: bigint; // a day totalling at most this much is dust
+  minDustDays?: number;
+  freshTransactionCount?: number; // accounts with at most this many prior transactions are fresh
+  minClusterSize?: number;
+  fundingSource?: FundingSource; // without one, funding clusters are not checked
+  weights?: Partial<Record<RiskSignalName, number>>;
+}
+
+export const RISK_WEIGHTS: Record<RiskSignalName, number> = {
+  'max-value': 50,
+  'funding-cluster': 35,
+  'value-spike': 25,
+  'batch-spam': 25,
+  'dust-streak': 20
+};
+
+export const DEFAULT_RISK_OPTIONS = {
+  maxPlausibleValue: BigInt(1000000),
+  spikeMultiplier: 10,
+  minHistoryForSpike: 3,
+  maxPerTransaction: 10,
+  maxPerDay: 50,
+  maxDeploymentsPerDay: 5,
+  dustValue: BigInt(10),
+  minDustDays: 3,
+  freshTransactionCount: 2,
+  minClusterSize: 3
+};
+
+interface Contribution {
+  blockNumber: number;
+  timestamp: number;
+  transactionHash: string;
+  contributionType: number;
+  value: bigint;
+}
+
+/**
+ * Analyze every address in the history. Signals are heuristics: a flagged address
+ * needs a human look, not an automatic ban.
+ */
+export async function analyzeContributionRisk(
+  source: ContributionEventSource | IndexedEvent[],
+  options: RiskOptions = {}
+): Promise<RiskReport> {
+  const settings = { ...DEFAULT_RISK_OPTIONS, ...options };
+  const weights = { ...RISK_WEIGHTS, ...options.weights };
+  const events = Array.isArray(source) ? source : await source.getEvents({ name: 'ContributionRecorded' });
+  const byAddress = groupByAddress(events.filter(event => event.name === 'ContributionRecorded'));
+
+  const signals = new Map<string, RiskSignal[]>();
+  for (const [address, contributions] of byAddress) {
+    signals.set(address, [
+      checkMaxValue(contributions, settings),
+      checkValueSpikes(contributions, settings),
+      checkBatchSpam(contributions, settings),
+      checkDustStreak(contributions, settings)
+    ].filter((signal): signal is Omit<RiskSignal, 'weight'> => signal !== null)
+      .map(signal => ({ ...signal, weight: weights[signal.name] })));
+  }
+
+  const clusters = options.fundingSource
+    ? await findFundingClusters(byAddress, options.fundingSource, settings)
+    : [];
+  for (const cluster of clusters) {
+    for (const address of cluster.addresses) {
+      signals.get(address)!.push({
+        name: 'funding-cluster',
+        weight: weights['funding-cluster'],
+        detail: `Fresh account funded by ${cluster.funder} with ${cluster.addresses.length - 1} other contributors`,
+        transactions: [byAddress.get(address)![0].transactionHash]
+      });
+    }
+  }
+
+  const addresses = [...byAddress].map(([address, contributions]) => {
+    const found = signals.get(address)!;
+    const score = Math.min(100, found.reduce((sum, signal) => sum + signal.weight, 0));
+
+    return {
+      address,
+      score,
+      level: getRiskLevel(score),
+      contributions: contributions.length,
+      totalValue: contributions.reduce((sum, c) => sum + c.value, BigInt(0)),
+      signals: found
+    };
+  }).sort((a, b) => b.score - a.score || (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+
+  const blocks = events.map(event => event.blockNumber);
+
+  return {
+    fromBlock: blocks.length > 0 ? Math.min(...blocks) : 0,
+    toBlock: blocks.length > 0 ? Math.max(...blocks) : 0,
+    analyzed: addresses.length,
+    flagged: addresses.filter(a => a.score > 0).length,
+    addresses,
+    clusters
+  };
+}
+
+export interface BlockScanOptions {
+  lookbackBlocks?: number; // how far before the first contribution to search
+  batchSize?: number; // blocks requested at once
+  maxCachedBlocks?: number; // least recently used blocks are dropped past this
+}
+
+export const DEFAULT_BLOCK_SCAN_OPTIONS: Required<BlockScanOptions> = {
+  lookbackBlocks: 1000,
+  batchSize: 25,
+  maxCachedBlocks: 2000
+};
+
+/**
+ * Funding source that scans recent blocks for the first ETH transfer to an account.
+ * Needs no explorer API, but only finds funding within lookbackBlocks of the first
+ * contribution: about 33 minutes on Base by default. Sybil accounts funded earlier
+ * than that go unclustered; raise lookbackBlocks (43200 is a day) at the cost of
+ * one full-transaction block read per block, or plug in an explorer-backed FundingSource.
+ */
+export class BlockScanFundingSource implements FundingSource {
+  private provider: Provider;
+  private options: Required<BlockScanOptions>;
+  private blocks = new Map<number, Promise<ethers.Block | null>>();
+
+  constructor(provider: Provider, options: BlockScanOptions = {}) {
+    this.provider = provider;
+    this.options = { ...DEFAULT_BLOCK_SCAN_OPTIONS, ...options };
+  }
+
+  async getFundingInfo(address: string, beforeBlock: number): Promise<FundingInfo> {
+    const account = ethers.getAddress(address);
+    const priorTransactions = await this.provider.getTransactionCount(account, beforeBlock - 1);
+    const { lookbackBlocks, batchSize } = this.options;
+
+    for (let start = Math.max(0, beforeBlock - lookbackBlocks); start < beforeBlock; start += batchSize) {
+      const numbers = Array.from({ length: Math.min(batchSize, beforeBlock - start) }, (_, i) => start + i);
+      const blocks = await Promise.all(numbers.map(number => this.getBlock(number)));
+
+      for (const block of blocks) {
+        const funding = block?.prefetchedTransactions.find(tx => tx.to === account && tx.value > BigInt(0));
+        if (funding) {
+          return { funder: funding.from, priorTransactions };
+        }
+      }
+    }
+
+    return { funder: null, priorTransactions };
+  }
+
+  // Private helper methods
+
+  // Blocks are shared between accounts, so each is fetched once while it stays cached
+  private getBlock(number: number): Promise<ethers.Block | null> {
+    let block = this.blocks.get(number);
+
+    if (!block) {
+      const fetching = this.provider.getBlock(number, true);
+      fetching.catch(() => {
+        if (this.blocks.get(number) === fetching) {
+          this.blocks.delete(number);
+        }
+      });
+      block = fetching;
+    }
+
+    // Re-inserted so the Map's insertion order runs from least to most recently used
+    this.blocks.delete(number);
+    this.blocks.set(number, block);
+    if (this.blocks.size > this.options.maxCachedBlocks) {
+      this.blocks.delete(this.blocks.keys().next().value!);
+    }
+
+    return block;
+  }
+}
+
+/**
+ * Plain-text report for review before a payout
+ */
+export function formatRiskReport(report: RiskReport): string {
+  const rows = [
+    ['Address', 'Score', 'Level', 'Contributions', 'Signals'],
+    ...report.addresses
+      .filter(a => a.score > 0)
+      .map(a => [a.address, a.score.toString(), a.level, a.contributions.toString(), a.signals.map(s => s.name).join(', ')])
+  ];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  const line = (row: string[]) => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  const details = report.addresses
+    .filter(a => a.score > 0)
+    .flatMap(a => [`${a.address}:`, ...a.signals.map(s => `  ${s.name} (+${s.weight}): ${s.detail}`)]);
+
+  return [
+    `Blocks ${report.fromBlock}-${report.toBlock}: ${report.flagged} of ${report.analyzed} addresses flagged`,
+    '',
+    ...(report.flagged > 0 ? [...rows.map(line), '', ...details] : ['No suspicious activity found']),
+    ...report.clusters.map(c => `Cluster funded by ${c.funder}: ${c.addresses.join(', ')}`)
+  ].join('\n');
+}
+
+// Private helper functions
+
+type Settings = typeof DEFAULT_RISK_OPTIONS;
+
+function groupByAddress(events: IndexedEvent[]): Map<string, Contribution[]> {
+  const byAddress = new Map<string, Contribution[]>();
+  const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  for (const event of sorted) {
+    const address = ethers.getAddress(event.user!);
+    const contributions = byAddress.get(address) ?? [];
+
+    contributions.push({
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+      contributionType: Number(event.args.contributionType),
+      value: BigInt(event.args.value)
+    });
+    byAddress.set(address, contributions);
+  }
+
+  return byAddress;
+}
+
+function checkMaxValue(contributions: Contribution[], settings: Settings): Omit<RiskSignal, 'weight'> | null {
+  const huge = contributions.filter(c => c.value > settings.maxPlausibleValue);
+  if (huge.length === 0) {
+    return null;
+  }
+
+  const largest = huge.reduce((max, c) => (c.value > max ? c.value : max), BigInt(0));
+  return {
+    name: 'max-value',
+    detail: `${huge.length} contribution(s) above ${settings.maxPlausibleValue}, largest ${largest}`,
+    transactions: unique(huge.map(c => c.transactionHash))
+  };
+}
+
+/**
+ * A value far above the median of the address's own earlier contributions
+ */
+function checkValueSpikes(contributions: Contribution[], settings: Settings): Omit<RiskSignal, 'weight'> | null {
+  const spikes: Contribution[] = [];
+
+  contributions.forEach((contribution, i) => {
+    if (i < settings.minHistoryForSpike) {
+      return;
+    }
+
+    const median = getMedian(contributions.slice(0, i).map(c => c.value));
+    if (contribution.value > median * BigInt(settings.spikeMultiplier)) {
+      spikes.push(contribution);
+    }
+  });
+
+  if (spikes.length === 0) {
+    return null;
+  }
+
+  return {
+    name: 'value-spike',
+    detail: `${spikes.length} contribution(s) over ${settings.spikeMultiplier}x the address's earlier median`,
+    transactions: unique(spikes.map(c => c.transactionHash))
+  };
+}
+
+function checkBatchSpam(contributions: Contribution[], settings: Settings): Omit<RiskSignal, 'weight'> | null {
+  const reasons: string[] = [];
+  const transactions: string[] = [];
+
+  const byTransaction = countBy(contributions, c => c.transactionHash);
+  const largeBatches = [...byTransaction].filter(([, count]) => count > settings.maxPerTransaction);
+  if (largeBatches.length > 0) {
+    reasons.push(`${largeBatches.length} transaction(s) with more than ${settings.maxPerTransaction} contributions`);
+    transactions.push(...largeBatches.map(([hash]) => hash));
+  }
+
+  const perDay = countBy(contributions, c => getUtcDay(c.timestamp));
+  const busiest = Math.max(...perDay.values());
+  if (busiest > settings.maxPerDay) {
+    reasons.push(`${busiest} contributions in one day`);
+  }
+
+  const deploymentsPerDay = countBy(contributions.filter(c => c.contributionType === 1), c => getUtcDay(c.timestamp));
+  const mostDeployments = Math.max(0, ...deploymentsPerDay.values());
+  if (mostDeployments > settings.maxDeploymentsPerDay) {
+    reasons.push(`${mostDeployments} contract deployments reported in one day`);
+    transactions.push(...contributions.filter(c => c.contributionType === 1).map(c => c.transactionHash));
+  }
+
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  return { name: 'batch-spam', detail: reasons.join('; '), transactions: unique(transactions) };
+}
+
+/**
+ * Streak days kept alive by contributions too small to be real work
+ */
+function checkDustStreak(contributions: Contribution[], settings: Settings): Omit<RiskSignal, 'weight'> | null {
+  const calendar = buildStreakCalendar(contributions);
+  const dustDays = calendar.days.filter(day => day.streak > 1 && day.total <= settings.dustValue);
+
+  if (dustDays.length < settings.minDustDays) {
+    return null;
+  }
+
+  const streakDays = calendar.days.filter(day => day.streak > 1).length;
+  const dustDayNumbers = new Set(dustDays.map(day => day.day));
+
+  return {
+    name: 'dust-streak',
+    detail: `${dustDays.length} of ${streakDays} streak days kept alive with at most ${settings.dustValue} a day`,
+    transactions: unique(contributions.filter(c => dustDayNumbers.has(getUtcDay(c.timestamp))).map(c => c.transactionHash))
+  };
+}
+
+/**
+ * Fresh accounts sharing a funder with at least minClusterSize - 1 other contributors
+ */
+async function findFundingClusters(
+  byAddress: Map<string, Contribution[]>,
+  fundingSource: FundingSource,
+  settings: Settings
+): Promise<FundingCluster[]> {
+  const byFunder = new Map<string, string[]>();
+
+  for (const [address, contributions] of byAddress) {
+    const { funder, priorTransactions } = await fundingSource.getFundingInfo(address, contributions[0].blockNumber);
+
+    if (funder && priorTransactions <= settings.freshTransactionCount) {
+      const key = ethers.getAddress(funder);
+      byFunder.set(key, [...(byFunder.get(key) ?? []), address]);
+    }
+  }
+
+  return [...byFunder]
+    .filter(([, addresses]) => addresses.length >= settings.minClusterSize)
+    .map(([funder, addresses]) => ({ funder, addresses }));
+}
+
+function getRiskLevel(score: number): RiskLevel {
+  if (score === 0) {
+    return 'none';
+  }
+  return score < 30 ? 'low' : score < 60 ? 'medium' : 'high';
+}
+
+function getMedian(values: bigint[]): bigint {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / BigInt(2);
+}
+
+function countBy<T, K>(items: T[], key: (item: T) => K): Map<K, number> {
+  const counts = new Map<K, number>();
+  for (const item of items) {
+    counts.set(key(item), (counts.get(key(item)) ?? 0) + 1);
+  }
+  return counts;
+}
+
+function unique(values: string[]): string[] {
+  return [...new Set(values)];
+}
@@ -0,0 +1,163 @@
+/**
+ * Test Suite for state migration
+ * Covers export to a snapshot file, batched import, registry sync, verification and sealing
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import * as os from 'os';
+import * as path from 'path';
+import { promises as fs } from 'fs';
+import { BaseRewardsAdmin, ContributionType, ImportSealedError } from './baseRewardsUtils';
+import { connectBaseRewardsOptimizer } from './baseRewardsContract';
+import { JsonFileStore, MemoryStore } from './jsonFileStore';
+import {
+  MigrationSnapshot,
+  exportMigrationSnapshot,
+  isLegacyDeployment,
+  loadMigrationSnapshot,
+  verifyMigration
+} from './stateMigration';
+import { advanceToNextDay, deployRewardsFixture } from './testHarness';
+
+describe('State Migration', function () {
+  // Two days of history on the old deployment, which also registered an audit type
+  async function migrationFixture() {
+    const fixture = await deployRewardsFixture();
+    const oldAdmin = new BaseRewardsAdmin(fixture.address, ethers.provider, fixture.owner);
+    await oldAdmin.addContributionType('Security audit', 150n, true);
+    await oldAdmin.updateContributionType(ContributionType.Other, 100n, false);
+
+    await fixture.rewardsOptimizer.connect(fixture.user1).recordContribution(0, 500);
+    await fixture.rewardsOptimizer.connect(fixture.user2).recordContribution(1, 2);
+    await advanceToNextDay();
+    await fixture.rewardsOptimizer.connect(fixture.user1).recordContribution(3, 1000);
+
+    const replacement = await deployRewardsFixture();
+    return { ...fixture, newAddress: replacement.address };
+  }
+
+  it('Should carry builder state over through a snapshot file and verify it', async function () {
+    const { rewardsOptimizer, address, deployBlock, newAddress, owner, user1, user2 } = await loadFixture(migrationFixture);
+    const admin = new BaseRewardsAdmin(newAddress, ethers.provider, owner, { confirmations: 1 });
+    const source = connectBaseRewardsOptimizer(address, ethers.provider);
+    const target = connectBaseRewardsOptimizer(newAddress, ethers.provider);
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rewards-migration-'));
+    const store = new JsonFileStore<MigrationSnapshot>(path.join(dir, 'snapshot.json'));
+
+    try {
+      await store.save(await exportMigrationSnapshot(source, { fromBlock: deployBlock }));
+      const snapshot = await loadMigrationSnapshot(store);
+
+      expect(snapshot).to.include({ version: 1, contract: address, chainId: '31337' });
+      expect(snapshot.builders.map(builder => builder.address)).to.have.members([user1.address, user2.address]);
+      const exported = snapshot.builders.find(builder => builder.address === user1.address)!;
+      expect(Object.values(exported.dailyContributions)).to.deep.equal(['500', '1000']);
+      expect(exported.contributionsByType).to.deep.equal(['500', '0', '0', '1000']);
+      expect(exported.profile).to.include({ streakDays: '2', diversityTypes: '2', isActive: true });
+
+      const batches: number[] = [];
+      const result = await admin.importMigrationSnapshot(snapshot, {
+        batchSize: 1,
+        onBatch: imported => batches.push(imported)
+      });
+      expect(result).to.include({ imported: 2, typesChanged: 2 });
+      expect(batches).to.deep.equal([1, 2]);
+      expect((await target.getContributionTypes())[2].active).to.equal(false);
+
+      const verification = await admin.verifyMigration(snapshot);
+      expect(verification).to.include({ checked: 2 });
+      expect(verification.mismatches).to.deep.equal([]);
+      const builders = [user1.address, user2.address];
+      const { scores } = await target.getTopContributors(builders);
+      expect([...scores]).to.deep.equal([...(await source.getTopContributors(builders)).scores]);
+
+      // A contribution to the old deployment after the export shows up until it is re-exported
+      await rewardsOptimizer.connect(user1).recordContribution(0, 100);
+      const stale = await verifyMigration(source, target, snapshot);
+      expect(stale.mismatches.map(mismatch => mismatch.address)).to.deep.equal([user1.address]);
+      expect(stale.mismatches[0].differences.map(difference => difference.field)).to.include.members([
+        'profile.totalContributions',
+        'contributionsByType.0'
+      ]);
+
+      const latest = await exportMigrationSnapshot(source, { fromBlock: deployBlock });
+      await admin.importMigrationSnapshot(latest);
+      expect((await admin.verifyMigration(latest)).mismatches).to.deep.equal([]);
+
+      await admin.sealImport();
+      expect(await admin.importMigrationSnapshot(latest).catch(error => error)).to.be.instanceOf(ImportSealedError);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('Should export a deployment that predates contribution types', async function () {
+    const [owner, user1, user2] = await ethers.getSigners();
+    const legacy = await (await ethers.getContractFactory('MockLegacyRewardsOptimizer')).deploy();
+    await legacy.waitForDeployment();
+    const deployBlock = (await legacy.deploymentTransaction()!.wait())!.blockNumber;
+
+    await legacy.connect(user1).recordContribution(0, 600);
+    await legacy.connect(user1).recordContribution(1, 1);
+    await legacy.connect(user2).recordContribution(2, 1200);
+    await advanceToNextDay();
+    await legacy.connect(user1).recordContribution(0, 400);
+
+    const { rewardsOptimizer: replacement, address: newAddress } = await deployRewardsFixture();
+    const source = connectBaseRewardsOptimizer(await legacy.getAddress(), ethers.provider);
+    const target = connectBaseRewardsOptimizer(newAddress, ethers.provider);
+    expect(await isLegacyDeployment(source)).to.equal(true);
+    expect(await isLegacyDeployment(target)).to.equal(false);
+
+    const snapshot = await exportMigrationSnapshot(source, { fromBlock: deployBlock });
+    expect(snapshot.contributionTypes.map(type => type.name)).to.deep.equal(['GitHub', 'Contract deployment', 'Other']);
+    const exported = snapshot.builders.find(builder => builder.address === user1.address)!;
+    expect(exported.contributionsByType).to.deep.equal(['1000', '1', '0']);
+    expect(exported.profile).to.include({ contractDeployments: '1', streakDays: '2', diversityTypes: '2' });
+    const other = snapshot.builders.find(builder => builder.address === user2.address)!;
+    expect(other.contributionsByType).to.deep.equal(['0', '0', '0']);
+    expect(other.profile).to.include({ diversityTypes: '0' });
+
+    const admin = new BaseRewardsAdmin(newAddress, ethers.provider, owner, { confirmations: 1 });
+    expect(await admin.importMigrationSnapshot(snapshot)).to.include({ imported: 2, typesChanged: 0 });
+    expect((await admin.verifyMigration(snapshot)).mismatches).to.deep.equal([]);
+
+    const builders = [user1.address, user2.address];
+    const { scores } = await target.getTopContributors(builders);
+    expect([...scores]).to.deep.equal([...(await legacy.getTopContributors(builders)).scores]);
+
+    // The imported calendar carries the streak on into the next day
+    await advanceToNextDay();
+    await replacement.connect(user1).recordContribution(0, 100);
+    expect((await target.getUserProfile(user1.address)).streakDays).to.equal(3n);
+  });
+
+  it('Should refuse snapshots it cannot import faithfully', async function () {
+    const { address, deployBlock, newAddress, owner } = await loadFixture(migrationFixture);
+    const admin = new BaseRewardsAdmin(newAddress, ethers.provider, owner, { confirmations: 1 });
+    const snapshot = await exportMigrationSnapshot(connectBaseRewardsOptimizer(address, ethers.provider), {
+      fromBlock: deployBlock
+    });
+
+    const tooLong = await exportMigrationSnapshot(connectBaseRewardsOptimizer(address, ethers.provider), {
+      fromBlock: deployBlock,
+      dailyHistoryDays: 367
+    }).catch(error => error);
+    expect(tooLong.message).to.equal('dailyHistoryDays must be between 1 and 366, got 367');
+
+    const store = new MemoryStore<MigrationSnapshot>();
+    await store.save({ ...snapshot, version: 2 });
+    const unsupported = await loadMigrationSnapshot(store).catch(error => error);
+    expect(unsupported.message).to.equal('Migration snapshot version 2 is not supported (expected 1)');
+
+    const sameDeployment = new BaseRewardsAdmin(address, ethers.provider, owner);
+    const intoSource = await sameDeployment.importMigrationSnapshot(snapshot).catch(error => error);
+    expect(intoSource.message).to.equal('The snapshot was exported from this deployment');
+
+    await admin.addContributionType('Grant', 100n, false);
+    const conflict = await admin.importMigrationSnapshot(snapshot).catch(error => error);
+    expect(conflict.message).to.equal('Contribution type 3 is Grant here but Security audit in the snapshot');
+  });
+});
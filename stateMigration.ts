@@ -0,0 +1,374 @@
+/**
+ * State Migration
+ * Carries builder state from one BaseRewardsOptimizer deployment to the next. The old
+ * deployment is exported at a pinned block to a versioned snapshot file, the snapshot is
+ * imported through importBuilderStates (see BaseRewardsAdmin.importMigrationSnapshot),
+ * and verifyMigration diffs the two deployments address by address before the import
+ * is sealed. Epoch roots, claims, reward parameters and the attestor are not migrated.
+ * Legacy deployments, from before the contribution type registry, are exported too.
+ */
+
+import { ethers } from 'ethers';
+import type { BaseRewardsOptimizerContract, BuilderStateStruct } from './baseRewardsContract';
+import { BUILT_IN_CONTRIBUTION_TYPES } from './contributionTypes';
+import { findBuilders } from './rewardDistribution';
+import { getUtcDay, readDailyContributions } from './streakCalendar';
+import type { StateStore } from './jsonFileStore';
+import type { UserProfile } from './baseRewardsUtils';
+
+// Types and Interfaces
+export interface MigrationExportOptions {
+  fromBlock: number; // where to start looking for builders, usually the old deployment block
+  blockNumber?: number; // defaults to the latest block
+  dailyHistoryDays?: number; // days of dailyContributions carried over, ending on the snapshot's day
+  chunkSize?: number;
+}
+
+// Amounts are decimal strings so the snapshot is plain JSON
+export interface BuilderStateSnapshot {
+  address: string;
+  profile: Record<Exclude<keyof UserProfile, 'isActive'>, string> & { isActive: boolean };
+  dailyContributions: Record<string, string>; // UTC day -> total, days without contributions left out
+  contributionsByType: string[]; // indexed by type id
+}
+
+export interface MigrationContributionType {
+  name: string;
+  weight: string;
+  countsForDiversity: boolean;
+  active: boolean;
+}
+
+export interface MigrationSnapshot {
+  version: number;
+  chainId: string;
+  contract: string; // the deployment the state was exported from
+  blockNumber: number;
+  blockTimestamp: number;
+  fromBlock: number;
+  dailyHistoryDays: number;
+  contributionTypes: MigrationContributionType[]; // indexed by type id
+  builders: BuilderStateSnapshot[]; // sorted by address
+}
+
+export interface StateDifference {
+  field: string; // e.g. profile.streakDays, dailyContributions.20345, contributionsByType.1
+  source: string;
+  target: string;
+}
+
+export interface AddressVerification {
+  address: string;
+  differences: StateDifference[];
+}
+
+export interface MigrationVerification {
+  blockNumber: number;
+  checked: number;
+  mismatches: AddressVerification[]; // only addresses whose state differs
+}
+
+export const MIGRATION_SNAPSHOT_VERSION = 1;
+
+// The builder calendar's default window
+export const DEFAULT_DAILY_HISTORY_DAYS = 60;
+// BaseRewardsOptimizer.MAX_IMPORTED_DAYS; a longer history cannot be imported
+export const MAX_DAILY_HISTORY_DAYS = 366;
+
+// getUserProfile of legacy deployments, whose profile has no diversityTypes
+const LEGACY_PROFILE_ABI = [
+  'function getUserProfile(address user) view returns (tuple(uint256 totalContributions, uint256 githubScore, uint256 contractDeployments, uint256 lastUpdateTime, uint256 streakDays, bool isActive))'
+];
+
+const GITHUB_TYPE = 0;
+const CONTRACT_DEPLOYMENT_TYPE = 1;
+
+/**
+ * Export every builder's profile, recent dailyContributions and contributionsByType.
+ * Builders are found from the deployment's events; every read is pinned to one block.
+ * A legacy deployment exports the built-in types, with diversityTypes and the GitHub and
+ * deployment totals derived from githubScore and contractDeployments; it never tracked
+ * "Other" per type, so that total exports as 0.
+ */
+export async function exportMigrationSnapshot(
+  contract: BaseRewardsOptimizerContract,
+  options: MigrationExportOptions
+): Promise<MigrationSnapshot> {
+  const provider = contract.runner?.provider;
+  if (!provider) {
+    throw new Error('Contract must be connected to a provider');
+  }
+
+  const blockNumber = options.blockNumber ?? await provider.getBlockNumber();
+  const block = await provider.getBlock(blockNumber);
+  if (!block) {
+    throw new Error(`Block ${blockNumber} not found`);
+  }
+  if (blockNumber < options.fromBlock) {
+    throw new Error(`Block ${blockNumber} is before fromBlock ${options.fromBlock}`);
+  }
+
+  const dailyHistoryDays = options.dailyHistoryDays ?? DEFAULT_DAILY_HISTORY_DAYS;
+  if (!Number.isInteger(dailyHistoryDays) || dailyHistoryDays < 1 || dailyHistoryDays > MAX_DAILY_HISTORY_DAYS) {
+    throw new Error(`dailyHistoryDays must be between 1 and ${MAX_DAILY_HISTORY_DAYS}, got ${dailyHistoryDays}`);
+  }
+  const [{ chainId }, address, types] = await Promise.all([
+    provider.getNetwork(),
+    contract.getAddress(),
+    readContributionTypes(contract, blockNumber)
+  ]);
+
+  const today = getUtcDay(block.timestamp);
+  const builders = await findBuilders(contract, options.fromBlock, blockNumber, options.chunkSize ?? 2000);
+  const states: BuilderStateSnapshot[] = [];
+
+  for (const builder of [...builders].sort()) {
+    states.push(await readBuilderState(
+      contract, builder, today - dailyHistoryDays + 1, today, types.length, blockNumber, types.legacy
+    ));
+  }
+
+  return {
+    version: MIGRATION_SNAPSHOT_VERSION,
+    chainId: chainId.toString(),
+    contract: address,
+    blockNumber,
+    blockTimestamp: block.timestamp,
+    fromBlock: options.fromBlock,
+    dailyHistoryDays,
+    contributionTypes: types.map(type => ({
+      name: type.name,
+      weight: type.weight.toString(),
+      countsForDiversity: type.countsForDiversity,
+      active: type.active
+    })),
+    builders: states
+  };
+}
+
+/**
+ * Load a snapshot saved with a StateStore, such as a JsonFileStore
+ */
+export async function loadMigrationSnapshot(store: StateStore<MigrationSnapshot>): Promise<MigrationSnapshot> {
+  const snapshot = await store.load();
+  if (!snapshot) {
+    throw new Error('No migration snapshot found');
+  }
+
+  assertSnapshotVersion(snapshot);
+  return snapshot;
+}
+
+export function assertSnapshotVersion(snapshot: MigrationSnapshot): void {
+  if (snapshot.version !== MIGRATION_SNAPSHOT_VERSION) {
+    throw new Error(
+      `Migration snapshot version ${snapshot.version} is not supported (expected ${MIGRATION_SNAPSHOT_VERSION})`
+    );
+  }
+}
+
+/**
+ * importBuilderStates arguments for a batch of snapshot builders
+ */
+export function toBuilderStates(builders: BuilderStateSnapshot[]): BuilderStateStruct[] {
+  return builders.map(builder => {
+    const days = Object.keys(builder.dailyContributions).map(Number).sort((a, b) => a - b);
+
+    return {
+      user: builder.address,
+      profile: {
+        totalContributions: BigInt(builder.profile.totalContributions),
+        githubScore: BigInt(builder.profile.githubScore),
+        contractDeployments: BigInt(builder.profile.contractDeployments),
+        lastUpdateTime: BigInt(builder.profile.lastUpdateTime),
+        streakDays: BigInt(builder.profile.streakDays),
+        isActive: builder.profile.isActive,
+        diversityTypes: BigInt(builder.profile.diversityTypes)
+      },
+      dailyDays: days.map(day => BigInt(day)),
+      dailyValues: days.map(day => BigInt(builder.dailyContributions[day])),
+      typeValues: builder.contributionsByType.map(value => BigInt(value))
+    };
+  });
+}
+
+/**
+ * Diff the old and new deployments for every snapshot builder, plus anyone who
+ * contributed to the old deployment after the snapshot was taken. Both are read at
+ * the latest block over the snapshot's daily window, extended up to today, so
+ * contributions the old deployment received after the export show up as differences.
+ */
+export async function verifyMigration(
+  source: BaseRewardsOptimizerContract,
+  target: BaseRewardsOptimizerContract,
+  snapshot: MigrationSnapshot,
+  options: { chunkSize?: number } = {}
+): Promise<MigrationVerification> {
+  const provider = source.runner?.provider;
+  if (!provider) {
+    throw new Error('Contract must be connected to a provider');
+  }
+
+  const block = (await provider.getBlock('latest'))!;
+  const blockNumber = block.number;
+  const late = await findBuilders(source, snapshot.blockNumber + 1, blockNumber, options.chunkSize ?? 2000);
+  const addresses = [...new Set([...snapshot.builders.map(builder => builder.address), ...late])].sort();
+
+  const [sourceTypes, targetTypes] = await Promise.all([
+    readContributionTypes(source, blockNumber),
+    readContributionTypes(target, blockNumber)
+  ]);
+  const typeCount = Math.max(sourceTypes.length, targetTypes.length);
+  const fromDay = getUtcDay(snapshot.blockTimestamp) - snapshot.dailyHistoryDays + 1;
+  const toDay = getUtcDay(block.timestamp);
+  const mismatches: AddressVerification[] = [];
+
+  for (const address of addresses) {
+    const [before, after] = await Promise.all([
+      readBuilderState(source, address, fromDay, toDay, typeCount, blockNumber, sourceTypes.legacy),
+      readBuilderState(target, address, fromDay, toDay, typeCount, blockNumber, targetTypes.legacy)
+    ]);
+
+    const differences = diffBuilderStates(before, after);
+    if (differences.length > 0) {
+      mismatches.push({ address, differences });
+    }
+  }
+
+  return { blockNumber, checked: addresses.length, mismatches };
+}
+
+/**
+ * Field-by-field differences between two states of the same builder
+ */
+export function diffBuilderStates(source: BuilderStateSnapshot, target: BuilderStateSnapshot): StateDifference[] {
+  const differences: StateDifference[] = [];
+  const compare = (field: string, a: string, b: string) => {
+    if (a !== b) {
+      differences.push({ field, source: a, target: b });
+    }
+  };
+
+  for (const key of Object.keys(source.profile) as (keyof BuilderStateSnapshot['profile'])[]) {
+    compare(`profile.${key}`, String(source.profile[key]), String(target.profile[key]));
+  }
+
+  const days = new Set([...Object.keys(source.dailyContributions), ...Object.keys(target.dailyContributions)]);
+  for (const day of [...days].sort((a, b) => Number(a) - Number(b))) {
+    compare(`dailyContributions.${day}`, source.dailyContributions[day] ?? '0', target.dailyContributions[day] ?? '0');
+  }
+
+  const typeCount = Math.max(source.contributionsByType.length, target.contributionsByType.length);
+  for (let id = 0; id < typeCount; id++) {
+    compare(`contributionsByType.${id}`, source.contributionsByType[id] ?? '0', target.contributionsByType[id] ?? '0');
+  }
+
+  return differences;
+}
+
+/**
+ * Whether a deployment predates the contribution type registry. Such a deployment has no
+ * getContributionTypes, so the call reverts without data.
+ */
+export async function isLegacyDeployment(contract: BaseRewardsOptimizerContract, blockTag?: number): Promise<boolean> {
+  return (await readContributionTypes(contract, blockTag)).legacy;
+}
+
+// Private helper functions
+
+type ContributionTypeList = { name: string; weight: bigint; countsForDiversity: boolean; active: boolean }[];
+
+async function readContributionTypes(
+  contract: BaseRewardsOptimizerContract,
+  blockTag?: number
+): Promise<ContributionTypeList & { legacy: boolean }> {
+  try {
+    const types = await contract.getContributionTypes({ blockTag });
+    return Object.assign([...types], { legacy: false });
+  } catch (error) {
+    if (isRevertWithoutData(error)) {
+      return Object.assign(BUILT_IN_CONTRIBUTION_TYPES.map(type => ({ ...type })), { legacy: true });
+    }
+    throw error;
+  }
+}
+
+// A bare revert, as a call to a function the contract does not have produces over RPC or in Hardhat
+function isRevertWithoutData(error: unknown): boolean {
+  if (ethers.isError(error, 'CALL_EXCEPTION')) {
+    return !error.data || error.data === '0x';
+  }
+  return typeof error === 'object' && error !== null && (error as { data?: unknown }).data === '0x';
+}
+
+async function readBuilderState(
+  contract: BaseRewardsOptimizerContract,
+  address: string,
+  fromDay: number,
+  toDay: number,
+  typeCount: number,
+  blockTag: number,
+  legacy: boolean
+): Promise<BuilderStateSnapshot> {
+  const [profile, daily, byType] = await Promise.all([
+    legacy ? readLegacyProfile(contract, address, blockTag) : contract.getUserProfile(address, { blockTag }),
+    readDailyContributions(contract, address, fromDay, toDay, blockTag),
+    legacy
+      ? Promise.resolve([])
+      : Promise.all(Array.from({ length: typeCount }, (_, id) => contract.contributionsByType(address, id, { blockTag })))
+  ]);
+
+  if (legacy) {
+    for (let id = 0; id < typeCount; id++) {
+      byType.push(
+        id === GITHUB_TYPE ? profile.githubScore : id === CONTRACT_DEPLOYMENT_TYPE ? profile.contractDeployments : BigInt(0)
+      );
+    }
+  }
+
+  const dailyContributions: Record<string, string> = {};
+  for (const { day, total } of daily) {
+    if (total > BigInt(0)) {
+      dailyContributions[day] = total.toString();
+    }
+  }
+
+  return {
+    address,
+    profile: {
+      totalContributions: profile.totalContributions.toString(),
+      githubScore: profile.githubScore.toString(),
+      contractDeployments: profile.contractDeployments.toString(),
+      lastUpdateTime: profile.lastUpdateTime.toString(),
+      streakDays: profile.streakDays.toString(),
+      isActive: profile.isActive,
+      diversityTypes: profile.diversityTypes.toString()
+    },
+    dailyContributions,
+    contributionsByType: byType.map(value => value.toString())
+  };
+}
+
+/**
+ * A legacy profile with diversityTypes added the way the legacy contract counted
+ * diversity: one each for any GitHub score and any deployment
+ */
+async function readLegacyProfile(
+  contract: BaseRewardsOptimizerContract,
+  address: string,
+  blockTag: number
+): Promise<UserProfile> {
+  const legacy = new ethers.Contract(await contract.getAddress(), LEGACY_PROFILE_ABI, contract.runner);
+  const profile = await legacy.getUserProfile(address, { blockTag });
+  const zero = BigInt(0);
+
+  return {
+    totalContributions: profile.totalContributions,
+    githubScore: profile.githubScore,
+    contractDeployments: profile.contractDeployments,
+    lastUpdateTime: profile.lastUpdateTime,
+    streakDays: profile.streakDays,
+    isActive: profile.isActive,
+    diversityTypes: BigInt((profile.githubScore > zero ? 1 : 0) + (profile.contractDeployments > zero ? 1 : 0))
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Test Suite for streak calendars and forecasts
+ * Replays contributions across UTC day boundaries and checks them against the contract
+ */
+
+import { expect } from 'chai';
+import { ethers } from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { MemoryStore, RewardsEventIndexer } from './eventIndexer';
+import { BaseRewardsManager } from './baseRewardsUtils';
+import { SECONDS_PER_DAY, forecastStreak, formatUtcDay, getUtcDay } from './streakCalendar';
+import { deployRewardsFixture } from './testHarness';
+
+const HOUR = 60 * 60;
+
+describe('Streak Calendar', function () {
+  async function deployFixture() {
+    const fixture = await deployRewardsFixture();
+    const { rewardsOptimizer, user1 } = fixture;
+
+    // Two contributions a day for two days, one on the third, then a missed day
+    const firstDay = getUtcDay(await time.latest()) + 1;
+    const at = async (day: number, hour: number) => time.increaseTo(day * SECONDS_PER_DAY + hour * HOUR);
+
+    await at(firstDay, 1);
+    await rewardsOptimizer.connect(user1).recordContribution(0, 100);
+    await at(firstDay, 20);
+    await rewardsOptimizer.connect(user1).recordContribution(1, 5);
+    await at(firstDay + 1, 9);
+    await rewardsOptimizer.connect(user1).recordContribution(0, 200);
+    await rewardsOptimizer.connect(user1).recordContribution(0, 50);
+    await at(firstDay + 2, 23);
+    await rewardsOptimizer.connect(user1).recordContribution(2, 10);
+    await at(firstDay + 4, 12);
+    await rewardsOptimizer.connect(user1).recordContribution(0, 300);
+
+    return { ...fixture, firstDay };
+  }
+
+  it('Should replay indexed history to the on-chain streak', async function () {
+    const { rewardsOptimizer, address, deployBlock, firstDay, user1 } = await loadFixture(deployFixture);
+    const indexer = new RewardsEventIndexer(address, ethers.provider, new MemoryStore(), { startBlock: deployBlock });
+    await indexer.sync();
+
+    const manager = new BaseRewardsManager(address, ethers.provider);
+    const calendar = await manager.getStreakCalendar(user1.address, {
+      history: await indexer.getContributionHistory(user1.address)
+    });
+
+    // The contract adds a day per contribution after an active day
+    expect(calendar.days.map(d => [d.date, d.contributions, d.streak])).to.deep.equal([
+      [formatUtcDay(firstDay), 2, 1],
+      [formatUtcDay(firstDay + 1), 2, 3],
+      [formatUtcDay(firstDay + 2), 1, 4],
+      [formatUtcDay(firstDay + 4), 1, 1]
+    ]);
+    expect(calendar.days[1].total).to.equal(250n);
+    expect(calendar.runs.map(r => r.days)).to.deep.equal([3, 1]);
+    expect(calendar.lastBreak).to.deep.equal({ date: formatUtcDay(firstDay + 3), streakLost: 4 });
+
+    const profile = await rewardsOptimizer.getUserProfile(user1.address);
+    expect(BigInt(calendar.days[calendar.days.length - 1].streak)).to.equal(profile.streakDays);
+  });
+
+  it('Should rebuild the calendar from daily totals and report a trailing break', async function () {
+    const { address, firstDay, user1 } = await loadFixture(deployFixture);
+    const manager = new BaseRewardsManager(address, ethers.provider);
+    const now = (firstDay + 7) * SECONDS_PER_DAY;
+
+    const calendar = await manager.getStreakCalendar(user1.address, { days: 10, now });
+
+    expect(calendar.days.map(d => d.total)).to.deep.equal([105n, 250n, 10n, 300n]);
+    expect(calendar.days.map(d => d.contributions)).to.deep.equal([1, 1, 1, 1]);
+    expect(calendar.lastBreak).to.deep.equal({ date: formatUtcDay(firstDay + 5), streakLost: 1 });
+
+    const forecast = await manager.getStreakForecast(user1.address, now);
+    expect(forecast.status).to.equal('broken');
+    expect(forecast.nextStreak).to.equal(1);
+  });
+
+  it('Should forecast the deadline and the next tier across the UTC boundary', function () {
+    const today = 20000;
+    const lastUpdateTime = BigInt((today - 1) * SECONDS_PER_DAY + 10 * HOUR);
+
+    const atRisk = forecastStreak({ streakDays: 13, lastUpdateTime }, today * SECONDS_PER_DAY + 18 * HOUR);
+    expect(atRisk.status).to.equal('at-risk');
+    expect(atRisk.windowEnd).to.equal((today + 1) * SECONDS_PER_DAY);
+    expect(atRisk.nextMultiplier).to.equal(300n);
+    expect(atRisk.message).to.equal('Contribute in the next 6h 0m to keep your 13-day streak; 3x unlocks today');
+
+    const secured = forecastStreak(
+      { streakDays: 13, lastUpdateTime: BigInt(today * SECONDS_PER_DAY + HOUR) },
+      today * SECONDS_PER_DAY + 2 * HOUR
+    );
+    expect(secured.status).to.equal('secured');
+    expect(secured.windowStart).to.equal((today + 1) * SECONDS_PER_DAY);
+    expect(secured.message).to.include('3x unlocks tomorrow');
+
+    const top = forecastStreak({ streakDays: 40, lastUpdateTime }, today * SECONDS_PER_DAY);
+    expect(top.nextTier).to.equal(null);
+    expect(top.message).to.include('you stay at the top 5x tier');
+
+    const none = forecastStreak({ streakDays: 0, lastUpdateTime: 0 }, today * SECONDS_PER_DAY);
+    expect(none.status).to.equal('none');
+    expect(none.nextTier).to.deep.include({ streakDays: 3, date: formatUtcDay(today + 2) });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Streak Calendar and Forecasting
+ * Rebuilds a builder's daily contribution calendar and forecasts their next streak tier,
+ * using the same UTC day boundaries as BaseRewardsOptimizer._updateStreak
+ */
+
+import type { BaseRewardsOptimizerContract } from './baseRewardsContract';
+import { STREAK_TIERS, getStreakMultiplier } from './rewardEngine';
+
+// Types and Interfaces
+
+// A contribution as the contract saw it; ContributionHistoryEntry from the indexer fits
+export interface TimedContribution {
+  timestamp: number;
+  value: bigint;
+}
+
+export interface CalendarDay {
+  day: number; // block.timestamp / 1 days
+  date: string; // YYYY-MM-DD (UTC)
+  total: bigint;
+  contributions: number;
+  streak: number; // streakDays after the day's last contribution
+}
+
+export interface StreakRun {
+  startDate: string;
+  endDate: string;
+  days: number;
+  streak: number; // streakDays when the run ended
+}
+
+export interface StreakCalendar {
+  days: CalendarDay[]; // active days only, oldest first
+  runs: StreakRun[];
+  lastBreak: { date: string; streakLost: number } | null; // first day without a contribution
+}
+
+export type StreakStatus = 'none' | 'secured' | 'at-risk' | 'broken';
+
+export interface StreakForecast {
+  status: StreakStatus;
+  streakDays: number; // on-chain value, used by calculateOptimizedReward until the next contribution
+  multiplier: bigint;
+  nextStreak: number; // streakDays after the next contribution
+  nextMultiplier: bigint;
+  windowStart: number; // the next contribution keeps the streak if made in [windowStart, windowEnd)
+  windowEnd: number;
+  nextTier: { streakDays: number; multiplier: bigint; date: string } | null; // contributing once a day
+  message: string;
+}
+
+export const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * UTC day number of a timestamp, as the contract computes today
+ */
+export function getUtcDay(timestampSeconds: number): number {
+  return Math.floor(timestampSeconds / SECONDS_PER_DAY);
+}
+
+export function formatUtcDay(day: number): string {
+  return new Date(day * SECONDS_PER_DAY * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Replay contributions through _updateStreak. Note that the contract counts
+ * contributions, not days: every contribution on a day after an active day adds one.
+ */
+export function buildStreakCalendar(contributions: TimedContribution[], now?: number): StreakCalendar {
+  const sorted = [...contributions].sort((a, b) => a.timestamp - b.timestamp);
+  const byDay = new Map<number, CalendarDay>();
+  let streak = 0;
+
+  for (const contribution of sorted) {
+    const day = getUtcDay(contribution.timestamp);
+    const entry = byDay.get(day) ?? { day, date: formatUtcDay(day), total: BigInt(0), contributions: 0, streak: 0 };
+
+    entry.total += contribution.value;
+    entry.contributions++;
+    streak = (byDay.get(day - 1)?.total ?? BigInt(0)) > BigInt(0) ? streak + 1 : 1;
+    entry.streak = streak;
+    byDay.set(day, entry);
+  }
+
+  return summarize([...byDay.values()], now);
+}
+
+/**
+ * Build a calendar from per-day totals (the dailyContributions mapping). Without
+ * per-contribution detail each active day counts once, so streaks can read low
+ * for builders who contribute several times a day.
+ */
+export function buildStreakCalendarFromDays(
+  days: { day: number; total: bigint }[],
+  now?: number
+): StreakCalendar {
+  const contributions = days
+    .filter(d => d.total > BigInt(0))
+    .map(d => ({ timestamp: d.day * SECONDS_PER_DAY, value: d.total }));
+
+  return buildStreakCalendar(contributions, now);
+}
+
+/**
+ * Read dailyContributions for a range of days, inclusive, optionally at a past block
+ */
+export async function readDailyContributions(
+  contract: BaseRewardsOptimizerContract,
+  userAddress: string,
+  fromDay: number,
+  toDay: number,
+  blockTag?: number
+): Promise<{ day: number; total: bigint }[]> {
+  const days = Array.from({ length: toDay - fromDay + 1 }, (_, i) => fromDay + i);
+  const totals = await Promise.all(days.map(day => contract.dailyContributions(userAddress, day, { blockTag })));
+
+  return days.map((day, i) => ({ day, total: totals[i] }));
+}
+
+/**
+ * Forecast what the next contribution does to a streak and when the next tier unlocks
+ */
+export function forecastStreak(
+  profile: { streakDays: bigint | number; lastUpdateTime: bigint | number },
+  now: number
+): StreakForecast {
+  const streakDays = Number(profile.streakDays);
+  const lastDay = getUtcDay(Number(profile.lastUpdateTime));
+  const today = getUtcDay(now);
+
+  let status: StreakStatus;
+  if (streakDays === 0 || Number(profile.lastUpdateTime) === 0) {
+    status = 'none';
+  } else if (lastDay === today) {
+    status = 'secured';
+  } else if (lastDay === today - 1) {
+    status = 'at-risk';
+  } else {
+    status = 'broken';
+  }
+
+  // A secured streak grows with tomorrow's contribution; the others with today's
+  const firstDay = status === 'secured' ? today + 1 : today;
+  const base = status === 'secured' || status === 'at-risk' ? streakDays : 0;
+  const tier = [...STREAK_TIERS].reverse().find(t => t.minDays > BigInt(base));
+
+  const forecast: StreakForecast = {
+    status,
+    streakDays,
+    multiplier: getStreakMultiplier(BigInt(streakDays)),
+    nextStreak: base + 1,
+    nextMultiplier: getStreakMultiplier(BigInt(base + 1)),
+    windowStart: status === 'secured' ? (today + 1) * SECONDS_PER_DAY : now,
+    windowEnd: (firstDay + 1) * SECONDS_PER_DAY,
+    nextTier: tier
+      ? {
+          streakDays: Number(tier.minDays),
+          multiplier: tier.multiplier,
+          date: formatUtcDay(firstDay + Number(tier.minDays) - base - 1)
+        }
+      : null,
+    message: ''
+  };
+
+  forecast.message = describeForecast(forecast, lastDay, today, now);
+  return forecast;
+}
+
+// Private helper functions
+
+function summarize(days: CalendarDay[], now?: number): StreakCalendar {
+  const runs: StreakRun[] = [];
+  let lastBreak: StreakCalendar['lastBreak'] = null;
+  let runStart = 0;
+
+  days.forEach((day, i) => {
+    const next = days[i + 1];
+    if (next && next.day === day.day + 1) {
+      return;
+    }
+
+    runs.push({ startDate: days[runStart].date, endDate: day.date, days: i - runStart + 1, streak: day.streak });
+    runStart = i + 1;
+
+    // The streak is lost once a whole UTC day passes, even before the next contribution resets it
+    if (next || (now !== undefined && getUtcDay(now) > day.day + 1)) {
+      lastBreak = { date: formatUtcDay(day.day + 1), streakLost: day.streak };
+    }
+  });
+
+  return { days, runs, lastBreak };
+}
+
+function describeForecast(forecast: StreakForecast, lastDay: number, today: number, now: number): string {
+  const tier = forecast.nextTier;
+  const unlocks = tier
+    ? `${formatMultiplier(tier.multiplier)} unlocks ${describeDay(tier.date, today)}`
+    : `you stay at the top ${formatMultiplier(forecast.multiplier)} tier`;
+
+  switch (forecast.status) {
+    case 'secured':
+      return `Streak secured for today (${forecast.streakDays} days); contribute tomorrow (UTC) to reach ` +
+        `${forecast.nextStreak} days; ${unlocks}`;
+    case 'at-risk':
+      return `Contribute in the next ${formatDuration(forecast.windowEnd - now)} to keep your ` +
+        `${forecast.streakDays}-day streak; ${unlocks}`;
+    case 'broken':
+      return `Your ${forecast.streakDays}-day streak broke on ${formatUtcDay(lastDay + 1)}. ` +
+        `${formatMultiplier(forecast.multiplier)} still applies until your next contribution resets it to 1 day; ` +
+        `${unlocks} if you contribute daily from today`;
+    default:
+      return `Contribute today to start a streak; ${unlocks} if you contribute daily`;
+  }
+}
+
+function describeDay(date: string, today: number): string {
+  if (date === formatUtcDay(today)) {
+    return 'today';
+  }
+  if (date === formatUtcDay(today + 1)) {
+    return 'tomorrow';
+  }
+  return `on ${date}`;
+}
+
+function formatMultiplier(multiplier: bigint): string {
+  return `${Number(multiplier) / 100}x`;
+}
+
+function formatDuration(seconds: number): string {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
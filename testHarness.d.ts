@@ -0,0 +1,40 @@
+/**
+ * Type declarations for testHarness.js, shared with the TypeScript tests
+ */
+
+import type { HardhatEthersSigner } from '@nomicfoundation/hardhat-ethers/signers';
+
+// Contracts are left untyped so the harness works with or without typechain
+export interface RewardsFixture {
+  rewardsOptimizer: any;
+  address: string;
+  deployBlock: number;
+  owner: HardhatEthersSigner;
+  user1: HardhatEthersSigner;
+  user2: HardhatEthersSigner;
+  user3: HardhatEthersSigner;
+}
+
+export interface FundedRewardsFixture extends RewardsFixture {
+  token: any;
+}
+
+export const SECONDS_PER_DAY: number;
+export const SECONDS_PER_WEEK: number;
+export const TOKEN_SUPPLY: bigint;
+export const REWARD_POOL: bigint;
+
+export function deployRewardsFixture(): Promise<RewardsFixture>;
+export function deployFundedRewardsFixture(): Promise<FundedRewardsFixture>;
+export function currentDay(): Promise<number>;
+export function currentEpoch(): Promise<number>;
+export function advanceDays(days?: number): Promise<void>;
+export function advanceToNextDay(offsetSeconds?: number): Promise<void>;
+export function advanceToNextEpoch(offsetSeconds?: number): Promise<void>;
+export function recordDailyStreak(
+  rewardsOptimizer: any,
+  signer: HardhatEthersSigner,
+  days: number,
+  contributionType?: number,
+  value?: number | bigint
+): Promise<void>;
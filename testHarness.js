@@ -0,0 +1,111 @@
+/**
+ * Shared Test Harness
+ * Deployment fixtures and time travel helpers for contract and SDK tests.
+ * Fixtures are plain functions so loadFixture can snapshot and reuse them.
+ */
+
+const { ethers } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const SECONDS_PER_WEEK = 7 * SECONDS_PER_DAY;
+
+// Reward token supply and the share the rewards contract is funded with
+const TOKEN_SUPPLY = ethers.parseEther('1000000');
+const REWARD_POOL = ethers.parseEther('100000');
+
+/**
+ * Deploy BaseRewardsOptimizer with an owner and three builders
+ */
+async function deployRewardsFixture() {
+  const [owner, user1, user2, user3] = await ethers.getSigners();
+
+  const BaseRewardsOptimizer = await ethers.getContractFactory('BaseRewardsOptimizer');
+  const rewardsOptimizer = await BaseRewardsOptimizer.deploy();
+  await rewardsOptimizer.waitForDeployment();
+
+  const address = await rewardsOptimizer.getAddress();
+  const deployBlock = await ethers.provider.getBlockNumber();
+
+  return { rewardsOptimizer, address, deployBlock, owner, user1, user2, user3 };
+}
+
+/**
+ * deployRewardsFixture plus a MockERC20 reward token, with REWARD_POOL sent to the
+ * contract and set as its reward token, ready for epoch distributions
+ */
+async function deployFundedRewardsFixture() {
+  const fixture = await deployRewardsFixture();
+
+  const MockERC20 = await ethers.getContractFactory('MockERC20');
+  const token = await MockERC20.deploy('Base Reward Token', 'BRT', TOKEN_SUPPLY);
+  await token.waitForDeployment();
+
+  await token.transfer(fixture.address, REWARD_POOL);
+  await fixture.rewardsOptimizer.setRewardToken(await token.getAddress());
+
+  return { ...fixture, token };
+}
+
+/**
+ * UTC day number of the latest block, as the contract computes it
+ */
+async function currentDay() {
+  return Math.floor((await time.latest()) / SECONDS_PER_DAY);
+}
+
+/**
+ * Epoch (week number) of the latest block
+ */
+async function currentEpoch() {
+  return Math.floor((await time.latest()) / SECONDS_PER_WEEK);
+}
+
+/**
+ * Move forward by whole days, keeping the time of day
+ */
+async function advanceDays(days = 1) {
+  await time.increase(days * SECONDS_PER_DAY);
+}
+
+/**
+ * Move to the start of the next UTC day, plus an offset into it
+ */
+async function advanceToNextDay(offsetSeconds = 0) {
+  await time.increaseTo(((await currentDay()) + 1) * SECONDS_PER_DAY + offsetSeconds);
+}
+
+/**
+ * Move to the start of the next epoch, plus an offset into it. currentWeek only
+ * follows once something calls advanceEpoch or publishEpochRoot.
+ */
+async function advanceToNextEpoch(offsetSeconds = 0) {
+  await time.increaseTo(((await currentEpoch()) + 1) * SECONDS_PER_WEEK + offsetSeconds);
+}
+
+/**
+ * Record one contribution a day for `days` consecutive days, ending on the current day
+ */
+async function recordDailyStreak(rewardsOptimizer, signer, days, contributionType = 0, value = 100) {
+  for (let i = 0; i < days; i++) {
+    if (i > 0) {
+      await advanceDays(1);
+    }
+    await rewardsOptimizer.connect(signer).recordContribution(contributionType, value);
+  }
+}
+
+module.exports = {
+  SECONDS_PER_DAY,
+  SECONDS_PER_WEEK,
+  TOKEN_SUPPLY,
+  REWARD_POOL,
+  deployRewardsFixture,
+  deployFundedRewardsFixture,
+  currentDay,
+  currentEpoch,
+  advanceDays,
+  advanceToNextDay,
+  advanceToNextEpoch,
+  recordDailyStreak
+};
@@ -0,0 +1,153 @@
+/**
+ * Test Suite for the transaction layer behind BaseRewardsManager
+ * Covers local nonces, typed receipts and replacement of stuck transactions
+ */
+
+import { expect } from 'chai';
+import { ethers, network } from 'hardhat';
+import { loadFixture, mine } from '@nomicfoundation/hardhat-network-helpers';
+import { BaseNetworkUtils, BaseRewardsManager } from './baseRewardsUtils';
+import { deployRewardsFixture } from './testHarness';
+
+describe('TransactionManager', function () {
+  // Managers track nonces locally, so each test needs a fresh one after the fixture reverts the chain
+  async function createManager() {
+    const { rewardsOptimizer, address, user1 } = await loadFixture(deployRewardsFixture);
+    const manager = new BaseRewardsManager(
+      address,
+      ethers.provider,
+      user1,
+      { pollIntervalMs: 10 }
+    );
+
+    return { rewardsOptimizer, manager, user1 };
+  }
+
+  // Keep transactions in the mempool so they can be replaced
+  async function withoutAutomine(fn: () => Promise<void>) {
+    await network.provider.send('evm_setAutomine', [false]);
+    try {
+      await fn();
+    } finally {
+      await network.provider.send('evm_setAutomine', [true]);
+    }
+  }
+
+  it('Should build EIP-1559 fee settings', async function () {
+    const fees = await BaseNetworkUtils.getFeeSettings(ethers.provider);
+    const block = await ethers.provider.getBlock('latest');
+
+    expect(fees.type).to.equal(2);
+    if (fees.type === 2) {
+      expect(fees.maxFeePerGas).to.equal(block!.baseFeePerGas! * 2n + fees.maxPriorityFeePerGas);
+    }
+    expect(await BaseNetworkUtils.getOptimizedGasPrice(ethers.provider)).to.be.lt(
+      fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice
+    );
+  });
+
+  it('Should return typed receipts with decoded events', async function () {
+    const { manager, user1 } = await createManager();
+
+    const receipt = await manager.batchRecordContributions([
+      { type: 0, value: 1000n, timestamp: 0 },
+      { type: 1, value: 5n, timestamp: 0 }
+    ]);
+
+    expect(receipt.contributions).to.deep.equal([
+      { user: user1.address, contributionType: 0, value: 1000n, logIndex: 0 },
+      { user: user1.address, contributionType: 1, value: 5n, logIndex: 1 }
+    ]);
+    expect(receipt.fee).to.equal(receipt.gasUsed * receipt.effectiveGasPrice);
+    expect(receipt.replaced).to.be.false;
+  });
+
+  it('Should keep several transactions in flight without nonce collisions', async function () {
+    const { rewardsOptimizer, manager, user1 } = await createManager();
+
+    const firstNonce = await ethers.provider.getTransactionCount(user1.address);
+
+    await withoutAutomine(async () => {
+      const sent = await Promise.all(
+        [100n, 200n, 300n, 400n, 500n].map(value => manager.submitContribution(0, value))
+      );
+
+      expect(sent.map(s => s.nonce - firstNonce)).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(manager.getTransactionManager().getInFlight()).to.have.length(5);
+
+      await mine(1);
+      const receipts = await Promise.all(sent.map(s => manager.waitForContributions(s)));
+
+      expect(receipts.map(r => r.contributions[0].value)).to.deep.equal([100n, 200n, 300n, 400n, 500n]);
+      expect(manager.getTransactionManager().getInFlight()).to.have.length(0);
+    });
+
+    expect((await rewardsOptimizer.getUserProfile(user1.address)).totalContributions).to.equal(1500n);
+  });
+
+  it('Should leave no nonce gap when a queued send fails', async function () {
+    const { manager, user1 } = await createManager();
+
+    const firstNonce = await ethers.provider.getTransactionCount(user1.address);
+
+    await withoutAutomine(async () => {
+      const results = await Promise.allSettled(
+        [100n, 0n, 300n].map(value => manager.submitContribution(0, value))
+      );
+
+      expect(results.map(result => result.status)).to.deep.equal(['fulfilled', 'rejected', 'fulfilled']);
+      const nonces = results.flatMap(result => (result.status === 'fulfilled' ? [result.value.nonce - firstNonce] : []));
+      expect(nonces).to.deep.equal([0, 1]);
+
+      await mine(1);
+    });
+  });
+
+  it('Should speed up a stuck transaction', async function () {
+    const { rewardsOptimizer, manager, user1 } = await createManager();
+
+    await withoutAutomine(async () => {
+      const sent = await manager.submitContribution(0, 1200n);
+      await manager.speedUpTransaction(sent);
+
+      expect(sent.hashes).to.have.length(2);
+
+      await mine(1);
+      const receipt = await manager.waitForContributions(sent);
+
+      expect(receipt.replaced).to.be.true;
+      expect(receipt.transactionHash).to.equal(sent.hashes[1]);
+      expect(receipt.contributions[0].value).to.equal(1200n);
+    });
+
+    expect((await rewardsOptimizer.getUserProfile(user1.address)).totalContributions).to.equal(1200n);
+  });
+
+  it('Should cancel a stuck transaction', async function () {
+    const { rewardsOptimizer, manager, user1 } = await createManager();
+
+    await withoutAutomine(async () => {
+      const sent = await manager.submitContribution(0, 1200n);
+      await manager.cancelTransaction(sent);
+
+      await mine(1);
+      const receipt = await manager.waitForContributions(sent);
+
+      expect(receipt.cancelled).to.be.true;
+      expect(receipt.contributions).to.have.length(0);
+    });
+
+    expect((await rewardsOptimizer.getUserProfile(user1.address)).isActive).to.be.false;
+  });
+
+  it('Should not burn a nonce when estimation fails', async function () {
+    const { manager, user1 } = await createManager();
+    const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+    const failed = await manager.submitContribution(0, 0n).catch(error => error);
+    expect(failed).to.be.instanceOf(Error);
+
+    const sent = await manager.submitContribution(0, 10n);
+    expect(sent.nonce).to.equal(nonce);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Transaction Lifecycle Management
+ * Local nonce tracking, EIP-1559 fees, confirmations and replacement
+ * (speed up / cancel) for transactions sent by one signer
+ */
+
+import { ethers } from 'ethers';
+import { Provider } from 'ethers';
+
+// Types and Interfaces
+export type FeeSettings =
+  | { type: 2; maxFeePerGas: bigint; maxPriorityFeePerGas: bigint }
+  | { type: 0; gasPrice: bigint };
+
+export interface TransactionOptions {
+  confirmations?: number;
+  pollIntervalMs?: number;
+  timeoutMs?: number;
+  feeBumpPercent?: number; // nodes require at least 10% to accept a replacement
+  gasLimitBufferPercent?: number;
+  maxPriorityFeePerGas?: bigint;
+}
+
+export interface SentTransaction {
+  nonce: number;
+  hashes: string[]; // every broadcast for this nonce, latest last
+  request: ethers.TransactionRequest;
+  fees: FeeSettings;
+  cancelled: boolean;
+}
+
+/**
+ * Thrown by wait() when no broadcast of the transaction was mined in time.
+ * The transaction may still be mined later, so it must not be resent blindly.
+ */
+export class TransactionTimeoutError extends Error {
+  sent: SentTransaction;
+
+  constructor(sent: SentTransaction) {
+    super(`Timed out waiting for transaction ${sent.hashes[sent.hashes.length - 1]}`);
+    this.name = 'TransactionTimeoutError';
+    this.sent = sent;
+  }
+}
+
+/**
+ * Build EIP-1559 fee settings (legacy gasPrice on chains without a base fee).
+ * maxFeePerGas leaves room for the base fee to double before the transaction is mined.
+ */
+export async function getFeeSettings(
+  provider: Provider,
+  maxPriorityFeePerGas?: bigint
+): Promise<FeeSettings> {
+  const [feeData, block] = await Promise.all([
+    provider.getFeeData(),
+    provider.getBlock('latest')
+  ]);
+
+  if (block?.baseFeePerGas != null && feeData.maxPriorityFeePerGas != null) {
+    const priorityFee = maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+    return {
+      type: 2,
+      maxPriorityFeePerGas: priorityFee,
+      maxFeePerGas: block.baseFeePerGas * BigInt(2) + priorityFee
+    };
+  }
+
+  return { type: 0, gasPrice: feeData.gasPrice ?? ethers.parseUnits('1', 'gwei') };
+}
+
+/**
+ * TransactionManager - sends transactions for one signer with locally tracked nonces,
+ * so many transactions can be in flight without nonce collisions
+ */
+export class TransactionManager {
+  private signer: ethers.Signer;
+  private provider: Provider;
+  private options: Required<Omit<TransactionOptions, 'maxPriorityFeePerGas'>> & {
+    maxPriorityFeePerGas?: bigint;
+  };
+  private nextNonce?: number;
+  private sendQueue: Promise<unknown> = Promise.resolve();
+  private inFlight = new Map<number, SentTransaction>();
+
+  constructor(signer: ethers.Signer, options: TransactionOptions = {}) {
+    if (!signer.provider) {
+      throw new Error('Signer must be connected to a provider');
+    }
+
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.options = {
+      confirmations: options.confirmations ?? 1,
+      pollIntervalMs: options.pollIntervalMs ?? 1000,
+      timeoutMs: options.timeoutMs ?? 10 * 60 * 1000,
+      feeBumpPercent: options.feeBumpPercent ?? 15,
+      gasLimitBufferPercent: options.gasLimitBufferPercent ?? 20,
+      maxPriorityFeePerGas: options.maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Estimate, price and send a transaction with the next local nonce. Nonces follow
+   * the order of the calls; the request may be a promise still being prepared.
+   */
+  send(request: ethers.TransactionRequest | Promise<ethers.TransactionRequest>): Promise<SentTransaction> {
+    // Everything that can fail runs before a nonce is reserved, so failures leave no gaps.
+    // Preparation starts now, alongside earlier sends still waiting for theirs.
+    const preparing = this.prepare(request);
+    preparing.catch(() => undefined);
+
+    const sending = this.sendQueue.then(async () => {
+      const { prepared, fees } = await preparing;
+      const nonce = await this.reserveNonce();
+      const sent: SentTransaction = { nonce, hashes: [], request: prepared, fees, cancelled: false };
+
+      try {
+        const response = await this.signer.sendTransaction({ ...prepared, ...fees, nonce });
+        sent.hashes.push(response.hash);
+      } catch (error) {
+        // Let the next send re-read the nonce from the node
+        this.nextNonce = undefined;
+        throw error;
+      }
+
+      this.inFlight.set(nonce, sent);
+      return sent;
+    });
+
+    this.sendQueue = sending.catch(() => undefined);
+    return sending;
+  }
+
+  /**
+   * Estimate gas for a request sent by this signer, including the safety buffer
+   */
+  async estimateGas(request: ethers.TransactionRequest): Promise<bigint> {
+    const from = await this.signer.getAddress();
+    return this.addBuffer(await this.provider.estimateGas({ ...request, from }));
+  }
+
+  /**
+   * Wait until one of the transaction's broadcasts has the configured confirmations.
+   * Returns the receipt of whichever version (original, sped up or cancel) was mined.
+   */
+  async wait(sent: SentTransaction, confirmations = this.options.confirmations): Promise<ethers.TransactionReceipt> {
+    const deadline = Date.now() + this.options.timeoutMs;
+    const from = await this.signer.getAddress();
+
+    while (true) {
+      let mined = false;
+
+      for (const hash of [...sent.hashes].reverse()) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (!receipt) {
+          continue;
+        }
+
+        mined = true;
+        if (await receipt.confirmations() >= confirmations) {
+          this.inFlight.delete(sent.nonce);
+          return receipt;
+        }
+      }
+
+      if (!mined && await this.provider.getTransactionCount(from, 'latest') > sent.nonce) {
+        // Look once more in case one of ours was mined between the two reads
+        const receipts = await Promise.all(sent.hashes.map(hash => this.provider.getTransactionReceipt(hash)));
+        if (receipts.every(receipt => !receipt)) {
+          this.inFlight.delete(sent.nonce);
+          throw new Error(`Nonce ${sent.nonce} was used by a transaction not sent by this manager`);
+        }
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new TransactionTimeoutError(sent);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.options.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Rebroadcast a stuck transaction with the same nonce and higher fees
+   */
+  async speedUp(sent: SentTransaction, bumpPercent = this.options.feeBumpPercent): Promise<SentTransaction> {
+    return this.replace(sent, sent.request, bumpPercent);
+  }
+
+  /**
+   * Cancel a stuck transaction by replacing it with a zero-value transfer to self
+   */
+  async cancel(sent: SentTransaction, bumpPercent = this.options.feeBumpPercent): Promise<SentTransaction> {
+    const from = await this.signer.getAddress();
+    const replaced = await this.replace(sent, { from, to: from, value: 0, gasLimit: 21000 }, bumpPercent);
+    replaced.cancelled = true;
+    return replaced;
+  }
+
+  /**
+   * Transactions sent but not yet confirmed
+   */
+  getInFlight(): SentTransaction[] {
+    return [...this.inFlight.values()].sort((a, b) => a.nonce - b.nonce);
+  }
+
+  /**
+   * Forget the local nonce and re-read it from the node on the next send
+   */
+  resetNonce(): void {
+    this.nextNonce = undefined;
+  }
+
+  // Private helper methods
+  private async replace(
+    sent: SentTransaction,
+    request: ethers.TransactionRequest,
+    bumpPercent: number
+  ): Promise<SentTransaction> {
+    const market = await getFeeSettings(this.provider, this.options.maxPriorityFeePerGas);
+    const fees = bumpFees(sent.fees, market, bumpPercent);
+
+    const response = await this.signer.sendTransaction({ ...request, ...fees, nonce: sent.nonce });
+
+    sent.hashes.push(response.hash);
+    sent.request = request;
+    sent.fees = fees;
+    return sent;
+  }
+
+  private async prepare(
+    request: ethers.TransactionRequest | Promise<ethers.TransactionRequest>
+  ): Promise<{ prepared: ethers.TransactionRequest; fees: FeeSettings }> {
+    const from = await this.signer.getAddress();
+    const resolved = await request;
+    const gasLimit = resolved.gasLimit ?? await this.estimateGas(resolved);
+    const fees = await getFeeSettings(this.provider, this.options.maxPriorityFeePerGas);
+
+    return { prepared: { ...resolved, from, gasLimit }, fees };
+  }
+
+  // Only called from the send queue, one send at a time
+  private async reserveNonce(): Promise<number> {
+    if (this.nextNonce === undefined) {
+      this.nextNonce = await this.provider.getTransactionCount(await this.signer.getAddress(), 'pending');
+    }
+    return this.nextNonce++;
+  }
+
+  private addBuffer(gas: bigint): bigint {
+    return gas + (gas * BigInt(this.options.gasLimitBufferPercent)) / BigInt(100);
+  }
+}
+
+/**
+ * Raise fees by at least bumpPercent, or to the current market price if that is higher
+ */
+const bumpFees = (previous: FeeSettings, market: FeeSettings, bumpPercent: number): FeeSettings => {
+  const bump = (value: bigint) => (value * BigInt(100 + bumpPercent) + BigInt(99)) / BigInt(100);
+  const max = (a: bigint, b: bigint) => (a > b ? a : b);
+
+  if (previous.type === 2 && market.type === 2) {
+    return {
+      type: 2,
+      maxFeePerGas: max(bump(previous.maxFeePerGas), market.maxFeePerGas),
+      maxPriorityFeePerGas: max(bump(previous.maxPriorityFeePerGas), market.maxPriorityFeePerGas)
+    };
+  }
+
+  const previousPrice = previous.type === 2 ? previous.maxFeePerGas : previous.gasPrice;
+  const marketPrice = market.type === 2 ? market.maxFeePerGas : market.gasPrice;
+  return { type: 0, gasPrice: max(bump(previousPrice), marketPrice) };
+};
@@ -0,0 +1,191 @@
+/**
+ * Contract Verification and Smoke Checks
+ * Submits source verification to an Etherscan-compatible explorer API and
+ * sanity-checks freshly deployed contracts
+ */
+
+// Defaults for polling while the explorer indexes new bytecode
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 8,
+  initialDelayMs: 5000,
+  maxDelayMs: 60000
+};
+
+// Explorer responses that mean "try again later"
+const RETRYABLE_SUBMIT_ERRORS = [
+  'unable to locate contractcode',
+  'does not have bytecode',
+  'rate limit'
+];
+
+/**
+ * Error thrown when one or more smoke checks fail
+ */
+class SmokeCheckError extends Error {
+  constructor(failures) {
+    super(`Smoke checks failed:\n${failures.map(f => `  - ${f.name}: ${f.detail}`).join('\n')}`);
+    this.name = 'SmokeCheckError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Create a client for an Etherscan-compatible verification API.
+ * apiUrl and fetchImpl can point at a local stub for offline tests.
+ */
+function createExplorerClient({ apiUrl, apiKey = '', chainId, fetchImpl = fetch }) {
+  const url = new URL(apiUrl);
+  if (chainId !== undefined) {
+    url.searchParams.set('chainid', chainId.toString());
+  }
+
+  async function request(params, method = 'GET') {
+    const body = new URLSearchParams({ apikey: apiKey, ...params });
+    const requestUrl = new URL(url);
+
+    if (method === 'GET') {
+      body.forEach((value, key) => requestUrl.searchParams.set(key, value));
+    }
+
+    const response = await fetchImpl(requestUrl.toString(), {
+      method,
+      headers: method === 'POST' ? { 'Content-Type': 'application/x-www-form-urlencoded' } : undefined,
+      body: method === 'POST' ? body.toString() : undefined
+    });
+
+    if (!response.ok) {
+      throw new Error(`Explorer API error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  return {
+    /**
+     * Submit standard-JSON source verification, resolves to the explorer's response
+     */
+    submitVerification(submission) {
+      return request({
+        module: 'contract',
+        action: 'verifysourcecode',
+        contractaddress: submission.address,
+        sourceCode: JSON.stringify(submission.sourceInput),
+        codeformat: 'solidity-standard-json-input',
+        contractname: submission.contractName,
+        compilerversion: submission.compilerVersion,
+        constructorArguements: submission.constructorArgs.replace(/^0x/, '')
+      }, 'POST');
+    },
+
+    /**
+     * Check the status of a verification request
+     */
+    checkVerificationStatus(guid) {
+      return request({
+        module: 'contract',
+        action: 'checkverifystatus',
+        guid
+      });
+    }
+  };
+}
+
+/**
+ * Submit a contract for verification and wait for the result,
+ * retrying with exponential backoff while the explorer catches up
+ */
+async function verifyContract(client, submission, options = {}) {
+  const { retries, initialDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const delayFor = attempt => Math.min(initialDelayMs * 2 ** attempt, maxDelayMs);
+
+  // 1. Submit, retrying until the explorer has indexed the bytecode
+  let guid;
+  for (let attempt = 0; guid === undefined; attempt++) {
+    const response = await client.submitVerification(submission);
+    const result = String(response.result || '');
+
+    if (response.status === '1') {
+      guid = result;
+    } else if (/already verified/i.test(result)) {
+      return { status: 'already-verified', guid: null };
+    } else if (RETRYABLE_SUBMIT_ERRORS.some(e => result.toLowerCase().includes(e)) && attempt < retries) {
+      console.log(`   ⏳ ${submission.contractName}: ${result}, retrying...`);
+      await sleep(delayFor(attempt));
+    } else {
+      throw new Error(`Verification submission for ${submission.contractName} failed: ${result}`);
+    }
+  }
+
+  // 2. Poll the verification status
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    await sleep(delayFor(attempt));
+
+    const response = await client.checkVerificationStatus(guid);
+    const result = String(response.result || '');
+
+    if (/already verified/i.test(result)) {
+      return { status: 'already-verified', guid };
+    }
+    if (response.status === '1') {
+      return { status: 'verified', guid };
+    }
+    if (!/pending/i.test(result)) {
+      throw new Error(`Verification of ${submission.contractName} failed: ${result}`);
+    }
+  }
+
+  throw new Error(`Verification of ${submission.contractName} still pending after ${retries + 1} checks (guid ${guid})`);
+}
+
+/**
+ * Run post-deploy smoke checks against BaseRewardsOptimizer.
+ * Throws a SmokeCheckError listing every failed check.
+ */
+async function runSmokeChecks(contract, { deployer, expectedParams }) {
+  const checks = [];
+
+  async function check(name, fn) {
+    try {
+      const detail = await fn();
+      checks.push({ name, ok: detail === true, detail: detail === true ? 'ok' : detail });
+    } catch (error) {
+      checks.push({ name, ok: false, detail: error.message });
+    }
+  }
+
+  await check('owner() is the deployer', async () => {
+    const owner = await contract.owner();
+    return owner.toLowerCase() === deployer.toLowerCase() || `owner is ${owner}, expected ${deployer}`;
+  });
+
+  if (expectedParams) {
+    await check('rewardParams has the expected defaults', async () => {
+      const params = await contract.rewardParams();
+      const mismatches = Object.entries(expectedParams)
+        .filter(([key, value]) => params[key] !== BigInt(value))
+        .map(([key, value]) => `${key}=${params[key]} (expected ${value})`);
+      return mismatches.length === 0 || mismatches.join(', ');
+    });
+  }
+
+  await check('getContractStats answers', async () => {
+    const [, , currentWeek] = await contract.getContractStats();
+    return currentWeek > 0n || 'currentWeek is 0';
+  });
+
+  const failures = checks.filter(c => !c.ok);
+  if (failures.length > 0) {
+    throw new SmokeCheckError(failures);
+  }
+
+  return checks;
+}
+
+module.exports = {
+  createExplorerClient,
+  verifyContract,
+  runSmokeChecks,
+  SmokeCheckError,
+  DEFAULT_RETRY_OPTIONS
+};
@@ -0,0 +1,174 @@
+/**
+ * Test Suite for contract verification and post-deploy smoke checks
+ * Runs offline against a local explorer API stub
+ */
+
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const http = require('http');
+const {
+  createExplorerClient,
+  verifyContract,
+  runSmokeChecks,
+  SmokeCheckError
+} = require('./verification');
+const { deployRewardsFixture } = require('./testHarness');
+
+/**
+ * Start an Etherscan-compatible stub that answers from scripted responses
+ */
+async function startExplorerStub(script) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const params = Object.fromEntries(new URLSearchParams(body || url.search));
+      requests.push({ method: req.method, chainId: url.searchParams.get('chainid'), params });
+
+      const queue = script[params.action];
+      const response = queue.length > 1 ? queue.shift() : queue[0];
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    apiUrl: `http://127.0.0.1:${port}/api`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('Contract Verification', function () {
+  const submission = {
+    address: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    contractName: 'contracts/MockERC20.sol:MockERC20',
+    compilerVersion: 'v0.8.26+commit.8a97fa7a',
+    sourceInput: { language: 'Solidity', sources: {} },
+    constructorArgs: '0x1234'
+  };
+  const noSleep = { sleep: async () => {} };
+
+  it('Should retry until the bytecode is indexed and then poll for the result', async function () {
+    const stub = await startExplorerStub({
+      verifysourcecode: [
+        { status: '0', message: 'NOTOK', result: 'Unable to locate ContractCode at 0x5FbD...' },
+        { status: '1', message: 'OK', result: 'guid-123' }
+      ],
+      checkverifystatus: [
+        { status: '0', message: 'NOTOK', result: 'Pending in queue' },
+        { status: '1', message: 'OK', result: 'Pass - Verified' }
+      ]
+    });
+
+    try {
+      const client = createExplorerClient({ apiUrl: stub.apiUrl, apiKey: 'key', chainId: 84532n });
+      const outcome = await verifyContract(client, submission, noSleep);
+
+      expect(outcome).to.deep.equal({ status: 'verified', guid: 'guid-123' });
+      expect(stub.requests.map(r => r.params.action)).to.deep.equal([
+        'verifysourcecode', 'verifysourcecode', 'checkverifystatus', 'checkverifystatus'
+      ]);
+
+      const submitted = stub.requests[0];
+      expect(submitted.method).to.equal('POST');
+      expect(submitted.chainId).to.equal('84532');
+      expect(submitted.params.constructorArguements).to.equal('1234');
+      expect(JSON.parse(submitted.params.sourceCode)).to.deep.equal(submission.sourceInput);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('Should treat already verified contracts as success', async function () {
+    const stub = await startExplorerStub({
+      verifysourcecode: [{ status: '0', message: 'NOTOK', result: 'Contract source code already verified' }],
+      checkverifystatus: [{ status: '0', result: 'unused' }]
+    });
+
+    try {
+      const client = createExplorerClient({ apiUrl: stub.apiUrl, apiKey: 'key' });
+      const outcome = await verifyContract(client, submission, noSleep);
+
+      expect(outcome.status).to.equal('already-verified');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('Should fail on a rejected verification', async function () {
+    const stub = await startExplorerStub({
+      verifysourcecode: [{ status: '1', message: 'OK', result: 'guid-456' }],
+      checkverifystatus: [{ status: '0', message: 'NOTOK', result: 'Fail - Unable to verify' }]
+    });
+
+    try {
+      const client = createExplorerClient({ apiUrl: stub.apiUrl, apiKey: 'key' });
+
+      await expect(verifyContract(client, submission, noSleep))
+        .to.be.rejectedWith('Fail - Unable to verify');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('Should give up after the configured number of retries', async function () {
+    const stub = await startExplorerStub({
+      verifysourcecode: [{ status: '0', message: 'NOTOK', result: 'Unable to locate ContractCode at 0x5FbD...' }],
+      checkverifystatus: [{ status: '0', result: 'unused' }]
+    });
+
+    try {
+      const client = createExplorerClient({ apiUrl: stub.apiUrl, apiKey: 'key' });
+
+      await expect(verifyContract(client, submission, { ...noSleep, retries: 2 }))
+        .to.be.rejectedWith('Unable to locate ContractCode');
+      expect(stub.requests).to.have.length(3);
+    } finally {
+      await stub.close();
+    }
+  });
+});
+
+describe('Smoke Checks', function () {
+  const expectedParams = {
+    baseMultiplier: 100,
+    streakBonus: 10,
+    diversityBonus: 25,
+    gasOptimizationReward: 50,
+    minimumThreshold: 1000
+  };
+
+  it('Should pass for a fresh deployment', async function () {
+    const { rewardsOptimizer, owner } = await loadFixture(deployRewardsFixture);
+
+    const checks = await runSmokeChecks(rewardsOptimizer, { deployer: owner.address, expectedParams });
+
+    expect(checks).to.have.length(3);
+    expect(checks.every(c => c.ok)).to.be.true;
+  });
+
+  it('Should report every failed check', async function () {
+    const { rewardsOptimizer, owner, user1 } = await loadFixture(deployRewardsFixture);
+
+    await rewardsOptimizer.connect(owner).updateRewardParameters(150, 10, 25, 50, 1000);
+
+    try {
+      await runSmokeChecks(rewardsOptimizer, { deployer: user1.address, expectedParams });
+      expect.fail('Smoke checks should have failed');
+    } catch (error) {
+      expect(error).to.be.instanceOf(SmokeCheckError);
+      expect(error.failures.map(f => f.name)).to.deep.equal([
+        'owner() is the deployer',
+        'rewardParams has the expected defaults'
+      ]);
+      expect(error.message).to.include('baseMultiplier=150');
+    }
+  });
+});